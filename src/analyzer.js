@@ -0,0 +1,551 @@
+const fs = require("fs");
+const path = require("path");
+const { performance } = require("perf_hooks");
+const { Worker, isMainThread, parentPort, workerData } = require("worker_threads");
+
+const { createRegistry, builtInRules } = require("./registry");
+const configuration = require("./utils/configuration");
+const findFiles = require("./utils/findFiles");
+const loadPlugins = require("./utils/plugins");
+const applySuppressions = require("./utils/suppressions");
+const addFingerprints = require("./utils/fingerprint");
+const { lineLocation, isFullDocument } = require("./utils/location");
+const createContext = require("./utils/context");
+const { createRenderer } = require("./render");
+const { crawl } = require("./crawler");
+const { fetchPage, acceptStatus } = require("./utils/http");
+const { parseRuleSetting } = require("./utils/severity");
+const { cacheKey, loadCache, hashContent } = require("./utils/cache");
+const { isRelevant } = require("./utils/wcag");
+const { changedFiles } = require("./utils/git");
+const {
+  resolveRuleOptions,
+  validateRuleOptions,
+} = require("./utils/ruleOptions");
+
+// Marks the worker threads of `analyzeFilesInWorkers`
+const WORKER_TASK = "be-a11y:analyze-files";
+
+/**
+ * Resolves the `config` option of the public API.
+ * Accepts a path to a JSON config file or an already loaded object.
+ *
+ * @param {string|object} [config] - Config path or object.
+ * @returns {object} Normalized config object.
+ */
+function resolveConfig(config) {
+  if (typeof config === "string") return configuration(config);
+  return configuration.normalize(config);
+}
+
+/**
+ * Returns the registry to analyze with: the one passed in options, or
+ * the built-in rules plus any plugins listed in `config.plugins`.
+ * Rule options in the config are validated against the registry.
+ *
+ * @param {object} config - Normalized config.
+ * @param {object} [registry] - Explicit registry.
+ * @returns {object} Rule registry.
+ * @throws {Error} When a plugin fails to load or rule options are invalid.
+ */
+function resolveRegistry(config, registry) {
+  const resolved =
+    registry || createRegistry([...builtInRules, ...loadPlugins(config.plugins)]);
+  validateRuleOptions(config, resolved);
+  return resolved;
+}
+
+/**
+ * Determines if a rule or issue type should run based on configuration.
+ * Defaults to enabled unless explicitly set to `false` or `"off"`.
+ *
+ * @param {object} config - Normalized config.
+ * @param {string} key - Rule id or issue type from config.rules keys.
+ * @returns {boolean} Whether the rule/type is enabled.
+ */
+function shouldRun(config, key) {
+  return parseRuleSetting(config.rules[key], key).enabled;
+}
+
+/**
+ * Returns whether a rule checks anything relevant for `config.wcagLevel`.
+ * @param {object} config - Normalized config.
+ * @param {Function} rule - Rule with `meta.types`.
+ * @returns {boolean}
+ */
+function isRuleRelevant(config, rule) {
+  return Object.values(rule.meta.types).some((info) => isRelevant(info, config.wcagLevel));
+}
+
+/**
+ * Lists the issue types a run checks (enabled by the config and relevant for
+ * `config.wcagLevel`) with the success criteria they actually evaluated:
+ * - types of rules that need a browser evaluate nothing unless pages were rendered
+ * - types with `requiresDocument` evaluate nothing unless a full document was analyzed
+ * - types with an `evaluated(options, config, run)` hook evaluate the criteria it returns
+ *   (e.g. contrast only evaluates 1.4.6 with the AAA thresholds); `run` is `{ rendered, documents }`
+ * Used to tell passed success criteria from unchecked ones.
+ *
+ * @param {object} config - Normalized config.
+ * @param {object} registry - Rule registry.
+ * @param {object} [options]
+ * @param {boolean} [options.rendered] - Pages were rendered in a browser.
+ * @param {number} [options.documents] - Number of full documents (with `<html>`) analyzed.
+ * @returns {object[]} Issue type metadata; `wcag` lists the evaluated criteria and
+ *   `skipped` the mapped ones that were not evaluated.
+ */
+function checkedTypes(config, registry, { rendered = false, documents = 0 } = {}) {
+  return registry
+    .types()
+    .filter(
+      (info) => shouldRun(config, info.rule) && shouldRun(config, info.type) && isRelevant(info, config.wcagLevel)
+    )
+    .map((info) => {
+      const rule = registry.get(info.rule);
+      const wcag = info.wcag || [];
+      const ran = (rendered || !rule.meta.requiresRender) && (documents > 0 || !info.requiresDocument);
+      let evaluated = [];
+      if (ran) {
+        evaluated = info.evaluated
+          ? info.evaluated(resolveRuleOptions(rule.meta, config), config, { rendered, documents })
+          : wcag;
+      }
+      return { ...info, wcag: evaluated, skipped: wcag.filter((criterion) => !evaluated.includes(criterion)) };
+    });
+}
+
+/**
+ * Resolves the severity of an issue. A level configured for the issue type
+ * wins over one configured for its rule, then the severity set by the rule
+ * itself, then the default declared in the rule's metadata.
+ *
+ * @param {object} config - Normalized config.
+ * @param {object} registry - Rule registry.
+ * @param {object} error - Issue reported by a rule.
+ * @returns {string} Severity level.
+ */
+function resolveSeverity(config, registry, error) {
+  const info = registry.getType(error.type);
+  const forType = parseRuleSetting(config.rules[error.type], error.type);
+  const forRule = info ? parseRuleSetting(config.rules[info.rule], info.rule) : {};
+
+  return (
+    forType.severity ||
+    forRule.severity ||
+    error.severity ||
+    (info && info.severity) ||
+    "error"
+  );
+}
+
+/**
+ * Calls a rule with the calling convention it was written for.
+ * Rules receive the shared context; rules that declare `meta.legacy: true`
+ * (e.g. older plugins) get the previous `(content, file, config, options)`
+ * arguments instead.
+ *
+ * @param {Function} rule - Rule function.
+ * @param {object} context - Shared rule context.
+ * @param {object} options - Resolved rule options.
+ * @returns {object[]} Issues reported by the rule.
+ */
+function callRule(rule, context, options) {
+  if (rule.meta.legacy) {
+    return rule(context.content, context.file, context.config, options);
+  }
+  return rule({ ...context, options });
+}
+
+/**
+ * Adds the time spent in `fn` to `timings[key]` (milliseconds).
+ * @param {object} timings - Accumulated timings.
+ * @param {string} key - Timing key (rule id or phase).
+ * @param {Function} fn - Work to measure.
+ * @returns {*} Result of `fn`.
+ */
+function measure(timings, key, fn) {
+  const start = performance.now();
+  try {
+    return fn();
+  } finally {
+    timings[key] = (timings[key] || 0) + performance.now() - start;
+  }
+}
+
+/**
+ * Adds the timings of one run to an accumulated total.
+ * @param {object} total - Accumulated timings (mutated).
+ * @param {object} timings - Timings to add.
+ * @returns {object} The accumulated timings.
+ */
+function mergeTimings(total, timings) {
+  for (const [key, ms] of Object.entries(timings)) {
+    total[key] = (total[key] || 0) + ms;
+  }
+  return total;
+}
+
+/**
+ * Parses the content once and runs every enabled rule against the shared context.
+ *
+ * @param {string} content - Raw HTML/template string.
+ * @param {string} file - Display name.
+ * @param {object} config - Normalized config.
+ * @param {object} registry - Rule registry.
+ * @param {object} [rendered] - Browser data of a rendered page (see `src/render`).
+ * @returns {{ errors: object[], timings: object, dependencies: string[], document: boolean }} Issues,
+ *   per-rule timings, the files the results depend on besides the content and
+ *   whether the content is a full document (with an `<html>` tag).
+ */
+function runRules(content, file, config, registry, rendered) {
+  const timings = {};
+  const errors = [];
+  const context = measure(timings, "(parse)", () => createContext(content, file, config, rendered));
+
+  for (const rule of registry.list()) {
+    if (!shouldRun(config, rule.meta.id) || !isRuleRelevant(config, rule)) continue;
+
+    const options = resolveRuleOptions(rule.meta, config);
+    const found = measure(timings, rule.meta.id, () => callRule(rule, context, options));
+    for (const { fix, ...error } of found) {
+      const info = registry.getType(error.type);
+      if (!shouldRun(config, error.type) || !isRelevant(info, config.wcagLevel)) continue;
+      const wcag = error.wcag || (info && info.wcag);
+      errors.push({
+        file: error.file,
+        ...lineLocation(content, error.line || 1),
+        ...error,
+        ...(wcag && { wcag }),
+        ...(fix && { fix }),
+        severity: resolveSeverity(config, registry, error),
+      });
+    }
+  }
+
+  return {
+    errors: addFingerprints(content, applySuppressions(content, errors, registry)),
+    timings,
+    dependencies: [...context.dependencies],
+    document: isFullDocument(context.$),
+  };
+}
+
+/**
+ * Runs all enabled rules from the registry on a single content string.
+ * The content is parsed once and every rule receives the same context
+ * (see `src/utils/context.js`) with its own `options`: its schema defaults
+ * merged with `config.rules[id]`. Issues from rules that only report a
+ * `line` get the column range and snippet of that whole line.
+ * Issues suppressed by inline `be-a11y-disable` directives are dropped and
+ * the remaining ones get a stable `fingerprint`.
+ *
+ * @param {string} content - Raw HTML/template string.
+ * @param {object} [options]
+ * @param {string} [options.file] - Display name (usually file path or URL).
+ * @param {string|object} [options.config] - Config path or object.
+ * @param {object} [options.registry] - Rule registry, defaults to built-in rules and config plugins.
+ * @param {object} [options.rendered] - Browser data when `content` is a rendered DOM.
+ * @returns {{ file: string, errors: object[], timings: object, document: boolean }} Analysis result;
+ *   `document` tells whether the content is a full document (with an `<html>` tag).
+ */
+function analyze(content, options = {}) {
+  const { file = "<input>" } = options;
+  const config = resolveConfig(options.config);
+  const registry = resolveRegistry(config, options.registry);
+
+  return { file, ...runRules(content, file, config, registry, options.rendered) };
+}
+
+/**
+ * Analyzes a list of files sequentially.
+ *
+ * @param {string[]} files - File paths.
+ * @param {object} config - Normalized config.
+ * @param {object} registry - Rule registry.
+ * @returns {{ errors: object[], timings: object, dependencies: object, documents: string[] }} Combined result;
+ *   `dependencies` maps each file to the other files its results depend on, `documents`
+ *   lists the files that are full documents.
+ */
+function analyzeFiles(files, config, registry) {
+  const errors = [];
+  const timings = {};
+  const dependencies = {};
+  const documents = [];
+
+  for (const file of files) {
+    const content = measure(timings, "(read)", () => fs.readFileSync(file, "utf-8"));
+    const result = runRules(content, file, config, registry);
+    errors.push(...result.errors);
+    mergeTimings(timings, result.timings);
+    dependencies[file] = result.dependencies;
+    if (result.document) documents.push(file);
+  }
+
+  return { errors, timings, dependencies, documents };
+}
+
+/**
+ * Analyzes files in parallel worker threads. Each worker builds its own
+ * registry from the config (built-in rules and `config.plugins`).
+ *
+ * Workers run the file of this module again: `src/analyzer.js`, or the bundle
+ * (`dist/index.js`) that contains it, so no separate worker entry has to ship.
+ *
+ * @param {string[]} files - File paths.
+ * @param {object} config - Normalized config.
+ * @param {number} workers - Number of worker threads.
+ * @returns {Promise<{ errors: object[], timings: object, dependencies: object, documents: string[] }>}
+ *   Combined result in file order.
+ */
+async function analyzeFilesInWorkers(files, config, workers) {
+  const chunks = Array.from({ length: Math.min(workers, files.length) }, () => []);
+  files.forEach((file, index) => chunks[index % chunks.length].push(file));
+
+  const results = await Promise.all(
+    chunks.map(
+      (chunk) =>
+        new Promise((resolve, reject) => {
+          const worker = new Worker(__filename, {
+            workerData: { task: WORKER_TASK, files: chunk, config },
+          });
+          worker.once("message", resolve);
+          worker.once("error", reject);
+          worker.once("exit", (code) => {
+            if (code !== 0) reject(new Error(`Worker stopped with exit code ${code}`));
+          });
+        })
+    )
+  );
+
+  const order = new Map(files.map((file, index) => [file, index]));
+  const errors = results
+    .flatMap((result) => result.errors)
+    .sort((a, b) => order.get(a.file) - order.get(b.file));
+  const timings = results.reduce((total, result) => mergeTimings(total, result.timings), {});
+  const dependencies = Object.assign({}, ...results.map((result) => result.dependencies));
+  const documents = results
+    .flatMap((result) => result.documents)
+    .sort((a, b) => order.get(a) - order.get(b));
+
+  return { errors, timings, dependencies, documents };
+}
+
+/**
+ * Returns the files of a directory tree that match the config.
+ * @param {string} dir - Directory to scan.
+ * @param {object} config - Normalized config.
+ * @returns {string[]} File paths.
+ */
+function listFiles(dir, config) {
+  return findFiles(dir, {
+    allowedExtensions: config.allowedExtensions,
+    excludedDirs: config.excludedDirs,
+    include: config.include,
+    exclude: config.exclude,
+    gitignore: config.gitignore,
+  });
+}
+
+/**
+ * Analyzes every matching file in a directory tree.
+ *
+ * With `config.cache.enabled`, issues are stored per file in the cache file
+ * and files whose content (and rules and config) did not change since the
+ * last run are not analyzed again.
+ *
+ * @param {string} dir - Directory to scan.
+ * @param {object} [options] - Same options as `analyze` (except `file`), plus:
+ * @param {number} [options.workers] - Worker threads to spread files across
+ *   (defaults to `config.workers`, 1 = no workers). Not combinable with a custom `registry`.
+ * @param {string} [options.changedSince] - Git ref; only files changed since then are analyzed
+ *   (all files when a `.css` file changed or was deleted).
+ * @returns {Promise<{ files: string[], errors: object[], timings: object, cached: number, documents: string[] }>}
+ *   Combined result; `cached` counts files whose issues came from the cache, `documents`
+ *   lists the files that are full documents.
+ */
+async function analyzeDirectory(dir, options = {}) {
+  const config = resolveConfig(options.config);
+  const registry = resolveRegistry(config, options.registry);
+  const workers = options.workers || config.workers || 1;
+  let files = listFiles(dir, config);
+
+  if (options.changedSince) {
+    const changed = changedFiles(options.changedSince, dir);
+    // A changed stylesheet can affect any file
+    const styles = [...changed].some((file) => path.extname(file) === ".css");
+    if (!styles) files = files.filter((file) => changed.has(path.resolve(file)));
+  }
+
+  if (workers > 1 && options.registry) {
+    throw new Error("Worker threads cannot be combined with a custom registry; use config.plugins instead");
+  }
+
+  const run = (list) =>
+    workers > 1 && list.length > 1
+      ? analyzeFilesInWorkers(list, config, workers)
+      : analyzeFiles(list, config, registry);
+
+  if (!config.cache.enabled) {
+    return { files, ...(await run(files)), cached: 0 };
+  }
+
+  const timings = {};
+  const cache = loadCache(config.cache.location, cacheKey(config, registry));
+  const hashes = measure(timings, "(cache)", () =>
+    new Map(files.map((file) => [file, hashContent(fs.readFileSync(file, "utf-8"))]))
+  );
+  const byFile = new Map();
+  const documents = new Set();
+  for (const file of files) {
+    const cached = cache.get(file, hashes.get(file));
+    if (!cached) continue;
+    byFile.set(file, cached.errors);
+    if (cached.document) documents.add(file);
+  }
+
+  const stale = files.filter((file) => !byFile.has(file));
+  const result = await run(stale);
+  for (const file of stale) byFile.set(file, []);
+  for (const error of result.errors) byFile.get(error.file).push(error);
+  for (const file of result.documents) documents.add(file);
+  for (const file of stale) {
+    cache.set(file, hashes.get(file), {
+      errors: byFile.get(file),
+      dependencies: result.dependencies[file],
+      document: documents.has(file),
+    });
+  }
+  measure(timings, "(cache)", () => cache.save());
+
+  return {
+    files,
+    errors: files.flatMap((file) => byFile.get(file)),
+    timings: mergeTimings(timings, result.timings),
+    cached: files.length - stale.length,
+    documents: files.filter((file) => documents.has(file)),
+  };
+}
+
+/**
+ * Result of a page that was not analyzed because of its HTTP status.
+ * @param {string} url
+ * @param {number} status
+ * @returns {{ file: string, errors: object[], timings: object, document: boolean, skipped: string }}
+ */
+function skipped(url, status) {
+  return { file: url, errors: [], timings: {}, document: false, skipped: `HTTP ${status}` };
+}
+
+/**
+ * Fetches a remote page and analyzes its HTML.
+ * With `render`, the page is loaded in a headless browser instead and the
+ * rendered DOM is analyzed, including the browser-only checks.
+ *
+ * Requests use the `config.fetch` settings (headers, cookies, auth, timeout,
+ * retries). Non-2xx responses throw, or are skipped or analyzed anyway,
+ * depending on `config.fetch.httpErrors`.
+ *
+ * @param {string} url - Page URL.
+ * @param {object} [options] - Same options as `analyze` (except `file`), plus:
+ * @param {boolean} [options.render] - Render the page in a headless browser (`config.render` settings).
+ * @returns {Promise<{ file: string, errors: object[], timings: object, document: boolean, skipped?: string }>}
+ *   Analysis result; `skipped` gives the reason when the page was not analyzed.
+ * @throws {Error} When the page cannot be loaded, or returns a non-2xx status with `httpErrors: "fail"`.
+ */
+async function analyzeUrl(url, options = {}) {
+  const config = resolveConfig(options.config);
+  const { httpErrors } = config.fetch;
+
+  if (options.render) {
+    const renderer = await createRenderer(config.render, config.fetch);
+    try {
+      const { html, rendered, status } = await renderer.render(url);
+      if (!acceptStatus(status, httpErrors)) return skipped(url, status);
+      return analyze(html, { ...options, config, file: url, rendered });
+    } finally {
+      await renderer.close();
+    }
+  }
+
+  const { text, status } = await fetchPage(url, config.fetch);
+  if (!acceptStatus(status, httpErrors)) return skipped(url, status);
+  return analyze(text, { ...options, config, file: url });
+}
+
+/**
+ * Crawls a site from a page or sitemap URL and analyzes every page found
+ * (see `src/crawler.js` and `config.crawl`). Issues refer to their page URL.
+ *
+ * @param {string} url - Start page or sitemap URL.
+ * @param {object} [options] - Same options as `analyzeUrl`, plus:
+ * @param {function(object): void} [options.onPage] - Called after each page with
+ *   `{ url, errors }` or `{ url, error }` when the page failed to load.
+ * @returns {Promise<{ pages: string[], failed: object[], errors: object[], timings: object, documents: string[] }>}
+ *   Analyzed page URLs, pages that failed to load (`{ url, message }`), all issues and
+ *   the page URLs that are full documents.
+ */
+async function analyzeSite(url, options = {}) {
+  const config = resolveConfig(options.config);
+  const registry = resolveRegistry(config, options.registry);
+  const { onPage = () => {} } = options;
+  const renderer = options.render ? await createRenderer(config.render, config.fetch) : null;
+
+  const load = async (pageUrl) => {
+    if (renderer) {
+      const { html, rendered, status } = await renderer.render(pageUrl);
+      if (!acceptStatus(status, config.fetch.httpErrors)) return null;
+      return { url: pageUrl, html, rendered };
+    }
+    const res = await fetchPage(pageUrl, config.fetch);
+    if (!acceptStatus(res.status, config.fetch.httpErrors)) return null;
+    if (!/html/i.test(res.contentType)) return null;
+    return { url: res.url, html: res.text };
+  };
+
+  const pages = [];
+  const failed = [];
+  const errors = [];
+  const timings = {};
+  const documents = [];
+
+  try {
+    for await (const page of crawl(url, config.crawl, load, config.fetch)) {
+      if (page.error) {
+        failed.push({ url: page.url, message: page.error.message });
+        onPage({ url: page.url, error: page.error });
+        continue;
+      }
+
+      const result = runRules(page.html, page.url, config, registry, page.rendered);
+      pages.push(page.url);
+      if (result.document) documents.push(page.url);
+      errors.push(...result.errors);
+      mergeTimings(timings, result.timings);
+      onPage({ url: page.url, errors: result.errors });
+    }
+  } finally {
+    if (renderer) await renderer.close();
+  }
+
+  return { pages, failed, errors, timings, documents };
+}
+
+module.exports = {
+  analyze,
+  analyzeDirectory,
+  analyzeFiles,
+  analyzeUrl,
+  analyzeSite,
+  listFiles,
+  checkedTypes,
+  resolveConfig,
+  resolveRegistry,
+  resolveSeverity,
+  shouldRun,
+};
+
+// Worker thread started by `analyzeFilesInWorkers`
+if (!isMainThread && workerData && workerData.task === WORKER_TASK) {
+  const { files, config } = workerData;
+  parentPort.postMessage(analyzeFiles(files, config, resolveRegistry(config)));
+}
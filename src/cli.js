@@ -0,0 +1,491 @@
+const fs = require("fs");
+const { parseArgs } = require("util");
+const chalk = require("chalk");
+const core = require("@actions/core");
+
+const {
+  analyzeDirectory,
+  analyzeUrl,
+  analyzeSite,
+  analyze,
+  checkedTypes,
+  resolveRegistry,
+} = require("./analyzer");
+const configuration = require("./utils/configuration");
+const { isSitemap } = require("./crawler");
+const { atLeast } = require("./utils/severity");
+const { printErrors, printSummary, printConformance, printTimings, printDiff } = require("./utils/logger");
+const { conformance } = require("./utils/wcag");
+const { fixFiles } = require("./utils/fixes");
+const { watchDirectory } = require("./watch");
+const {
+  readBaseline,
+  writeBaseline,
+  filterBaseline,
+} = require("./utils/baseline");
+
+const githubReporter = require("./reporters/github");
+
+const reporters = {
+  json: require("./reporters/json"),
+  sarif: require("./reporters/sarif"),
+  html: require("./reporters/html"),
+};
+
+/**
+ * Writes the full list of errors to a report file in the given format.
+ * @param {object[]} errors - List of error objects.
+ * @param {string} outputPath - Path to save the report.
+ * @param {string} format - Report format (key of `reporters`).
+ * @param {object} registry - Rule registry.
+ * @returns {boolean} Whether the report was written.
+ */
+function exportReport(errors, outputPath, format, registry) {
+  try {
+    fs.writeFileSync(outputPath, reporters[format](errors, { registry }), "utf-8");
+    console.log(chalk.blue(`📦 Results exported to ${outputPath}`));
+    return true;
+  } catch (err) {
+    console.error(chalk.red(`Failed to export ${format.toUpperCase()}: ${err.message}`));
+    return false;
+  }
+}
+
+/**
+ * Parses `Name: value` header lines (from `--header` or the `headers` input).
+ * @param {string[]} lines
+ * @returns {object} Header names and values.
+ * @throws {Error} When a line has no colon.
+ */
+function parseHeaders(lines) {
+  const headers = {};
+  for (const line of lines) {
+    const index = line.indexOf(":");
+    if (index < 1) {
+      throw new Error(`Invalid header "${line}" (expected "Name: value")`);
+    }
+    headers[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+  }
+  return headers;
+}
+
+/**
+ * Parses a non-negative integer option as typed on the command line
+ * (or in the action input).
+ * @param {string} name - Option name for error messages.
+ * @param {string} [value] - Raw value.
+ * @returns {number|undefined} The number, or undefined when the option is not set.
+ * @throws {Error} When the value is not a non-negative integer.
+ */
+function parseCount(name, value) {
+  if (value === undefined || value === "") return undefined;
+  if (!/^\d+$/.test(value.trim())) {
+    throw new Error(`Invalid --${name} value: "${value}" (expected a non-negative integer)`);
+  }
+  return Number(value);
+}
+
+/**
+ * Resolves the input, report path, report format and flags.
+ * GitHub Action inputs take precedence over CLI arguments.
+ * @param {string[]} argv - CLI arguments (without node and script path).
+ * @returns {object} Resolved CLI options.
+ */
+function resolveInputs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      baseline: { type: "string" },
+      "update-baseline": { type: "boolean", default: false },
+      "fail-on": { type: "string" },
+      format: { type: "string", short: "f" },
+      workers: { type: "string" },
+      timing: { type: "boolean", default: false },
+      render: { type: "boolean", default: false },
+      "wait-until": { type: "string" },
+      "wait-for": { type: "string" },
+      crawl: { type: "boolean", default: false },
+      "max-depth": { type: "string" },
+      "max-pages": { type: "string" },
+      header: { type: "string", multiple: true, default: [] },
+      "cookie-file": { type: "string" },
+      auth: { type: "string" },
+      "user-agent": { type: "string" },
+      timeout: { type: "string" },
+      retries: { type: "string" },
+      "http-errors": { type: "string" },
+      fix: { type: "boolean", default: false },
+      "fix-dry-run": { type: "boolean", default: false },
+      cache: { type: "boolean", default: false },
+      "wcag-level": { type: "string" },
+      "conformance-report": { type: "string" },
+      "cache-location": { type: "string" },
+      "changed-since": { type: "string" },
+    },
+  });
+
+  // `be-a11y watch <dir>` keeps re-analyzing changed files
+  const watch = positionals[0] === "watch";
+  const args = watch ? positionals.slice(1) : positionals;
+
+  let input = core.getInput("url") || core.getInput("input") || "";
+  let report = core.getInput("report") || "";
+
+  // Fallback to CLI arguments for local/testing use
+  if (!input) {
+    input = args[0];
+    if (!report) {
+      report = args[1];
+    }
+  }
+
+  const format = core.getInput("format") || values.format || "json";
+  if (!reporters[format]) {
+    throw new Error(
+      `Unknown format "${format}" (expected ${Object.keys(reporters).join(", ")})`
+    );
+  }
+
+  return {
+    input,
+    format,
+    report,
+    baseline: core.getInput("baseline") || values.baseline,
+    updateBaseline:
+      core.getInput("update-baseline") === "true" || values["update-baseline"],
+    failOn: core.getInput("fail-on") || values["fail-on"],
+    wcagLevel: core.getInput("wcag-level") || values["wcag-level"],
+    conformanceReport: core.getInput("conformance-report") || values["conformance-report"],
+    failOnIssues: core.getInput("fail-on-issues") !== "false",
+    workers: values.workers,
+    timing: values.timing,
+    render: values.render,
+    waitUntil: values["wait-until"],
+    waitFor: values["wait-for"],
+    crawl: core.getInput("crawl") === "true" || values.crawl,
+    maxDepth: core.getInput("max-depth") || values["max-depth"],
+    maxPages: core.getInput("max-pages") || values["max-pages"],
+    headers: parseHeaders([...values.header, ...core.getMultilineInput("headers")]),
+    cookieFile: core.getInput("cookie-file") || values["cookie-file"],
+    auth: core.getInput("auth") || values.auth || process.env.BE_A11Y_AUTH,
+    userAgent: core.getInput("user-agent") || values["user-agent"],
+    timeout: core.getInput("timeout") || values.timeout,
+    retries: core.getInput("retries") || values.retries,
+    httpErrors: core.getInput("http-errors") || values["http-errors"],
+    fix: values.fix,
+    fixDryRun: values["fix-dry-run"],
+    watch,
+    cache: core.getInput("cache") === "true" || values.cache,
+    cacheLocation: core.getInput("cache-location") || values["cache-location"],
+    changedSince: core.getInput("changed-since") || values["changed-since"],
+  };
+}
+
+/**
+ * Runs watch mode: prints the issues of a directory and refreshes the output
+ * whenever files change, until the process is interrupted.
+ * @param {string} input - Directory to watch.
+ * @param {object} config - Normalized config.
+ * @param {object} registry - Rule registry.
+ * @returns {Promise<number>} Exit code once stopped with Ctrl+C.
+ */
+function watchInput(input, config, registry) {
+  if (!fs.existsSync(input) || !fs.statSync(input).isDirectory()) {
+    console.error(chalk.red(`watch needs a directory: ${input}`));
+    return Promise.resolve(1);
+  }
+
+  return new Promise((resolve) => {
+    const watcher = watchDirectory(input, {
+      config,
+      registry,
+      onUpdate: ({ files, errors, changed, documents }) => {
+        const summary = conformance(
+          errors,
+          checkedTypes(config, registry, { documents: documents.length }),
+          config.wcagLevel
+        );
+        console.clear();
+        if (errors.length) {
+          printErrors(errors, registry);
+          printSummary(errors, summary);
+        } else {
+          printConformance(summary);
+          console.log(chalk.green.bold("✅ No accessibility issues found!"));
+        }
+        console.log(
+          chalk.gray(`\n👀 Watching ${files.length} file(s) in ${input}, ${changed.length} re-analyzed (Ctrl+C to stop)`)
+        );
+      },
+      onError: (err) => console.error(chalk.red(err.message)),
+    });
+
+    process.once("SIGINT", () => {
+      watcher.close();
+      resolve(0);
+    });
+  });
+}
+
+/**
+ * Command line entry point.
+ * @param {string[]} [argv] - CLI arguments (without node and script path).
+ * @returns {Promise<number>} Process exit code.
+ */
+module.exports = async function cli(argv = process.argv.slice(2)) {
+  let options;
+  try {
+    options = resolveInputs(argv);
+  } catch (err) {
+    console.error(chalk.red(err.message));
+    return 1;
+  }
+  const { input, format, baseline, updateBaseline, failOn, failOnIssues, timing } = options;
+  const outputPath =
+    options.report || (format !== "json" ? `a11y-report.${format}` : "");
+
+  if (!input) {
+    console.error(
+      chalk.red("Please provide a directory path or URL as the first argument.")
+    );
+    return 1;
+  }
+
+  let config;
+  let registry;
+  try {
+    config = configuration("a11y.config.json");
+    if (failOn) config = configuration.normalize({ ...config, failOn });
+    if (options.wcagLevel) config = configuration.normalize({ ...config, wcagLevel: options.wcagLevel });
+    if (options.workers) {
+      config = configuration.normalize({ ...config, workers: Number(options.workers) });
+    }
+    if (options.waitUntil || options.waitFor) {
+      const render = { ...config.render };
+      if (options.waitUntil) render.waitUntil = options.waitUntil;
+      if (options.waitFor) render.waitFor = options.waitFor;
+      config = configuration.normalize({ ...config, render });
+    }
+    if (options.maxDepth || options.maxPages) {
+      const crawl = { ...config.crawl };
+      if (options.maxDepth) crawl.maxDepth = Number(options.maxDepth);
+      if (options.maxPages) crawl.maxPages = Number(options.maxPages);
+      config = configuration.normalize({ ...config, crawl });
+    }
+    const fetchOverrides = {
+      cookieFile: options.cookieFile,
+      auth: options.auth,
+      userAgent: options.userAgent,
+      timeout: parseCount("timeout", options.timeout),
+      retries: parseCount("retries", options.retries),
+      httpErrors: options.httpErrors,
+    };
+    const fetch = { ...config.fetch, headers: { ...config.fetch.headers, ...options.headers } };
+    for (const [key, value] of Object.entries(fetchOverrides)) {
+      if (value !== undefined && value !== "") fetch[key] = value;
+    }
+    config = configuration.normalize({ ...config, fetch });
+    if (options.cache || options.cacheLocation) {
+      const cache = { ...config.cache };
+      if (options.cache) cache.enabled = true;
+      if (options.cacheLocation) cache.location = options.cacheLocation;
+      config = configuration.normalize({ ...config, cache });
+    }
+    if (config.fetch.auth && process.env.GITHUB_ACTIONS === "true") core.setSecret(config.fetch.auth);
+    registry = resolveRegistry(config);
+  } catch (err) {
+    console.error(chalk.red(err.message));
+    return 1;
+  }
+  const analyzeOptions = { config, registry, render: options.render };
+  let errors;
+  let timings;
+  // Full documents analyzed; document-level checks evaluate nothing without one
+  let documents = [];
+
+  if (options.watch) return watchInput(input, config, registry);
+
+  const isUrl = input.startsWith("http://") || input.startsWith("https://");
+  const isDirectory = !isUrl && fs.existsSync(input) && fs.statSync(input).isDirectory();
+  if (options.changedSince && !isDirectory) {
+    console.warn(chalk.yellow("⚠️  --changed-since only applies to directory input; analyzing everything."));
+  }
+  if (options.render && !isUrl) {
+    console.warn(chalk.yellow("⚠️  --render only applies to URL input; analyzing the source files."));
+  }
+
+  let crawlSite;
+  try {
+    crawlSite = isUrl && (options.crawl || isSitemap(input));
+  } catch (err) {
+    console.error(chalk.red(`Invalid URL ${input}: ${err.message}`));
+    return 1;
+  }
+
+  if (crawlSite) {
+    let pages;
+    let failed;
+    try {
+      ({ pages, failed, errors, timings, documents } = await analyzeSite(input, {
+        ...analyzeOptions,
+        onPage: ({ url, errors: found, error }) => {
+          if (error) console.warn(chalk.yellow(`⚠️  ${url}: ${error.message}`));
+          else console.log(chalk.gray(`🕷️  ${url} – ${found.length} issue(s)`));
+        },
+      }));
+    } catch (err) {
+      console.error(chalk.red(`Failed to crawl ${input}: ${err.message}`));
+      return 1;
+    }
+    console.log(
+      chalk.blue(`🕷️  Crawled ${pages.length} page(s)${failed.length ? `, ${failed.length} failed` : ""}`)
+    );
+  } else if (isUrl) {
+    try {
+      let skipped;
+      let document;
+      ({ errors, timings, skipped, document } = await analyzeUrl(input, analyzeOptions));
+      if (document) documents = [input];
+      if (skipped) console.warn(chalk.yellow(`⚠️  ${input} not analyzed (${skipped})`));
+    } catch (err) {
+      console.error(chalk.red(`Failed to load URL: ${err.message}`));
+      return 1;
+    }
+  } else if (isDirectory) {
+    // Worker threads build their own registries from the config
+    const registryOption = config.workers > 1 ? undefined : registry;
+    let files;
+    let cached;
+    try {
+      ({ files, errors, timings, cached, documents } = await analyzeDirectory(input, {
+        config,
+        registry: registryOption,
+        changedSince: options.changedSince,
+      }));
+    } catch (err) {
+      console.error(chalk.red(err.message));
+      return 1;
+    }
+    if (options.changedSince) {
+      console.log(chalk.gray(`🔀 ${files.length} file(s) changed since ${options.changedSince}`));
+    }
+    if (cached) {
+      console.log(chalk.gray(`♻️  ${cached} of ${files.length} file(s) unchanged, results taken from the cache`));
+    }
+  } else if (fs.existsSync(input)) {
+    const content = fs.readFileSync(input, "utf-8");
+    let document;
+    ({ errors, timings, document } = analyze(content, { ...analyzeOptions, file: input }));
+    if (document) documents = [input];
+  } else {
+    console.error(chalk.red(`Input not found: ${input}`));
+    return 1;
+  }
+
+  if (timing) printTimings(timings);
+
+  if (options.fix || options.fixDryRun) {
+    if (isUrl) {
+      console.warn(chalk.yellow("⚠️  --fix only applies to files; remote pages are left as they are."));
+    } else {
+      const dryRun = options.fixDryRun;
+      let result;
+      try {
+        result = fixFiles(errors, { dryRun });
+      } catch (err) {
+        console.error(chalk.red(`Failed to apply fixes: ${err.message}`));
+        return 1;
+      }
+      for (const { file, diff, review } of result.files) {
+        if (dryRun) printDiff(diff);
+        for (const note of review) console.warn(chalk.yellow(`⚠️  ${file}: ${note}`));
+      }
+      console.log(
+        chalk.blue(
+          `🔧 ${dryRun ? "Would fix" : "Fixed"} ${result.fixed.size} issue(s) in ${result.files.length} file(s)`
+        )
+      );
+      // Fixed issues are gone from the files; dry runs still report them
+      if (!dryRun) errors = errors.filter((error) => !result.fixed.has(error));
+    }
+  }
+
+  // Conformance reflects every issue found, including those a baseline hides
+  const summary = conformance(
+    errors,
+    checkedTypes(config, registry, { rendered: options.render && isUrl, documents: documents.length }),
+    config.wcagLevel
+  );
+  if (options.conformanceReport) {
+    try {
+      fs.writeFileSync(options.conformanceReport, JSON.stringify(summary, null, 2), "utf-8");
+      console.log(chalk.blue(`📦 WCAG conformance summary exported to ${options.conformanceReport}`));
+    } catch (err) {
+      console.error(chalk.red(`Failed to export the conformance summary: ${err.message}`));
+    }
+  }
+
+  if (baseline) {
+    let recorded;
+    try {
+      recorded = updateBaseline ? null : readBaseline(baseline);
+    } catch (err) {
+      console.error(chalk.red(`Failed to read baseline: ${err.message}`));
+      return 1;
+    }
+
+    if (!recorded) {
+      writeBaseline(baseline, errors);
+      console.log(
+        chalk.blue(`📌 Baseline with ${errors.length} issue(s) written to ${baseline}`)
+      );
+      return 0;
+    }
+
+    const { errors: fresh, known } = filterBaseline(errors, recorded);
+    if (known.length) {
+      console.log(
+        chalk.gray(`ℹ️  ${known.length} known issue(s) ignored by baseline ${baseline}`)
+      );
+    }
+    errors = fresh;
+  }
+
+  // Always write non-JSON reports so code scanning uploads get an empty run too
+  let reportPath;
+  if (outputPath && (errors.length || format !== "json")) {
+    if (exportReport(errors, outputPath, format, registry)) reportPath = outputPath;
+  }
+
+  if (process.env.GITHUB_ACTIONS === "true") {
+    await githubReporter(errors, { registry, reportPath });
+  }
+
+  if (errors.length) {
+    printErrors(errors, registry);
+    printSummary(errors, summary);
+
+    const fixable = errors.filter((error) => error.fix).length;
+    if (fixable && !options.fix && !options.fixDryRun) {
+      console.log(chalk.gray(`🔧 ${fixable} issue(s) can be fixed with --fix (preview with --fix-dry-run)`));
+    }
+
+    const failing = errors.filter((e) => atLeast(e.severity, config.failOn));
+    if (!failing.length) {
+      console.log(
+        chalk.yellow(`⚠️  No issues at or above "${config.failOn}" severity; not failing.`)
+      );
+      return 0;
+    }
+    if (!failOnIssues) {
+      console.log(chalk.yellow("⚠️  fail-on-issues is disabled; reporting only."));
+      return 0;
+    }
+    return 1;
+  }
+
+  printConformance(summary);
+  console.log(chalk.green.bold("✅ No accessibility issues found!"));
+  return 0;
+};
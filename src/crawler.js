@@ -0,0 +1,233 @@
+const cheerio = require("cheerio");
+const picomatch = require("picomatch");
+const { fetchPage } = require("./utils/http");
+
+const ROBOTS_AGENT = "be-a11y";
+
+// Links to files that are never HTML pages
+const NON_HTML = /\.(?:pdf|jpe?g|png|gif|svg|webp|avif|ico|zip|gz|tgz|rar|7z|mp3|mp4|webm|mov|avi|docx?|xlsx?|pptx?|csv|css|js|mjs|json|xml|txt|woff2?|ttf|eot)$/i;
+
+/**
+ * Converts a robots.txt path pattern (`*` wildcards, `$` end anchor) to a RegExp.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function robotsPattern(pattern) {
+  const anchored = pattern.endsWith("$");
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${body}${anchored ? "$" : ""}`);
+}
+
+/**
+ * Parses robots.txt for the be-a11y user agent (falling back to the `*` group).
+ * The most specific (longest) matching rule wins, `Allow` wins ties.
+ *
+ * @param {string} text - robots.txt content.
+ * @param {string} [agent] - User agent token.
+ * @returns {{ isAllowed: function(string): boolean, crawlDelay: number }}
+ *   `isAllowed` takes a path with query string; `crawlDelay` is in milliseconds.
+ */
+function parseRobots(text, agent = ROBOTS_AGENT) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.replace(/#.*$/, "").trim();
+    const match = /^([\w-]+)\s*:\s*(.*)$/.exec(line);
+    if (!match) continue;
+
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === "user-agent") {
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: 0 };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if ((field === "allow" || field === "disallow") && value) {
+      current.rules.push({ allow: field === "allow", length: value.length, pattern: robotsPattern(value) });
+    } else if (field === "crawl-delay") {
+      current.crawlDelay = Math.max(0, parseFloat(value) || 0) * 1000;
+    }
+  }
+
+  const token = agent.toLowerCase();
+  const group =
+    groups.find((g) => g.agents.some((a) => a !== "*" && token.includes(a))) ||
+    groups.find((g) => g.agents.includes("*"));
+
+  return {
+    isAllowed(path) {
+      if (!group) return true;
+      let best = null;
+      for (const rule of group.rules) {
+        if (!rule.pattern.test(path)) continue;
+        if (!best || rule.length > best.length || (rule.length === best.length && rule.allow)) {
+          best = rule;
+        }
+      }
+      return !best || best.allow;
+    },
+    crawlDelay: group ? group.crawlDelay : 0,
+  };
+}
+
+/**
+ * Reads page URLs from a sitemap, following nested sitemap indexes.
+ *
+ * @param {string} url - Sitemap URL.
+ * @param {number} limit - Maximum number of page URLs.
+ * @param {object} [fetchSettings] - `config.fetch`.
+ * @param {number} [depth] - Nesting level of sitemap indexes.
+ * @returns {Promise<string[]>} Page URLs.
+ */
+async function readSitemap(url, limit, fetchSettings = {}, depth = 0) {
+  const { ok, status, text } = await fetchPage(url, fetchSettings);
+  if (!ok) throw new Error(`Failed to load sitemap ${url} (HTTP ${status})`);
+
+  const locs = [...text.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/gi)].map(([, loc]) =>
+    loc.replace(/&amp;/g, "&").replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+  );
+
+  if (!/<sitemapindex[\s>]/i.test(text)) return locs.slice(0, limit);
+  if (depth >= 3) return [];
+
+  const urls = [];
+  for (const nested of locs) {
+    if (urls.length >= limit) break;
+    urls.push(...(await readSitemap(nested, limit - urls.length, fetchSettings, depth + 1)));
+  }
+  return urls;
+}
+
+/**
+ * Returns whether a URL points to a sitemap rather than a page.
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isSitemap(url) {
+  return /\.xml$/i.test(new URL(url).pathname);
+}
+
+/**
+ * Extracts the links of a page that can be crawled: http(s) URLs without
+ * their hash, resolved against the page URL (or its `<base href>`).
+ *
+ * @param {string} html
+ * @param {string} pageUrl
+ * @returns {string[]} Absolute URLs.
+ */
+function extractLinks(html, pageUrl) {
+  const $ = cheerio.load(html);
+  let base = pageUrl;
+  try {
+    base = new URL($("base[href]").attr("href") || pageUrl, pageUrl).href;
+  } catch {
+    // Invalid <base href>: keep the page URL
+  }
+
+  const links = [];
+  $("a[href], area[href]").each((_, el) => {
+    let url;
+    try {
+      url = new URL($(el).attr("href").trim(), base);
+    } catch {
+      return;
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") return;
+    url.hash = "";
+    links.push(url.href);
+  });
+  return links;
+}
+
+/**
+ * Crawls a site breadth-first, starting from a page or a sitemap.
+ *
+ * Links are followed within the origin of the start URL up to `maxDepth`
+ * clicks away, until `maxPages` pages were loaded. Discovered URLs must match
+ * `include` (if any) and none of `exclude` (globs on the URL path, e.g. `/blog/**`),
+ * and be allowed by robots.txt. Requests are spaced by `delay` milliseconds
+ * (or the robots.txt `Crawl-delay`, whichever is longer).
+ *
+ * @param {string} start - Page or sitemap URL.
+ * @param {object} settings - `config.crawl`.
+ * @param {function(string): Promise<object|null>} load - Loads a page as
+ *   `{ url, html, ... }`, or resolves null to skip it (e.g. not HTML).
+ * @param {object} [fetchSettings] - `config.fetch`, used for robots.txt and sitemaps.
+ * @returns {AsyncGenerator<object>} Loaded pages (whatever `load` returned),
+ *   or `{ url, error }` for pages that failed to load.
+ */
+async function* crawl(start, settings, load, fetchSettings = {}) {
+  const { maxDepth = 2, maxPages = 50, include = [], exclude = [], robots = true, delay = 0 } = settings;
+  const origin = new URL(start).origin;
+  const isIncluded = include.length ? picomatch(include, { dot: true }) : () => true;
+  const isExcluded = exclude.length ? picomatch(exclude, { dot: true }) : () => false;
+
+  let rules = { isAllowed: () => true, crawlDelay: 0 };
+  if (robots) {
+    try {
+      const res = await fetchPage(`${origin}/robots.txt`, fetchSettings);
+      if (res.ok) rules = parseRobots(res.text);
+    } catch {
+      // No robots.txt: everything is allowed
+    }
+  }
+  const interval = Math.max(delay, rules.crawlDelay);
+
+  const accepts = (url) => {
+    const { origin: linkOrigin, pathname, search } = new URL(url);
+    return (
+      linkOrigin === origin &&
+      !NON_HTML.test(pathname) &&
+      isIncluded(pathname) &&
+      !isExcluded(pathname) &&
+      rules.isAllowed(pathname + search)
+    );
+  };
+
+  const seeds = isSitemap(start) ? (await readSitemap(start, maxPages, fetchSettings)).filter(accepts) : [start];
+  const seen = new Set(seeds);
+  const queue = seeds.map((url) => ({ url, depth: 0 }));
+  let loaded = 0;
+  let first = true;
+
+  while (queue.length && loaded < maxPages) {
+    const { url, depth } = queue.shift();
+
+    if (!first && interval) await new Promise((resolve) => setTimeout(resolve, interval));
+    first = false;
+
+    let page;
+    try {
+      page = await load(url);
+    } catch (err) {
+      yield { url, error: err };
+      continue;
+    }
+    if (!page) continue;
+
+    loaded++;
+    yield page;
+
+    if (depth >= maxDepth) continue;
+    for (const link of extractLinks(page.html, page.url || url)) {
+      if (seen.has(link) || !accepts(link)) continue;
+      seen.add(link);
+      queue.push({ url: link, depth: depth + 1 });
+    }
+  }
+}
+
+module.exports = { crawl, parseRobots, readSitemap, extractLinks, isSitemap };
@@ -0,0 +1,49 @@
+const { maskMarkup, findClose, matchBracket } = require("./markup");
+
+// Tags rendering markup of their own: @include('partial'), @!component('button'), @svg('icon')
+const OUTPUT_TAG = /^@(?:!|include|component|svg)/;
+
+/**
+ * Reads an Edge interpolation (`{{ }}`, `{{{ }}}`), comment (`{{-- --}}`)
+ * or tag (`@if(...)`, `@end`, `@!component(...)`). Tags are only recognized
+ * at the start of a line, so e-mail addresses stay text; `@{{ }}` is escaped
+ * and stays literal.
+ *
+ * @param {string} content
+ * @param {number} i
+ * @returns {{ end: number, output: boolean }|null}
+ */
+function readConstruct(content, i) {
+  if (content.startsWith("{{--", i)) {
+    const end = content.indexOf("--}}", i + 4);
+    return { end: end === -1 ? content.length : end + 4, output: false };
+  }
+  if (content.startsWith("{{", i) && content[i - 1] !== "@") {
+    const close = content[i + 2] === "{" ? "}}}" : "}}";
+    return { end: findClose(content, i + close.length, close), output: true };
+  }
+
+  if (content[i] !== "@" || !/(?:^|\n)[ \t]*$/.test(content.slice(Math.max(0, i - 200), i))) {
+    return null;
+  }
+  const tag = /^@!?[a-zA-Z]\w*(?:\.\w+)*/.exec(content.slice(i, i + 100));
+  if (!tag) return null;
+
+  let end = i + tag[0].length;
+  const args = /^[ \t]*\(/.exec(content.slice(end, end + 100));
+  if (args) {
+    const close = matchBracket(content, end + args[0].length - 1);
+    end = close === -1 ? content.length : close;
+  }
+
+  return { end, output: OUTPUT_TAG.test(tag[0]) };
+}
+
+/**
+ * Masks Edge tags and interpolations.
+ * @param {string} content - Edge template.
+ * @returns {string} Masked markup of the same length.
+ */
+module.exports = function edge(content) {
+  return maskMarkup(content, { readConstruct });
+};
@@ -0,0 +1,61 @@
+const path = require("path");
+const { DYNAMIC, isDynamic } = require("./markup");
+
+const preprocessors = {
+  latte: require("./latte"),
+  twig: require("./twig"),
+  edge: require("./edge"),
+  php: require("./php"),
+  jsx: require("./jsx"),
+};
+
+const defaultPreprocessors = {
+  ".latte": "latte",
+  ".twig": "twig",
+  ".edge": "edge",
+  ".php": "php",
+  ".jsx": "jsx",
+  ".tsx": "jsx",
+};
+
+/**
+ * Resolves the preprocessor for a file from its extension.
+ * `config.preprocessors` maps extensions to a language (or `false` to parse as plain HTML)
+ * on top of the defaults.
+ *
+ * Remote pages are already rendered and never preprocessed.
+ *
+ * @param {string} file - File name or URL.
+ * @param {object} [mapping] - `config.preprocessors`.
+ * @returns {Function|null} Preprocessor, or null for plain HTML.
+ */
+function getPreprocessor(file, mapping = {}) {
+  if (/^https?:\/\//.test(file)) return null;
+  const extension = path.extname(file || "").toLowerCase();
+  const language = extension in mapping ? mapping[extension] : defaultPreprocessors[extension];
+  return language ? preprocessors[language] : null;
+}
+
+/**
+ * Masks template syntax so the content can be parsed as HTML.
+ * The result has exactly the same length and line breaks as the input, so parser
+ * locations still point into the original file.
+ *
+ * @param {string} content - Raw file content.
+ * @param {string} file - File name (selects the preprocessor).
+ * @param {object} [mapping] - `config.preprocessors`.
+ * @returns {string} Markup ready for parsing.
+ */
+function preprocess(content, file, mapping) {
+  const preprocessor = getPreprocessor(file, mapping);
+  return preprocessor ? preprocessor(content) : content;
+}
+
+module.exports = {
+  preprocess,
+  getPreprocessor,
+  preprocessors,
+  defaultPreprocessors,
+  DYNAMIC,
+  isDynamic,
+};
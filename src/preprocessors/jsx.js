@@ -0,0 +1,230 @@
+const { DYNAMIC, skipString, matchBracket, fill } = require("./markup");
+
+// JSX props whose HTML attribute has a different name
+const ATTRIBUTES = { className: "class", htmlFor: "for" };
+
+// Characters after which a `<` starts a JSX element rather than a comparison or type argument
+const EXPRESSION_START = /(?:^|[(,=:?&|{[;!>]|\breturn|\byield|\bdefault|\bawait)\s*$/;
+
+/**
+ * Keeps the markup of JSX/TSX files and masks everything else.
+ *
+ * All JavaScript/TypeScript code becomes spaces, so only the JSX elements
+ * reach the HTML parser. Prop expressions (`alt={alt}`) and child expressions
+ * (`{title}`) become `DYNAMIC` placeholders; child expressions containing
+ * elements (`{items.map((i) => <li>{i}</li>)}`) keep those elements.
+ * Spread props (`{...rest}`) become an attribute named with `DYNAMIC`
+ * placeholders, so the element counts as having unknown attributes.
+ * Fragments and component tags (`<Button>`, `<Foo.Bar>`) are masked with
+ * their children kept, and `className`/`htmlFor` are renamed to `class`/`for`.
+ *
+ * @param {string} content - JSX/TSX source.
+ * @returns {string} Masked markup of the same length.
+ */
+module.exports = function jsx(content) {
+  const chars = content.split("");
+  let i = 0;
+
+  /**
+   * Blanks code up to the end of the file or the `}` closing the current
+   * expression, descending into JSX elements found along the way.
+   *
+   * @param {boolean} inExpression - Stop at an unmatched `}`.
+   * @returns {boolean} Whether the code contained JSX elements.
+   */
+  function scanCode(inExpression) {
+    let depth = 0;
+    let hasMarkup = false;
+
+    while (i < content.length) {
+      const start = i;
+      const ch = content[start];
+
+      if (ch === '"' || ch === "'") {
+        i = skipString(content, start);
+      } else if (ch === "`") {
+        i = skipTemplateLiteral(start);
+      } else if (content.startsWith("//", start)) {
+        const end = content.indexOf("\n", start);
+        i = end === -1 ? content.length : end;
+      } else if (content.startsWith("/*", start)) {
+        const end = content.indexOf("*/", start + 2);
+        i = end === -1 ? content.length : end + 2;
+      } else if (ch === "<" && isElementStart(start)) {
+        scanElement();
+        hasMarkup = true;
+        continue;
+      } else if (ch === "{") {
+        depth++;
+        i++;
+      } else if (ch === "}") {
+        if (depth === 0 && inExpression) return hasMarkup;
+        depth--;
+        i++;
+      } else {
+        i++;
+      }
+
+      fill(chars, start, i, " ");
+    }
+
+    return hasMarkup;
+  }
+
+  /**
+   * @param {number} start - Index of the opening backtick.
+   * @returns {number} Index after the closing backtick.
+   */
+  function skipTemplateLiteral(start) {
+    let pos = start + 1;
+    while (pos < content.length && content[pos] !== "`") {
+      if (content[pos] === "\\") {
+        pos += 2;
+      } else if (content.startsWith("${", pos)) {
+        const end = matchBracket(content, pos + 1);
+        pos = end === -1 ? content.length : end;
+      } else {
+        pos++;
+      }
+    }
+    return Math.min(pos + 1, content.length);
+  }
+
+  /**
+   * @param {number} index - Index of a `<` in code.
+   * @returns {boolean} Whether it opens a JSX element or fragment.
+   */
+  function isElementStart(index) {
+    return (
+      /[a-zA-Z>]/.test(content[index + 1] || "") &&
+      EXPRESSION_START.test(content.slice(Math.max(0, index - 20), index))
+    );
+  }
+
+  /**
+   * Scans one element (or fragment) with its props and children.
+   * Expects `i` at its `<`.
+   */
+  function scanElement() {
+    const start = i;
+
+    if (content[start + 1] === ">") {
+      fill(chars, start, start + 2, " ");
+      i += 2;
+      scanChildren(true);
+      return;
+    }
+
+    const name = /^<([a-zA-Z][\w.:-]*)/.exec(content.slice(start, start + 100))[1];
+    const component = /^[A-Z]/.test(name) || name.includes(".");
+    i += name.length + 1;
+
+    const selfClosing = scanProps();
+    if (component) fill(chars, start, i, " ");
+    if (!selfClosing) scanChildren(component);
+  }
+
+  /**
+   * Scans props up to the end of the opening tag.
+   * @returns {boolean} Whether the tag is self-closing.
+   */
+  function scanProps() {
+    while (i < content.length) {
+      const ch = content[i];
+
+      if (/\s/.test(ch)) {
+        i++;
+      } else if (content.startsWith("/>", i)) {
+        i += 2;
+        return true;
+      } else if (ch === ">") {
+        i++;
+        return false;
+      } else if (ch === "{") {
+        // Spread props ({...rest}) may set any attribute; comments ({/* … */}) set none
+        const end = expressionEnd(i);
+        const spread = /^\{\s*\.\.\./.test(content.slice(i, end));
+        fill(chars, i, end, spread ? DYNAMIC : " ");
+        i = end;
+      } else {
+        const match = /^[^\s=/>{]+/.exec(content.slice(i, i + 100));
+        if (!match) {
+          i++;
+          continue;
+        }
+        const name = match[0];
+        if (ATTRIBUTES[name]) {
+          fill(chars, i, i + name.length, " ");
+          chars.splice(i, ATTRIBUTES[name].length, ...ATTRIBUTES[name]);
+        }
+        i += name.length;
+        scanPropValue();
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Scans an optional `="..."` or `={...}` after a prop name.
+   */
+  function scanPropValue() {
+    const equals = /^\s*=\s*/.exec(content.slice(i, i + 100));
+    if (!equals) return;
+
+    i += equals[0].length;
+    if (content[i] === '"' || content[i] === "'") {
+      i = skipString(content, i);
+    } else if (content[i] === "{") {
+      const end = expressionEnd(i);
+      fill(chars, i, end, DYNAMIC);
+      i = end;
+    }
+  }
+
+  /**
+   * @param {number} start - Index of a `{`.
+   * @returns {number} Index after the matching `}`.
+   */
+  function expressionEnd(start) {
+    const end = matchBracket(content, start);
+    return end === -1 ? content.length : end;
+  }
+
+  /**
+   * Scans children up to and including the closing tag of the current element.
+   * @param {boolean} maskClosingTag - Blank the closing tag (fragments and components).
+   */
+  function scanChildren(maskClosingTag) {
+    while (i < content.length) {
+      const start = i;
+      const ch = content[start];
+
+      if (content.startsWith("</", start)) {
+        const close = /^<\/[\w.:-]*\s*>/.exec(content.slice(start, start + 100));
+        i += close ? close[0].length : 2;
+        if (maskClosingTag) fill(chars, start, i, " ");
+        return;
+      }
+
+      if (ch === "<" && /[a-zA-Z>]/.test(content[start + 1] || "")) {
+        scanElement();
+      } else if (ch === "{") {
+        i++;
+        const hasMarkup = scanCode(true);
+        i = Math.min(i + 1, content.length);
+        fill(chars, start, start + 1, " ");
+        fill(chars, i - 1, i, " ");
+
+        // Plain expressions render unknown text; comments render nothing
+        const code = content.slice(start + 1, i - 1).replace(/\/\*[\s\S]*?\*\//g, "");
+        if (!hasMarkup && code.trim()) fill(chars, start, i, DYNAMIC);
+      } else {
+        i++;
+      }
+    }
+  }
+
+  scanCode(false);
+  return chars.join("");
+};
@@ -0,0 +1,41 @@
+const { maskMarkup, matchBracket } = require("./markup");
+
+// Tags printing a value or markup: {$var}, {=expr}, {_'text'}, {include ...}, {link ...}
+const OUTPUT_TAG = /^(?:[$=_]|(?:include|link|plink|asset|control|translate)\b)/;
+
+/**
+ * Reads a Latte tag (`{if $x}`, `{$var}`) or comment (`{* *}`).
+ * Like Latte itself, a `{` followed by whitespace or a quote is literal text
+ * (e.g. in inline scripts and styles).
+ *
+ * @param {string} content
+ * @param {number} i
+ * @returns {{ end: number, output: boolean }|null}
+ */
+function readConstruct(content, i) {
+  if (content[i] !== "{") return null;
+
+  if (content[i + 1] === "*") {
+    const end = content.indexOf("*}", i + 2);
+    return { end: end === -1 ? content.length : end + 2, output: false };
+  }
+
+  if (!content[i + 1] || /[\s}'"]/.test(content[i + 1])) return null;
+
+  const end = matchBracket(content, i);
+  if (end === -1) return null;
+
+  return { end, output: OUTPUT_TAG.test(content.slice(i + 1, end - 1)) };
+}
+
+/**
+ * Masks Latte tags and maps `n:href` onto `href`.
+ * @param {string} content - Latte template.
+ * @returns {string} Masked markup of the same length.
+ */
+module.exports = function latte(content) {
+  return maskMarkup(content, {
+    readConstruct,
+    attributes: { "n:href": "href" },
+  });
+};
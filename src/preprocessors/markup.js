@@ -0,0 +1,232 @@
+/**
+ * Placeholder written over template output (`{$var}`, `{{ var }}`, `<?= $var ?>`, `{expr}`).
+ * Rules see such attribute values and text as present, but with unknown content.
+ * Output among the attributes of a tag (`{...props}`, `<img <?= $attrs ?>>`) becomes
+ * an attribute whose name is made of placeholders: the element may have any attribute.
+ */
+const DYNAMIC = "\uE000";
+
+/**
+ * Returns whether an attribute value or text contains template output or,
+ * given an element, whether template output stands among its attributes,
+ * so attributes it seems to lack may still be set.
+ * @param {string|object} [value] - Attribute value, text or element.
+ * @returns {boolean}
+ */
+function isDynamic(value) {
+  if (value && typeof value === "object") {
+    return Object.keys(value.attribs || {}).some((name) => name.includes(DYNAMIC));
+  }
+  return typeof value === "string" && value.includes(DYNAMIC);
+}
+
+/**
+ * Returns the index after the string literal starting at `start`.
+ * Handles backslash escapes; unterminated strings run to the end of the content.
+ *
+ * @param {string} content
+ * @param {number} start - Index of the opening quote.
+ * @returns {number} Index after the closing quote.
+ */
+function skipString(content, start) {
+  const quote = content[start];
+  let i = start + 1;
+  while (i < content.length && content[i] !== quote) {
+    i += content[i] === "\\" ? 2 : 1;
+  }
+  return Math.min(i + 1, content.length);
+}
+
+/**
+ * Returns the index after the `close` delimiter, skipping string literals.
+ * Unterminated constructs run to the end of the content.
+ *
+ * @param {string} content
+ * @param {number} start - Index to start searching from.
+ * @param {string} close - Closing delimiter (e.g. `}}` or `%}`).
+ * @returns {number} Index after the delimiter.
+ */
+function findClose(content, start, close) {
+  let i = start;
+  while (i < content.length) {
+    if (content.startsWith(close, i)) return i + close.length;
+    i = content[i] === '"' || content[i] === "'" ? skipString(content, i) : i + 1;
+  }
+  return content.length;
+}
+
+/**
+ * Returns the index after the bracket matching the one at `start`,
+ * skipping string literals and nested brackets of the same kind.
+ *
+ * @param {string} content
+ * @param {number} start - Index of the opening bracket.
+ * @returns {number} Index after the matching bracket, or -1 when unbalanced.
+ */
+function matchBracket(content, start) {
+  const open = content[start];
+  const close = { "{": "}", "(": ")", "[": "]" }[open];
+  let depth = 0;
+  let i = start;
+  while (i < content.length) {
+    const ch = content[i];
+    if (ch === '"' || ch === "'" || ch === "`") {
+      i = skipString(content, i);
+      continue;
+    }
+    if (ch === open) depth++;
+    else if (ch === close && --depth === 0) return i + 1;
+    i++;
+  }
+  return -1;
+}
+
+/**
+ * Overwrites `chars[start..end)` with `char`, keeping line breaks so that
+ * lines, columns and offsets of the remaining markup do not move.
+ *
+ * @param {string[]} chars - Output characters (mutated).
+ * @param {number} start
+ * @param {number} end
+ * @param {string} char - Replacement character.
+ */
+function fill(chars, start, end, char) {
+  for (let i = start; i < end; i++) {
+    if (chars[i] !== "\n" && chars[i] !== "\r") chars[i] = char;
+  }
+}
+
+/**
+ * Masks the template syntax of a markup file without changing its length.
+ * The content is scanned with a small HTML tokenizer so each template
+ * construct can be replaced depending on where it appears:
+ *
+ * - output in text, attribute values or among attributes becomes `DYNAMIC` placeholders
+ * - everything else (control tags, comments, code inside tags) becomes spaces
+ *
+ * @param {string} content - Raw template.
+ * @param {object} syntax
+ * @param {function(string, number): ({ end: number, output: boolean }|null)} syntax.readConstruct -
+ *   Returns the template construct starting at an index, if any.
+ * @param {object} [syntax.attributes] - Attribute names to rename (e.g. `{ "n:href": "href" }`);
+ *   replacements must not be longer than the original.
+ * @returns {string} Masked markup of the same length.
+ */
+function maskMarkup(content, { readConstruct, attributes = {} }) {
+  const chars = content.split("");
+  let state = "text";
+  let quote = "";
+  let tagName = "";
+  let closing = false;
+  let nameStart = -1;
+  let i = 0;
+
+  const endAttributeName = (end) => {
+    const name = content.slice(nameStart, end);
+    if (attributes[name]) {
+      fill(chars, nameStart, end, " ");
+      chars.splice(nameStart, attributes[name].length, ...attributes[name]);
+    }
+    nameStart = -1;
+  };
+
+  while (i < content.length) {
+    const construct = readConstruct(content, i);
+    if (construct) {
+      if (state === "attr-name") {
+        endAttributeName(i);
+        state = "tag";
+      }
+      const inValue = state === "value" || state === "unquoted" || state === "before-value";
+      const dynamic = construct.output && (state === "text" || state === "tag" || inValue);
+      fill(chars, i, construct.end, dynamic ? DYNAMIC : " ");
+      if (state === "before-value" && dynamic) state = "unquoted";
+      i = construct.end;
+      continue;
+    }
+
+    const ch = content[i];
+    switch (state) {
+      case "text": {
+        if (content.startsWith("<!--", i)) {
+          state = "comment";
+          i += 4;
+          continue;
+        }
+        const tag = ch === "<" && /^<(\/?)([a-zA-Z][^\s/>]*)/.exec(content.slice(i, i + 64));
+        if (tag) {
+          closing = Boolean(tag[1]);
+          tagName = tag[2].toLowerCase();
+          state = "tag";
+          i += tag[0].length;
+          continue;
+        }
+        break;
+      }
+      case "comment":
+        if (content.startsWith("-->", i)) {
+          state = "text";
+          i += 3;
+          continue;
+        }
+        break;
+      case "raw":
+        // <script> and <style> contents end only at their own closing tag
+        if (content.slice(i, i + tagName.length + 2).toLowerCase() === `</${tagName}`) {
+          state = "text";
+          continue;
+        }
+        break;
+      case "tag":
+        if (ch === ">") {
+          state = !closing && (tagName === "script" || tagName === "style") ? "raw" : "text";
+        } else if (ch === "=") {
+          state = "before-value";
+        } else if (!/[\s/]/.test(ch)) {
+          state = "attr-name";
+          nameStart = i;
+        }
+        break;
+      case "attr-name":
+        if (/[\s=/>]/.test(ch)) {
+          endAttributeName(i);
+          state = "tag";
+          continue;
+        }
+        break;
+      case "before-value":
+        if (ch === '"' || ch === "'") {
+          quote = ch;
+          state = "value";
+        } else if (ch === ">") {
+          state = "tag";
+          continue;
+        } else if (!/\s/.test(ch)) {
+          state = "unquoted";
+        }
+        break;
+      case "value":
+        if (ch === quote) state = "tag";
+        break;
+      case "unquoted":
+        if (/[\s>]/.test(ch)) {
+          state = "tag";
+          continue;
+        }
+        break;
+    }
+    i++;
+  }
+
+  return chars.join("");
+}
+
+module.exports = {
+  DYNAMIC,
+  isDynamic,
+  skipString,
+  findClose,
+  matchBracket,
+  fill,
+  maskMarkup,
+};
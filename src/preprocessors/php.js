@@ -0,0 +1,55 @@
+const { maskMarkup, skipString } = require("./markup");
+
+// Blocks printing a value: <?= $x ?>, <?php echo $x; ?>
+const OUTPUT_BLOCK = /^<\?(?:=|(?:php)?\s+(?:echo|print)\b)/;
+
+/**
+ * Returns the index after the `?>` closing a PHP block, skipping strings and
+ * comments. A block without `?>` runs to the end of the file.
+ *
+ * @param {string} content
+ * @param {number} start
+ * @returns {number}
+ */
+function findBlockEnd(content, start) {
+  let i = start;
+  while (i < content.length) {
+    const ch = content[i];
+    if (content.startsWith("?>", i)) return i + 2;
+    if (ch === '"' || ch === "'") {
+      i = skipString(content, i);
+    } else if (content.startsWith("/*", i)) {
+      const end = content.indexOf("*/", i + 2);
+      i = end === -1 ? content.length : end + 2;
+    } else if (ch === "#" || content.startsWith("//", i)) {
+      // Line comments end at the line break or at ?>
+      while (i < content.length && content[i] !== "\n" && !content.startsWith("?>", i)) i++;
+    } else {
+      i++;
+    }
+  }
+  return content.length;
+}
+
+/**
+ * Reads a PHP block (`<?php ?>`, `<?= ?>`, `<? ?>`); XML declarations are left alone.
+ *
+ * @param {string} content
+ * @param {number} i
+ * @returns {{ end: number, output: boolean }|null}
+ */
+function readConstruct(content, i) {
+  if (!content.startsWith("<?", i) || content.startsWith("<?xml", i)) return null;
+
+  const end = findBlockEnd(content, i + 2);
+  return { end, output: OUTPUT_BLOCK.test(content.slice(i, Math.min(end, i + 20))) };
+}
+
+/**
+ * Masks PHP blocks.
+ * @param {string} content - PHP template.
+ * @returns {string} Masked markup of the same length.
+ */
+module.exports = function php(content) {
+  return maskMarkup(content, { readConstruct });
+};
@@ -0,0 +1,35 @@
+const { maskMarkup, findClose } = require("./markup");
+
+/**
+ * Reads a Twig print tag (`{{ }}`), statement (`{% %}`) or comment (`{# #}`),
+ * including the whitespace-control variants (`{{-`, `{%~`).
+ *
+ * @param {string} content
+ * @param {number} i
+ * @returns {{ end: number, output: boolean }|null}
+ */
+function readConstruct(content, i) {
+  if (content[i] !== "{") return null;
+
+  switch (content[i + 1]) {
+    case "{":
+      return { end: findClose(content, i + 2, "}}"), output: true };
+    case "%":
+      return { end: findClose(content, i + 2, "%}"), output: false };
+    case "#": {
+      const end = content.indexOf("#}", i + 2);
+      return { end: end === -1 ? content.length : end + 2, output: false };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Masks Twig tags.
+ * @param {string} content - Twig template.
+ * @returns {string} Masked markup of the same length.
+ */
+module.exports = function twig(content) {
+  return maskMarkup(content, { readConstruct });
+};
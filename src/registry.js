@@ -0,0 +1,190 @@
+const headingOrder = require("./rules/headingOrder");
+const headingEmpty = require("./rules/headingEmpty");
+const altAttributes = require("./rules/altAttributes");
+const ariaLabels = require("./rules/ariaLabels");
+const missingAria = require("./rules/missingAria");
+const linksOpenNewTab = require("./rules/linksOpenNewTab");
+const contrast = require("./rules/contrast");
+const landmarkRoles = require("./rules/landmarkRoles");
+const iframeTitles = require("./rules/iframeTitles");
+const ariaRoles = require("./rules/ariaRoles");
+const ariaAttributes = require("./rules/ariaAttributes");
+const labelsWithoutFor = require("./rules/labelsWithoutFor");
+const multipleH1 = require("./rules/multipleH1");
+const emptyLinks = require("./rules/emptyLinks");
+const unlabeledInputs = require("./rules/unlabeledInputs");
+const duplicateIds = require("./rules/duplicateIds");
+const focusIndicator = require("./rules/focusIndicator");
+const tabindexPositive = require("./rules/tabindexPositive");
+const clickHandlers = require("./rules/clickHandlers");
+const hiddenFocusable = require("./rules/hiddenFocusable");
+const outlineRemoved = require("./rules/outlineRemoved");
+const documentLanguage = require("./rules/documentLanguage");
+const documentTitle = require("./rules/documentTitle");
+const metaViewport = require("./rules/metaViewport");
+const metaRefresh = require("./rules/metaRefresh");
+const skipLink = require("./rules/skipLink");
+const tables = require("./rules/tables");
+const { SEVERITIES } = require("./utils/severity");
+const { CRITERIA } = require("./utils/wcag");
+
+/**
+ * Built-in rules in the order they are executed.
+ */
+const builtInRules = [
+  altAttributes,
+  ariaLabels,
+  missingAria,
+  contrast,
+  ariaRoles,
+  ariaAttributes,
+  landmarkRoles,
+  labelsWithoutFor,
+  duplicateIds,
+  unlabeledInputs,
+  emptyLinks,
+  iframeTitles,
+  multipleH1,
+  headingOrder,
+  headingEmpty,
+  linksOpenNewTab,
+  focusIndicator,
+  tabindexPositive,
+  clickHandlers,
+  hiddenFocusable,
+  outlineRemoved,
+  documentLanguage,
+  documentTitle,
+  metaViewport,
+  metaRefresh,
+  skipLink,
+  tables,
+];
+
+/**
+ * Validates the `meta` object a rule module attaches to its exported function.
+ *
+ * @param {Function} rule - Rule function with a `meta` property.
+ * @throws {TypeError} When the rule or its metadata is malformed.
+ */
+function validateRule(rule) {
+  if (typeof rule !== "function") {
+    throw new TypeError("A rule must be a function");
+  }
+
+  const meta = rule.meta;
+  if (!meta || typeof meta.id !== "string" || !meta.id) {
+    throw new TypeError(`Rule "${rule.name}" is missing a meta.id`);
+  }
+  if (meta.legacy !== undefined && typeof meta.legacy !== "boolean") {
+    throw new TypeError(`Rule "${meta.id}" has a non-boolean meta.legacy`);
+  }
+  if (!meta.types || !Object.keys(meta.types).length) {
+    throw new TypeError(`Rule "${meta.id}" does not declare any issue types`);
+  }
+
+  for (const [type, info] of Object.entries(meta.types)) {
+    if (!SEVERITIES.includes(info.severity)) {
+      throw new TypeError(
+        `Issue type "${type}" of rule "${meta.id}" has invalid severity "${info.severity}"`
+      );
+    }
+    if (info.evaluated !== undefined && typeof info.evaluated !== "function") {
+      throw new TypeError(`Issue type "${type}" of rule "${meta.id}" has a non-function evaluated`);
+    }
+    if (info.wcag !== undefined) {
+      const unknown = Array.isArray(info.wcag)
+        ? info.wcag.filter((criterion) => !CRITERIA[criterion])
+        : [info.wcag];
+      if (unknown.length) {
+        throw new TypeError(
+          `Issue type "${type}" of rule "${meta.id}" maps to unknown WCAG 2.2 criteria: ${unknown.join(", ")}`
+        );
+      }
+    }
+  }
+}
+
+/**
+ * Creates a rule registry. Each registered rule declares its id,
+ * the issue types it can report and their metadata (label, severity, description).
+ *
+ * @param {Function[]} [rules] - Rules to register initially.
+ * @returns {object} Registry with register/get/list/getType helpers.
+ */
+function createRegistry(rules = []) {
+  const ruleMap = new Map();
+  const typeMap = new Map();
+
+  const registry = {
+    /**
+     * Adds a rule to the registry.
+     * @param {Function} rule - Rule function with a `meta` property.
+     * @returns {object} The registry (chainable).
+     */
+    register(rule) {
+      validateRule(rule);
+      const { id, types } = rule.meta;
+
+      if (ruleMap.has(id)) {
+        throw new Error(`Rule "${id}" is already registered`);
+      }
+      for (const type of Object.keys(types)) {
+        if (typeMap.has(type)) {
+          throw new Error(
+            `Issue type "${type}" is already declared by rule "${typeMap.get(type).rule}"`
+          );
+        }
+      }
+
+      ruleMap.set(id, rule);
+      for (const [type, info] of Object.entries(types)) {
+        typeMap.set(type, { ...info, type, rule: id });
+      }
+      return registry;
+    },
+
+    /**
+     * @param {string} id - Rule id.
+     * @returns {Function|undefined} Registered rule.
+     */
+    get(id) {
+      return ruleMap.get(id);
+    },
+
+    /**
+     * @returns {Function[]} All registered rules in registration order.
+     */
+    list() {
+      return [...ruleMap.values()];
+    },
+
+    /**
+     * @param {string} type - Issue type (e.g. "missing-alt").
+     * @returns {object|undefined} Issue type metadata including its rule id.
+     */
+    getType(type) {
+      return typeMap.get(type);
+    },
+
+    /**
+     * @returns {object[]} Metadata of every known issue type.
+     */
+    types() {
+      return [...typeMap.values()];
+    },
+  };
+
+  rules.forEach((rule) => registry.register(rule));
+  return registry;
+}
+
+/**
+ * Creates a registry pre-populated with all built-in rules.
+ * @returns {object} Rule registry.
+ */
+function defaultRegistry() {
+  return createRegistry(builtInRules);
+}
+
+module.exports = { createRegistry, defaultRegistry, builtInRules, SEVERITIES };
@@ -0,0 +1,156 @@
+const { collectColors, snapshotFocusables, inspectFocus } = require("./pageScripts");
+const { cookiesFor, parseAuth, DEFAULT_USER_AGENT } = require("../utils/http");
+
+// Upper bound of Tab presses per page when checking focus indicators
+const MAX_FOCUS_STEPS = 250;
+
+/**
+ * Loads the browser automation library: `playwright` if installed, otherwise `puppeteer`.
+ * Both are optional peer dependencies and only needed for `--render`.
+ *
+ * @param {string} [engine] - "playwright", "puppeteer" or "auto".
+ * @returns {{ name: string, launch: function(): Promise<object> }}
+ * @throws {Error} When no supported library is installed.
+ */
+function loadEngine(engine = "auto") {
+  const candidates = engine === "auto" ? ["playwright", "puppeteer"] : [engine];
+
+  for (const name of candidates) {
+    let lib;
+    try {
+      lib = require(name);
+    } catch (err) {
+      if (err.code === "MODULE_NOT_FOUND") continue;
+      throw err;
+    }
+    return {
+      name,
+      launch: () => (name === "playwright" ? lib.chromium.launch() : lib.launch()),
+    };
+  }
+
+  throw new Error(
+    `--render needs a headless browser: install "playwright" or "puppeteer" (npm install --save-dev ${candidates[0]})`
+  );
+}
+
+/**
+ * Maps the `waitUntil` setting to the driver's navigation option.
+ * @param {string} engine - Driver name.
+ * @param {string} waitUntil - "load", "domcontentloaded" or "networkidle".
+ * @returns {string}
+ */
+function navigationEvent(engine, waitUntil) {
+  if (waitUntil === "networkidle" && engine === "puppeteer") return "networkidle0";
+  return waitUntil;
+}
+
+/**
+ * Opens a page with the request settings applied: headers, user agent,
+ * basic auth and the cookies of the cookie file that match `url`.
+ *
+ * @param {object} browser - Browser or, for playwright, browser context.
+ * @param {string} engine - Driver name.
+ * @param {string} url - URL the page will load.
+ * @param {object} fetchSettings - `config.fetch`.
+ * @returns {Promise<object>} Browser page.
+ */
+async function openPage(browser, engine, url, fetchSettings) {
+  const cookies = cookiesFor(url, fetchSettings.cookieFile).map(({ name, value }) => ({ name, value, url }));
+
+  if (engine === "playwright") {
+    if (cookies.length) await browser.addCookies(cookies);
+    return browser.newPage();
+  }
+
+  const page = await browser.newPage();
+  await page.setUserAgent(fetchSettings.userAgent || DEFAULT_USER_AGENT);
+  await page.setExtraHTTPHeaders(fetchSettings.headers || {});
+  const credentials = parseAuth(fetchSettings.auth);
+  if (credentials) await page.authenticate(credentials);
+  if (cookies.length) await page.setCookie(...cookies);
+  return page;
+}
+
+/**
+ * Tabs through the page and records focusable elements whose appearance
+ * does not change when they receive keyboard focus.
+ *
+ * @param {object} page - Browser page.
+ * @returns {Promise<object[]>} Entries as `{ selector, changed }`.
+ */
+async function checkFocus(page) {
+  await page.evaluate(snapshotFocusables);
+  const results = [];
+
+  for (let step = 0; step < MAX_FOCUS_STEPS; step++) {
+    await page.keyboard.press("Tab");
+    const result = await page.evaluate(inspectFocus);
+    if (!result || result.done) break;
+    results.push(result);
+  }
+
+  return results;
+}
+
+/**
+ * Starts a headless browser that renders pages for analysis.
+ * One browser is shared by all pages rendered through the returned renderer.
+ *
+ * @param {object} [settings] - `config.render`.
+ * @param {string} [settings.engine] - "playwright", "puppeteer" or "auto".
+ * @param {string} [settings.waitUntil] - Navigation event to wait for.
+ * @param {string} [settings.waitFor] - CSS selector that must appear before the page is analyzed.
+ * @param {number} [settings.delay] - Extra milliseconds to wait after loading.
+ * @param {number} [settings.timeout] - Navigation timeout in milliseconds.
+ * @param {object} [fetchSettings] - `config.fetch`: headers, cookies, auth and user agent
+ *   sent by the browser.
+ * @returns {Promise<{ render: function(string): Promise<object>, close: function(): Promise<void> }>}
+ */
+async function createRenderer(settings = {}, fetchSettings = {}) {
+  const { engine = "auto", waitUntil = "load", waitFor, delay = 0, timeout = 30000 } = settings;
+  const driver = loadEngine(engine);
+  const browser = await driver.launch();
+
+  // Playwright applies request settings per context, puppeteer per page
+  let target = browser;
+  if (driver.name === "playwright") {
+    const credentials = parseAuth(fetchSettings.auth);
+    target = await browser.newContext({
+      userAgent: fetchSettings.userAgent || DEFAULT_USER_AGENT,
+      extraHTTPHeaders: fetchSettings.headers || {},
+      ...(credentials && { httpCredentials: credentials }),
+    });
+  }
+
+  /**
+   * Renders a page and runs the browser-only checks.
+   * @param {string} url
+   * @returns {Promise<{ html: string, rendered: object, status: number }>} Serialized DOM,
+   *   computed data for the rules (`rendered.colors`, `rendered.focus`) and the HTTP status.
+   */
+  async function render(url) {
+    const page = await openPage(target, driver.name, url, fetchSettings);
+    try {
+      const response = await page.goto(url, { waitUntil: navigationEvent(driver.name, waitUntil), timeout });
+      const status = response ? response.status() : 200;
+      if (waitFor) await page.waitForSelector(waitFor, { timeout });
+      if (delay) await new Promise((resolve) => setTimeout(resolve, delay));
+
+      const html = await page.content();
+      const colors = await page.evaluate(collectColors);
+      const focus = await checkFocus(page);
+
+      return { html, rendered: { colors, focus }, status };
+    } finally {
+      await page.close();
+    }
+  }
+
+  return {
+    render,
+    close: () => browser.close(),
+  };
+}
+
+module.exports = { createRenderer, loadEngine };
@@ -0,0 +1,120 @@
+/*
+ * Functions evaluated inside the browser page. They are serialized by the
+ * browser driver, so they must be self-contained: no closures over module
+ * scope and no helpers defined outside the function body.
+ */
+
+/**
+ * Collects the computed text and background colors of every element with
+ * visible text of its own. Elements are identified by an `nth-child` path
+ * that also matches the serialized DOM (`page.content()`).
+ *
+ * @returns {object[]} Entries as `{ selector, color, backgrounds, fontSize, fontWeight }`;
+ *   `backgrounds` lists background colors from the element up to the first opaque one
+ *   and is null when a background image is involved.
+ */
+function collectColors() {
+  const cssPath = (el) => {
+    const parts = [];
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+      const index = Array.prototype.indexOf.call(node.parentElement ? node.parentElement.children : [node], node) + 1;
+      parts.unshift(`${node.localName}:nth-child(${index})`);
+    }
+    return parts.join(" > ");
+  };
+  const isOpaque = (color) => !/rgba\(.*,\s*(0(\.\d+)?|\.\d+)\)$/.test(color) && color !== "transparent";
+
+  const results = [];
+  for (const el of document.body ? document.body.querySelectorAll("*") : []) {
+    if (/^(script|style|noscript|template)$/.test(el.localName)) continue;
+    const hasText = Array.prototype.some.call(
+      el.childNodes,
+      (child) => child.nodeType === 3 && child.textContent.trim()
+    );
+    if (!hasText || !el.getClientRects().length) continue;
+    if (el.closest("[disabled]")) continue;
+
+    const style = getComputedStyle(el);
+    if (style.visibility !== "visible") continue;
+
+    let backgrounds = [];
+    for (let node = el; node; node = node.parentElement) {
+      const nodeStyle = getComputedStyle(node);
+      if (nodeStyle.backgroundImage !== "none") {
+        backgrounds = null;
+        break;
+      }
+      backgrounds.push(nodeStyle.backgroundColor);
+      if (isOpaque(nodeStyle.backgroundColor)) break;
+    }
+
+    results.push({
+      selector: cssPath(el),
+      color: style.color,
+      backgrounds,
+      fontSize: parseFloat(style.fontSize),
+      fontWeight: parseInt(style.fontWeight, 10) || 400,
+    });
+  }
+  return results;
+}
+
+/**
+ * Records the unfocused appearance of every focusable element so that
+ * `inspectFocus` can compare it with the focused state.
+ */
+function snapshotFocusables() {
+  const properties = [
+    "outlineStyle",
+    "outlineWidth",
+    "outlineColor",
+    "boxShadow",
+    "borderTopColor",
+    "borderBottomColor",
+    "borderTopWidth",
+    "borderBottomWidth",
+    "backgroundColor",
+    "color",
+    "textDecorationLine",
+  ];
+  const snapshot = new WeakMap();
+  for (const el of document.querySelectorAll("*")) {
+    if (el.tabIndex < 0) continue;
+    const style = getComputedStyle(el);
+    snapshot.set(el, properties.map((name) => style[name]));
+  }
+  window.__beA11yFocus = { properties, snapshot, seen: new WeakSet() };
+  if (document.activeElement && document.activeElement.blur) document.activeElement.blur();
+}
+
+/**
+ * Inspects the element that currently has keyboard focus.
+ *
+ * @returns {object|null} `{ selector, changed }`, `{ done: true }` once focus
+ *   cycles back to an element seen before, or null when nothing is focused.
+ */
+function inspectFocus() {
+  const state = window.__beA11yFocus;
+  const el = document.activeElement;
+  if (!state || !el || el === document.body || el === document.documentElement) return null;
+  if (state.seen.has(el)) return { done: true };
+  state.seen.add(el);
+
+  const cssPath = (node) => {
+    const parts = [];
+    for (; node && node.nodeType === 1; node = node.parentElement) {
+      const index = Array.prototype.indexOf.call(node.parentElement ? node.parentElement.children : [node], node) + 1;
+      parts.unshift(`${node.localName}:nth-child(${index})`);
+    }
+    return parts.join(" > ");
+  };
+
+  const style = getComputedStyle(el);
+  const focused = state.properties.map((name) => style[name]);
+  const before = state.snapshot.get(el);
+  const changed = !before || focused.some((value, i) => value !== before[i]);
+
+  return { selector: cssPath(el), changed };
+}
+
+module.exports = { collectColors, snapshotFocusables, inspectFocus };
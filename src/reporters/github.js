@@ -0,0 +1,132 @@
+const path = require("path");
+const core = require("@actions/core");
+const { groupErrors, plainLabel } = require("../utils/logger");
+const { SEVERITIES } = require("../utils/severity");
+
+const annotate = {
+  error: core.error,
+  warning: core.warning,
+  info: core.notice,
+};
+
+/**
+ * Makes a file path relative to the workspace so annotations attach to the diff.
+ * @param {string} file - File path or URL.
+ * @returns {string|undefined} Workspace-relative path, or undefined for URLs.
+ */
+function workspacePath(file) {
+  if (/^https?:\/\//.test(file)) return undefined;
+  const root = process.env.GITHUB_WORKSPACE || process.cwd();
+  return path.relative(root, path.resolve(file)).split(path.sep).join("/");
+}
+
+/**
+ * Escapes characters that would break a Markdown table cell.
+ * @param {string} text
+ * @returns {string}
+ */
+function cell(text) {
+  return String(text).replace(/\|/g, "\\|").replace(/</g, "&lt;");
+}
+
+/**
+ * Emits one annotation per issue so it shows inline on the PR diff.
+ * @param {object[]} errors - List of error objects.
+ * @param {object} registry - Rule registry providing type labels.
+ */
+function annotateErrors(errors, registry) {
+  for (const error of errors) {
+    const info = registry.getType(error.type);
+    const file = workspacePath(error.file);
+    const title = info && info.label ? plainLabel(info.label) : error.type;
+    const log = annotate[error.severity] || core.error;
+
+    const singleLine = file && error.endLine === error.line;
+
+    log(file ? error.message : `${error.file}: ${error.message}`, {
+      title: `${title} (${error.type})`,
+      file,
+      startLine: file ? error.line : undefined,
+      endLine: file ? error.endLine : undefined,
+      // Columns are only allowed by GitHub for single-line annotations
+      startColumn: singleLine ? error.column : undefined,
+      endColumn: singleLine ? error.endColumn : undefined,
+    });
+  }
+}
+
+/**
+ * Writes a Markdown job summary grouped by issue type, like `printSummary`.
+ * @param {object[]} errors - List of error objects.
+ * @param {object} registry - Rule registry providing type labels.
+ * @returns {Promise<void>}
+ */
+async function writeSummary(errors, registry) {
+  const grouped = groupErrors(errors);
+  const totals = SEVERITIES.map(
+    (severity) => `${errors.filter((e) => e.severity === severity).length} ${severity}`
+  ).join(" · ");
+
+  core.summary.addHeading("♿ be-a11y Accessibility Report", 2);
+
+  if (!errors.length) {
+    core.summary.addRaw("✅ No accessibility issues found!", true);
+    await core.summary.write();
+    return;
+  }
+
+  core.summary.addRaw(`**${errors.length} issue(s)** – ${totals}`, true);
+  core.summary.addTable([
+    [
+      { data: "Issue Type", header: true },
+      { data: "Severity", header: true },
+      { data: "Count", header: true },
+    ],
+    ...Object.entries(grouped).map(([type, list]) => {
+      const info = registry.getType(type);
+      const name = info && info.label ? `${info.label} <code>${type}</code>` : `<code>${type}</code>`;
+      return [
+        name,
+        [...new Set(list.map(({ severity }) => severity))].join(", "),
+        String(list.length),
+      ];
+    }),
+  ]);
+
+  for (const [type, list] of Object.entries(grouped)) {
+    const rows = list
+      .map(({ file, line, message }) => `| ${cell(file)}:${line} | ${cell(message)} |`)
+      .join("\n");
+    core.summary.addDetails(
+      `${type} (${list.length})`,
+      `\n\n| Location | Message |\n| --- | --- |\n${rows}\n\n`
+    );
+  }
+
+  await core.summary.write();
+}
+
+/**
+ * Reports results to GitHub Actions: inline annotations, a job summary
+ * and the `issue-count`, `error-count`, `warning-count` and `report-path` outputs.
+ *
+ * @param {object[]} errors - List of error objects.
+ * @param {object} options
+ * @param {object} options.registry - Rule registry.
+ * @param {string} [options.reportPath] - Path of the written report, if any.
+ * @returns {Promise<void>}
+ */
+module.exports = async function githubReporter(errors, { registry, reportPath }) {
+  annotateErrors(errors, registry);
+
+  core.setOutput("issue-count", errors.length);
+  core.setOutput("error-count", errors.filter((e) => e.severity === "error").length);
+  core.setOutput("warning-count", errors.filter((e) => e.severity === "warning").length);
+  core.setOutput("report-path", reportPath || "");
+
+  try {
+    await writeSummary(errors, registry);
+  } catch (err) {
+    core.warning(`Failed to write job summary: ${err.message}`);
+  }
+};
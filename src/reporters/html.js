@@ -0,0 +1,234 @@
+const fs = require("fs");
+const { groupErrors, plainLabel } = require("../utils/logger");
+const { SEVERITIES } = require("../utils/severity");
+
+const SNIPPET_CONTEXT = 2;
+
+/**
+ * Escapes text for use in HTML content and attribute values.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Returns a function reading source lines of local files, cached per file.
+ * Remote (URL) inputs have no local source and yield null.
+ * @returns {function(string): string[]|null}
+ */
+function sourceReader() {
+  const cache = new Map();
+  return (file) => {
+    if (!cache.has(file)) {
+      let lines = null;
+      if (!/^https?:\/\//.test(file)) {
+        try {
+          lines = fs.readFileSync(file, "utf-8").split("\n");
+        } catch {
+          lines = null;
+        }
+      }
+      cache.set(file, lines);
+    }
+    return cache.get(file);
+  };
+}
+
+/**
+ * Renders the source lines around an issue, highlighting the offending line.
+ * @param {string[]|null} lines - Source lines of the file.
+ * @param {number} line - 1-based line of the issue.
+ * @returns {string} HTML snippet or an empty string.
+ */
+function renderSnippet(lines, line) {
+  if (!lines || !line) return "";
+  const start = Math.max(1, line - SNIPPET_CONTEXT);
+  const end = Math.min(lines.length, line + SNIPPET_CONTEXT);
+  const rows = [];
+
+  for (let n = start; n <= end; n++) {
+    const code = `<span class="ln" aria-hidden="true">${n}</span>${escapeHtml(lines[n - 1].replace(/\r$/, ""))}`;
+    rows.push(n === line ? `<mark class="line">${code}</mark>` : `<span class="line">${code}</span>`);
+  }
+
+  return `<pre class="snippet"><code>${rows.join("\n")}</code></pre>`;
+}
+
+/**
+ * Renders a `<select>` filter with its label.
+ * @param {string} id - Element id.
+ * @param {string} label - Visible label.
+ * @param {string[]} values - Option values.
+ * @returns {string} HTML.
+ */
+function renderFilter(id, label, values) {
+  const options = values
+    .map((value) => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`)
+    .join("");
+  return `<div class="filter"><label for="${id}">${label}</label><select id="${id}"><option value="">All</option>${options}</select></div>`;
+}
+
+const styles = `
+  body { margin: 0; font: 16px/1.5 system-ui, -apple-system, "Segoe UI", sans-serif; color: #1a1a1a; background-color: #ffffff; }
+  header, main { max-width: 72rem; margin: 0 auto; padding: 1rem 1.5rem; }
+  .skip-link { position: absolute; left: -10000px; padding: 0.5rem 1rem; color: #ffffff; background-color: #1a1a1a; }
+  .skip-link:focus { left: 1rem; top: 1rem; }
+  a { color: #0b57d0; }
+  table { border-collapse: collapse; width: 100%; }
+  caption { text-align: left; font-weight: 600; padding-bottom: 0.5rem; }
+  th, td { text-align: left; padding: 0.4rem 0.6rem; border-bottom: 1px solid #c4c4c4; }
+  .filters { display: flex; flex-wrap: wrap; gap: 1rem; margin-bottom: 1rem; }
+  .filter label { display: block; font-weight: 600; }
+  select { font: inherit; padding: 0.25rem; max-width: 100%; }
+  .issues { list-style: none; padding: 0; }
+  .issue { border: 1px solid #c4c4c4; border-radius: 4px; padding: 0.75rem 1rem; margin-bottom: 0.75rem; }
+  .issue p { margin: 0 0 0.5rem; }
+  .badge { display: inline-block; font-size: 0.8rem; font-weight: 600; padding: 0 0.5rem; border-radius: 3px; }
+  .badge-error { color: #ffffff; background-color: #b00020; }
+  .badge-warning { color: #1a1a1a; background-color: #ffd54f; }
+  .badge-info { color: #ffffff; background-color: #0b57d0; }
+  .guidance { color: #1a1a1a; background-color: #eef3fc; padding: 0.5rem 0.75rem; border-radius: 4px; }
+  .snippet { overflow-x: auto; margin: 0; padding: 0.5rem 0; color: #1a1a1a; background-color: #f5f5f5; border-radius: 4px; }
+  .snippet .line { display: block; padding: 0 0.75rem; }
+  .snippet mark.line { color: #1a1a1a; background-color: #fff3b0; }
+  .ln { display: inline-block; min-width: 3em; color: #595959; user-select: none; }
+`;
+
+const script = `
+  (function () {
+    var filters = ["rule", "severity", "file"].map(function (name) {
+      return { name: name, el: document.getElementById("filter-" + name) };
+    });
+    var issues = Array.prototype.slice.call(document.querySelectorAll(".issue"));
+    var groups = Array.prototype.slice.call(document.querySelectorAll(".group"));
+    var status = document.getElementById("filter-status");
+
+    function apply() {
+      var shown = 0;
+      issues.forEach(function (issue) {
+        var visible = filters.every(function (f) {
+          return !f.el.value || issue.getAttribute("data-" + f.name) === f.el.value;
+        });
+        issue.hidden = !visible;
+        if (visible) shown++;
+      });
+      groups.forEach(function (group) {
+        group.hidden = !group.querySelector(".issue:not([hidden])");
+      });
+      status.textContent = "Showing " + shown + " of " + issues.length + " issues";
+    }
+
+    filters.forEach(function (f) { f.el.addEventListener("change", apply); });
+  })();
+`;
+
+/**
+ * Serializes issues as a single self-contained HTML report with a summary
+ * by type, rule/severity/file filters, source snippets and fix guidance.
+ *
+ * @param {object[]} errors - List of error objects.
+ * @param {object} options
+ * @param {object} options.registry - Rule registry providing type metadata.
+ * @returns {string} HTML report.
+ */
+module.exports = function htmlReporter(errors, { registry }) {
+  const grouped = groupErrors(errors);
+  const readSource = sourceReader();
+  const typeName = (type) => {
+    const info = registry.getType(type);
+    return info && info.label ? plainLabel(info.label) : type;
+  };
+
+  const totals = SEVERITIES.map(
+    (severity) => `${errors.filter((e) => e.severity === severity).length} ${severity}`
+  ).join(" · ");
+
+  const summaryRows = Object.entries(grouped)
+    .map(([type, list]) => {
+      const severities = [...new Set(list.map(({ severity }) => severity))].join(", ");
+      return `<tr><td><a href="#type-${escapeHtml(type)}">${escapeHtml(typeName(type))}</a> <code>${escapeHtml(type)}</code></td><td>${escapeHtml(severities)}</td><td>${list.length}</td></tr>`;
+    })
+    .join("\n");
+
+  const sections = Object.entries(grouped)
+    .map(([type, list]) => {
+      const info = registry.getType(type) || {};
+      const learnMore = info.helpUri
+        ? ` <a href="${escapeHtml(info.helpUri)}">WCAG guidance for ${escapeHtml(typeName(type))}</a>`
+        : "";
+      const guidance = info.help || info.description
+        ? `<p class="guidance">${escapeHtml(info.help || info.description)}${learnMore}</p>`
+        : "";
+
+      const items = list
+        .map((error) => {
+          const severity = error.severity || "error";
+          return `<li class="issue" data-rule="${escapeHtml(type)}" data-severity="${severity}" data-file="${escapeHtml(error.file)}">
+<p><span class="badge badge-${severity}">${severity}</span> <code>${escapeHtml(error.file)}:${error.line}</code> – ${escapeHtml(error.message)}</p>
+${renderSnippet(readSource(error.file), error.line) || (error.snippet ? `<pre class="snippet"><code>${escapeHtml(error.snippet)}</code></pre>` : "")}
+</li>`;
+        })
+        .join("\n");
+
+      return `<section class="group" id="type-${escapeHtml(type)}" aria-labelledby="heading-${escapeHtml(type)}">
+<h3 id="heading-${escapeHtml(type)}">${escapeHtml(typeName(type))} (${list.length})</h3>
+${guidance}
+<ol class="issues">
+${items}
+</ol>
+</section>`;
+    })
+    .join("\n");
+
+  const files = [...new Set(errors.map(({ file }) => file))].sort();
+  const severities = SEVERITIES.filter((s) => errors.some((e) => e.severity === s));
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>be-a11y Accessibility Report</title>
+<style>${styles}</style>
+</head>
+<body>
+<a class="skip-link" href="#issues">Skip to issues</a>
+<header>
+<h1>be-a11y Accessibility Report</h1>
+<p>Generated ${escapeHtml(new Date().toISOString())} · ${errors.length} issue(s) · ${escapeHtml(totals)}</p>
+</header>
+<main>
+<section aria-labelledby="summary-heading">
+<h2 id="summary-heading">Summary</h2>
+${errors.length
+    ? `<table>
+<caption>Issues by type</caption>
+<thead><tr><th scope="col">Issue type</th><th scope="col">Severity</th><th scope="col">Count</th></tr></thead>
+<tbody>
+${summaryRows}
+</tbody>
+</table>`
+    : "<p>✅ No accessibility issues found!</p>"}
+</section>
+<section id="issues" aria-labelledby="issues-heading">
+<h2 id="issues-heading">Issues</h2>
+<form class="filters" aria-label="Filter issues">
+${renderFilter("filter-rule", "Issue type", Object.keys(grouped))}
+${renderFilter("filter-severity", "Severity", severities)}
+${renderFilter("filter-file", "File", files)}
+</form>
+<p id="filter-status" aria-live="polite">Showing ${errors.length} of ${errors.length} issues</p>
+${sections}
+</section>
+</main>
+<script>${script}</script>
+</body>
+</html>
+`;
+};
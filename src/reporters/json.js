@@ -0,0 +1,10 @@
+/**
+ * Serializes issues as a plain JSON array. The WCAG conformance summary is
+ * written to its own file (`--conformance-report`), so the report keeps its shape.
+ *
+ * @param {object[]} errors - List of error objects.
+ * @returns {string} JSON report.
+ */
+module.exports = function jsonReporter(errors) {
+  return JSON.stringify(errors, null, 2);
+};
@@ -0,0 +1,129 @@
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { version } = require("../../package.json");
+const { plainLabel } = require("../utils/logger");
+const { repositoryRoot } = require("../utils/git");
+
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+const SRCROOT = "%SRCROOT%";
+
+const levels = {
+  error: "error",
+  warning: "warning",
+  info: "note",
+};
+
+/**
+ * Finds the source root: the GitHub Actions workspace, else the root of the
+ * git repository, else the current working directory.
+ * @returns {string} Absolute path of the source root.
+ */
+function findSourceRoot() {
+  return process.env.GITHUB_WORKSPACE || repositoryRoot() || process.cwd();
+}
+
+/**
+ * Builds the SARIF artifact location of an issue.
+ * Local files are made relative to the source root, URLs are kept absolute.
+ * @param {string} file - File path or URL.
+ * @param {string} root - Source root.
+ * @returns {object} SARIF artifactLocation.
+ */
+function artifactLocation(file, root) {
+  if (/^https?:\/\//.test(file)) return { uri: file };
+  const relative = path.relative(root, path.resolve(file)).split(path.sep).join("/");
+  return { uri: encodeURI(relative), uriBaseId: SRCROOT };
+}
+
+/**
+ * Builds a SARIF reportingDescriptor for an issue type.
+ * @param {object} info - Issue type metadata from the registry.
+ * @returns {object} SARIF rule descriptor.
+ */
+function ruleDescriptor(info) {
+  const text = info.description || info.type;
+  const help = info.help || text;
+  const descriptor = {
+    id: info.type,
+    name: info.label ? plainLabel(info.label) : info.type,
+    shortDescription: { text },
+    fullDescription: { text },
+    defaultConfiguration: { level: levels[info.severity] || "error" },
+    help: {
+      text: info.helpUri ? `${help} See ${info.helpUri}` : help,
+      markdown: info.helpUri ? `${help} [Learn more](${info.helpUri})` : help,
+    },
+    properties: { tags: ["accessibility", info.rule, ...(info.wcag || []).map((criterion) => `wcag${criterion}`)] },
+  };
+  if (info.helpUri) descriptor.helpUri = info.helpUri;
+  return descriptor;
+}
+
+/**
+ * Serializes issues as SARIF 2.1.0 for GitHub code scanning.
+ *
+ * @param {object[]} errors - List of error objects.
+ * @param {object} options
+ * @param {object} options.registry - Rule registry providing type metadata.
+ * @returns {string} SARIF report.
+ */
+module.exports = function sarifReporter(errors, { registry }) {
+  const root = findSourceRoot();
+  const types = registry.types();
+
+  // Issue types reported by rules without declaring them still need a descriptor
+  for (const { type } of errors) {
+    if (!types.some((info) => info.type === type)) {
+      types.push({ type, severity: "error" });
+    }
+  }
+
+  const ruleIndex = new Map(types.map((info, index) => [info.type, index]));
+
+  const results = errors.map((error) => ({
+    ruleId: error.type,
+    ruleIndex: ruleIndex.get(error.type),
+    level: levels[error.severity] || "error",
+    message: { text: error.message },
+    locations: [
+      {
+        physicalLocation: {
+          artifactLocation: artifactLocation(error.file, root),
+          region: {
+            startLine: Math.max(1, error.line || 1),
+            startColumn: error.column,
+            endLine: error.endLine,
+            endColumn: error.endColumn,
+            snippet: error.snippet ? { text: error.snippet } : undefined,
+          },
+        },
+      },
+    ],
+    partialFingerprints: error.fingerprint
+      ? { "beA11y/v1": error.fingerprint }
+      : undefined,
+  }));
+
+  const sarif = {
+    $schema: SARIF_SCHEMA,
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: "be-a11y",
+            informationUri: "https://github.com/be-lenka/be-a11y",
+            version,
+            rules: types.map(ruleDescriptor),
+          },
+        },
+        originalUriBaseIds: {
+          [SRCROOT]: { uri: pathToFileURL(root).href.replace(/\/?$/, "/") },
+        },
+        results,
+      },
+    ],
+  };
+
+  return JSON.stringify(sarif, null, 2);
+};
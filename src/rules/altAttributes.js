@@ -1,52 +1,61 @@
-const cheerio = require("cheerio");
-const getLineNumber = require("../utils/getLineNumber");
-
 /**
  * Validates that all <img> tags have appropriate `alt` attributes.
  * Checks for missing, empty, decorative, functional, or overly long alt texts.
  *
- * @param {string} content - HTML content.
- * @param {string} file - File name.
+ * @param {object} context - Shared rule context (see `src/utils/context.js`).
  * @returns {object[]} List of alt attribute errors.
  */
-module.exports = function altAttributes(content, file, config = { rules: {} }) {
-  const $ = cheerio.load(content);
+module.exports = function altAttributes({ $, file, getLocation, isDynamic, fixer, options = {} }) {
+  const { maxLength = 30 } = options;
   const errors = [];
-  const seen = new Set();
+
+  // Whitespace-only alt becomes alt="", and role="presentation" makes the intent explicit
+  const decorativeFix = (el, alt, role) => {
+    const edits = [];
+    if (alt !== "") edits.push(fixer.setAttribute(el, "alt", ""));
+    if (!role) edits.push(fixer.insertAttributes(el, { role: "presentation" }));
+    return edits.length ? fixer.merge(edits) : null;
+  };
 
   $("img").each((_, el) => {
     const $el = $(el);
-    const html = $.html(el);
-    const tagIndex = content.indexOf(html);
-    const lineNumber = getLineNumber(content, tagIndex);
-    const locationKey = `${file}:${lineNumber}`;
-    if (seen.has(locationKey)) return;
-    seen.add(locationKey);
+    const location = getLocation(el);
 
     const alt = $el.attr("alt");
     const role = $el.attr("role");
     const isDecorative =
       role === "presentation" || role === "none" || alt === "";
     const isInLinkOrButton = $el.parents("a, button").length > 0;
+    // Images hidden from assistive technology can safely get alt=""
+    const isHidden = role === "presentation" || role === "none" || $el.attr("aria-hidden") === "true";
 
-    // Case 1: Missing alt attribute entirely
+    // Case 1: Missing alt attribute entirely (template output among the
+    // attributes may still set it)
     if (typeof alt === "undefined") {
+      if (isDynamic(el)) return;
       errors.push({
         file,
-        line: lineNumber,
+        ...location,
         type: "missing-alt",
         message: `<img> tag is missing an alt attribute`,
+        ...(isHidden && !isInLinkOrButton && {
+          fix: fixer.insertAttributes(el, role ? { alt: "" } : { alt: "", role: "presentation" }),
+        }),
       });
       return;
     }
 
+    // Template output: the alt text is only known at runtime
+    if (isDynamic(alt)) return;
+
     // Case 2: Decorative image with non-empty alt
     if (isDecorative && alt !== "") {
       errors.push({
         file,
-        line: lineNumber,
+        ...location,
         type: "alt-decorative-incorrect",
         message: `Decorative image should have empty alt="" or role="presentation"`,
+        fix: fixer.setAttribute(el, "alt", ""),
       });
       return;
     }
@@ -55,30 +64,32 @@ module.exports = function altAttributes(content, file, config = { rules: {} }) {
     if (isInLinkOrButton && alt.trim() === "") {
       errors.push({
         file,
-        line: lineNumber,
+        ...location,
         type: "alt-functional-empty",
         message: `Functional image inside <a> or <button> needs descriptive alt text`,
       });
       return;
     }
 
-    // Case 4: alt exists but only contains whitespace
-    if (alt.trim() === "") {
+    // Case 4: alt exists but only contains whitespace; alt="" on an image that is
+    // also hidden or presentational is the explicit decorative markup the fixes write
+    if (alt.trim() === "" && !(alt === "" && isHidden)) {
       errors.push({
         file,
-        line: lineNumber,
+        ...location,
         type: "alt-empty",
         message: `alt attribute exists but is empty; ensure this is intentional (e.g., decorative image)`,
+        fix: decorativeFix(el, alt, role),
       });
     }
 
     // Case 5: alt is too long
-    if (alt.length > 30) {
+    if (alt.length > maxLength) {
       errors.push({
         file,
-        line: lineNumber,
+        ...location,
         type: "alt-too-long",
-        message: `alt attribute exceeds 30 characters (${alt.length} characters)`,
+        message: `alt attribute exceeds ${maxLength} characters (${alt.length} characters)`,
       });
     }
 
@@ -89,16 +100,83 @@ module.exports = function altAttributes(content, file, config = { rules: {} }) {
       title &&
       alt.trim().toLowerCase() === title.trim().toLowerCase()
     ) {
-      if (config.rules["redundant-title"] !== false) {
-        errors.push({
-          file,
-          line: lineNumber,
-          type: "redundant-title",
-          message: `<img> has a 'title' attribute that duplicates its 'alt' text: "${alt}"`,
-        });
-      }
+      errors.push({
+        file,
+        ...location,
+        type: "redundant-title",
+        message: `<img> has a 'title' attribute that duplicates its 'alt' text: "${alt}"`,
+      });
     }
   });
 
   return errors;
 }
+
+module.exports.meta = {
+  id: "alt-attributes",
+  description: "Validates alt attributes of <img> elements",
+  schema: {
+    maxLength: {
+      type: "number",
+      minimum: 1,
+      default: 30,
+      description: "Maximum alt text length before alt-too-long is reported",
+    },
+  },
+  types: {
+    "missing-alt": {
+      label: "🖼️  Missing ALT",
+      color: "cyan",
+      severity: "error",
+      description: "<img> has no alt attribute",
+      help: "Add an alt attribute: a short description of the image, or alt=\"\" if the image is purely decorative.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/non-text-content.html",
+      wcag: ["1.1.1"],
+    },
+    "alt-empty": {
+      label: "⬜  ALT Empty",
+      color: "white",
+      severity: "warning",
+      description: "alt attribute contains only whitespace",
+      help: "Use alt=\"\" (without spaces) for decorative images, otherwise describe the image.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/non-text-content.html",
+      wcag: ["1.1.1"],
+    },
+    "alt-too-long": {
+      label: "↔️  ALT Too Long",
+      color: "red",
+      severity: "warning",
+      description: "alt text is longer than the configured maximum",
+      help: "Keep alt text short and to the point; move long descriptions into the surrounding text or aria-describedby.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/non-text-content.html",
+      wcag: ["1.1.1"],
+    },
+    "alt-decorative-incorrect": {
+      label: "🌈  ALT Decorative",
+      color: "gray",
+      severity: "error",
+      description: "Decorative image has a non-empty alt",
+      help: "Images marked as decorative (role=\"presentation\" or \"none\") should use alt=\"\".",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/non-text-content.html",
+      wcag: ["1.1.1"],
+    },
+    "alt-functional-empty": {
+      label: "🔗  ALT Functional",
+      color: "blueBright",
+      severity: "error",
+      description: "Image inside a link or button has no alt text",
+      help: "Describe the action or destination of the link or button in the alt text (e.g. alt=\"Search\").",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/non-text-content.html",
+      wcag: ["1.1.1", "2.4.4"],
+    },
+    "redundant-title": {
+      label: "📛  Redundant Title Text",
+      color: "gray",
+      severity: "info",
+      description: "title attribute duplicates the alt text",
+      help: "Remove the title attribute or make it add information that is not already in the alt text.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/non-text-content.html",
+      wcag: ["1.1.1"],
+    },
+  },
+};
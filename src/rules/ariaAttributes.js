@@ -0,0 +1,195 @@
+const { ATTRIBUTES, ROLES, explicitRole, getRole, isValidValue, supportsAttribute } = require("../utils/aria");
+
+// Human-readable value types for messages
+const EXPECTED = {
+  "true/false": '"true" or "false"',
+  tristate: '"true", "false" or "mixed"',
+  "true/false/undefined": '"true", "false" or "undefined"',
+  idref: "a single ID",
+  idrefs: "a list of IDs",
+  integer: "an integer",
+  number: "a number",
+};
+
+/**
+ * Returns the edit distance between two strings (insertions, deletions, substitutions).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function distance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Returns the known attribute closest to a misspelled one.
+ * @param {string} name
+ * @returns {string|null} Suggestion, or null when nothing is close.
+ */
+function suggest(name) {
+  let best = null;
+  let bestDistance = 3;
+  for (const known of Object.keys(ATTRIBUTES)) {
+    const d = distance(name, known);
+    if (d < bestDistance) {
+      best = known;
+      bestDistance = d;
+    }
+  }
+  return best;
+}
+
+/**
+ * Returns whether the element itself provides a state a role requires
+ * (a native checkbox is checked or not without aria-checked).
+ * @param {object} el
+ * @param {string} name - Required attribute.
+ * @returns {boolean}
+ */
+function providedNatively(el, name) {
+  const type = (el.attribs.type || "").toLowerCase();
+  switch (name) {
+    case "aria-checked":
+      return el.name === "input" && ["checkbox", "radio"].includes(type);
+    case "aria-valuenow":
+      return (el.name === "input" && ["range", "number"].includes(type)) || ["meter", "progress"].includes(el.name);
+    case "aria-level":
+      return /^h[1-6]$/.test(el.name);
+    case "aria-expanded":
+      return el.name === "select" || (el.name === "input" && "list" in el.attribs);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Validates `aria-*` states and properties against the WAI-ARIA 1.2 model:
+ * unknown (usually misspelled) attributes, invalid values, attributes the
+ * element's role does not support or prohibits, and states an explicit role requires.
+ *
+ * @param {object} context - Shared rule context (see `src/utils/context.js`).
+ * @returns {object[]} List of ARIA attribute issues.
+ */
+module.exports = function ariaAttributes({ $, file, getLocation, isDynamic }) {
+  const errors = [];
+
+  $("*").each((_, el) => {
+    const names = Object.keys(el.attribs).filter((name) => name.startsWith("aria-"));
+    const explicit = explicitRole(el);
+    const role = getRole(el);
+    const info = role && ROLES[role];
+    if (!names.length && !(explicit && info && info.required)) return;
+    if (isDynamic(el.attribs.role)) return;
+    const location = getLocation(el);
+
+    for (const name of names) {
+      const value = el.attribs[name];
+
+      if (!ATTRIBUTES[name]) {
+        const suggestion = suggest(name);
+        errors.push({
+          file,
+          ...location,
+          type: "aria-attribute-unknown",
+          message: `Unknown ARIA attribute ${name}${suggestion ? ` (did you mean ${suggestion}?)` : ""}`,
+        });
+        continue;
+      }
+
+      if (!isDynamic(value) && !isValidValue(name, value)) {
+        const { type, values } = ATTRIBUTES[name];
+        const tokens = values && values.map((v) => `"${v}"`).join(", ");
+        const expected = EXPECTED[type] || `${type === "tokens" ? "values from" : "one of"} ${tokens}`;
+        errors.push({
+          file,
+          ...location,
+          type: "aria-attribute-value",
+          message: `Invalid value for ${name}: "${value}" (expected ${expected})`,
+        });
+      }
+
+      if (!info) continue;
+      if (info.nameProhibited && (name === "aria-label" || name === "aria-labelledby")) {
+        errors.push({
+          file,
+          ...location,
+          type: "aria-attribute-not-allowed",
+          message: `${name} is not allowed on <${el.name}> with role "${role}", which cannot be named`,
+        });
+      } else if (!supportsAttribute(role, name)) {
+        errors.push({
+          file,
+          ...location,
+          type: "aria-attribute-not-allowed",
+          message: `${name} is not supported on <${el.name}> with role "${role}"`,
+        });
+      }
+    }
+
+    // Required states only concern roles set by the author
+    if (explicit && info && info.required && !isDynamic(el)) {
+      const missing = info.required.filter((name) => !(name in el.attribs) && !providedNatively(el, name));
+      if (missing.length) {
+        errors.push({
+          file,
+          ...location,
+          type: "aria-attribute-required",
+          message: `Role "${role}" requires ${missing.join(", ")}`,
+        });
+      }
+    }
+  });
+
+  return errors;
+}
+
+module.exports.meta = {
+  id: "aria-attributes",
+  description: "Validates aria-* states and properties against the WAI-ARIA 1.2 role model",
+  types: {
+    "aria-attribute-unknown": {
+      label: "🔤  Unknown ARIA Attribute",
+      color: "magenta",
+      severity: "error",
+      description: "aria-* attribute that does not exist, usually a typo",
+      help: "Fix the spelling of the attribute (e.g. aria-labelledby, not aria-labeledby).",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/name-role-value.html",
+      wcag: ["4.1.2"],
+    },
+    "aria-attribute-value": {
+      label: "🔤  Invalid ARIA Value",
+      color: "magenta",
+      severity: "error",
+      description: "aria-* attribute value of the wrong type",
+      help: "Use a value the attribute accepts, e.g. aria-expanded=\"true\" or \"false\" rather than \"yes\".",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/name-role-value.html",
+      wcag: ["4.1.2"],
+    },
+    "aria-attribute-not-allowed": {
+      label: "🔤  ARIA Attribute Not Allowed",
+      color: "magenta",
+      severity: "error",
+      description: "aria-* attribute the element's role does not support or prohibits",
+      help: "Remove the attribute, or give the element a role that supports it.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/name-role-value.html",
+      wcag: ["4.1.2"],
+    },
+    "aria-attribute-required": {
+      label: "🔤  Missing Required ARIA State",
+      color: "magenta",
+      severity: "error",
+      description: "Role is missing a state or property it requires",
+      help: "Add the required state, e.g. aria-checked on role=\"checkbox\", and keep it updated.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/name-role-value.html",
+      wcag: ["4.1.2"],
+    },
+  },
+};
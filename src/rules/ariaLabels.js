@@ -1,40 +1,34 @@
-const cheerio = require("cheerio");
-const getLineNumber = require("../utils/getLineNumber");
-
 /**
  * Checks for invalid or missing values in `aria-label` and `aria-labelledby`.
- * Ensures `aria-labelledby` points to existing IDs.
+ * Ensures every ID in `aria-labelledby` points to an existing element.
  *
- * @param {string} content - HTML content.
- * @param {string} file - File name.
+ * @param {object} context - Shared rule context (see `src/utils/context.js`).
  * @returns {object[]} List of ARIA label errors.
  */
-module.exports = function ariaLabels(content, file) {
-  const $ = cheerio.load(content);
+module.exports = function ariaLabels({ $, file, getLocation, isDynamic }) {
   const errors = [];
+  const ids = new Set($("[id]").map((_, el) => $(el).attr("id")).get());
 
   $("[aria-label], [aria-labelledby]").each((_, el) => {
-    const html = $.html(el);
-    const tagIndex = content.indexOf(html);
-    const lineNumber = getLineNumber(content, tagIndex);
+    const location = getLocation(el);
 
     if ($(el).attr("aria-label") && $(el).attr("aria-label").trim() === "") {
       errors.push({
         file,
-        line: lineNumber,
+        ...location,
         type: "aria-invalid",
         message: `aria-label is empty`,
       });
     }
 
-    if ($(el).attr("aria-labelledby")) {
-      const id = $(el).attr("aria-labelledby");
-      if (!$(`#${id}`).length) {
+    if ($(el).attr("aria-labelledby") && !isDynamic($(el).attr("aria-labelledby"))) {
+      const missing = $(el).attr("aria-labelledby").trim().split(/\s+/).filter((id) => !ids.has(id));
+      if (missing.length) {
         errors.push({
           file,
-          line: lineNumber,
+          ...location,
           type: "aria-invalid",
-          message: `aria-labelledby references a non-existent ID: ${id}`,
+          message: `aria-labelledby references a non-existent ID: ${missing.join(", ")}`,
         });
       }
     }
@@ -42,3 +36,19 @@ module.exports = function ariaLabels(content, file) {
 
   return errors;
 }
+
+module.exports.meta = {
+  id: "aria-invalid",
+  description: "Validates aria-label and aria-labelledby values",
+  types: {
+    "aria-invalid": {
+      label: "♿  ARIA Issues",
+      color: "magenta",
+      severity: "error",
+      description: "Empty aria-label or aria-labelledby pointing to a missing ID",
+      help: "Give aria-label a meaningful value and make aria-labelledby point to existing element IDs.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/name-role-value.html",
+      wcag: ["4.1.2"],
+    },
+  },
+};
@@ -1,49 +1,184 @@
-const cheerio = require("cheerio");
-const getLineNumber = require("../utils/getLineNumber");
+const { ROLES, ABSTRACT_ROLES, roleTokens, getRole } = require("../utils/aria");
+const { isHidden } = require("../utils/accname");
+const { isFullDocument } = require("../utils/location");
+
+// Roles that do not count as a parent or owned element: their children belong to the next role up
+const TRANSPARENT_ROLES = ["generic", "none", "presentation"];
 
 /**
- * Rule to validate correct usage of ARIA roles
- * (e.g., role="button" on non-interactive tags like <div> without a tabindex and click handler is misleading).
+ * Rule to validate correct usage of ARIA roles against the WAI-ARIA 1.2 role model:
+ * unknown and abstract roles, roles that must be inside a specific parent
+ * (`tab` in `tablist`) and roles that must own specific children (`list` owns `listitem`).
+ *
+ * Parents are only checked when the element has one with a role, or the file
+ * is a full document (a partial may be included inside the parent). Empty
+ * containers are not checked for children, since scripts often fill them.
  *
- * @param {*} content
- * @param {*} file
- * @returns
+ * @param {object} context - Shared rule context (see `src/utils/context.js`).
+ * @returns {object[]} List of ARIA role issues.
  */
-module.exports = function ariaRoles(content, file) {
-  const $ = cheerio.load(content);
+module.exports = function ariaRoles({ $, file, getLocation, isDynamic, options = {} }) {
+  const { allowedRoles: extraRoles = [] } = options;
   const errors = [];
+  const fullDocument = isFullDocument($);
+
+  const byId = new Map();
+  const owners = new Map();
+  $("[id]").each((_, el) => byId.set($(el).attr("id"), el));
+  $("[aria-owns]").each((_, el) => {
+    for (const id of $(el).attr("aria-owns").trim().split(/\s+/)) owners.set(id, el);
+  });
+
+  /**
+   * Returns the closest element with a non-transparent role that contains or owns an element.
+   * @param {object} el
+   * @returns {object|null}
+   */
+  const parentWithRole = (el) => {
+    let node = owners.get($(el).attr("id")) || el.parent;
+    // The document element is not a parent in the ARIA sense
+    while (node && node.name && node.name !== "html") {
+      const role = getRole(node);
+      if (role && !TRANSPARENT_ROLES.includes(role)) return node;
+      node = owners.get($(node).attr("id")) || node.parent;
+    }
+    return null;
+  };
+
+  /**
+   * Collects the roles of the elements an element owns: its closest
+   * descendants with a non-transparent role and the targets of `aria-owns`.
+   * @param {object} el
+   * @returns {{ roles: Set<string>, children: number, dynamic: boolean }}
+   */
+  const ownedRoles = (el) => {
+    const roles = new Set();
+    let children = 0;
+    let dynamic = false;
+    const visit = (node) => {
+      for (const child of node.children || []) {
+        if (child.type === "text") dynamic = dynamic || isDynamic(child.data);
+        if (child.type !== "tag" || isHidden(child)) continue;
+        children++;
+        const role = getRole(child);
+        if (!role || TRANSPARENT_ROLES.includes(role)) visit(child);
+        else roles.add(role);
+      }
+    };
+    visit(el);
+    for (const id of ($(el).attr("aria-owns") || "").trim().split(/\s+/).filter(Boolean)) {
+      const target = byId.get(id);
+      if (!target) {
+        dynamic = dynamic || isDynamic(id);
+        continue;
+      }
+      children++;
+      const role = getRole(target);
+      if (role) roles.add(role);
+    }
+    return { roles, children, dynamic };
+  };
+
+  const list = (roles) => roles.map((role) => `"${role}"`).join(", ");
 
   $("[role]").each((_, el) => {
-    const role = $(el).attr("role");
-    const html = $.html(el);
-    const tagIndex = content.indexOf(html);
-    const lineNumber = getLineNumber(content, tagIndex);
-
-    // ... extend this list as needed
-    const allowedRoles = [
-      "button",
-      "checkbox",
-      "dialog",
-      "link",
-      "listbox",
-      "menu",
-      "navigation",
-      "progressbar",
-      "radio",
-      "slider",
-      "tab",
-      "img",
-    ];
-
-    if (!allowedRoles.includes(role)) {
+    const value = $(el).attr("role");
+    if (isDynamic(value)) return;
+    const location = getLocation(el);
+    const tokens = roleTokens(el);
+
+    for (const token of tokens.filter((token) => ABSTRACT_ROLES.includes(token))) {
       errors.push({
         file,
-        line: lineNumber,
+        ...location,
         type: "aria-role-invalid",
-        message: `Unrecognized or inappropriate ARIA role: "${role}"`,
+        message: `Abstract ARIA role "${token}" must not be used in content`,
       });
     }
+    const valid = tokens.filter((token) => ROLES[token] || extraRoles.includes(token));
+    if (!valid.length) {
+      if (!tokens.some((token) => ABSTRACT_ROLES.includes(token))) {
+        errors.push({
+          file,
+          ...location,
+          type: "aria-role-invalid",
+          message: `Unrecognized or inappropriate ARIA role: "${value}"`,
+        });
+      }
+      return;
+    }
+
+    const role = valid[0];
+    const info = ROLES[role];
+    if (!info || isHidden(el)) return;
+
+    if (info.context) {
+      const parent = parentWithRole(el);
+      const parentRole = parent && getRole(parent);
+      if ((parent || fullDocument) && !info.context.includes(parentRole)) {
+        errors.push({
+          file,
+          ...location,
+          type: "aria-required-context",
+          message: `Role "${role}" must be inside an element with role ${list(info.context)} (found: ${parentRole ? `"${parentRole}"` : "none"})`,
+        });
+      }
+    }
+
+    if (info.owned && $(el).attr("aria-busy") !== "true") {
+      const { roles, children, dynamic } = ownedRoles(el);
+      if (children && !dynamic && !info.owned.some((owned) => roles.has(owned))) {
+        errors.push({
+          file,
+          ...location,
+          type: "aria-required-children",
+          message: `Role "${role}" must own an element with role ${list(info.owned)} (found: ${roles.size ? list([...roles]) : "none"})`,
+        });
+      }
+    }
   });
 
   return errors;
 }
+
+module.exports.meta = {
+  id: "aria-role-invalid",
+  description: "Validates values of the role attribute and the structure roles require",
+  schema: {
+    allowedRoles: {
+      type: "array",
+      items: "string",
+      default: [],
+      description: "Additional roles accepted on top of the WAI-ARIA, DPUB-ARIA and Graphics ARIA roles",
+    },
+  },
+  types: {
+    "aria-role-invalid": {
+      label: "🧩  ARIA Role Issues",
+      color: "blue",
+      severity: "error",
+      description: "Unrecognized or abstract ARIA role",
+      help: "Use a valid WAI-ARIA role that matches the element's behaviour, or prefer the native HTML element.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/name-role-value.html",
+      wcag: ["4.1.2"],
+    },
+    "aria-required-context": {
+      label: "🧱  ARIA Role Outside Its Parent",
+      color: "blue",
+      severity: "error",
+      description: "Role is not inside an element with the parent role it requires",
+      help: "Place the element inside its required parent (e.g. role=\"tab\" inside role=\"tablist\"), or use aria-owns.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/info-and-relationships.html",
+      wcag: ["1.3.1"],
+    },
+    "aria-required-children": {
+      label: "🧱  ARIA Role Missing Children",
+      color: "blue",
+      severity: "error",
+      description: "Role does not own any element with a child role it requires",
+      help: "Give the children the roles the container requires (e.g. role=\"listitem\" in role=\"list\").",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/info-and-relationships.html",
+      wcag: ["1.3.1"],
+    },
+  },
+};
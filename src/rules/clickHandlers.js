@@ -0,0 +1,61 @@
+const { boundAttribute, isNativelyFocusable } = require("../utils/focus");
+const { isHiddenInTree } = require("../utils/accname");
+
+// Click handler attributes: HTML/JSX (parsed lowercase), Vue shorthand and long form, with event modifiers
+const CLICK_HANDLER = /^(?:onclick|@click|v-on:click)(?:\.[\w-]+)*$/;
+
+// Clicks on these reach a focusable control or are handled for the whole page
+const EXEMPT = ["html", "body", "label", "option"];
+
+/**
+ * Flags click handlers (`onclick`, `@click`, `v-on:click`, JSX `onClick`) on
+ * elements keyboard users cannot reach or identify: elements that are not
+ * focusable by nature and lack a `role` or a `tabindex` of 0 or more.
+ *
+ * @param {object} context - Shared rule context (see `src/utils/context.js`).
+ * @returns {object[]} List of click handler issues.
+ */
+module.exports = function clickHandlers({ $, file, getLocation, isDynamic }) {
+  const errors = [];
+
+  $("*").each((_, el) => {
+    const handler = Object.keys(el.attribs).find((name) => CLICK_HANDLER.test(name));
+    if (!handler || EXEMPT.includes(el.name) || isNativelyFocusable(el) || isHiddenInTree(el)) return;
+    // Template output among the attributes may set role and tabindex
+    if (isDynamic(el)) return;
+
+    const role = boundAttribute(el, "role");
+    const tabindex = boundAttribute(el, "tabindex");
+    const missing = [];
+    if (role === undefined || !role.trim()) missing.push("role");
+    if (tabindex === undefined || (!isDynamic(tabindex) && tabindex !== "" && !(parseInt(tabindex, 10) >= 0))) {
+      missing.push('tabindex="0"');
+    }
+    if (!missing.length) return;
+
+    errors.push({
+      file,
+      ...getLocation(el),
+      type: "click-not-focusable",
+      message: `<${el.name}> has a click handler (${handler}) but no ${missing.join(" or ")}, so keyboard users cannot use it`,
+    });
+  });
+
+  return errors;
+}
+
+module.exports.meta = {
+  id: "click-events-focusable",
+  description: "Checks that elements with click handlers can be reached and operated with the keyboard",
+  types: {
+    "click-not-focusable": {
+      label: "🖱️  Mouse-only Click Handler",
+      color: "yellow",
+      severity: "error",
+      description: "Click handler on an element that is not focusable or has no role",
+      help: "Use a <button> (or <a href>) for the action, or add role, tabindex=\"0\" and a key handler for Enter/Space.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/keyboard.html",
+      wcag: ["2.1.1", "4.1.2"],
+    },
+  },
+};
@@ -1,51 +1,271 @@
-const cheerio = require("cheerio");
-const getLineNumber = require("../utils/getLineNumber");
 const tinycolor = require("tinycolor2");
+const { createStyleResolver, collectRules } = require("../utils/styles");
+
+// WCAG 1.4.3 (AA) and 1.4.6 (AAA) thresholds
+const THRESHOLDS = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 },
+};
+
+// Default page colors (Canvas, CanvasText); the dark ones apply when the page opts into color-scheme: dark
+const CANVAS = {
+  light: { background: "#ffffff", text: "#000000" },
+  dark: { background: "#121212", text: "#ffffff" },
+};
+
+// Elements whose text is never rendered or is exempt (disabled controls)
+const SKIPPED = "head, script, style, noscript, template, [hidden], [disabled], [disabled] *";
+
+/**
+ * Resolves the thresholds a run checks: the `level` option (AAA when the
+ * conformance target is AAA), overridden by `minRatio`/`minRatioLarge`.
+ * @param {object} options - Rule options.
+ * @param {object} [config] - Normalized config.
+ * @returns {{ normal: number, large: number }}
+ */
+function thresholdsFor(options, config = {}) {
+  const level = config.wcagLevel === "AAA" ? "AAA" : options.level || "AA";
+  return {
+    normal: options.minRatio ?? THRESHOLDS[level].normal,
+    large: options.minRatioLarge ?? THRESHOLDS[level].large,
+  };
+}
+
+/**
+ * Large text per WCAG: at least 18pt (24px), or 14pt (18.66px) and bold.
+ * @param {object} style - Computed style.
+ * @returns {boolean}
+ */
+function isLargeText({ fontSize, fontWeight }) {
+  if (fontSize === null) return false;
+  return fontSize >= 24 || (fontSize >= 18.66 && fontWeight >= 700);
+}
+
+/**
+ * Composites a (possibly translucent) color over an opaque one.
+ * @param {object} top - tinycolor instance.
+ * @param {object} bottom - Opaque tinycolor instance.
+ * @returns {object} Opaque tinycolor instance.
+ */
+function composite(top, bottom) {
+  const alpha = top.getAlpha();
+  if (alpha >= 1) return top;
+  const a = top.toRgb();
+  const b = bottom.toRgb();
+  return tinycolor({
+    r: a.r * alpha + b.r * (1 - alpha),
+    g: a.g * alpha + b.g * (1 - alpha),
+    b: a.b * alpha + b.b * (1 - alpha),
+  });
+}
+
+/**
+ * Composites background colors (innermost first) over the canvas.
+ * @param {string[]} colors - CSS colors.
+ * @param {string} [canvas] - Canvas color, white by default.
+ * @returns {object|null} Opaque tinycolor instance, or null when a color is unknown.
+ */
+function compositeBackgrounds(colors, canvas = CANVAS.light.background) {
+  const layers = colors.map((color) => tinycolor(color));
+  if (layers.some((layer) => !layer.isValid())) return null;
+  return layers.reverse().reduce((bottom, top) => composite(top, bottom), tinycolor(canvas));
+}
+
+/**
+ * Resolves the opaque background behind an element from the background
+ * colors of the element and its ancestors.
+ *
+ * @param {object} el - Element.
+ * @param {function(object): object} computedStyle
+ * @param {string} canvas - Canvas color.
+ * @returns {object|null} tinycolor instance, or null when a background image
+ *   or an unknown color is involved.
+ */
+function effectiveBackground(el, computedStyle, canvas) {
+  const colors = [];
+  for (let node = el; node && node.type === "tag"; node = node.parent) {
+    const { backgroundColor, backgroundImage } = computedStyle(node);
+    if (backgroundImage !== "none" || backgroundColor === null) return null;
+
+    colors.push(backgroundColor);
+    if (tinycolor(backgroundColor).getAlpha() >= 1) break;
+  }
+  return compositeBackgrounds(colors, canvas);
+}
 
 /**
- * Evaluates inline styles for text/background color contrast ratio.
- * Flags contrast ratios below WCAG AA threshold (4.5).
+ * Returns whether a page opts into dark default colors with `color-scheme`
+ * (`<meta name="color-scheme">` or the property on the root element).
+ * @param {object} $ - Loaded document.
+ * @param {object[]} rules - Style rules of the document.
+ * @returns {boolean}
+ */
+function supportsDarkCanvas($, rules) {
+  const meta = $("meta[name='color-scheme']").attr("content") || "";
+  return (
+    /\bdark\b/i.test(meta) ||
+    rules.some(
+      ({ selectors, declarations }) =>
+        selectors.some((selector) => /^(?::root|html)$/i.test(selector.trim())) &&
+        declarations.some((d) => d.property.toLowerCase() === "color-scheme" && /\bdark\b/i.test(d.value))
+    )
+  );
+}
+
+/**
+ * Yields text colors computed from the source: stylesheets, cascade and inheritance.
+ * Pages with `prefers-color-scheme: dark` rules are resolved a second time in the
+ * dark scheme; entries of that pass that look the same as in the light one are left out.
+ * @param {object} context - Rule context.
+ * @param {object} options - Rule options.
+ * @returns {object[]} Entries as `{ el, color, background, style, scheme }`.
+ */
+function sourceColors({ $, file, isDynamic = () => false, dependencies }, { stylesheets = [] }) {
+  const rules = collectRules($, file, { extraStylesheets: stylesheets, isDynamic, dependencies });
+  const schemes = rules.some((rule) => rule.media === "dark") ? ["light", "dark"] : ["light"];
+  const skipped = new Set($(SKIPPED).get());
+  const entries = [];
+  const seen = new Map();
+
+  for (const scheme of schemes) {
+    const canvas = scheme === "dark" && supportsDarkCanvas($, rules) ? CANVAS.dark : CANVAS.light;
+    const computedStyle = createStyleResolver($, file, {
+      rules,
+      scheme,
+      canvasText: canvas.text,
+      isDynamic,
+      isColor: (token) => tinycolor(token).isValid(),
+    });
+
+    $("body, body *").each((_, el) => {
+      if (skipped.has(el)) return;
+
+      const hasText = el.children.some((child) => child.type === "text" && child.data.trim());
+      if (!hasText) return;
+
+      // Hidden text needs no contrast
+      for (let node = el; node && node.type === "tag"; node = node.parent) {
+        if (computedStyle(node).display === "none") return;
+      }
+      const style = computedStyle(el);
+      if (style.visibility === "hidden" || style.color === null) return;
+
+      const background = effectiveBackground(el, computedStyle, canvas.background);
+      const key = `${style.color} ${background && background.toHexString()} ${style.fontSize} ${style.fontWeight}`;
+      if (seen.get(el) === key) return;
+      seen.set(el, key);
+
+      entries.push({ el, color: style.color, background, style, scheme });
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Yields text colors computed by the browser for a rendered page (`--render`).
+ * @param {object} context - Rule context.
+ * @returns {object[]} Entries as `{ el, color, background, style }`.
+ */
+function renderedColors({ $, rendered }) {
+  return rendered.colors.map(({ selector, color, backgrounds, fontSize, fontWeight }) => ({
+    el: $(selector).get(0),
+    color,
+    background: backgrounds && compositeBackgrounds(backgrounds),
+    style: { fontSize, fontWeight },
+  }));
+}
+
+/**
+ * Checks the contrast of rendered text against its background.
  *
- * @param {string} content - HTML content.
- * @param {string} file - File name.
+ * Colors are computed from `<style>` blocks, linked local stylesheets
+ * (plus the `stylesheets` option) and inline styles, following the cascade,
+ * inheritance and CSS custom properties. Media queries other than
+ * `prefers-color-scheme` are left out; light and dark schemes are checked separately. Backgrounds are taken from the
+ * closest ancestors and translucent colors are composited. Large text uses
+ * the lower WCAG threshold; text over background images is skipped.
+ * For pages rendered in a browser (`--render`) the computed styles of the
+ * browser are used instead.
+ *
+ * @param {object} context - Shared rule context (see `src/utils/context.js`).
  * @returns {object[]} List of contrast issues.
  */
-module.exports = function contrast(content, file) {
-  const $ = cheerio.load(content);
+module.exports = function contrast(context) {
+  const { file, config = {}, getLocation, rendered, options = {} } = context;
+  const thresholds = thresholdsFor(options, config);
+  const entries = rendered ? renderedColors(context) : sourceColors(context, options);
   const errors = [];
 
-  $("*").each((_, el) => {
-    const style = $(el).attr("style");
-    if (
-      style &&
-      style.includes("color") &&
-      style.includes("background-color")
-    ) {
-      const inlineStyles = style.split(";").reduce((acc, rule) => {
-        const [key, value] = rule.split(":");
-        if (key && value) acc[key.trim()] = value.trim();
-        return acc;
-      }, {});
-
-      const fg = tinycolor(inlineStyles["color"]);
-      const bg = tinycolor(inlineStyles["background-color"]);
-
-      if (fg.isValid() && bg.isValid()) {
-        const contrast = tinycolor.readability(bg, fg);
-        if (contrast < 4.5) {
-          const html = $.html(el);
-          const tagIndex = content.indexOf(html);
-          const lineNumber = getLineNumber(content, tagIndex);
-          errors.push({
-            file,
-            line: lineNumber,
-            type: "contrast",
-            message: `Low contrast ratio (${contrast.toFixed(2)}): ${inlineStyles["color"]} on ${inlineStyles["background-color"]}`,
-          });
-        }
-      }
+  for (const { el, color, background, style, scheme } of entries) {
+    const fg = tinycolor(color);
+    if (!fg.isValid() || !background) continue;
+
+    const ratio = tinycolor.readability(composite(fg, background), background);
+    const large = isLargeText(style);
+    const required = large ? thresholds.large : thresholds.normal;
+
+    if (ratio < required) {
+      errors.push({
+        file,
+        ...getLocation(el),
+        type: "contrast",
+        message: `Low contrast ratio (${ratio.toFixed(2)}:1, needs ${required}:1${large ? " for large text" : ""}): ${color} on ${background.toHexString()}${scheme === "dark" ? " in the dark color scheme" : ""}`,
+        // Text that only misses the AAA thresholds still meets 1.4.3 (Contrast (Minimum))
+        ...(ratio >= THRESHOLDS.AA[large ? "large" : "normal"] && { wcag: ["1.4.6"] }),
+      });
     }
-  });
+  }
 
   return errors;
 }
+
+module.exports.meta = {
+  id: "contrast",
+  description: "Checks text/background color contrast",
+  schema: {
+    level: {
+      type: "string",
+      enum: ["AA", "AAA"],
+      default: "AA",
+      description: "WCAG level whose thresholds apply (AA: 4.5:1 / 3:1, AAA: 7:1 / 4.5:1)",
+    },
+    minRatio: {
+      type: "number",
+      minimum: 1,
+      maximum: 21,
+      description: "Minimum contrast ratio for normal text, overrides the level threshold",
+    },
+    minRatioLarge: {
+      type: "number",
+      minimum: 1,
+      maximum: 21,
+      description: "Minimum contrast ratio for large text, overrides the level threshold",
+    },
+    stylesheets: {
+      type: "array",
+      items: "string",
+      default: [],
+      description: "Stylesheets applied to every file, relative to the working directory",
+    },
+  },
+  types: {
+    "contrast": {
+      label: "🎨  Contrast Issues",
+      color: "red",
+      severity: "error",
+      description: "Contrast ratio below the WCAG threshold",
+      help: "Increase the contrast between text and background to at least 4.5:1 (3:1 for large text).",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/contrast-minimum.html",
+      wcag: ["1.4.3", "1.4.6"],
+      // A criterion is only evaluated when the thresholds are at least its ratios
+      evaluated(options, config) {
+        const thresholds = thresholdsFor(options, config);
+        return ["1.4.3", "1.4.6"].filter((criterion) => {
+          const required = THRESHOLDS[criterion === "1.4.3" ? "AA" : "AAA"];
+          return thresholds.normal >= required.normal && thresholds.large >= required.large;
+        });
+      },
+    },
+  },
+};
@@ -0,0 +1,85 @@
+const { isValidLanguageTag } = require("../utils/language");
+const { isFullDocument } = require("../utils/location");
+
+/**
+ * Checks the language of the page and its parts: full documents need a valid
+ * BCP 47 `lang` on `<html>`, and `lang` on any other element must be a valid
+ * tag as well (an empty `lang` marks unknown language and is allowed on parts).
+ * Partial templates are not checked for `<html lang>`.
+ *
+ * @param {object} context - Shared rule context (see `src/utils/context.js`).
+ * @returns {object[]} List of language issues.
+ */
+module.exports = function documentLanguage({ $, file, getLocation, isDynamic }) {
+  const errors = [];
+  const html = $("html")[0];
+
+  // Template output among the attributes of <html> may set lang
+  if (isFullDocument($) && !(html.attribs.lang === undefined && isDynamic(html))) {
+    const lang = $(html).attr("lang");
+    if (lang === undefined || !lang.trim()) {
+      errors.push({
+        file,
+        ...getLocation(html),
+        type: "html-lang-missing",
+        message: lang === undefined ? "<html> is missing a lang attribute" : "<html> has an empty lang attribute",
+      });
+    } else if (!isDynamic(lang) && !isValidLanguageTag(lang)) {
+      errors.push({
+        file,
+        ...getLocation(html),
+        type: "html-lang-invalid",
+        message: `<html lang="${lang}"> is not a valid BCP 47 language tag`,
+      });
+    }
+  }
+
+  $("[lang]").each((_, el) => {
+    const lang = $(el).attr("lang");
+    if (el === html || !lang.trim() || isDynamic(lang) || isValidLanguageTag(lang)) return;
+    errors.push({
+      file,
+      ...getLocation(el),
+      type: "lang-invalid",
+      message: `<${el.name} lang="${lang}"> is not a valid BCP 47 language tag`,
+    });
+  });
+
+  return errors;
+}
+
+module.exports.meta = {
+  id: "document-language",
+  description: "Checks the language of the page (<html lang>) and of its parts",
+  types: {
+    "html-lang-missing": {
+      label: "🌐  Missing Page Language",
+      color: "red",
+      severity: "error",
+      description: "<html> has no lang attribute",
+      help: "Set the language of the page on the root element, e.g. <html lang=\"en\">.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/language-of-page.html",
+      wcag: ["3.1.1"],
+      requiresDocument: true,
+    },
+    "html-lang-invalid": {
+      label: "🌐  Invalid Page Language",
+      color: "red",
+      severity: "error",
+      description: "<html lang> is not a valid BCP 47 language tag",
+      help: "Use a BCP 47 tag such as \"en\", \"en-GB\" or \"pt-BR\" (hyphen, not underscore).",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/language-of-page.html",
+      wcag: ["3.1.1"],
+      requiresDocument: true,
+    },
+    "lang-invalid": {
+      label: "🌐  Invalid Language of Part",
+      color: "yellow",
+      severity: "error",
+      description: "lang attribute on an element is not a valid BCP 47 language tag",
+      help: "Use a BCP 47 tag such as \"de\" or \"fr-CA\" for passages in another language.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/language-of-parts.html",
+      wcag: ["3.1.2"],
+    },
+  },
+};
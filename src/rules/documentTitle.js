@@ -0,0 +1,45 @@
+const { isFullDocument } = require("../utils/location");
+
+/**
+ * Checks that full documents have a non-empty `<title>`. Partial templates
+ * are skipped, since the title usually comes from a layout.
+ *
+ * @param {object} context - Shared rule context (see `src/utils/context.js`).
+ * @returns {object[]} List of page title issues.
+ */
+module.exports = function documentTitle({ $, file, getLocation }) {
+  if (!isFullDocument($)) return [];
+
+  // SVG documents embedded in the page have their own <title> elements
+  const title = $("title").filter((_, el) => !$(el).closest("svg").length).first();
+  if (title.length && title.text().trim()) return [];
+
+  const head = $("head")[0];
+
+  return [
+    {
+      file,
+      // An implicit <head> has no location and maps to line 1
+      ...getLocation(title[0] || head),
+      type: "title-missing",
+      message: title.length ? "<title> is empty" : "Document has no <title>",
+    },
+  ];
+}
+
+module.exports.meta = {
+  id: "document-title",
+  description: "Checks that pages have a descriptive <title>",
+  types: {
+    "title-missing": {
+      label: "📑  Missing Page Title",
+      color: "red",
+      severity: "error",
+      description: "Document has no <title> or an empty one",
+      help: "Add a <title> describing the page, e.g. \"Checkout – Shop Name\".",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/page-titled.html",
+      wcag: ["2.4.2"],
+      requiresDocument: true,
+    },
+  },
+};
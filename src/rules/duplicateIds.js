@@ -0,0 +1,85 @@
+const referenceAttributes = ["for", "aria-labelledby", "aria-describedby"];
+
+/**
+ * Checks for `id` attributes used more than once in the same document.
+ * Every occurrence is reported; references to a duplicated id via
+ * `label[for]`, `aria-labelledby` or `aria-describedby` are flagged separately,
+ * since assistive tech then resolves the reference to the first match only.
+ *
+ * @param {object} context - Shared rule context (see `src/utils/context.js`).
+ * @returns {object[]} List of duplicate id errors.
+ */
+module.exports = function duplicateIds({ $, file, getLocation, isDynamic }) {
+  const errors = [];
+  const occurrences = new Map();
+
+  $("[id]").each((_, el) => {
+    const id = $(el).attr("id").trim();
+    if (!id || isDynamic(id)) return;
+    if (!occurrences.has(id)) occurrences.set(id, []);
+    occurrences.get(id).push({ el, location: getLocation(el) });
+  });
+
+  for (const [id, list] of occurrences) {
+    if (list.length < 2) continue;
+    const lines = list.map(({ location }) => location.line).join(", ");
+
+    for (const { el, location } of list) {
+      errors.push({
+        file,
+        ...location,
+        type: "duplicate-id",
+        message: `<${el.name}> id="${id}" is used ${list.length} times (lines ${lines})`,
+      });
+    }
+  }
+
+  $("label[for], [aria-labelledby], [aria-describedby]").each((_, el) => {
+    const $el = $(el);
+
+    for (const attr of referenceAttributes) {
+      if (attr === "for" && el.name !== "label") continue;
+      const value = $el.attr(attr);
+      if (!value || isDynamic(value)) continue;
+
+      for (const id of value.trim().split(/\s+/)) {
+        const list = occurrences.get(id);
+        if (!list || list.length < 2) continue;
+
+        errors.push({
+          file,
+          ...getLocation(el),
+          type: "duplicate-id-referenced",
+          message: `${attr}="${value}" references id "${id}" which is used ${list.length} times; assistive technology will only use the first element`,
+        });
+      }
+    }
+  });
+
+  return errors;
+}
+
+module.exports.meta = {
+  id: "duplicate-id",
+  description: "Checks for duplicate id attributes",
+  types: {
+    "duplicate-id": {
+      label: "🆔  Duplicate IDs",
+      color: "yellow",
+      severity: "warning",
+      description: "The same id is used by more than one element",
+      help: "Make every id unique within the document.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/info-and-relationships.html",
+      wcag: ["1.3.1"],
+    },
+    "duplicate-id-referenced": {
+      label: "🪢  Duplicate ID Reference",
+      color: "red",
+      severity: "error",
+      description: "label[for], aria-labelledby or aria-describedby points to a duplicated id",
+      help: "Make the referenced id unique so labels and descriptions point to the intended element.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/name-role-value.html",
+      wcag: ["1.3.1", "4.1.2"],
+    },
+  },
+};
@@ -1,34 +1,45 @@
-const cheerio = require("cheerio");
-const getLineNumber = require("../utils/getLineNumber");
+const { formatName } = require("../utils/accname");
 
 /**
- * Checks for links that are empty or lack href/text.
+ * Checks for links that are empty or lack href/text. Text is the accessible
+ * name, so an image with alt text inside the link counts and hidden text does not.
  *
- * @param {string} content - HTML content.
- * @param {string} file - File name.
+ * @param {object} context - Shared rule context (see `src/utils/context.js`).
  * @returns {object[]} List of link errors.
  */
-module.exports = function emptyLinks(content, file) {
-  const $ = cheerio.load(content);
+module.exports = function emptyLinks({ $, file, getLocation, accessibleName }) {
   const errors = [];
 
   $("a").each((_, el) => {
     const $el = $(el);
     const href = $el.attr("href");
-    const text = $el.text().trim();
-    const html = $.html(el);
-    const tagIndex = content.indexOf(html);
-    const lineNumber = getLineNumber(content, tagIndex);
+    const name = accessibleName(el);
 
-    if ((!href || href === "#") && !text) {
+    if ((!href || href === "#") && !name) {
       errors.push({
         file,
-        line: lineNumber,
+        ...getLocation(el),
         type: "empty-link",
-        message: `<a> tag is empty or has no href/text`,
+        message: `<a> tag is empty or has no href/text (accessible name: ${formatName(name)})`,
       });
     }
   });
 
   return errors;
 }
+
+module.exports.meta = {
+  id: "empty-link",
+  description: "Checks for empty or placeholder links",
+  types: {
+    "empty-link": {
+      label: "📭  Empty or Useless Link",
+      color: "red",
+      severity: "error",
+      description: "<a> has no href and no text",
+      help: "Give the link a real href and descriptive text, or use a <button> for actions.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/link-purpose-in-context.html",
+      wcag: ["2.4.4", "4.1.2"],
+    },
+  },
+};
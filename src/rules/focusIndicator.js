@@ -0,0 +1,41 @@
+/**
+ * Flags focusable elements without a visible focus indicator.
+ * Needs a rendered page (`--render`): the browser tabs through the page and
+ * compares each element's outline, box-shadow, border, colors and text
+ * decoration with and without keyboard focus. Static files are skipped.
+ *
+ * @param {object} context - Shared rule context (see `src/utils/context.js`).
+ * @returns {object[]} List of focus indicator issues.
+ */
+module.exports = function focusIndicator({ $, file, getLocation, rendered }) {
+  if (!rendered) return [];
+
+  return rendered.focus
+    .filter(({ changed }) => !changed)
+    .map(({ selector }) => {
+      const el = $(selector).get(0);
+      return {
+        file,
+        ...getLocation(el),
+        type: "focus-indicator-missing",
+        message: `<${el ? el.name : "element"}> shows no visible change when it receives keyboard focus`,
+      };
+    });
+};
+
+module.exports.meta = {
+  id: "focus-indicator",
+  description: "Checks that focusable elements show a visible focus indicator (rendered pages only)",
+  requiresRender: true,
+  types: {
+    "focus-indicator-missing": {
+      label: "🔦  Missing Focus Indicator",
+      color: "magenta",
+      severity: "error",
+      description: "Element looks the same with and without keyboard focus",
+      help: "Keep a visible focus style, e.g. :focus-visible { outline: 2px solid; } instead of outline: none.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/focus-visible.html",
+      wcag: ["2.4.7"],
+    },
+  },
+};
@@ -1,27 +1,20 @@
-const cheerio = require("cheerio");
-const getLineNumber = require("../utils/getLineNumber");
-
 /**
  * Checks for empty heading tags (e.g., <h2></h2> or <h2>   </h2>).
  *
- * @param {string} content - HTML content.
- * @param {string} file - File name.
+ * @param {object} context - Shared rule context (see `src/utils/context.js`).
  * @returns {object[]} List of empty heading errors.
  */
-module.exports = function headingEmpty(content, file) {
-  const $ = cheerio.load(content);
+module.exports = function headingEmpty({ $, file, getLocation }) {
   const errors = [];
 
   $("h1, h2, h3, h4, h5, h6").each((_, el) => {
     const text = $(el).text().trim();
     if (text === "") {
-      const html = $.html(el);
-      const tagIndex = content.indexOf(html);
-      const lineNumber = getLineNumber(content, tagIndex);
+      const location = getLocation(el);
 
       errors.push({
         file,
-        line: lineNumber,
+        ...location,
         type: "heading-empty",
         message: `<${el.name}> element is empty or contains only whitespace`,
       });
@@ -30,3 +23,19 @@ module.exports = function headingEmpty(content, file) {
 
   return errors;
 }
+
+module.exports.meta = {
+  id: "heading-empty",
+  description: "Checks for empty heading elements",
+  types: {
+    "heading-empty": {
+      label: "❗ Empty Headings",
+      color: "red",
+      severity: "error",
+      description: "Heading is empty or contains only whitespace",
+      help: "Add text to the heading or remove the empty element.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/headings-and-labels.html",
+      wcag: ["1.3.1", "2.4.6"],
+    },
+  },
+};
@@ -1,28 +1,21 @@
-const cheerio = require("cheerio");
-const getLineNumber = require("../utils/getLineNumber");
-
 /**
  * Checks if headings (h1-h6) are used in the correct order (no jumps).
  *
- * @param {string} content - HTML content.
- * @param {string} file - File name.
+ * @param {object} context - Shared rule context (see `src/utils/context.js`).
  * @returns {object[]} List of heading order errors.
  */
-module.exports = function headingOrder(content, file) {
-  const $ = cheerio.load(content);
+module.exports = function headingOrder({ $, file, getLocation }) {
   let lastLevel = 0;
   const errors = [];
 
   $("h1, h2, h3, h4, h5, h6").each((_, el) => {
     const level = parseInt(el.name.substring(1));
-    const html = $.html(el);
-    const tagIndex = content.indexOf(html);
-    const lineNumber = getLineNumber(content, tagIndex);
+    const location = getLocation(el);
 
     if (lastLevel && level - lastLevel > 1) {
       errors.push({
         file,
-        line: lineNumber,
+        ...location,
         type: "heading-order",
         message: `<${el.name}> follows <h${lastLevel}>`,
       });
@@ -33,3 +26,19 @@ module.exports = function headingOrder(content, file) {
 
   return errors;
 }
+
+module.exports.meta = {
+  id: "heading-order",
+  description: "Checks that heading levels are not skipped",
+  types: {
+    "heading-order": {
+      label: "📐 Heading Order",
+      color: "yellow",
+      severity: "warning",
+      description: "Heading level skips one or more levels",
+      help: "Do not skip heading levels; nest headings in order (h2 after h1, h3 after h2).",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/info-and-relationships.html",
+      wcag: ["1.3.1"],
+    },
+  },
+};
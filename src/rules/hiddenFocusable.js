@@ -0,0 +1,80 @@
+const { tabbableElements } = require("../utils/focus");
+
+/**
+ * Flags focusable content that keyboard users can reach but assistive
+ * technology or the user cannot use:
+ *
+ * - `aria-hidden="true"` on a focusable element or one of its ancestors:
+ *   focus lands on something screen readers do not announce
+ * - focusable elements inside an `inert` region: they look operable but
+ *   cannot be focused or activated
+ *
+ * @param {object} context - Shared rule context (see `src/utils/context.js`).
+ * @returns {object[]} List of hidden focusable issues.
+ */
+module.exports = function hiddenFocusable({ $, file, getLocation }) {
+  const errors = [];
+  // Nested hiding elements would report the same focusable element again
+  const reported = new Map();
+
+  /**
+   * @param {object} el - Element with the hiding attribute.
+   * @param {string} type - Issue type.
+   * @param {function(object): string} message - Message for a focusable element.
+   */
+  const check = (el, type, message) => {
+    if (!reported.has(type)) reported.set(type, new Set());
+    const seen = reported.get(type);
+    for (const focusable of tabbableElements(el)) {
+      if (seen.has(focusable)) continue;
+      seen.add(focusable);
+      errors.push({ file, ...getLocation(focusable), type, message: message(focusable) });
+    }
+  };
+
+  const describe = (el) => (el.sourceCodeLocation ? `line ${el.sourceCodeLocation.startLine}` : "the page");
+
+  $("[aria-hidden]").each((_, el) => {
+    if ($(el).attr("aria-hidden").trim().toLowerCase() !== "true") return;
+    check(el, "aria-hidden-focusable", (focusable) =>
+      focusable === el
+        ? `<${el.name} aria-hidden="true"> is focusable; screen readers will not announce it when it receives focus`
+        : `<${focusable.name}> is focusable inside <${el.name} aria-hidden="true"> (${describe(el)}); screen readers will not announce it`
+    );
+  });
+
+  $("[inert]").each((_, el) => {
+    check(el, "inert-focusable", (focusable) =>
+      focusable === el
+        ? `<${el.name} inert> cannot be focused or activated although it is interactive`
+        : `<${focusable.name}> is inside <${el.name} inert> (${describe(el)}) and cannot be focused or activated`
+    );
+  });
+
+  return errors;
+}
+
+module.exports.meta = {
+  id: "hidden-focusable",
+  description: "Checks for focusable content hidden with aria-hidden or made inert",
+  types: {
+    "aria-hidden-focusable": {
+      label: "🙈  Focusable Content in aria-hidden",
+      color: "red",
+      severity: "error",
+      description: "Focusable element is hidden from assistive technology with aria-hidden",
+      help: "Remove aria-hidden, or take the content out of the tab order (tabindex=\"-1\", disabled or inert).",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/name-role-value.html",
+      wcag: ["4.1.2"],
+    },
+    "inert-focusable": {
+      label: "🧊  Focusable Content in inert Region",
+      color: "yellow",
+      severity: "warning",
+      description: "Interactive element inside an inert region cannot be used",
+      help: "Remove inert once the region is active, or make sure the controls are not meant to be used while it is inert.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/keyboard.html",
+      wcag: ["2.1.1"],
+    },
+  },
+};
@@ -1,46 +1,63 @@
-const cheerio = require("cheerio");
-const getLineNumber = require("../utils/getLineNumber");
+const { formatName } = require("../utils/accname");
 
 /**
  * Checks that each <label> element is properly associated with a form control.
  * It should either have a 'for' attribute pointing to an existing control ID
  * OR contain an input/select/textarea element inside.
  *
- * @param {string} content - HTML content.
- * @param {string} file - File name.
+ * @param {object} context - Shared rule context (see `src/utils/context.js`).
  * @returns {object[]} List of label association errors.
  */
-module.exports = function labelsWithoutFor(content, file) {
-  const $ = cheerio.load(content);
+module.exports = function labelsWithoutFor({ $, file, getLocation, isDynamic, fixer, accessibleName }) {
   const errors = [];
+  // A label may point to an element whose id is only known at runtime
+  const hasDynamicIds = $("*").filter((_, el) => isDynamic(el.attribs.id) || isDynamic(el)).length > 0;
+
+  /**
+   * Returns the id of the form control right after a label (only whitespace
+   * in between), which the label obviously belongs to.
+   * @param {object} label
+   * @returns {string|null}
+   */
+  const followingControl = (label) => {
+    let node = label.next;
+    while (node && node.type === "text" && !node.data.trim()) node = node.next;
+    if (!node || node.type !== "tag" || !/^(input|select|textarea)$/.test(node.name)) return null;
+    const id = $(node).attr("id");
+    if (!id || isDynamic(id) || /['\\]/.test(id) || $(node).attr("type") === "hidden") return null;
+    // Another label already pointing to the control makes the pairing ambiguous
+    return $(`label[for='${id}']`).length ? null : id;
+  };
 
   $("label").each((_, el) => {
     const $label = $(el);
-    const html = $.html(el);
-    const tagIndex = content.indexOf(html);
-    const lineNumber = getLineNumber(content, tagIndex);
+    const location = getLocation(el);
 
     const forAttr = $label.attr("for");
+    const name = formatName(accessibleName(el, { fromContent: true }));
 
     if (forAttr) {
+      if (isDynamic(forAttr) || hasDynamicIds) return;
       const inputMatch = $(`[id='${forAttr}']`);
       if (!inputMatch.length) {
         errors.push({
           file,
-          line: lineNumber,
+          ...location,
           type: "label-for-missing",
-          message: `<label for="${forAttr}"> does not match any element with that ID`,
+          message: `<label for="${forAttr}"> ${name} does not match any element with that ID`,
         });
       }
     } else {
       const hasNestedControl =
         $label.find("input, select, textarea").length > 0;
-      if (!hasNestedControl) {
+      if (!hasNestedControl && !isDynamic(el)) {
+        const control = followingControl(el);
         errors.push({
           file,
-          line: lineNumber,
+          ...location,
           type: "label-missing-for",
-          message: `<label> is not associated with any form control (missing 'for' or nested input)`,
+          message: `<label> ${name} is not associated with any form control (missing 'for' or nested input)`,
+          ...(control && { fix: fixer.insertAttributes(el, { for: control }) }),
         });
       }
     }
@@ -48,3 +65,28 @@ module.exports = function labelsWithoutFor(content, file) {
 
   return errors;
 }
+
+module.exports.meta = {
+  id: "label-missing-for",
+  description: "Checks that <label> elements are associated with a form control",
+  types: {
+    "label-for-missing": {
+      label: "🔗  Broken Label Association",
+      color: "red",
+      severity: "error",
+      description: "<label for> does not match any element ID",
+      help: "Make the for attribute match the id of the form control it labels.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/info-and-relationships.html",
+      wcag: ["1.3.1", "3.3.2"],
+    },
+    "label-missing-for": {
+      label: "🏷️  Unassociated Label",
+      color: "yellow",
+      severity: "error",
+      description: "<label> has neither a for attribute nor a nested control",
+      help: "Add a for attribute pointing to the control's id, or nest the control inside the <label>.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/info-and-relationships.html",
+      wcag: ["1.3.1", "3.3.2"],
+    },
+  },
+};
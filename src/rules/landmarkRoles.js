@@ -1,15 +1,11 @@
-const cheerio = require("cheerio");
-
 /**
  * Verifies the presence of at least one semantic landmark element.
  * Expected tags include <main>, <nav>, <header>, <footer>, <aside>.
  *
- * @param {string} content - HTML content.
- * @param {string} file - File name.
+ * @param {object} context - Shared rule context (see `src/utils/context.js`).
  * @returns {object[]} List containing missing landmark error, if any.
  */
-module.exports = function landmarkRoles(content, file) {
-  const $ = cheerio.load(content);
+module.exports = function landmarkRoles({ $, file, lineLocation }) {
   const landmarks = ["main", "nav", "header", "footer", "aside"];
   const errors = [];
 
@@ -17,7 +13,7 @@ module.exports = function landmarkRoles(content, file) {
   if (present.length === 0) {
     errors.push({
       file,
-      line: 1,
+      ...lineLocation(1),
       type: "missing-landmark",
       message: "No landmark elements (main, nav, header, footer, aside) found",
     });
@@ -25,3 +21,21 @@ module.exports = function landmarkRoles(content, file) {
 
   return errors;
 }
+
+module.exports.meta = {
+  id: "missing-landmark",
+  description: "Checks for the presence of landmark elements",
+  types: {
+    "missing-landmark": {
+      label: "🏛️  Landmark Elements",
+      color: "yellowBright",
+      severity: "warning",
+      description: "Document contains no landmark elements",
+      help: "Wrap page regions in landmark elements such as <header>, <nav>, <main> and <footer>.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/info-and-relationships.html",
+      wcag: ["1.3.1", "2.4.1"],
+      // Landmarks of a partial template say little about bypassing the blocks of a whole page
+      evaluated: (options, config, { documents }) => (documents ? ["1.3.1", "2.4.1"] : ["1.3.1"]),
+    },
+  },
+};
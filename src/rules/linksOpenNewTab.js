@@ -1,43 +1,81 @@
-const cheerio = require("cheerio");
-const getLineNumber = require("../utils/getLineNumber");
-
 /**
  * Checks if links opening in a new tab/window notify screen readers.
  *
- * @param {string} content - HTML content.
- * @param {string} file - File name.
+ * @param {object} context - Shared rule context (see `src/utils/context.js`).
  * @returns {object[]} List of new tab warning issues.
  */
-module.exports = function linksOpenNewTab(content, file) {
-  const $ = cheerio.load(content);
+module.exports = function linksOpenNewTab({ $, file, getLocation, isDynamic, fixer, options = {} }) {
+  const {
+    phrases = ["opens in a new tab", "opens in new window"],
+    srOnlyClasses = ["sr-only", "visually-hidden"],
+  } = options;
+  const lowerPhrases = phrases.map((phrase) => phrase.toLowerCase());
+  const mentionsNewTab = (text) =>
+    lowerPhrases.some((phrase) => text.toLowerCase().includes(phrase));
   const errors = [];
 
+  // aria-label replaces the link content, so the note goes where it is announced
+  const newTabFix = (el) => {
+    if (!phrases.length) return null;
+    const ariaLabel = $(el).attr("aria-label");
+    if (ariaLabel && ariaLabel.trim()) {
+      return fixer.setAttribute(el, "aria-label", `${ariaLabel.trim()} (${phrases[0]})`);
+    }
+    if (!srOnlyClasses.length) return null;
+    return fixer.appendContent(el, ` <span class="${srOnlyClasses[0]}">(${phrases[0]})</span>`);
+  };
+
   $("a[target='_blank']").each((_, el) => {
     const $el = $(el);
     const ariaLabel = $el.attr("aria-label") || "";
-    const html = $.html(el);
-    const tagIndex = content.indexOf(html);
-    const lineNumber = getLineNumber(content, tagIndex);
+    const location = getLocation(el);
 
-    const hasScreenReaderNote = $el
-      .find(".sr-only, .visually-hidden")
-      .filter((i, n) => {
-        const text = $(n).text().toLowerCase();
-        return text.includes("opens in a new tab") || text.includes("opens in new window");
-      }).length > 0;
+    const hasScreenReaderNote = srOnlyClasses.length > 0 && $el
+      .find(srOnlyClasses.map((name) => `.${name}`).join(", "))
+      .filter((i, n) => mentionsNewTab($(n).text())).length > 0;
 
-    const describesNewTab = ariaLabel.toLowerCase().includes("opens in a new tab") ||
-      ariaLabel.toLowerCase().includes("opens in new window");
+    const describesNewTab = isDynamic(ariaLabel) || isDynamic(el) || mentionsNewTab(ariaLabel);
 
     if (!describesNewTab && !hasScreenReaderNote) {
       errors.push({
         file,
-        line: lineNumber,
+        ...location,
         type: "link-new-tab-warning",
         message: `<a> with target="_blank" should inform users it opens in a new tab (e.g., via aria-label or screen reader note)`,
+        fix: newTabFix(el),
       });
     }
   });
 
   return errors;
 }
+
+module.exports.meta = {
+  id: "link-new-tab-warning",
+  description: "Checks that links opening a new tab announce it",
+  schema: {
+    phrases: {
+      type: "array",
+      items: "string",
+      default: ["opens in a new tab", "opens in new window"],
+      description: "Texts (case-insensitive) that announce a new tab in aria-label or a screen reader note",
+    },
+    srOnlyClasses: {
+      type: "array",
+      items: "string",
+      default: ["sr-only", "visually-hidden"],
+      description: "Classes of visually hidden elements holding the screen reader note",
+    },
+  },
+  types: {
+    "link-new-tab-warning": {
+      label: "🧭  New Tab Warning",
+      color: "yellow",
+      severity: "warning",
+      description: "target=\"_blank\" link does not inform users about the new tab",
+      help: "Tell users the link opens a new tab, e.g. with visually hidden text \"(opens in a new tab)\".",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/change-on-request.html",
+      wcag: ["3.2.5"],
+    },
+  },
+};
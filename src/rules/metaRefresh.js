@@ -0,0 +1,49 @@
+/**
+ * Flags `<meta http-equiv="refresh">` that reloads or redirects the page after
+ * a delay. An immediate redirect (delay 0) is allowed, and so are delays over
+ * 20 hours, which WCAG treats as not time-limited.
+ *
+ * @param {object} context - Shared rule context (see `src/utils/context.js`).
+ * @returns {object[]} List of meta refresh issues.
+ */
+module.exports = function metaRefresh({ $, file, getLocation, isDynamic }) {
+  const errors = [];
+
+  $("meta[http-equiv]").each((_, el) => {
+    const content = $(el).attr("content");
+    if ($(el).attr("http-equiv").trim().toLowerCase() !== "refresh" || !content || isDynamic(content)) return;
+
+    const match = /^\s*(\d+(?:\.\d*)?)\s*(?:[;,]\s*(?:url\s*=\s*)?(.*))?$/i.exec(content);
+    if (!match) return;
+    const delay = parseFloat(match[1]);
+    if (delay === 0 || delay > 72000) return;
+
+    const redirect = match[2] && match[2].trim();
+    errors.push({
+      file,
+      ...getLocation(el),
+      type: "meta-refresh",
+      message: redirect
+        ? `<meta http-equiv="refresh"> redirects to ${redirect} after ${delay} s`
+        : `<meta http-equiv="refresh"> reloads the page every ${delay} s`,
+    });
+  });
+
+  return errors;
+}
+
+module.exports.meta = {
+  id: "meta-refresh",
+  description: "Checks that pages do not refresh or redirect on a timer",
+  types: {
+    "meta-refresh": {
+      label: "⏱️  Timed Refresh",
+      color: "red",
+      severity: "error",
+      description: "<meta http-equiv=\"refresh\"> reloads or redirects after a delay",
+      help: "Redirect on the server (or with a 0 delay), and let users refresh content themselves.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/timing-adjustable.html",
+      wcag: ["2.2.1", "2.2.4", "3.2.5"],
+    },
+  },
+};
@@ -0,0 +1,75 @@
+/**
+ * Parses the content of a viewport `<meta>` into its properties.
+ * @param {string} content - e.g. `width=device-width, initial-scale=1`.
+ * @returns {Array<{ name: string, value: string, text: string }>} Properties in order.
+ */
+function parseViewport(content) {
+  return content
+    .split(/[,;]/)
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((text) => {
+      const [name, value = ""] = text.split("=").map((s) => s.trim());
+      return { name: name.toLowerCase(), value: value.toLowerCase(), text };
+    });
+}
+
+/**
+ * Returns whether a viewport property keeps users from zooming:
+ * `user-scalable=no` (or `0`) and `maximum-scale` below 2.
+ * @param {{ name: string, value: string }} property
+ * @returns {boolean}
+ */
+function blocksZoom({ name, value }) {
+  if (name === "user-scalable") return value === "no" || (!Number.isNaN(parseFloat(value)) && parseFloat(value) < 1);
+  if (name === "maximum-scale") return !Number.isNaN(parseFloat(value)) && parseFloat(value) < 2;
+  return false;
+}
+
+/**
+ * Flags viewport `<meta>` tags that disable or limit zooming. The fix drops
+ * the offending properties and keeps the rest of the content.
+ * Checked in partial templates too, since head partials often hold the tag.
+ *
+ * @param {object} context - Shared rule context (see `src/utils/context.js`).
+ * @returns {object[]} List of viewport issues.
+ */
+module.exports = function metaViewport({ $, file, getLocation, isDynamic, fixer }) {
+  const errors = [];
+
+  $("meta[name]").each((_, el) => {
+    const content = $(el).attr("content");
+    if ($(el).attr("name").trim().toLowerCase() !== "viewport" || !content || isDynamic(content)) return;
+
+    const properties = parseViewport(content);
+    const blocking = properties.filter(blocksZoom);
+    if (!blocking.length) return;
+
+    const kept = properties.filter((property) => !blocking.includes(property));
+    errors.push({
+      file,
+      ...getLocation(el),
+      type: "viewport-zoom-disabled",
+      message: `<meta name="viewport"> prevents zooming (${blocking.map((property) => property.text).join(", ")})`,
+      ...(kept.length && { fix: fixer.setAttribute(el, "content", kept.map((property) => property.text).join(", ")) }),
+    });
+  });
+
+  return errors;
+}
+
+module.exports.meta = {
+  id: "meta-viewport",
+  description: "Checks that the viewport allows users to zoom",
+  types: {
+    "viewport-zoom-disabled": {
+      label: "🔍  Zoom Disabled",
+      color: "red",
+      severity: "error",
+      description: "Viewport meta tag sets user-scalable=no or maximum-scale below 2",
+      help: "Remove user-scalable=no and maximum-scale (or set it to at least 5) so users can zoom.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/resize-text.html",
+      wcag: ["1.4.4"],
+    },
+  },
+};
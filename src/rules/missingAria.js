@@ -1,16 +1,15 @@
-const cheerio = require("cheerio");
-const getLineNumber = require("../utils/getLineNumber");
+const { formatName, isHiddenInTree } = require("../utils/accname");
 
 /**
  * Checks if important elements lack visible text or an ARIA label.
- * Applies to elements like buttons, links, SVGs, etc.
+ * Applies to elements like buttons, links, SVGs, etc. Names are computed
+ * with accname 1.2; sections and landmarks also count their text content.
+ * Elements hidden from assistive technology are skipped.
  *
- * @param {string} content - HTML content.
- * @param {string} file - File name.
+ * @param {object} context - Shared rule context (see `src/utils/context.js`).
  * @returns {object[]} List of missing ARIA label issues.
  */
-module.exports = function missingAria(content, file) {
-  const $ = cheerio.load(content);
+module.exports = function missingAria({ $, file, getLocation, accessibleName }) {
   const errors = [];
 
   const selectors = [
@@ -27,23 +26,34 @@ module.exports = function missingAria(content, file) {
   ];
 
   $(selectors.join(",")).each((_, el) => {
-    const $el = $(el);
-    const html = $.html(el);
-    const tagIndex = content.indexOf(html);
-    const lineNumber = getLineNumber(content, tagIndex);
+    if (isHiddenInTree(el)) return;
+    const name = accessibleName(el, { fromContent: true });
 
-    const hasAria = $el.attr("aria-label") || $el.attr("aria-labelledby");
-    const hasText = $el.text().trim().length > 0;
-
-    if (!hasAria && !hasText) {
+    if (!name) {
       errors.push({
         file,
-        line: lineNumber,
+        ...getLocation(el),
         type: "missing-aria",
-        message: `<${el.name}> element should have an aria-label or visible text`,
+        message: `<${el.name}> element should have an aria-label or visible text (accessible name: ${formatName(name)})`,
       });
     }
   });
 
   return errors;
 }
+
+module.exports.meta = {
+  id: "missing-aria",
+  description: "Checks that key elements have an accessible name",
+  types: {
+    "missing-aria": {
+      label: "👀  Missing ARIA",
+      color: "blue",
+      severity: "error",
+      description: "Element has neither visible text nor an ARIA label",
+      help: "Provide visible text, aria-label or aria-labelledby so the element has an accessible name.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/name-role-value.html",
+      wcag: ["4.1.2"],
+    },
+  },
+};
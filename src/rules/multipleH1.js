@@ -1,26 +1,19 @@
-const cheerio = require("cheerio");
-const getLineNumber = require("../utils/getLineNumber");
-
 /**
  * Checks that there is only one <h1> on the page.
  *
- * @param {string} content - HTML content.
- * @param {string} file - File name.
+ * @param {object} context - Shared rule context (see `src/utils/context.js`).
  * @returns {object[]} List of multiple H1 tag warnings.
  */
-module.exports = function multipleH1(content, file) {
-  const $ = cheerio.load(content);
+module.exports = function multipleH1({ $, file, getLocation }) {
   const h1s = $("h1");
 
   if (h1s.length > 1) {
     return h1s
       .map((_, el) => {
-        const html = $.html(el);
-        const tagIndex = content.indexOf(html);
-        const lineNumber = getLineNumber(content, tagIndex);
+        const location = getLocation(el);
         return {
           file,
-          line: lineNumber,
+          ...location,
           type: "multiple-h1",
           message: `Multiple <h1> tags found (${h1s.length} total)`,
         };
@@ -30,3 +23,19 @@ module.exports = function multipleH1(content, file) {
 
   return [];
 }
+
+module.exports.meta = {
+  id: "multiple-h1",
+  description: "Checks that a page has a single <h1>",
+  types: {
+    "multiple-h1": {
+      label: "🧱  Multiple H1s",
+      color: "yellow",
+      severity: "warning",
+      description: "More than one <h1> on the page",
+      help: "Use a single <h1> for the page title and <h2>–<h6> for sections.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/info-and-relationships.html",
+      wcag: ["1.3.1"],
+    },
+  },
+};
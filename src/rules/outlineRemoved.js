@@ -0,0 +1,149 @@
+const { parseStylesheet, parseInlineStyle, collectRules } = require("../utils/styles");
+const { isTabbable } = require("../utils/focus");
+
+// Properties that can draw a focus indicator in place of the outline
+const INDICATOR_PROPERTIES = /^(outline(-\w+)?|box-shadow|border(-\w+)*|background(-color)?|text-decoration(-\w+)*|color)$/;
+
+/**
+ * Returns whether a declaration removes the outline
+ * (`outline: none`, `outline: 0`, `outline-style: none`, `outline-width: 0`).
+ * @param {object} declaration
+ * @returns {boolean}
+ */
+function removesOutline({ property, value }) {
+  const tokens = value.replace(/!important/i, "").trim().toLowerCase().split(/\s+/);
+  switch (property.toLowerCase()) {
+    case "outline":
+      return tokens.includes("none") || (tokens.length === 1 && /^0[a-z]*$/.test(tokens[0]));
+    case "outline-style":
+      return tokens[0] === "none";
+    case "outline-width":
+      return /^0[a-z]*$/.test(tokens[0]);
+    default:
+      return false;
+  }
+}
+
+const NOT_FOCUS_VISIBLE = /:not\(\s*:focus-visible\s*\)/g;
+const STATES = /:(?:focus-visible|focus-within|focus|hover|active)\b/g;
+
+/**
+ * Returns the selector without its :not(:focus-visible) and state pseudo-classes,
+ * i.e. the elements it styles: `a:focus` → `a`, `:focus-visible` → `*`.
+ * @param {string} selector
+ * @returns {string}
+ */
+function baseSelector(selector) {
+  let base = selector.trim().replace(NOT_FOCUS_VISIBLE, "").replace(STATES, "");
+  if (/(^|[\s>+~])$/.test(base)) base += "*";
+  return base.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Returns whether an element matches a selector; selectors cheerio cannot evaluate never match.
+ * @param {object} $ - Cheerio root.
+ * @param {object} el
+ * @param {string} selector
+ * @returns {boolean}
+ */
+function matches($, el, selector) {
+  try {
+    return $(el).is(selector);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Flags `outline: none` / `outline: 0` in inline styles and `<style>` blocks
+ * unless the document's styles (including linked stylesheets) have a
+ * `:focus-visible` rule drawing another focus indicator on the same elements:
+ * a rule for the same selector (`a:focus` → `a:focus-visible`), for all
+ * elements (`:focus-visible`), or for every element of the document the
+ * outline rule applies to. Rules that only apply to `:not(:focus-visible)`
+ * keep the indicator for keyboard users and are fine.
+ *
+ * @param {object} context - Shared rule context (see `src/utils/context.js`).
+ * @returns {object[]} List of removed outline issues.
+ */
+module.exports = function outlineRemoved({ $, file, getLocation, lineLocation, isDynamic, dependencies }) {
+  const errors = [];
+
+  // Elements the :focus-visible rules draw an indicator on, as selectors
+  const replacements = collectRules($, file, { isDynamic, dependencies })
+    .filter(({ declarations }) =>
+      declarations.some((d) => INDICATOR_PROPERTIES.test(d.property.toLowerCase()) && !removesOutline(d))
+    )
+    .flatMap(({ selectors }) =>
+      selectors.filter((selector) => /:focus-visible/.test(selector.replace(NOT_FOCUS_VISIBLE, "")))
+    )
+    .map(baseSelector);
+
+  const isReplaced = (selector) => {
+    const base = baseSelector(selector);
+    if (replacements.some((replacement) => replacement === "*" || replacement === base)) return true;
+    let targets;
+    try {
+      targets = $(base).get();
+    } catch {
+      return false;
+    }
+    return targets.length > 0 && targets.every((el) => replacements.some((replacement) => matches($, el, replacement)));
+  };
+
+  $("style").each((_, el) => {
+    const tag = el.sourceCodeLocation && el.sourceCodeLocation.startTag;
+    if (!tag) return;
+
+    for (const { selectors, declarations } of parseStylesheet($(el).text())) {
+      const declaration = declarations.find(removesOutline);
+      if (!declaration) continue;
+      const unreplaced = selectors.filter(
+        (selector) => !/:not\(\s*:focus-visible\s*\)/.test(selector) && !isReplaced(selector)
+      );
+      if (!unreplaced.length) continue;
+
+      // Lines inside the block are counted from the line of the <style> start tag
+      const line = tag.endLine + (declaration.position ? declaration.position.start.line - 1 : 0);
+      errors.push({
+        file,
+        ...lineLocation(line),
+        type: "focus-outline-removed",
+        message: `"${unreplaced.join(", ")}" sets ${declaration.property}: ${declaration.value} without a :focus-visible replacement`,
+      });
+    }
+  });
+
+  $("[style]").each((_, el) => {
+    const style = $(el).attr("style");
+    if (isDynamic(style) || !isTabbable(el)) return;
+    if (replacements.some((replacement) => matches($, el, replacement))) return;
+    const declaration = parseInlineStyle(style).find(removesOutline);
+    if (!declaration) return;
+
+    errors.push({
+      file,
+      ...getLocation(el),
+      type: "focus-outline-removed",
+      message: `<${el.name}> sets ${declaration.property}: ${declaration.value} inline without a :focus-visible replacement`,
+    });
+  });
+
+  return errors;
+}
+
+module.exports.meta = {
+  id: "focus-outline-removed",
+  description: "Checks that focus outlines are not removed without a :focus-visible replacement",
+  types: {
+    "focus-outline-removed": {
+      label: "🔦  Focus Outline Removed",
+      color: "magenta",
+      severity: "warning",
+      description: "outline: none / outline: 0 without a :focus-visible style",
+      help: "Keep the outline, or add a :focus-visible rule with a clearly visible outline or box-shadow.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/focus-visible.html",
+      wcag: ["2.4.7"],
+    },
+  },
+};
@@ -0,0 +1,87 @@
+const { tabbableElements } = require("../utils/focus");
+const { isFullDocument } = require("../utils/location");
+
+// Tabbable elements before the main content that may hold the skip link when the page has no <main>
+const LEADING_ELEMENTS = 3;
+
+/**
+ * Checks that full documents with content before the main area start with a
+ * skip link (an in-page link among the first focusable elements) and that
+ * its target exists. Pages whose `<main>` is the first thing keyboard users
+ * reach do not need one. Partial templates are skipped.
+ *
+ * @param {object} context - Shared rule context (see `src/utils/context.js`).
+ * @returns {object[]} List of skip link issues.
+ */
+module.exports = function skipLink({ $, file, getLocation, isDynamic }) {
+  if (!isFullDocument($)) return [];
+
+  const body = $("body")[0];
+  const tabbable = tabbableElements(body);
+  const main = $("main, [role='main']")[0];
+  const order = new Map($("*").get().map((el, index) => [el, index]));
+  const leading = main
+    ? tabbable.filter((el) => order.get(el) < order.get(main))
+    : tabbable.slice(0, LEADING_ELEMENTS);
+  if (!leading.length) return [];
+
+  const candidates = leading
+    .slice(0, LEADING_ELEMENTS)
+    .filter((el) => el.name === "a" && /^#./.test($(el).attr("href") || "") && !isDynamic($(el).attr("href")));
+  const targetExists = (href) => {
+    let id = href.slice(1);
+    try {
+      id = decodeURIComponent(id);
+    } catch {
+      // Malformed escapes are compared as written
+    }
+    return $("[id], a[name]").filter((_, el) => $(el).attr("id") === id || $(el).attr("name") === id).length > 0;
+  };
+
+  if (candidates.some((el) => targetExists($(el).attr("href")))) return [];
+
+  if (candidates.length) {
+    return candidates.map((el) => ({
+      file,
+      ...getLocation(el),
+      type: "skip-link-broken",
+      message: `Skip link points to ${$(el).attr("href")}, but no element has that id`,
+    }));
+  }
+
+  return [
+    {
+      file,
+      ...getLocation(leading[0]),
+      type: "skip-link-missing",
+      message: `Page has no skip link: keyboard users must tab through <${leading[0].name}> and ${leading.length - 1} more element(s) before the main content`,
+    },
+  ];
+}
+
+module.exports.meta = {
+  id: "skip-link",
+  description: "Checks that pages start with a working skip link to the main content",
+  types: {
+    "skip-link-missing": {
+      label: "⏭️  Missing Skip Link",
+      color: "yellow",
+      severity: "warning",
+      description: "No skip link before the repeated content at the top of the page",
+      help: "Add <a href=\"#main\">Skip to main content</a> as the first focusable element, pointing to the main content.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/bypass-blocks.html",
+      wcag: ["2.4.1"],
+      requiresDocument: true,
+    },
+    "skip-link-broken": {
+      label: "⏭️  Broken Skip Link",
+      color: "red",
+      severity: "error",
+      description: "Skip link points to an id that does not exist",
+      help: "Make the skip link's href match the id of the main content, e.g. href=\"#main\" and <main id=\"main\">.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/bypass-blocks.html",
+      wcag: ["2.4.1"],
+      requiresDocument: true,
+    },
+  },
+};
@@ -0,0 +1,40 @@
+/**
+ * Flags positive `tabindex` values, which move elements ahead of the rest of
+ * the page in the tab order instead of following the document order.
+ *
+ * @param {object} context - Shared rule context (see `src/utils/context.js`).
+ * @returns {object[]} List of positive tabindex issues.
+ */
+module.exports = function tabindexPositive({ $, file, getLocation, isDynamic }) {
+  const errors = [];
+
+  $("[tabindex]").each((_, el) => {
+    const tabindex = $(el).attr("tabindex");
+    if (isDynamic(tabindex) || !(parseInt(tabindex, 10) > 0)) return;
+
+    errors.push({
+      file,
+      ...getLocation(el),
+      type: "tabindex-positive",
+      message: `<${el.name}> has tabindex="${tabindex.trim()}", which overrides the natural tab order`,
+    });
+  });
+
+  return errors;
+}
+
+module.exports.meta = {
+  id: "tabindex-positive",
+  description: "Checks that tabindex values are not greater than 0",
+  types: {
+    "tabindex-positive": {
+      label: "🔢  Positive tabindex",
+      color: "yellow",
+      severity: "warning",
+      description: "tabindex greater than 0 changes the focus order",
+      help: "Use tabindex=\"0\" (or a focusable element) and order the markup the way it should be navigated.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/focus-order.html",
+      wcag: ["2.4.3"],
+    },
+  },
+};
@@ -0,0 +1,201 @@
+const { explicitRole } = require("../utils/aria");
+
+const LAYOUT_ROLES = ["presentation", "none"];
+const DATA_ROLES = ["table", "grid", "treegrid"];
+const HEADER_ROLES = ["columnheader", "rowheader"];
+const SCOPES = ["row", "col", "rowgroup", "colgroup"];
+
+/**
+ * Returns whether a cell is a header cell: a `<th>`, or a cell with a header role.
+ * @param {object} cell
+ * @returns {boolean}
+ */
+function isHeaderCell(cell) {
+  const role = explicitRole(cell);
+  return role ? HEADER_ROLES.includes(role) : cell.name === "th";
+}
+
+/**
+ * Returns the number of columns or rows a cell spans.
+ * @param {object} cell
+ * @param {string} name - `colspan` or `rowspan`.
+ * @returns {number}
+ */
+function span(cell, name) {
+  const value = parseInt(cell.attribs[name], 10);
+  return Number.isNaN(value) ? 1 : value;
+}
+
+/**
+ * Checks the structure of tables:
+ * - data tables need header cells and a caption (or another accessible name)
+ * - in complex tables (several header rows, spanning headers, or both row and
+ *   column headers) every `<th>` needs a `scope`, unless cells use `headers`
+ * - `headers` must refer to header cells of the same table
+ * - layout tables (`role="presentation"`/`"none"`) must not use `<th>`,
+ *   `<caption>` or `summary`
+ *
+ * A table without header cells counts as a data table when it has at least
+ * two rows and two columns and is not marked as a layout table.
+ *
+ * @param {object} context - Shared rule context (see `src/utils/context.js`).
+ * @returns {object[]} List of table issues.
+ */
+module.exports = function tables({ $, file, getLocation, isDynamic, fixer, accessibleName }) {
+  const errors = [];
+
+  $("table").each((_, table) => {
+    const $table = $(table);
+    const own = (selector) => $table.find(selector).filter((_, el) => $(el).closest("table")[0] === table).get();
+    const role = explicitRole(table);
+
+    if (role && LAYOUT_ROLES.includes(role)) {
+      const semantics = [
+        own("th").length && "<th>",
+        own("caption").length && "<caption>",
+        $table.attr("summary") !== undefined && "summary",
+        own("[headers], [scope]").length && "headers/scope",
+      ].filter(Boolean);
+      if (semantics.length) {
+        errors.push({
+          file,
+          ...getLocation(table),
+          type: "layout-table-semantics",
+          message: `Layout table (role="${role}") uses ${semantics.join(", ")}`,
+        });
+      }
+      return;
+    }
+    // Tables used as other widgets (role="list", ...) are checked by the ARIA rules
+    if (role && !DATA_ROLES.includes(role)) return;
+
+    const rows = own("tr").map((row) => $(row).children("th, td").get());
+    const cells = rows.flat();
+    const headers = cells.filter(isHeaderCell);
+
+    if (!headers.length) {
+      if (rows.length < 2 || !rows.some((row) => row.length > 1)) return;
+      errors.push({
+        file,
+        ...getLocation(table),
+        type: "table-no-headers",
+        message: "Data table has no header cells (<th>)",
+      });
+    }
+
+    if (!accessibleName(table)) {
+      errors.push({
+        file,
+        ...getLocation(table),
+        type: "table-caption-missing",
+        message: "Data table has no <caption> or accessible name",
+      });
+    }
+
+    // headers="…" must point to header cells of this table
+    const ids = new Map(own("[id]").map((el) => [$(el).attr("id"), el]));
+    for (const cell of cells) {
+      const value = $(cell).attr("headers");
+      if (value === undefined) continue;
+      const broken = value
+        .trim()
+        .split(/\s+/)
+        .filter((id) => id && !isDynamic(id))
+        .filter((id) => !ids.has(id) || !isHeaderCell(ids.get(id)));
+      if (!broken.length) continue;
+      errors.push({
+        file,
+        ...getLocation(cell),
+        type: "td-headers-broken",
+        message: `<${cell.name} headers="${value}"> refers to ${broken.map((id) => `#${id}`).join(", ")}, which ${
+          broken.length > 1 ? "are not header cells" : "is not a header cell"
+        } of this table`,
+      });
+    }
+
+    // Cells with headers="…" state their headers explicitly, so scope is not needed
+    if (cells.some((cell) => $(cell).attr("headers") !== undefined)) return;
+
+    const headerRows = rows.filter((row) => row.length && row.every(isHeaderCell));
+    const rowHeaders = rows.filter((row) => !headerRows.includes(row)).flatMap((row) => row.filter(isHeaderCell));
+    const complex =
+      headerRows.length > 1 ||
+      (headerRows.length > 0 && rowHeaders.length > 0) ||
+      headers.some((cell) => span(cell, "colspan") > 1 || span(cell, "rowspan") > 1);
+
+    for (const cell of headers.filter((header) => header.name === "th")) {
+      const scope = $(cell).attr("scope");
+      if (scope !== undefined && (isDynamic(scope) || SCOPES.includes(scope.trim().toLowerCase()))) continue;
+      if (scope === undefined && (!complex || isDynamic(cell))) continue;
+
+      // Single headers of a column or row get an obvious scope
+      const inHeaderRow = headerRows.some((row) => row.includes(cell));
+      const value = inHeaderRow ? "col" : "row";
+      const fixable = span(cell, inHeaderRow ? "colspan" : "rowspan") === 1;
+      errors.push({
+        file,
+        ...getLocation(cell),
+        type: "th-scope-missing",
+        message:
+          scope === undefined
+            ? "<th> in a complex table has no scope attribute"
+            : `<th scope="${scope}"> has an invalid scope (use row, col, rowgroup or colgroup)`,
+        ...(fixable && { fix: fixer.setAttribute(cell, "scope", value) }),
+      });
+    }
+  });
+
+  return errors;
+}
+
+module.exports.meta = {
+  id: "table-structure",
+  description: "Checks table headers, captions, headers/scope associations and layout tables",
+  types: {
+    "table-no-headers": {
+      label: "📊  Table Without Headers",
+      color: "yellow",
+      severity: "warning",
+      description: "Data table has no <th> header cells",
+      help: "Mark the header cells of the table with <th>, or add role=\"presentation\" if the table is only used for layout.",
+      helpUri: "https://www.w3.org/WAI/tutorials/tables/",
+      wcag: ["1.3.1"],
+    },
+    "th-scope-missing": {
+      label: "📊  Missing Header Scope",
+      color: "yellow",
+      severity: "warning",
+      description: "<th> in a complex table has no scope, or an invalid one",
+      help: "Add scope=\"col\" to column headers and scope=\"row\" to row headers (colgroup/rowgroup for spanning headers).",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Techniques/html/H63",
+      wcag: ["1.3.1"],
+    },
+    "td-headers-broken": {
+      label: "📊  Broken Headers Reference",
+      color: "red",
+      severity: "error",
+      description: "headers attribute refers to an id that is not a header cell of the same table",
+      help: "Give each header cell an id and list those ids in the headers attribute of the data cells.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Techniques/html/H43",
+      wcag: ["1.3.1"],
+    },
+    "table-caption-missing": {
+      label: "📊  Missing Table Caption",
+      color: "yellow",
+      severity: "warning",
+      description: "Data table has no <caption>, aria-label or aria-labelledby",
+      help: "Add a <caption> as the first child of the table, or name it with aria-labelledby pointing to its heading.",
+      helpUri: "https://www.w3.org/WAI/tutorials/tables/caption-summary/",
+      wcag: ["1.3.1"],
+    },
+    "layout-table-semantics": {
+      label: "📊  Layout Table With Data Markup",
+      color: "red",
+      severity: "error",
+      description: "Table with role=\"presentation\" or \"none\" uses <th>, <caption> or summary",
+      help: "Use <td> only in layout tables, or remove the role if the table holds data. Prefer CSS for layout.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Techniques/failures/F46",
+      wcag: ["1.3.1"],
+    },
+  },
+};
@@ -1,36 +1,44 @@
-const cheerio = require("cheerio");
-const getLineNumber = require("../utils/getLineNumber");
+const { formatName, isHiddenInTree } = require("../utils/accname");
 
 /**
- * Checks if checkboxes and radios are properly labeled.
+ * Checks if checkboxes and radios are properly labeled: their accessible
+ * name (from a <label>, aria-labelledby, aria-label or title) must not be empty.
  *
- * @param {string} content - HTML content.
- * @param {string} file - File name.
+ * @param {object} context - Shared rule context (see `src/utils/context.js`).
  * @returns {object[]} List of form label errors.
  */
-module.exports = function unlabeledInputs(content, file) {
-  const $ = cheerio.load(content);
+module.exports = function unlabeledInputs({ $, file, getLocation, accessibleName }) {
   const errors = [];
 
   $("input[type='checkbox'], input[type='radio']").each((_, el) => {
-    const $el = $(el);
-    const id = $el.attr("id");
-    const label = id && $(`label[for='${id}']`).length > 0;
-    const wrapped = $el.parents("label").length > 0;
-
-    if (!label && !wrapped) {
-      const html = $.html(el);
-      const tagIndex = content.indexOf(html);
-      const lineNumber = getLineNumber(content, tagIndex);
+    if (isHiddenInTree(el)) return;
+    const name = accessibleName(el);
 
+    if (!name) {
       errors.push({
         file,
-        line: lineNumber,
+        ...getLocation(el),
         type: "input-unlabeled",
-        message: `<input type="${$el.attr("type")}"> is not associated with a label`,
+        message: `<input type="${$(el).attr("type")}"> is not associated with a label (accessible name: ${formatName(name)})`,
       });
     }
   });
 
   return errors;
 }
+
+module.exports.meta = {
+  id: "input-unlabeled",
+  description: "Checks that checkboxes and radios have a label",
+  types: {
+    "input-unlabeled": {
+      label: "🔘  Unlabeled Checkboxes/Radios",
+      color: "magenta",
+      severity: "error",
+      description: "Checkbox or radio has no accessible name",
+      help: "Associate each checkbox and radio with a <label>, either via for/id or by nesting.",
+      helpUri: "https://www.w3.org/WAI/WCAG22/Understanding/labels-or-instructions.html",
+      wcag: ["1.3.1", "3.3.2", "4.1.2"],
+    },
+  },
+};
@@ -0,0 +1,305 @@
+const { DYNAMIC, isDynamic } = require("../preprocessors");
+const { getRole } = require("./aria");
+
+// Roles whose name can come from their content (accname 1.2 step 2F)
+const NAME_FROM_CONTENT = [
+  "button",
+  "cell",
+  "checkbox",
+  "columnheader",
+  "gridcell",
+  "heading",
+  "link",
+  "menuitem",
+  "menuitemcheckbox",
+  "menuitemradio",
+  "option",
+  "radio",
+  "row",
+  "rowheader",
+  "sectionhead",
+  "switch",
+  "tab",
+  "tooltip",
+  "treeitem",
+];
+
+// Elements that never render content
+const NOT_RENDERED = ["head", "script", "style", "template", "noscript", "title"];
+
+// Elements laid out inline; the content of any other element is separated by spaces
+const INLINE = [
+  "a", "abbr", "b", "bdi", "bdo", "cite", "code", "data", "del", "dfn", "em", "font", "i", "ins", "kbd",
+  "mark", "q", "s", "samp", "small", "span", "strong", "sub", "sup", "time", "u", "var",
+];
+
+// Controls whose value is their name when embedded in a label (step 2C)
+const EMBEDDED_CONTROLS = ["textbox", "searchbox", "combobox", "listbox", "slider", "spinbutton"];
+
+const LABELABLE = ["button", "input", "meter", "output", "progress", "select", "textarea"];
+
+const isElement = (node) => node.type === "tag" || node.type === "script" || node.type === "style";
+
+/**
+ * Returns whether an element is not rendered according to its markup:
+ * `hidden`, an inline `display: none` / `visibility: hidden`, a hidden input
+ * or an element that never renders. Stylesheets are not consulted.
+ * @param {object} el
+ * @returns {boolean}
+ */
+function isNotRendered(el) {
+  const attribs = el.attribs || {};
+  if (NOT_RENDERED.includes(el.name) || "hidden" in attribs) return true;
+  if (el.name === "input" && (attribs.type || "").toLowerCase() === "hidden") return true;
+  return /(^|;)\s*(display\s*:\s*none|visibility\s*:\s*hidden)\s*(!important\s*)?(;|$)/i.test(attribs.style || "");
+}
+
+/**
+ * Returns whether an element is hidden from assistive technology by markup:
+ * not rendered (see `isNotRendered`) or `aria-hidden="true"`.
+ * @param {object} el
+ * @returns {boolean}
+ */
+function isHidden(el) {
+  return isNotRendered(el) || (el.attribs || {})["aria-hidden"] === "true";
+}
+
+/**
+ * Returns whether an element or one of its ancestors is hidden (see `isHidden`).
+ * @param {object} el
+ * @returns {boolean}
+ */
+function isHiddenInTree(el) {
+  for (let node = el; node && node.name; node = node.parent) {
+    if (isHidden(node)) return true;
+  }
+  return false;
+}
+
+/**
+ * Normalizes whitespace in a computed name.
+ * @param {string} text
+ * @returns {string}
+ */
+function flatten(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Creates a name computer for one document. Ids and label associations are
+ * looked up once per document.
+ *
+ * @param {import("cheerio").CheerioAPI} $ - Document.
+ * @returns {function(object, object=): string} `(el, { fromContent })` computing
+ *   the accessible name of an element.
+ */
+function createNameComputer($) {
+  const ids = new Map();
+  const labelsFor = new Map();
+  let dynamicIds = false;
+  let dynamicLabels = false;
+
+  $("[id]").each((_, el) => {
+    const id = el.attribs.id;
+    if (isDynamic(id)) dynamicIds = true;
+    else if (!ids.has(id)) ids.set(id, el);
+  });
+  // Template output among the attributes may set any id, or the for attribute of a label
+  $("*").each((_, el) => {
+    if (!isDynamic(el)) return;
+    dynamicIds = true;
+    if (el.name === "label") dynamicLabels = true;
+  });
+  $("label[for]").each((_, el) => {
+    const target = el.attribs.for;
+    if (isDynamic(target)) dynamicLabels = true;
+    else if (!labelsFor.has(target)) labelsFor.set(target, [el]);
+    else labelsFor.get(target).push(el);
+  });
+
+  /**
+   * Returns the <label> elements of a labelable element.
+   * @param {object} el
+   * @returns {{ labels: object[], dynamic: boolean }}
+   */
+  const labelsOf = (el) => {
+    const id = el.attribs.id;
+    const labels = id && !isDynamic(id) ? [...(labelsFor.get(id) || [])] : [];
+    for (let parent = el.parent; parent && parent.name; parent = parent.parent) {
+      if (parent.name === "label" && !parent.attribs.for) labels.push(parent);
+    }
+    // A label whose for attribute is template output may point to the element
+    return { labels, dynamic: Boolean(id) && dynamicLabels && !labels.length };
+  };
+
+  /**
+   * Returns the value of an embedded control (step 2C).
+   * @param {object} el
+   * @param {string} role
+   * @returns {string}
+   */
+  const controlValue = (el, role) => {
+    const attribs = el.attribs;
+    if (role === "textbox" || role === "searchbox") {
+      return el.name === "textarea" ? $(el).text() : attribs.value || "";
+    }
+    if (role === "combobox" || role === "listbox") {
+      if (el.name !== "select") return attribs.value || "";
+      const options = $(el).find("option");
+      const selected = options.filter((_, option) => "selected" in option.attribs);
+      // A single-select list shows its first option when none is selected
+      const chosen = selected.length || role === "listbox" ? selected : options.first();
+      return chosen
+        .map((_, option) => flatten($(option).text()))
+        .get()
+        .join(" ");
+    }
+    return attribs["aria-valuetext"] || attribs["aria-valuenow"] || attribs.value || "";
+  };
+
+  /**
+   * Returns the name an element gets from its host language (step 2E, per HTML-AAM).
+   * @param {object} el
+   * @param {object} state
+   * @returns {string}
+   */
+  const nativeName = (el, state) => {
+    const attribs = el.attribs;
+    const type = (attribs.type || "").toLowerCase();
+
+    if (el.name === "input" && ["button", "submit", "reset"].includes(type)) {
+      if (attribs.value !== undefined) return attribs.value;
+      return { submit: "Submit", reset: "Reset" }[type] || "";
+    }
+    if (el.name === "input" && type === "image") return attribs.alt || attribs.value || "";
+    if (LABELABLE.includes(el.name)) {
+      const { labels, dynamic } = labelsOf(el);
+      if (dynamic) return DYNAMIC;
+      const name = labels
+        .map((label) => compute(label, { ...state, inLabel: true, fromContent: true, skip: el }))
+        .join(" ");
+      if (flatten(name)) return name;
+    }
+    if (el.name === "img" || el.name === "area") return attribs.alt || "";
+    if (el.name === "fieldset") return childName(el, "legend", state);
+    if (el.name === "figure") return childName(el, "figcaption", state);
+    if (el.name === "table") return childName(el, "caption", state);
+    if (el.name === "svg") {
+      const title = $(el).children("title").first();
+      return title.length ? title.text() : "";
+    }
+    if (el.name === "optgroup") return attribs.label || "";
+    return "";
+  };
+
+  /**
+   * Returns the name of the first child element with a tag name (legend, caption, ...).
+   * @param {object} el
+   * @param {string} tag
+   * @param {object} state
+   * @returns {string}
+   */
+  const childName = (el, tag, state) => {
+    const child = (el.children || []).find((node) => node.name === tag);
+    return child ? compute(child, { ...state, fromContent: true }) : "";
+  };
+
+  /**
+   * Computes the text alternative of the children of an element (step 2F).
+   * @param {object} el
+   * @param {object} state
+   * @returns {string}
+   */
+  const contentName = (el, state) =>
+    (el.children || [])
+      .map((node) => {
+        if (node.type === "text") return node.data;
+        if (!isElement(node)) return "";
+        const name = compute(node, { ...state, recursive: true });
+        if (node.name === "br") return " ";
+        return INLINE.includes(node.name) ? name : ` ${name} `;
+      })
+      .join("");
+
+  /**
+   * Text alternative computation (accname 1.2, step 2).
+   * @param {object} el
+   * @param {object} state - `{ visited, root, inLabelledBy, inLabel, recursive, fromContent,
+   *   skip, referenced, hiddenReference }`.
+   * @returns {string}
+   */
+  const compute = (el, state) => {
+    if (el.type === "text") return el.data;
+    if (state.visited.has(el) || el === state.skip) return "";
+    const visited = new Set(state.visited).add(el);
+    const { root } = state;
+    state = { ...state, visited, root: false };
+    const attribs = el.attribs || {};
+    const role = getRole(el);
+
+    // 2A: hidden content is skipped, unless it belongs to a hidden node
+    // directly referenced by aria-labelledby (a hidden root still gets its name)
+    if (!root && isHidden(el)) {
+      if (!state.referenced && !state.hiddenReference) return "";
+      if (state.referenced) state.hiddenReference = true;
+    }
+    state.referenced = false;
+
+    // 2B: aria-labelledby, not followed when already computing a labelledby name
+    const labelledBy = (attribs["aria-labelledby"] || "").trim();
+    if (labelledBy && !state.inLabelledBy) {
+      const name = labelledBy
+        .split(/\s+/)
+        .map((id) => {
+          if (isDynamic(id)) return DYNAMIC;
+          const target = ids.get(id);
+          if (!target) return dynamicIds ? DYNAMIC : "";
+          // Starts afresh so an element can reference itself (`aria-labelledby="self other"`);
+          // inLabelledBy stops further references, which ends cycles
+          return compute(target, { visited: new Set(), inLabelledBy: true, referenced: true, fromContent: true });
+        })
+        .join(" ");
+      if (flatten(name)) return name;
+    }
+
+    // 2C: controls embedded in a label contribute their value
+    const embedded = state.inLabelledBy || state.inLabel || state.recursive;
+    if (embedded && EMBEDDED_CONTROLS.includes(role)) return controlValue(el, role);
+
+    // 2D: aria-label
+    const label = attribs["aria-label"];
+    if (label && label.trim()) return label;
+
+    // 2E: host language label
+    if (role !== "presentation" && role !== "none") {
+      const name = nativeName(el, state);
+      if (flatten(name)) return name;
+    }
+
+    // 2F: name from content
+    if (state.fromContent || state.recursive || NAME_FROM_CONTENT.includes(role)) {
+      const name = contentName(el, { ...state, fromContent: false });
+      if (flatten(name)) return name;
+    }
+
+    // 2I: tooltip attribute, or a placeholder for text fields; template output
+    // among the attributes may set any of aria-label, title, ...
+    return attribs.title || (embedded ? "" : attribs.placeholder || "") || (isDynamic(el) ? DYNAMIC : "");
+  };
+
+  return (el, { fromContent = false } = {}) =>
+    flatten(compute(el, { visited: new Set(), root: true, inLabelledBy: false, fromContent }));
+}
+
+/**
+ * Formats a computed name for issue messages: quoted, shortened, with
+ * template output shown as `{…}`.
+ * @param {string} name
+ * @returns {string}
+ */
+function formatName(name) {
+  const text = name.replace(new RegExp(`${DYNAMIC}+`, "g"), "{…}");
+  return JSON.stringify(text.length > 60 ? `${text.slice(0, 59)}…` : text);
+}
+
+module.exports = { createNameComputer, formatName, isNotRendered, isHidden, isHiddenInTree };
@@ -0,0 +1,525 @@
+/**
+ * Implicit ARIA roles of HTML elements (HTML-AAM), for the elements whose
+ * role does not depend on their attributes or context.
+ */
+const IMPLICIT_ROLES = {
+  address: "group",
+  article: "article",
+  aside: "complementary",
+  b: "generic",
+  bdi: "generic",
+  bdo: "generic",
+  blockquote: "blockquote",
+  body: "generic",
+  button: "button",
+  caption: "caption",
+  code: "code",
+  data: "generic",
+  datalist: "listbox",
+  del: "deletion",
+  details: "group",
+  dialog: "dialog",
+  div: "generic",
+  dd: "definition",
+  dfn: "term",
+  dt: "term",
+  em: "emphasis",
+  fieldset: "group",
+  figure: "figure",
+  h1: "heading",
+  h2: "heading",
+  h3: "heading",
+  h4: "heading",
+  h5: "heading",
+  h6: "heading",
+  hr: "separator",
+  html: "document",
+  i: "generic",
+  ins: "insertion",
+  li: "listitem",
+  main: "main",
+  math: "math",
+  menu: "list",
+  meter: "meter",
+  nav: "navigation",
+  ol: "list",
+  optgroup: "group",
+  option: "option",
+  output: "status",
+  p: "paragraph",
+  pre: "generic",
+  progress: "progressbar",
+  q: "generic",
+  samp: "generic",
+  search: "search",
+  small: "generic",
+  span: "generic",
+  strong: "strong",
+  sub: "subscript",
+  summary: "button",
+  sup: "superscript",
+  table: "table",
+  tbody: "rowgroup",
+  td: "cell",
+  textarea: "textbox",
+  tfoot: "rowgroup",
+  thead: "rowgroup",
+  time: "time",
+  tr: "row",
+  u: "generic",
+  ul: "list",
+};
+
+// Roles of <input> by type; missing and unknown types are text fields
+const INPUT_ROLES = {
+  button: "button",
+  checkbox: "checkbox",
+  email: "textbox",
+  image: "button",
+  number: "spinbutton",
+  radio: "radio",
+  range: "slider",
+  reset: "button",
+  search: "searchbox",
+  submit: "button",
+  tel: "textbox",
+  text: "textbox",
+  url: "textbox",
+};
+
+// Input types without a role (no accessibility mapping in HTML-AAM)
+const UNMAPPED_INPUTS = ["color", "date", "datetime-local", "file", "hidden", "month", "password", "time", "week"];
+
+// Sectioning elements that turn <header>/<footer> into generic containers
+const SECTIONING = ["article", "aside", "main", "nav", "section"];
+
+/**
+ * WAI-ARIA 1.2 states and properties with their value types:
+ *
+ * - `true/false`, `tristate` (adds `mixed`), `true/false/undefined`
+ * - `token` / `tokens` – one or a space-separated list of `values`
+ * - `idref` / `idrefs`, `integer`, `number`, `string`
+ *
+ * `aria-description` (ARIA 1.3) is listed because browsers already support it.
+ */
+const ATTRIBUTES = {
+  "aria-activedescendant": { type: "idref" },
+  "aria-atomic": { type: "true/false" },
+  "aria-autocomplete": { type: "token", values: ["inline", "list", "both", "none"] },
+  "aria-busy": { type: "true/false" },
+  "aria-checked": { type: "tristate" },
+  "aria-colcount": { type: "integer" },
+  "aria-colindex": { type: "integer" },
+  "aria-colspan": { type: "integer" },
+  "aria-controls": { type: "idrefs" },
+  "aria-current": { type: "token", values: ["page", "step", "location", "date", "time", "true", "false"] },
+  "aria-describedby": { type: "idrefs" },
+  "aria-description": { type: "string" },
+  "aria-details": { type: "idref" },
+  "aria-disabled": { type: "true/false" },
+  "aria-dropeffect": { type: "tokens", values: ["copy", "execute", "link", "move", "none", "popup"] },
+  "aria-errormessage": { type: "idref" },
+  "aria-expanded": { type: "true/false/undefined" },
+  "aria-flowto": { type: "idrefs" },
+  "aria-grabbed": { type: "true/false/undefined" },
+  "aria-haspopup": { type: "token", values: ["false", "true", "menu", "listbox", "tree", "grid", "dialog"] },
+  "aria-hidden": { type: "true/false/undefined" },
+  "aria-invalid": { type: "token", values: ["grammar", "false", "spelling", "true"] },
+  "aria-keyshortcuts": { type: "string" },
+  "aria-label": { type: "string" },
+  "aria-labelledby": { type: "idrefs" },
+  "aria-level": { type: "integer" },
+  "aria-live": { type: "token", values: ["assertive", "off", "polite"] },
+  "aria-modal": { type: "true/false" },
+  "aria-multiline": { type: "true/false" },
+  "aria-multiselectable": { type: "true/false" },
+  "aria-orientation": { type: "token", values: ["horizontal", "undefined", "vertical"] },
+  "aria-owns": { type: "idrefs" },
+  "aria-placeholder": { type: "string" },
+  "aria-posinset": { type: "integer" },
+  "aria-pressed": { type: "tristate" },
+  "aria-readonly": { type: "true/false" },
+  "aria-relevant": { type: "tokens", values: ["additions", "all", "removals", "text"] },
+  "aria-required": { type: "true/false" },
+  "aria-roledescription": { type: "string" },
+  "aria-rowcount": { type: "integer" },
+  "aria-rowindex": { type: "integer" },
+  "aria-rowspan": { type: "integer" },
+  "aria-selected": { type: "true/false/undefined" },
+  "aria-setsize": { type: "integer" },
+  "aria-sort": { type: "token", values: ["ascending", "descending", "none", "other"] },
+  "aria-valuemax": { type: "number" },
+  "aria-valuemin": { type: "number" },
+  "aria-valuenow": { type: "number" },
+  "aria-valuetext": { type: "string" },
+};
+
+// Global states and properties, supported on every role (including those deprecated as global in 1.2)
+const GLOBAL_ATTRIBUTES = [
+  "aria-atomic",
+  "aria-busy",
+  "aria-controls",
+  "aria-current",
+  "aria-describedby",
+  "aria-description",
+  "aria-details",
+  "aria-disabled",
+  "aria-dropeffect",
+  "aria-errormessage",
+  "aria-flowto",
+  "aria-grabbed",
+  "aria-haspopup",
+  "aria-hidden",
+  "aria-invalid",
+  "aria-keyshortcuts",
+  "aria-label",
+  "aria-labelledby",
+  "aria-live",
+  "aria-owns",
+  "aria-relevant",
+  "aria-roledescription",
+];
+
+// Abstract roles are ontology building blocks and must not be used in content
+const ABSTRACT_ROLES = [
+  "command",
+  "composite",
+  "input",
+  "landmark",
+  "range",
+  "roletype",
+  "section",
+  "sectionhead",
+  "select",
+  "structure",
+  "widget",
+  "window",
+];
+
+const CELL = ["aria-colindex", "aria-colspan", "aria-rowindex", "aria-rowspan"];
+const HEADER = [...CELL, "aria-expanded", "aria-readonly", "aria-required", "aria-selected", "aria-sort"];
+const MENU_ITEM = ["aria-expanded", "aria-posinset", "aria-setsize"];
+const MENU_ITEMS = ["group", "menuitem", "menuitemcheckbox", "menuitemradio"];
+const RANGE = ["aria-valuemax", "aria-valuemin", "aria-valuenow", "aria-valuetext"];
+const TEXTBOX = [
+  "aria-activedescendant",
+  "aria-autocomplete",
+  "aria-multiline",
+  "aria-placeholder",
+  "aria-readonly",
+  "aria-required",
+];
+
+/**
+ * Concrete WAI-ARIA 1.2 roles (plus DPUB-ARIA and Graphics ARIA roles):
+ *
+ * - `supported` – states and properties besides the global ones
+ * - `required` – states and properties an author must set
+ * - `context` – roles one of which the closest ancestor with a role must have
+ * - `owned` – roles at least one owned element must have
+ * - `nameProhibited` – `aria-label` and `aria-labelledby` are not allowed
+ */
+const ROLES = {
+  alert: {},
+  alertdialog: { supported: ["aria-modal"] },
+  application: { supported: ["aria-activedescendant", "aria-expanded"] },
+  article: { supported: ["aria-posinset", "aria-setsize"] },
+  banner: {},
+  blockquote: {},
+  button: { supported: ["aria-expanded", "aria-pressed"] },
+  caption: { context: ["figure", "grid", "table", "treegrid"], nameProhibited: true },
+  cell: { context: ["row"], supported: CELL },
+  checkbox: { required: ["aria-checked"], supported: ["aria-expanded", "aria-readonly", "aria-required"] },
+  code: { nameProhibited: true },
+  columnheader: { context: ["row"], supported: HEADER },
+  combobox: {
+    required: ["aria-expanded"],
+    supported: ["aria-activedescendant", "aria-autocomplete", "aria-readonly", "aria-required"],
+  },
+  complementary: {},
+  contentinfo: {},
+  definition: {},
+  deletion: { nameProhibited: true },
+  dialog: { supported: ["aria-modal"] },
+  directory: {},
+  document: { supported: ["aria-expanded"] },
+  emphasis: { nameProhibited: true },
+  feed: { owned: ["article"] },
+  figure: {},
+  form: {},
+  generic: { nameProhibited: true },
+  grid: {
+    owned: ["row", "rowgroup"],
+    supported: ["aria-activedescendant", "aria-colcount", "aria-multiselectable", "aria-readonly", "aria-rowcount"],
+  },
+  gridcell: {
+    context: ["row"],
+    supported: [...CELL, "aria-expanded", "aria-readonly", "aria-required", "aria-selected"],
+  },
+  group: { supported: ["aria-activedescendant"] },
+  heading: { required: ["aria-level"] },
+  img: {},
+  insertion: { nameProhibited: true },
+  link: { supported: ["aria-expanded"] },
+  list: { owned: ["listitem"] },
+  listbox: {
+    owned: ["group", "option"],
+    supported: [
+      "aria-activedescendant",
+      "aria-expanded",
+      "aria-multiselectable",
+      "aria-orientation",
+      "aria-readonly",
+      "aria-required",
+    ],
+  },
+  listitem: { context: ["directory", "list"], supported: ["aria-level", "aria-posinset", "aria-setsize"] },
+  log: {},
+  main: {},
+  marquee: {},
+  math: {},
+  menu: { owned: MENU_ITEMS, supported: ["aria-activedescendant", "aria-orientation"] },
+  menubar: { owned: MENU_ITEMS, supported: ["aria-activedescendant", "aria-orientation"] },
+  menuitem: { context: ["group", "menu", "menubar"], supported: MENU_ITEM },
+  menuitemcheckbox: { context: ["group", "menu", "menubar"], required: ["aria-checked"], supported: MENU_ITEM },
+  menuitemradio: { context: ["group", "menu", "menubar"], required: ["aria-checked"], supported: MENU_ITEM },
+  meter: { required: ["aria-valuenow"], supported: RANGE },
+  navigation: {},
+  none: { nameProhibited: true },
+  note: {},
+  option: {
+    context: ["group", "listbox"],
+    supported: ["aria-checked", "aria-posinset", "aria-selected", "aria-setsize"],
+  },
+  paragraph: { nameProhibited: true },
+  presentation: { nameProhibited: true },
+  progressbar: { supported: RANGE },
+  radio: { required: ["aria-checked"], supported: ["aria-posinset", "aria-setsize"] },
+  radiogroup: {
+    owned: ["radio"],
+    supported: ["aria-activedescendant", "aria-orientation", "aria-readonly", "aria-required"],
+  },
+  region: {},
+  row: {
+    context: ["grid", "rowgroup", "table", "treegrid"],
+    owned: ["cell", "columnheader", "gridcell", "rowheader"],
+    supported: [
+      "aria-activedescendant",
+      "aria-colindex",
+      "aria-expanded",
+      "aria-level",
+      "aria-posinset",
+      "aria-rowindex",
+      "aria-selected",
+      "aria-setsize",
+    ],
+  },
+  rowgroup: { context: ["grid", "table", "treegrid"], owned: ["row"] },
+  rowheader: { context: ["row"], supported: HEADER },
+  scrollbar: { required: ["aria-controls", "aria-valuenow"], supported: ["aria-orientation", ...RANGE] },
+  search: {},
+  searchbox: { supported: TEXTBOX },
+  separator: { supported: ["aria-orientation", ...RANGE] },
+  slider: { required: ["aria-valuenow"], supported: ["aria-orientation", "aria-readonly", ...RANGE] },
+  spinbutton: { supported: ["aria-activedescendant", "aria-readonly", "aria-required", ...RANGE] },
+  status: {},
+  strong: { nameProhibited: true },
+  subscript: { nameProhibited: true },
+  superscript: { nameProhibited: true },
+  switch: { required: ["aria-checked"], supported: ["aria-expanded", "aria-readonly", "aria-required"] },
+  tab: { context: ["tablist"], supported: ["aria-expanded", "aria-posinset", "aria-selected", "aria-setsize"] },
+  table: { owned: ["row", "rowgroup"], supported: ["aria-colcount", "aria-rowcount"] },
+  tablist: { owned: ["tab"], supported: ["aria-activedescendant", "aria-multiselectable", "aria-orientation"] },
+  tabpanel: {},
+  term: {},
+  textbox: { supported: TEXTBOX },
+  time: {},
+  timer: {},
+  toolbar: { supported: ["aria-activedescendant", "aria-orientation"] },
+  tooltip: {},
+  tree: {
+    owned: ["group", "treeitem"],
+    supported: ["aria-activedescendant", "aria-multiselectable", "aria-orientation", "aria-required"],
+  },
+  treegrid: {
+    owned: ["row", "rowgroup"],
+    supported: [
+      "aria-activedescendant",
+      "aria-colcount",
+      "aria-multiselectable",
+      "aria-orientation",
+      "aria-readonly",
+      "aria-required",
+      "aria-rowcount",
+    ],
+  },
+  treeitem: {
+    context: ["group", "tree"],
+    supported: [
+      "aria-checked",
+      "aria-expanded",
+      "aria-level",
+      "aria-posinset",
+      "aria-selected",
+      "aria-setsize",
+    ],
+  },
+  "graphics-document": {},
+  "graphics-object": {},
+  "graphics-symbol": {},
+};
+
+// DPUB-ARIA 1.0 roles; the reference roles are links
+for (const role of [
+  "abstract", "acknowledgments", "afterword", "appendix", "biblioentry", "bibliography", "chapter", "colophon",
+  "conclusion", "cover", "credit", "credits", "dedication", "endnote", "endnotes", "epigraph", "epilogue",
+  "errata", "example", "footnote", "foreword", "glossary", "index", "introduction", "notice", "pagebreak",
+  "pagelist", "part", "preface", "prologue", "pullquote", "qna", "subtitle", "tip", "toc",
+]) {
+  ROLES[`doc-${role}`] = {};
+}
+for (const role of ["backlink", "biblioref", "glossref", "noteref"]) {
+  ROLES[`doc-${role}`] = ROLES.link;
+}
+
+/**
+ * Returns the tokens of an element's `role` attribute, lowercased.
+ * @param {object} el
+ * @returns {string[]}
+ */
+function roleTokens(el) {
+  const role = (el.attribs && el.attribs.role) || "";
+  return role.trim() ? role.trim().toLowerCase().split(/\s+/) : [];
+}
+
+/**
+ * Returns the explicit role of an element: the first concrete role in its
+ * `role` attribute (later tokens are fallbacks), or its first token when
+ * none is known.
+ * @param {object} el
+ * @returns {string|null}
+ */
+function explicitRole(el) {
+  const tokens = roleTokens(el);
+  return tokens.find((token) => ROLES[token]) || tokens[0] || null;
+}
+
+/**
+ * Returns the implicit ARIA role of an element.
+ * @param {object} el - Element.
+ * @returns {string|null} Role, or null for elements without one.
+ */
+function implicitRole(el) {
+  const attribs = el.attribs || {};
+  switch (el.name) {
+    case "a":
+    case "area":
+      return "href" in attribs ? "link" : "generic";
+    case "img":
+      return attribs.alt === "" ? "presentation" : "img";
+    case "input": {
+      const type = (attribs.type || "text").toLowerCase();
+      if (UNMAPPED_INPUTS.includes(type)) return null;
+      if (type in INPUT_ROLES) {
+        const role = INPUT_ROLES[type];
+        return role === "textbox" && attribs.list ? "combobox" : role;
+      }
+      return attribs.list ? "combobox" : "textbox";
+    }
+    case "select":
+      return "multiple" in attribs || Number(attribs.size) > 1 ? "listbox" : "combobox";
+    case "form":
+      return "form";
+    case "section":
+      // Only named sections are regions
+      return attribs["aria-label"] || attribs["aria-labelledby"] || attribs.title ? "region" : "generic";
+    case "header":
+    case "footer": {
+      let parent = el.parent;
+      while (parent && parent.name) {
+        if (SECTIONING.includes(parent.name)) return "generic";
+        parent = parent.parent;
+      }
+      return el.name === "header" ? "banner" : "contentinfo";
+    }
+    case "th":
+      return attribs.scope === "row" || attribs.scope === "rowgroup" ? "rowheader" : "columnheader";
+    default:
+      return IMPLICIT_ROLES[el.name] || null;
+  }
+}
+
+/**
+ * Returns the role of an element: its explicit role if set, otherwise its implicit one.
+ * @param {object} el - Element.
+ * @returns {string|null}
+ */
+function getRole(el) {
+  return explicitRole(el) || implicitRole(el);
+}
+
+/**
+ * Returns whether a value is valid for a state or property.
+ * @param {string} name - Attribute name.
+ * @param {string} value - Attribute value.
+ * @returns {boolean} True for valid values and unknown attributes.
+ */
+function isValidValue(name, value) {
+  const info = ATTRIBUTES[name];
+  if (!info) return true;
+  const text = value.trim();
+  const lower = text.toLowerCase();
+
+  switch (info.type) {
+    case "true/false":
+      return ["true", "false"].includes(lower);
+    case "tristate":
+      return ["true", "false", "mixed"].includes(lower);
+    case "true/false/undefined":
+      return ["true", "false", "undefined"].includes(lower);
+    case "token":
+      return info.values.includes(lower);
+    case "tokens":
+      return Boolean(lower) && lower.split(/\s+/).every((token) => info.values.includes(token));
+    case "idref":
+      return Boolean(text) && !/\s/.test(text);
+    case "idrefs":
+      return Boolean(text);
+    case "integer":
+      return /^-?\d+$/.test(text);
+    case "number":
+      return text !== "" && Number.isFinite(Number(text));
+    default:
+      return true;
+  }
+}
+
+/**
+ * Returns whether a role supports a state or property: it is global, or
+ * supported or required by the role. Unknown roles support everything.
+ * @param {string} role
+ * @param {string} name - Attribute name.
+ * @returns {boolean}
+ */
+function supportsAttribute(role, name) {
+  const info = ROLES[role];
+  if (!info) return true;
+  return (
+    GLOBAL_ATTRIBUTES.includes(name) ||
+    (info.supported || []).includes(name) ||
+    (info.required || []).includes(name)
+  );
+}
+
+module.exports = {
+  ATTRIBUTES,
+  GLOBAL_ATTRIBUTES,
+  ABSTRACT_ROLES,
+  ROLES,
+  roleTokens,
+  explicitRole,
+  implicitRole,
+  getRole,
+  isValidValue,
+  supportsAttribute,
+};
@@ -0,0 +1,92 @@
+const fs = require("fs");
+const path = require("path");
+
+const BASELINE_VERSION = 1;
+
+/**
+ * Normalizes a file path for baseline matching.
+ * Local paths become cwd-relative POSIX paths, URLs are kept as is.
+ * @param {string} file - File path or URL from an issue.
+ * @returns {string} Normalized path.
+ */
+function normalizeFile(file) {
+  if (/^https?:\/\//.test(file)) return file;
+  return path.relative(process.cwd(), path.resolve(file)).split(path.sep).join("/");
+}
+
+/**
+ * Builds the matching key of an issue: file, rule type and fingerprint.
+ * @param {object} error - Issue with a `fingerprint`.
+ * @returns {string} Key.
+ */
+function baselineKey(error) {
+  return `${normalizeFile(error.file)}|${error.type}|${error.fingerprint}`;
+}
+
+/**
+ * Reads a baseline file.
+ * @param {string} baselinePath - Path to the baseline JSON.
+ * @returns {object[]|null} Recorded entries, or null if the file does not exist.
+ */
+function readBaseline(baselinePath) {
+  if (!fs.existsSync(baselinePath)) return null;
+  const data = JSON.parse(fs.readFileSync(baselinePath, "utf-8"));
+  if (!data || !Array.isArray(data.issues)) {
+    throw new Error(`Invalid baseline file: ${baselinePath}`);
+  }
+  return data.issues;
+}
+
+/**
+ * Records the current issues to a baseline file.
+ * Line numbers and messages are stored for readability only.
+ * @param {string} baselinePath - Path to the baseline JSON.
+ * @param {object[]} errors - Issues with fingerprints.
+ */
+function writeBaseline(baselinePath, errors) {
+  const issues = errors.map((error) => ({
+    file: normalizeFile(error.file),
+    type: error.type,
+    fingerprint: error.fingerprint,
+    line: error.line,
+    message: error.message,
+  }));
+
+  fs.writeFileSync(
+    baselinePath,
+    JSON.stringify({ version: BASELINE_VERSION, issues }, null, 2),
+    "utf-8"
+  );
+}
+
+/**
+ * Splits issues into new ones and ones already recorded in the baseline.
+ * Each baseline entry absorbs at most one matching issue.
+ *
+ * @param {object[]} errors - Issues with fingerprints.
+ * @param {object[]} baseline - Entries returned by `readBaseline`.
+ * @returns {{ errors: object[], known: object[] }} New and known issues.
+ */
+function filterBaseline(errors, baseline) {
+  const remaining = new Map();
+  for (const entry of baseline) {
+    const key = baselineKey(entry);
+    remaining.set(key, (remaining.get(key) || 0) + 1);
+  }
+
+  const fresh = [];
+  const known = [];
+  for (const error of errors) {
+    const key = baselineKey(error);
+    if (remaining.get(key) > 0) {
+      remaining.set(key, remaining.get(key) - 1);
+      known.push(error);
+    } else {
+      fresh.push(error);
+    }
+  }
+
+  return { errors: fresh, known };
+}
+
+module.exports = { readBaseline, writeBaseline, filterBaseline };
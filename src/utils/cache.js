@@ -0,0 +1,117 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { version } = require("../../package.json");
+
+// Bumped when the layout of the cache file changes
+const CACHE_FORMAT = 2;
+
+/**
+ * @param {string} text
+ * @returns {string} Hex SHA-1 of the text.
+ */
+function hashContent(text) {
+  return crypto.createHash("sha1").update(text).digest("hex");
+}
+
+/**
+ * Computes the key cached results are valid for. It changes whenever the
+ * results of unchanged files could change: a new be-a11y version, a rule whose
+ * code, metadata or `meta.version` changed, or different settings.
+ *
+ * @param {object} config - Normalized config.
+ * @param {object} registry - Rule registry.
+ * @returns {string} Cache key.
+ */
+function cacheKey(config, registry) {
+  const rules = registry
+    .list()
+    .map((rule) => [rule.meta.id, rule.meta.version || hashContent(rule.toString() + JSON.stringify(rule.meta))]);
+  // Settings that do not influence the issues of a file
+  const { workers, cache, fetch, render, crawl, failOn, ...settings } = config;
+  return hashContent(JSON.stringify({ format: CACHE_FORMAT, version, rules, settings }));
+}
+
+/**
+ * @param {string} file
+ * @returns {string|null} Content hash, or null when the file cannot be read.
+ */
+function hashFile(file) {
+  try {
+    return hashContent(fs.readFileSync(file));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Loads the results cache. Entries are keyed by absolute file path and hold
+ * the content hash the issues were computed for, plus the hashes of the files
+ * the issues depend on (stylesheets); a cache written for another `key` is discarded.
+ *
+ * @param {string} location - Cache file path.
+ * @param {string} key - Result of `cacheKey`.
+ * @returns {object} Cache with `get`, `set` and `save`.
+ */
+function loadCache(location, key) {
+  let entries = {};
+  // Dependencies are shared by many files; hash each once per run
+  const dependencyHashes = new Map();
+  const dependencyHash = (file) => {
+    if (!dependencyHashes.has(file)) dependencyHashes.set(file, hashFile(file));
+    return dependencyHashes.get(file);
+  };
+
+  try {
+    const data = JSON.parse(fs.readFileSync(location, "utf-8"));
+    if (data.key === key) entries = data.files || {};
+  } catch {
+    // Missing or unreadable cache: start empty
+  }
+
+  return {
+    /**
+     * @param {string} file
+     * @param {string} contentHash - Hash of the current content (`hashContent`).
+     * @returns {{ errors: object[], document: boolean }|null} Cached issues and whether the
+     *   file is a full document, or null when the file or a dependency changed.
+     */
+    get(file, contentHash) {
+      const entry = entries[path.resolve(file)];
+      if (!entry || entry.hash !== contentHash) return null;
+      const { dependencies = {} } = entry;
+      if (Object.entries(dependencies).some(([dep, hash]) => dependencyHash(dep) !== hash)) return null;
+      return { errors: entry.errors.map((error) => ({ ...error, file })), document: Boolean(entry.document) };
+    },
+
+    /**
+     * @param {string} file
+     * @param {string} contentHash
+     * @param {object} result
+     * @param {object[]} result.errors - Issues of the file.
+     * @param {string[]} [result.dependencies] - Other files the issues depend on.
+     * @param {boolean} [result.document] - The file is a full document.
+     */
+    set(file, contentHash, { errors, dependencies = [], document = false }) {
+      entries[path.resolve(file)] = {
+        hash: contentHash,
+        errors,
+        dependencies: Object.fromEntries(dependencies.map((dep) => [dep, dependencyHash(dep)])),
+        document,
+      };
+    },
+
+    /**
+     * Writes the cache, dropping entries of files that no longer exist.
+     */
+    save() {
+      for (const file of Object.keys(entries)) {
+        if (!fs.existsSync(file)) delete entries[file];
+      }
+      fs.mkdirSync(path.dirname(path.resolve(location)), { recursive: true });
+      fs.writeFileSync(location, JSON.stringify({ key, files: entries }), "utf-8");
+    },
+  };
+}
+
+module.exports = { cacheKey, loadCache, hashContent };
@@ -1,5 +1,157 @@
 const fs = require("fs");
+const path = require("path");
 const chalk = require("chalk");
+const { defaultExtensions, defaultExcludedDirs } = require("./findFiles");
+const { normalizeSeverity, parseRuleSetting } = require("./severity");
+const { preprocessors } = require("../preprocessors");
+const { normalizeLevel } = require("./wcag");
+const { resolvePlugin } = require("./plugins");
+
+/**
+ * Merges a config list with its defaults.
+ * Arrays replace the defaults, objects toggle single entries
+ * (`{ ".vue": true, ".php": false }`).
+ *
+ * @param {string[]|object} value - Value from the config file.
+ * @param {string[]} defaults - Default entries.
+ * @returns {string[]} Resulting list.
+ */
+function mergeList(value, defaults) {
+  if (Array.isArray(value)) return [...value];
+  const list = new Set(defaults);
+  for (const [key, enabled] of Object.entries(value || {})) {
+    if (enabled) list.add(key);
+    else list.delete(key);
+  }
+  return [...list];
+}
+
+/**
+ * Fills in defaults for a parsed config object without mutating it.
+ *
+ * @param {object} [raw] - Parsed config.
+ * @param {string} [baseDir] - Directory relative paths in the config are resolved from.
+ * @returns {object} Normalized config object
+ * @throws {Error} When a rule setting, `failOn`, `wcagLevel`, `workers`, a preprocessor, `render`, `crawl`, `cache` or `fetch` setting is invalid,
+ *   or a plugin cannot be found.
+ */
+function normalize(raw = {}, baseDir = process.cwd()) {
+  const config = { ...raw };
+
+  config.rules = { ...config.rules };
+  config.plugins ??= [];
+  config.allowedExtensions = mergeList(config.allowedExtensions, defaultExtensions);
+  config.excludedDirs = mergeList(config.excludedDirs, defaultExcludedDirs);
+  config.include ??= [];
+  config.exclude ??= [];
+  config.gitignore ??= true;
+  config.failOn ??= "error";
+  config.wcagLevel ??= null;
+  config.workers ??= 1;
+  config.preprocessors = { ...config.preprocessors };
+  config.render = {
+    engine: "auto",
+    waitUntil: "load",
+    waitFor: null,
+    delay: 0,
+    timeout: 30000,
+    ...config.render,
+  };
+  config.crawl = {
+    maxDepth: 2,
+    maxPages: 50,
+    include: [],
+    exclude: [],
+    robots: true,
+    delay: 250,
+    ...config.crawl,
+  };
+  config.cache = {
+    enabled: false,
+    location: ".be-a11y-cache.json",
+    ...(typeof config.cache === "boolean" ? { enabled: config.cache } : config.cache),
+  };
+  config.fetch = {
+    headers: {},
+    cookieFile: null,
+    auth: null,
+    userAgent: null,
+    timeout: 30000,
+    retries: 2,
+    httpErrors: "fail",
+    ...config.fetch,
+  };
+
+  for (const [key, value] of Object.entries(config.rules)) {
+    parseRuleSetting(value, key);
+  }
+  if (!normalizeSeverity(config.failOn)) {
+    throw new Error(
+      `Invalid "failOn" value: ${JSON.stringify(config.failOn)} (expected "error", "warning" or "info")`
+    );
+  }
+  config.failOn = normalizeSeverity(config.failOn);
+  if (config.wcagLevel !== null) {
+    if (!normalizeLevel(config.wcagLevel)) {
+      throw new Error(
+        `Invalid "wcagLevel" value: ${JSON.stringify(config.wcagLevel)} (expected "A", "AA" or "AAA")`
+      );
+    }
+    config.wcagLevel = normalizeLevel(config.wcagLevel);
+  }
+  for (const [extension, language] of Object.entries(config.preprocessors)) {
+    if (language !== false && !preprocessors[language]) {
+      throw new Error(
+        `Invalid preprocessor for "${extension}": ${JSON.stringify(language)} (expected ${Object.keys(preprocessors).join(", ")} or false)`
+      );
+    }
+  }
+  if (!["load", "domcontentloaded", "networkidle"].includes(config.render.waitUntil)) {
+    throw new Error(
+      `Invalid "render.waitUntil" value: ${JSON.stringify(config.render.waitUntil)} (expected "load", "domcontentloaded" or "networkidle")`
+    );
+  }
+  for (const key of ["maxDepth", "maxPages", "delay"]) {
+    const value = config.crawl[key];
+    if (!Number.isInteger(value) || value < (key === "maxPages" ? 1 : 0)) {
+      throw new Error(`Invalid "crawl.${key}" value: ${JSON.stringify(value)} (expected a ${key === "maxPages" ? "positive" : "non-negative"} integer)`);
+    }
+  }
+  for (const key of ["timeout", "retries"]) {
+    const value = config.fetch[key];
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`Invalid "fetch.${key}" value: ${JSON.stringify(value)} (expected a non-negative integer)`);
+    }
+  }
+  if (!["fail", "skip", "analyze"].includes(config.fetch.httpErrors)) {
+    throw new Error(
+      `Invalid "fetch.httpErrors" value: ${JSON.stringify(config.fetch.httpErrors)} (expected "fail", "skip" or "analyze")`
+    );
+  }
+  if (!config.fetch.headers || typeof config.fetch.headers !== "object" || Array.isArray(config.fetch.headers)) {
+    throw new Error(`Invalid "fetch.headers" value: ${JSON.stringify(config.fetch.headers)} (expected an object)`);
+  }
+  if (typeof config.cache.location !== "string" || !config.cache.location) {
+    throw new Error(`Invalid "cache.location" value: ${JSON.stringify(config.cache.location)} (expected a file path)`);
+  }
+  if (!Number.isInteger(config.workers) || config.workers < 1) {
+    throw new Error(
+      `Invalid "workers" value: ${JSON.stringify(config.workers)} (expected a positive integer)`
+    );
+  }
+
+  // Plugin paths and packages are resolved from the config file, not the cwd
+  if (Array.isArray(config.plugins)) {
+    config.plugins = config.plugins.map((name) =>
+      typeof name === "string" ? resolvePlugin(name, baseDir) : name
+    );
+  }
+  if (config.fetch.cookieFile) {
+    config.fetch.cookieFile = path.resolve(baseDir, config.fetch.cookieFile);
+  }
+
+  return config;
+}
 
 /**
  * Loads config with defaults if missing values.
@@ -13,14 +165,9 @@ module.exports = function configuration(configFile) {
     config = JSON.parse(fs.readFileSync(configFile, "utf-8"));
   } catch (err) {
     console.warn(chalk.yellow("⚠️  No config file found or invalid JSON. Using default rules."));
-    config.rules = {};
-    // config.allowedExtensions = {};
-    // config.excludedDirs = {};
   }
 
-  config.rules ??= {};
-  // config.allowedExtensions ??= {};
-  // config.excludedDirs ??= {};
-
-  return config;
+  return normalize(config, path.dirname(path.resolve(configFile)));
 }
+
+module.exports.normalize = normalize;
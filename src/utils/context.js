@@ -0,0 +1,49 @@
+const { loadDocument, getLocation, lineLocation } = require("./location");
+const { preprocess, isDynamic } = require("../preprocessors");
+const { createFixer } = require("./fixes");
+const { createNameComputer } = require("./accname");
+
+/**
+ * Creates the context shared by all rules analyzing one file.
+ * The content is parsed only once; every rule receives the same document
+ * (plus its own `options`). Template files are preprocessed first (see
+ * `src/preprocessors/`), locations and snippets still refer to the original content.
+ *
+ * @param {string} content - Raw file content.
+ * @param {string} file - File name or URL.
+ * @param {object} config - Normalized config.
+ * @param {object} [rendered] - Browser data when the content is a rendered page.
+ * @returns {object} Rule context:
+ *   - `$` – cheerio document with parser source locations
+ *   - `content`, `file`, `config` – input and configuration
+ *   - `getLocation(el)` – location of an element's start tag
+ *   - `lineLocation(line)` – location of a whole source line
+ *   - `isDynamic(value)` – whether an attribute value or text comes from template output, or
+ *     (given an element) whether template output stands among its attributes
+ *   - `rendered` – computed colors and focus results from the browser (`--render`), or null
+ *   - `fixer` – builds text edits attached to issues as `fix` (see `src/utils/fixes.js`)
+ *   - `accessibleName(el, { fromContent })` – accessible name of an element (accname 1.2,
+ *     see `src/utils/accname.js`); `fromContent` also takes the name of roles that
+ *     are normally named by authors only (sections, landmarks) from their content
+ *   - `dependencies` – paths of other files the results depend on (e.g. stylesheets);
+ *     rules reading files add them so cached results are invalidated when they change
+ */
+module.exports = function createContext(content, file, config, rendered = null) {
+  const $ = loadDocument(preprocess(content, file, config.preprocessors));
+  // Built on first use: most documents reach a rule that needs names, but not all
+  let computeName = null;
+
+  return {
+    $,
+    content,
+    file,
+    config,
+    getLocation: (el) => getLocation(content, el),
+    lineLocation: (line) => lineLocation(content, line),
+    isDynamic,
+    rendered,
+    fixer: createFixer(content, file, config.preprocessors),
+    accessibleName: (el, options) => (computeName ||= createNameComputer($))(el, options),
+    dependencies: new Set(),
+  };
+};
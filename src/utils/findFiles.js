@@ -0,0 +1,141 @@
+const fs = require("fs");
+const path = require("path");
+const picomatch = require("picomatch");
+const ignore = require("ignore");
+
+const defaultExtensions = [
+  ".latte",
+  ".html",
+  ".php",
+  ".twig",
+  ".edge",
+  ".tsx",
+  ".jsx",
+];
+
+const defaultExcludedDirs = [
+  "node_modules",
+  "vendor",
+  "dist",
+  "build",
+  "temp",
+  ".idea",
+  ".git",
+  "log",
+  "bin",
+];
+
+/**
+ * Converts a path to the forward-slash form used by glob and gitignore patterns.
+ * @param {string} p - File system path.
+ * @returns {string} POSIX-style path.
+ */
+function toPosix(p) {
+  return p.split(path.sep).join("/");
+}
+
+/**
+ * Reads the `.gitignore` in a directory, if any.
+ * @param {string} dir - Directory path.
+ * @returns {object|null} `{ base, ig }` matcher or null.
+ */
+function readGitignore(dir) {
+  const file = path.join(dir, ".gitignore");
+  if (!fs.existsSync(file)) return null;
+  return { base: dir, ig: ignore().add(fs.readFileSync(file, "utf-8")) };
+}
+
+/**
+ * Collects `.gitignore` matchers from the parent directories of `dir`
+ * up to the repository root (the first directory containing `.git`).
+ * @param {string} dir - Scanned directory.
+ * @returns {object[]} Matchers ordered from the root down.
+ */
+function parentGitignores(dir) {
+  const matchers = [];
+  let current = path.resolve(dir);
+
+  while (!fs.existsSync(path.join(current, ".git"))) {
+    const parent = path.dirname(current);
+    if (parent === current) return []; // not inside a git repository
+    current = parent;
+    const matcher = readGitignore(current);
+    if (matcher) matchers.unshift(matcher);
+  }
+
+  return matchers;
+}
+
+/**
+ * Checks a path against a stack of `.gitignore` matchers.
+ * @param {object[]} matchers - `{ base, ig }` entries.
+ * @param {string} fullPath - Absolute path.
+ * @param {boolean} isDir - Whether the path is a directory.
+ * @returns {boolean} Whether the path is ignored.
+ */
+function isGitignored(matchers, fullPath, isDir) {
+  return matchers.some(({ base, ig }) => {
+    const rel = toPosix(path.relative(base, fullPath));
+    if (!rel || rel.startsWith("..")) return false;
+    return ig.ignores(isDir ? `${rel}/` : rel);
+  });
+}
+
+/**
+ * Recursively finds files with allowed extensions in a directory.
+ * Ignores directories listed in `excludedDirs`, paths matching `exclude` globs
+ * and, unless disabled, paths ignored by `.gitignore`. When `include` globs are
+ * given, only matching files are returned. Globs are relative to `dir`.
+ *
+ * @param {string} dir - Directory path to search.
+ * @param {object} [options]
+ * @param {string[]} [options.allowedExtensions] - Extensions to include.
+ * @param {string[]} [options.excludedDirs] - Directory names to skip.
+ * @param {string[]} [options.include] - Glob patterns files must match.
+ * @param {string[]} [options.exclude] - Glob patterns to skip.
+ * @param {boolean} [options.gitignore] - Respect `.gitignore` files (default true).
+ * @returns {string[]} Array of matched file paths.
+ */
+function findFiles(dir, options = {}) {
+  const {
+    allowedExtensions = defaultExtensions,
+    excludedDirs = defaultExcludedDirs,
+    include = [],
+    exclude = [],
+    gitignore = true,
+  } = options;
+
+  const isIncluded = include.length ? picomatch(include, { dot: true }) : () => true;
+  const isExcluded = exclude.length ? picomatch(exclude, { dot: true }) : () => false;
+  const root = path.resolve(dir);
+
+  const walk = (current, matchers) => {
+    const own = gitignore && readGitignore(current);
+    const stack = own ? [...matchers, own] : matchers;
+    const entries = fs.readdirSync(current, { withFileTypes: true });
+
+    return entries.flatMap((entry) => {
+      const fullPath = path.join(current, entry.name);
+      const rel = toPosix(path.relative(root, fullPath));
+      const isDir = entry.isDirectory();
+
+      if (gitignore && isGitignored(stack, fullPath, isDir)) return [];
+
+      if (isDir) {
+        if (excludedDirs.includes(entry.name)) return [];
+        if (isExcluded(rel) || isExcluded(`${rel}/`)) return [];
+        return walk(fullPath, stack);
+      }
+
+      if (!allowedExtensions.includes(path.extname(entry.name))) return [];
+      if (isExcluded(rel) || !isIncluded(rel)) return [];
+      return [path.join(dir, path.relative(root, fullPath))];
+    });
+  };
+
+  return walk(root, gitignore ? parentGitignores(root) : []);
+}
+
+module.exports = findFiles;
+module.exports.defaultExtensions = defaultExtensions;
+module.exports.defaultExcludedDirs = defaultExcludedDirs;
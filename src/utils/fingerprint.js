@@ -0,0 +1,32 @@
+const crypto = require("crypto");
+
+/**
+ * Adds a stable `fingerprint` to every issue.
+ * The fingerprint is derived from the issue type and the whitespace-normalized
+ * source line rather than the line number, so it survives unrelated edits
+ * above the issue. Identical issues on identical lines are told apart by
+ * their occurrence index.
+ *
+ * @param {string} content - Raw file content.
+ * @param {object[]} errors - Issues found in the content.
+ * @returns {object[]} The same issues with `fingerprint` set.
+ */
+module.exports = function addFingerprints(content, errors) {
+  const lines = content.split("\n");
+  const seen = new Map();
+
+  return errors.map((error) => {
+    const source = (lines[error.line - 1] || "").replace(/\s+/g, " ").trim();
+    const key = [error.type, source].join("\0");
+    const occurrence = seen.get(key) || 0;
+    seen.set(key, occurrence + 1);
+
+    const fingerprint = crypto
+      .createHash("sha1")
+      .update(`${key}\0${occurrence}`)
+      .digest("hex")
+      .slice(0, 16);
+
+    return { ...error, fingerprint };
+  });
+};
@@ -0,0 +1,270 @@
+const fs = require("fs");
+const path = require("path");
+const { getPreprocessor, preprocessors } = require("../preprocessors");
+
+// JSX spells some HTML attributes differently
+const JSX_ATTRIBUTES = { class: "className", for: "htmlFor" };
+
+/**
+ * Creates the helpers rules use to attach fixes to issues.
+ *
+ * A fix is a minimal text edit of the original file content:
+ * `{ range: [start, end], text }` replaces the characters between the two
+ * offsets with `text` (equal offsets insert). Fixes that insert placeholder
+ * content a person still has to complete carry a `review` note.
+ *
+ * Every helper returns null when the element has no source location
+ * (elements the parser inserted implicitly), so rules can attach the result as is.
+ *
+ * @param {string} content - Raw file content.
+ * @param {string} file - File name (selects JSX attribute spelling).
+ * @param {object} [mapping] - `config.preprocessors`.
+ * @returns {object} Fixer with `insertAttributes`, `setAttribute`, `appendContent` and `merge`.
+ */
+function createFixer(content, file, mapping) {
+  const isJsx = getPreprocessor(file, mapping) === preprocessors.jsx;
+  const attributeName = (name) => (isJsx && JSX_ATTRIBUTES[name]) || name;
+  const serialize = (attributes) =>
+    Object.entries(attributes)
+      .map(([name, value]) => ` ${attributeName(name)}="${String(value).replace(/"/g, "&quot;")}"`)
+      .join("");
+
+  /**
+   * @param {object} el
+   * @returns {number|null} Offset where new attributes go: before `>` or `/>`.
+   */
+  const attributesEnd = (el) => {
+    const tag = el && el.sourceCodeLocation && el.sourceCodeLocation.startTag;
+    if (!tag) return null;
+    let end = tag.endOffset - 1;
+    if (content[end - 1] === "/") end--;
+    while (end > tag.startOffset && /\s/.test(content[end - 1])) end--;
+    return end;
+  };
+
+  return {
+    /**
+     * Adds attributes at the end of an element's start tag.
+     * @param {object} el - Element.
+     * @param {object} attributes - Attribute names and values.
+     * @param {string} [review] - Note for placeholders that need a human.
+     * @returns {object|null} Fix.
+     */
+    insertAttributes(el, attributes, review) {
+      const offset = attributesEnd(el);
+      if (offset === null) return null;
+      return { range: [offset, offset], text: serialize(attributes), ...(review && { review }) };
+    },
+
+    /**
+     * Replaces the value of an attribute, or adds the attribute if it is missing.
+     * @param {object} el - Element.
+     * @param {string} name - Attribute name (HTML spelling).
+     * @param {string} value - New value.
+     * @param {string} [review] - Note for placeholders that need a human.
+     * @returns {object|null} Fix.
+     */
+    setAttribute(el, name, value, review) {
+      const attrs = el && el.sourceCodeLocation && el.sourceCodeLocation.attrs;
+      const attr = attrs && attrs[name];
+      if (!attr) return this.insertAttributes(el, { [name]: value }, review);
+      return {
+        range: [attr.startOffset, attr.endOffset],
+        text: serialize({ [name]: value }).slice(1),
+        ...(review && { review }),
+      };
+    },
+
+    /**
+     * Inserts markup at the end of an element's content, before its end tag.
+     * @param {object} el - Element.
+     * @param {string} html - Markup to insert (written with HTML attribute names).
+     * @returns {object|null} Fix.
+     */
+    appendContent(el, html) {
+      const tag = el && el.sourceCodeLocation && el.sourceCodeLocation.endTag;
+      if (!tag) return null;
+      const text = isJsx
+        ? html.replace(/(\s)(class|for)=/g, (_, space, name) => `${space}${JSX_ATTRIBUTES[name]}=`)
+        : html;
+      return { range: [tag.startOffset, tag.startOffset], text };
+    },
+
+    /**
+     * Combines fixes of one issue into a single edit spanning all of them.
+     * @param {Array<object|null>} fixes - Non-overlapping fixes.
+     * @returns {object|null} Fix, or null when any part is null.
+     */
+    merge(fixes) {
+      if (!fixes.length || fixes.includes(null)) return null;
+      const sorted = [...fixes].sort((a, b) => a.range[0] - b.range[0]);
+      const start = sorted[0].range[0];
+      const end = Math.max(...sorted.map((fix) => fix.range[1]));
+      const relative = sorted.map((fix) => ({ ...fix, range: [fix.range[0] - start, fix.range[1] - start] }));
+      const review = sorted.map((fix) => fix.review).filter(Boolean).join("; ");
+      return {
+        range: [start, end],
+        text: applyFixes(content.slice(start, end), relative).output,
+        ...(review && { review }),
+      };
+    },
+  };
+}
+
+/**
+ * Applies fixes to content. Fixes are applied from the start of the file;
+ * a fix overlapping one already applied is skipped (it can be applied by
+ * running again).
+ *
+ * @param {string} content - Original content.
+ * @param {object[]} fixes - Fixes as `{ range, text }`.
+ * @returns {{ output: string, applied: object[], skipped: object[] }}
+ */
+function applyFixes(content, fixes) {
+  const sorted = [...fixes].sort((a, b) => a.range[0] - b.range[0] || a.range[1] - b.range[1]);
+  const applied = [];
+  const skipped = [];
+  let output = "";
+  let last = 0;
+
+  for (const fix of sorted) {
+    const [start, end] = fix.range;
+    const duplicate = applied.some(
+      (other) => other.range[0] === start && other.range[1] === end && other.text === fix.text
+    );
+    if (start < last || duplicate) {
+      skipped.push(fix);
+      continue;
+    }
+    output += content.slice(last, start) + fix.text;
+    last = end;
+    applied.push(fix);
+  }
+
+  return { output: output + content.slice(last), applied, skipped };
+}
+
+/**
+ * Formats applied fixes as a unified diff. Hunks are built from the lines
+ * the fixes touch, with `context` unchanged lines around them.
+ *
+ * @param {string} file - File name for the diff header.
+ * @param {string} content - Original content.
+ * @param {object[]} fixes - Non-overlapping fixes (`applied` of `applyFixes`).
+ * @param {number} [context] - Lines of context.
+ * @returns {string} Diff, empty when there are no fixes.
+ */
+function createDiff(file, content, fixes, context = 3) {
+  if (!fixes.length) return "";
+  const lines = content.split("\n");
+  const lastLine = lines.length - (content.endsWith("\n") ? 2 : 1);
+  const lineStarts = [0];
+  for (const line of lines) lineStarts.push(lineStarts[lineStarts.length - 1] + line.length + 1);
+  const lineOf = (offset) => {
+    let line = 0;
+    while (lineStarts[line + 1] <= offset) line++;
+    return line;
+  };
+
+  // Fixes touching the same or adjacent lines form one change
+  const changes = [];
+  for (const fix of [...fixes].sort((a, b) => a.range[0] - b.range[0])) {
+    const first = lineOf(fix.range[0]);
+    const last = lineOf(fix.range[1]);
+    const previous = changes[changes.length - 1];
+    if (previous && first <= previous.last + 1) {
+      previous.last = Math.max(previous.last, last);
+      previous.fixes.push(fix);
+    } else {
+      changes.push({ first, last, fixes: [fix] });
+    }
+  }
+  for (const change of changes) {
+    const start = lineStarts[change.first];
+    const relative = change.fixes.map((fix) => ({
+      ...fix,
+      range: [fix.range[0] - start, fix.range[1] - start],
+    }));
+    const old = lines.slice(change.first, change.last + 1).join("\n");
+    change.added = applyFixes(old, relative).output.split("\n");
+  }
+
+  // Changes whose context would overlap share a hunk
+  const hunks = [];
+  for (const change of changes) {
+    const hunk = hunks[hunks.length - 1];
+    const previous = hunk && hunk[hunk.length - 1];
+    if (previous && change.first - previous.last - 1 <= context * 2) hunk.push(change);
+    else hunks.push([change]);
+  }
+
+  const name = path.relative(process.cwd(), file).split(path.sep).join("/");
+  const out = [`--- a/${name}`, `+++ b/${name}`];
+  let shift = 0;
+  for (const hunk of hunks) {
+    const from = Math.max(0, hunk[0].first - context);
+    const to = Math.min(lastLine, hunk[hunk.length - 1].last + context);
+    const body = [];
+    let line = from;
+    let delta = 0;
+
+    for (const change of hunk) {
+      for (; line < change.first; line++) body.push(` ${lines[line]}`);
+      for (; line <= change.last; line++) body.push(`-${lines[line]}`);
+      change.added.forEach((added) => body.push(`+${added}`));
+      delta += change.added.length - (change.last - change.first + 1);
+    }
+    for (; line <= to; line++) body.push(` ${lines[line]}`);
+
+    const count = to - from + 1;
+    out.push(`@@ -${from + 1},${count} +${from + 1 + shift},${count + delta} @@`, ...body);
+    shift += delta;
+  }
+
+  return `${out.join("\n")}\n`;
+}
+
+/**
+ * Applies the fixes attached to issues to their files.
+ *
+ * @param {object[]} errors - Issues; those with a `fix` are fixed.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Only compute diffs, do not write files.
+ * @returns {{ fixed: Set<object>, files: object[] }} Fixed issues and per-file
+ *   results as `{ file, diff, review }` (`review` lists notes of placeholders to complete).
+ */
+function fixFiles(errors, { dryRun = false } = {}) {
+  const byFile = new Map();
+  for (const error of errors) {
+    if (!error.fix || /^https?:\/\//.test(error.file)) continue;
+    if (!byFile.has(error.file)) byFile.set(error.file, []);
+    byFile.get(error.file).push(error);
+  }
+
+  const fixed = new Set();
+  const files = [];
+  for (const [file, list] of byFile) {
+    const content = fs.readFileSync(file, "utf-8");
+    const { output, applied } = applyFixes(content, list.map((error) => error.fix));
+    if (!applied.length) continue;
+
+    // Issues with a duplicate of an applied fix are fixed by it too
+    for (const error of list) {
+      const [start, end] = error.fix.range;
+      if (applied.some((fix) => fix.range[0] === start && fix.range[1] === end && fix.text === error.fix.text)) {
+        fixed.add(error);
+      }
+    }
+
+    if (!dryRun) fs.writeFileSync(file, output, "utf-8");
+    files.push({
+      file,
+      diff: createDiff(file, content, applied),
+      review: applied.filter((fix) => fix.review).map((fix) => fix.review),
+    });
+  }
+
+  return { fixed, files };
+}
+
+module.exports = { createFixer, applyFixes, createDiff, fixFiles };
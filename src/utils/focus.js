@@ -0,0 +1,102 @@
+const { isDynamic } = require("../preprocessors");
+const { isNotRendered } = require("./accname");
+
+// Form controls that can be disabled
+const DISABLEABLE = ["button", "input", "select", "textarea", "optgroup", "option", "fieldset"];
+
+/**
+ * Returns the value of an attribute or of its framework binding
+ * (`:name` / `v-bind:name` in Vue). Bound values are template output.
+ * @param {object} el
+ * @param {string} name - Attribute name (lowercase).
+ * @returns {string|undefined}
+ */
+function boundAttribute(el, name) {
+  const attribs = el.attribs || {};
+  if (name in attribs) return attribs[name];
+  if (`:${name}` in attribs || `v-bind:${name}` in attribs) return "";
+  return undefined;
+}
+
+/**
+ * Returns whether a form control is disabled, directly or by a disabled
+ * `<fieldset>` (controls in its first `<legend>` stay enabled).
+ * @param {object} el
+ * @returns {boolean}
+ */
+function isDisabled(el) {
+  if (!DISABLEABLE.includes(el.name)) return false;
+  if ("disabled" in el.attribs) return true;
+  let child = el;
+  for (let node = el.parent; node && node.name; child = node, node = node.parent) {
+    if (node.name !== "fieldset" || !("disabled" in node.attribs)) continue;
+    const legend = (node.children || []).find((n) => n.name === "legend");
+    if (child !== legend) return true;
+  }
+  return false;
+}
+
+/**
+ * Returns whether an element is focusable by itself, without `tabindex`.
+ * @param {object} el
+ * @returns {boolean}
+ */
+function isNativelyFocusable(el) {
+  const attribs = el.attribs || {};
+  if (isDisabled(el)) return false;
+  switch (el.name) {
+    case "a":
+    case "area":
+      return "href" in attribs;
+    case "input":
+      return (attribs.type || "").toLowerCase() !== "hidden";
+    case "button":
+    case "select":
+    case "textarea":
+    case "iframe":
+    case "summary":
+      return true;
+    case "audio":
+    case "video":
+      return "controls" in attribs;
+    default:
+      return ["", "true", "plaintext-only"].includes((attribs.contenteditable || "false").toLowerCase());
+  }
+}
+
+/**
+ * Returns whether an element is in the sequential focus order (reachable
+ * with Tab): natively focusable without a negative `tabindex`, or made
+ * focusable with `tabindex >= 0`. A `tabindex` from template output counts as focusable.
+ * @param {object} el
+ * @returns {boolean}
+ */
+function isTabbable(el) {
+  if (isDisabled(el)) return false;
+  const tabindex = boundAttribute(el, "tabindex");
+  if (tabindex !== undefined && tabindex.trim() !== "") {
+    if (isDynamic(tabindex)) return true;
+    const value = parseInt(tabindex, 10);
+    if (!Number.isNaN(value)) return value >= 0;
+  }
+  return isNativelyFocusable(el);
+}
+
+/**
+ * Returns the tabbable elements in a subtree (including its root), skipping
+ * content that is not rendered.
+ * @param {object} root
+ * @returns {object[]}
+ */
+function tabbableElements(root) {
+  const found = [];
+  const visit = (el) => {
+    if (el.type !== "tag" || isNotRendered(el)) return;
+    if (isTabbable(el)) found.push(el);
+    (el.children || []).forEach(visit);
+  };
+  visit(root);
+  return found;
+}
+
+module.exports = { boundAttribute, isDisabled, isNativelyFocusable, isTabbable, tabbableElements };
@@ -0,0 +1,57 @@
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+/**
+ * Runs a git command and returns its output lines.
+ * @param {string[]} args
+ * @param {string} cwd
+ * @returns {string[]}
+ */
+function git(args, cwd) {
+  return execFileSync("git", args, { cwd, encoding: "utf-8", stdio: ["ignore", "pipe", "pipe"] })
+    .split("\n")
+    .filter(Boolean);
+}
+
+/**
+ * Lists the files changed since a git ref: modified, added, renamed, copied
+ * or deleted in commits and the working tree, plus untracked files that are not
+ * ignored. Deleted files no longer exist, but a deleted stylesheet still
+ * changes the results of the files that used it.
+ *
+ * @param {string} ref - Commit, branch or tag (e.g. `origin/main`).
+ * @param {string} [dir] - Directory inside the repository.
+ * @returns {Set<string>} Absolute paths.
+ * @throws {Error} When `dir` is not in a git repository or the ref is unknown.
+ */
+function changedFiles(ref, dir = process.cwd()) {
+  let root;
+  let files;
+  try {
+    [root] = git(["rev-parse", "--show-toplevel"], dir);
+    files = [
+      ...git(["diff", "--name-only", "--diff-filter=ACMRD", ref, "--"], root),
+      ...git(["ls-files", "--others", "--exclude-standard"], root),
+    ];
+  } catch (err) {
+    const detail = err.stderr ? String(err.stderr).trim() : err.message;
+    throw new Error(`Cannot list files changed since "${ref}": ${detail}`);
+  }
+
+  return new Set(files.map((file) => path.resolve(root, file)));
+}
+
+/**
+ * Returns the root directory of the git repository that contains `dir`.
+ * @param {string} [dir] - Directory inside the repository.
+ * @returns {string|null} Absolute path, or null outside a repository (or without git).
+ */
+function repositoryRoot(dir = process.cwd()) {
+  try {
+    return path.resolve(git(["rev-parse", "--show-toplevel"], dir)[0]);
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { changedFiles, repositoryRoot };
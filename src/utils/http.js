@@ -0,0 +1,244 @@
+const fs = require("fs");
+const fetch = require("node-fetch"); // v2 for CommonJS
+const { version } = require("../../package.json");
+
+const DEFAULT_USER_AGENT = `be-a11y/${version}`;
+
+// Upper bound for a server-requested Retry-After wait
+const MAX_RETRY_DELAY = 30000;
+
+// Redirects followed before a request fails
+const MAX_REDIRECTS = 10;
+
+const cookieFiles = new Map();
+
+/**
+ * Parses a cookie file. Supports the Netscape `cookies.txt` format exported by
+ * browsers and written by `curl -c`, and plain `name=value; name2=value2`
+ * headers (sent to every URL).
+ *
+ * @param {string} text - File content.
+ * @returns {object[]} Cookies as `{ name, value, domain, includeSubdomains, path, secure, expires }`;
+ *   `domain` is null for cookies from a plain header.
+ */
+function parseCookies(text) {
+  const cookies = [];
+
+  for (let line of text.split(/\r?\n/)) {
+    line = line.trim();
+    const httpOnly = line.startsWith("#HttpOnly_");
+    if (httpOnly) line = line.slice("#HttpOnly_".length);
+    if (!line || line.startsWith("#")) continue;
+
+    const fields = line.split("\t");
+    if (fields.length >= 7) {
+      const [domain, includeSubdomains, path, secure, expires, name, ...value] = fields;
+      cookies.push({
+        name,
+        value: value.join("\t"),
+        domain: domain.replace(/^\./, "").toLowerCase(),
+        includeSubdomains: includeSubdomains.toUpperCase() === "TRUE",
+        path: path || "/",
+        secure: secure.toUpperCase() === "TRUE",
+        httpOnly,
+        expires: Number(expires) || 0,
+      });
+      continue;
+    }
+
+    for (const pair of line.replace(/^cookie:\s*/i, "").split(";")) {
+      const index = pair.indexOf("=");
+      if (index < 1) continue;
+      cookies.push({
+        name: pair.slice(0, index).trim(),
+        value: pair.slice(index + 1).trim(),
+        domain: null,
+        includeSubdomains: true,
+        path: "/",
+        secure: false,
+        httpOnly: false,
+        expires: 0,
+      });
+    }
+  }
+
+  return cookies;
+}
+
+/**
+ * Reads and parses a cookie file, cached by path and modification time.
+ * @param {string} file
+ * @returns {object[]} Cookies (see `parseCookies`).
+ * @throws {Error} When the file cannot be read.
+ */
+function readCookies(file) {
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch (err) {
+    throw new Error(`Cannot read cookie file ${file}: ${err.message}`);
+  }
+  const cached = cookieFiles.get(file);
+  if (cached && cached.mtimeMs === stat.mtimeMs) return cached.cookies;
+
+  const cookies = parseCookies(fs.readFileSync(file, "utf-8"));
+  cookieFiles.set(file, { mtimeMs: stat.mtimeMs, cookies });
+  return cookies;
+}
+
+/**
+ * Returns the cookies of a cookie file that a browser would send to a URL.
+ *
+ * @param {string} url
+ * @param {string|null} [cookieFile]
+ * @returns {object[]} Matching, unexpired cookies.
+ */
+function cookiesFor(url, cookieFile) {
+  if (!cookieFile) return [];
+  const { hostname, pathname, protocol } = new URL(url);
+  const now = Date.now() / 1000;
+
+  return readCookies(cookieFile).filter((cookie) => {
+    if (cookie.expires && cookie.expires < now) return false;
+    if (cookie.secure && protocol !== "https:") return false;
+    if (!pathname.startsWith(cookie.path)) return false;
+    if (!cookie.domain) return true;
+    return (
+      hostname === cookie.domain ||
+      (cookie.includeSubdomains && hostname.endsWith(`.${cookie.domain}`))
+    );
+  });
+}
+
+/**
+ * Splits `auth` ("user:password") into its parts.
+ * @param {string|null} [auth]
+ * @returns {{ username: string, password: string }|null}
+ */
+function parseAuth(auth) {
+  if (!auth) return null;
+  const index = auth.indexOf(":");
+  return index === -1
+    ? { username: auth, password: "" }
+    : { username: auth.slice(0, index), password: auth.slice(index + 1) };
+}
+
+/**
+ * Builds the request headers for a URL from the `fetch` settings.
+ *
+ * @param {string} url
+ * @param {object} [settings] - `config.fetch`.
+ * @returns {object} Header names and values.
+ */
+function requestHeaders(url, settings = {}) {
+  const { headers = {}, cookieFile, auth, userAgent } = settings;
+  const result = { "User-Agent": userAgent || DEFAULT_USER_AGENT, ...headers };
+
+  const credentials = parseAuth(auth);
+  if (credentials) {
+    const token = Buffer.from(`${credentials.username}:${credentials.password}`).toString("base64");
+    result.Authorization = `Basic ${token}`;
+  }
+
+  const cookies = cookiesFor(url, cookieFile);
+  if (cookies.length) {
+    const header = cookies.map(({ name, value }) => `${name}=${value}`).join("; ");
+    result.Cookie = result.Cookie ? `${result.Cookie}; ${header}` : header;
+  }
+
+  return result;
+}
+
+/**
+ * @param {number} attempt - Zero-based attempt that failed.
+ * @param {object} [res] - Response with a `Retry-After` header, if any.
+ * @returns {number} Milliseconds to wait before the next attempt.
+ */
+function retryDelay(attempt, res) {
+  const retryAfter = res && Number(res.headers.get("retry-after"));
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, MAX_RETRY_DELAY);
+  return 500 * 2 ** attempt;
+}
+
+/**
+ * Fetches a URL and returns its body as text together with response details.
+ *
+ * Network errors, timeouts, 429 and 5xx responses are retried up to `retries`
+ * times with exponential backoff (or the server's `Retry-After`). Up to
+ * `MAX_REDIRECTS` redirects are followed; more fail without a retry.
+ *
+ * @param {string} url
+ * @param {object} [settings] - `config.fetch`.
+ * @param {object} [settings.headers] - Extra request headers.
+ * @param {string} [settings.cookieFile] - Path of a cookie file (see `parseCookies`).
+ * @param {string} [settings.auth] - Basic auth credentials as "user:password".
+ * @param {string} [settings.userAgent] - User-Agent header.
+ * @param {number} [settings.timeout] - Milliseconds before a request is aborted (0 disables it).
+ * @param {number} [settings.retries] - Number of retries after the first attempt.
+ * @returns {Promise<{ url: string, status: number, ok: boolean, contentType: string, text: string }>}
+ *   `url` is the final URL after redirects.
+ * @throws {Error} When the request still fails after all retries, or redirects too often.
+ */
+async function fetchPage(url, settings = {}) {
+  const { timeout = 30000, retries = 0 } = settings;
+  const headers = requestHeaders(url, settings);
+
+  for (let attempt = 0; ; attempt++) {
+    let res;
+    try {
+      res = await fetch(url, { headers, timeout, follow: MAX_REDIRECTS });
+      if ((res.status === 429 || res.status >= 500) && attempt < retries) {
+        await wait(retryDelay(attempt, res));
+        continue;
+      }
+      return {
+        url: res.url || url,
+        status: res.status,
+        ok: res.ok,
+        contentType: res.headers.get("content-type") || "",
+        text: await res.text(),
+      };
+    } catch (err) {
+      if (err.type === "max-redirect") throw new Error(`Too many redirects (more than ${MAX_REDIRECTS})`);
+      if (attempt >= retries) {
+        throw err.type === "request-timeout" || err.type === "body-timeout"
+          ? new Error(`Timed out after ${timeout} ms`)
+          : err;
+      }
+      await wait(retryDelay(attempt));
+    }
+  }
+}
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Applies the `httpErrors` policy to the status of a loaded page.
+ *
+ * @param {number} status - HTTP status code.
+ * @param {string} policy - "fail", "skip" or "analyze".
+ * @returns {boolean} Whether the page should be analyzed.
+ * @throws {Error} For non-2xx statuses when the policy is "fail".
+ */
+function acceptStatus(status, policy) {
+  if (status >= 200 && status < 300) return true;
+  if (policy === "analyze") return true;
+  if (policy === "skip") return false;
+  throw new Error(`HTTP ${status}`);
+}
+
+module.exports = {
+  fetchPage,
+  acceptStatus,
+  requestHeaders,
+  cookiesFor,
+  parseCookies,
+  parseAuth,
+  DEFAULT_USER_AGENT,
+};
@@ -0,0 +1,47 @@
+// ISO 639-1 two-letter language codes (including deprecated ones still found in markup: iw, in, ji)
+const ISO_639_1 = new Set(
+  (
+    "aa ab ae af ak am an ar as av ay az ba be bg bh bi bm bn bo br bs ca ce ch co cr cs cu cv cy da de dv dz " +
+    "ee el en eo es et eu fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu hy hz ia id ie ig ii ik " +
+    "in io is it iu iw ja ji jv ka kg ki kj kk kl km kn ko kr ks ku kv kw ky la lb lg li ln lo lt lu lv mg mh " +
+    "mi mk ml mn mr ms mt my na nb nd ne ng nl nn no nr nv ny oc oj om or os pa pi pl ps pt qu rm rn ro ru rw " +
+    "sa sc sd se sg sh si sk sl sm sn so sq sr ss st su sv sw ta te tg th ti tk tl tn to tr ts tt tw ty ug uk " +
+    "ur uz ve vi vo wa wo xh yi yo za zh zu"
+  ).split(" ")
+);
+
+// Irregular grandfathered tags of BCP 47 that do not follow the langtag grammar
+const GRANDFATHERED = new Set([
+  "en-gb-oed", "i-ami", "i-bnn", "i-default", "i-enochian", "i-hak", "i-klingon", "i-lux", "i-mingo",
+  "i-navajo", "i-pwn", "i-tao", "i-tay", "i-tsu", "sgn-be-fr", "sgn-be-nl", "sgn-ch-de",
+]);
+
+// langtag = language ["-" script] ["-" region] *("-" variant) *("-" extension) ["-" privateuse]
+// Primary subtags of 4-8 letters are reserved or unused, so only 2-3 letters are accepted.
+const LANGTAG = new RegExp(
+  "^(?<language>[a-z]{2,3})(?:-[a-z]{3}){0,3}" +
+    "(?:-[a-z]{4})?" +
+    "(?:-(?:[a-z]{2}|\\d{3}))?" +
+    "(?:-(?:[a-z\\d]{5,8}|\\d[a-z\\d]{3}))*" +
+    "(?:-[\\da-wy-z](?:-[a-z\\d]{2,8})+)*" +
+    "(?:-x(?:-[a-z\\d]{1,8})+)?$"
+);
+
+/**
+ * Validates a language tag (BCP 47): the syntax of all subtags, and for
+ * two-letter primary languages, that the code exists in ISO 639-1.
+ * Three-letter codes (ISO 639-2/3) are only checked for their syntax.
+ *
+ * @param {string} tag - Language tag, e.g. `en`, `pt-BR`, `zh-Hant-TW`.
+ * @returns {boolean}
+ */
+function isValidLanguageTag(tag) {
+  const lower = tag.trim().toLowerCase();
+  if (GRANDFATHERED.has(lower) || /^x(?:-[a-z\d]{1,8})+$/.test(lower)) return true;
+  const match = LANGTAG.exec(lower);
+  if (!match) return false;
+  const { language } = match.groups;
+  return language.length === 3 || ISO_639_1.has(language);
+}
+
+module.exports = { isValidLanguageTag };
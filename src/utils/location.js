@@ -0,0 +1,83 @@
+const cheerio = require("cheerio");
+
+const MAX_SNIPPET_LENGTH = 200;
+
+/**
+ * Parses content with parse5 source-location tracking enabled,
+ * so every element knows where its markup starts and ends.
+ *
+ * @param {string} content - HTML content.
+ * @returns {import("cheerio").CheerioAPI} Loaded document.
+ */
+function loadDocument(content) {
+  return cheerio.load(content, { sourceCodeLocationInfo: true });
+}
+
+/**
+ * Shortens a snippet to a single readable line.
+ * @param {string} text - Raw source text.
+ * @returns {string} Snippet.
+ */
+function toSnippet(text) {
+  const snippet = text.replace(/\s+/g, " ").trim();
+  return snippet.length > MAX_SNIPPET_LENGTH
+    ? `${snippet.slice(0, MAX_SNIPPET_LENGTH - 1)}…`
+    : snippet;
+}
+
+/**
+ * Returns the location of a whole source line, used for issues that
+ * concern the document rather than a single element.
+ *
+ * @param {string} content - File content.
+ * @param {number} [line] - 1-based line number.
+ * @returns {{ line: number, column: number, endLine: number, endColumn: number, snippet: string }}
+ */
+function lineLocation(content, line = 1) {
+  const text = (content.split("\n")[line - 1] || "").replace(/\r$/, "");
+  return {
+    line,
+    column: 1,
+    endLine: line,
+    endColumn: text.length + 1,
+    snippet: toSnippet(text),
+  };
+}
+
+/**
+ * Returns the source location of an element's start tag from the parser's
+ * location info: 1-based `line`/`column`, `endLine`/`endColumn` (exclusive)
+ * and the start tag markup as `snippet`. Elements the parser inserted
+ * implicitly (e.g. `<html>` or `<tbody>`) have no location and map to line 1.
+ *
+ * @param {string} content - File content the document was loaded from.
+ * @param {object} el - Element from a document loaded with `loadDocument`.
+ * @returns {{ line: number, column: number, endLine: number, endColumn: number, snippet: string }}
+ */
+function getLocation(content, el) {
+  const location = el && el.sourceCodeLocation;
+  if (!location) return lineLocation(content, 1);
+
+  const tag = location.startTag || location;
+  return {
+    line: tag.startLine,
+    column: tag.startCol,
+    endLine: tag.endLine,
+    endColumn: tag.endCol,
+    snippet: toSnippet(content.slice(tag.startOffset, tag.endOffset)),
+  };
+}
+
+/**
+ * Returns whether content loaded with `loadDocument` is a full document (it
+ * has an `<html>` tag) rather than a fragment such as a template partial.
+ *
+ * @param {import("cheerio").CheerioAPI} $ - Loaded document.
+ * @returns {boolean}
+ */
+function isFullDocument($) {
+  const html = $("html")[0];
+  return Boolean(html && html.sourceCodeLocation);
+}
+
+module.exports = { loadDocument, getLocation, lineLocation, isFullDocument };
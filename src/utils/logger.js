@@ -1,4 +1,6 @@
 const chalk = require("chalk");
+const { defaultRegistry } = require("../registry");
+const { SEVERITIES } = require("./severity");
 
 /**
  * Groups an array of errors by their `type` property.
@@ -13,66 +15,148 @@ function groupErrors(errors) {
   }, {});
 }
 
+const severityColors = {
+  error: chalk.red,
+  warning: chalk.yellow,
+  info: chalk.blue,
+};
+
+/**
+ * Returns a colored severity tag such as `[warning]`.
+ * @param {string} [severity] - Severity level.
+ * @returns {string} Colored tag.
+ */
+function severityTag(severity = "error") {
+  const color = severityColors[severity] || chalk.white;
+  return color(`[${severity}]`);
+}
+
+/**
+ * Strips the leading emoji of a console label for plain-text output.
+ * @param {string} label - Label from rule metadata.
+ * @returns {string} Plain label.
+ */
+function plainLabel(label) {
+  return label.replace(/^[^\p{L}\p{N}<]+/u, "").trim();
+}
+
+/**
+ * Returns the colored heading for an issue type from the rule registry.
+ * Unknown types fall back to the raw type name.
+ * @param {string} type - Issue type.
+ * @param {object} [registry] - Rule registry.
+ * @returns {string} Colored label.
+ */
+function typeLabel(type, registry) {
+  const info = registry && registry.getType(type);
+  if (!info || !info.label) return chalk.white.bold(type);
+  const color = typeof chalk[info.color] === "function" ? info.color : "white";
+  return chalk[color].bold(info.label);
+}
+
 /**
  * Prints detailed accessibility issues to the console.
  * Issues are grouped by type with color-coded headings.
  * @param {object[]} errors - List of error objects.
+ * @param {object} [registry] - Rule registry providing type labels.
  */
-function printErrors(errors) {
+function printErrors(errors, registry = defaultRegistry()) {
   const grouped = groupErrors(errors);
 
-  const typeLabels = {
-    "heading-order": chalk.yellow.bold("📐 Heading Order"),
-    "heading-empty": chalk.red.bold("❗ Empty Headings"),
-    "missing-alt": chalk.cyan.bold("🖼️  Missing ALT"),
-    "alt-empty": chalk.white.bold("⬜  AL T Empty"),
-    "alt-too-long": chalk.red.bold("↔️  ALT Too Long"),
-    "alt-decorative-incorrect": chalk.gray.bold("🌈  ALT Decorative"),
-    "alt-functional-empty": chalk.blueBright.bold("🔗  ALT Functional"),
-    "aria-invalid": chalk.magenta.bold("♿  ARIA Issues"),
-    "missing-aria": chalk.blue.bold("👀  Missing ARIA"),
-    "aria-role-invalid": chalk.blue.bold("🧩  ARIA Role Issues"),
-    "missing-landmark": chalk.yellowBright.bold("🏛️  Landmark Elements"),
-    "contrast": chalk.red.bold("🎨  Contrast Issues"),
-    "label-for-missing": chalk.red.bold("🔗  Broken Label Association"),
-    "label-missing-for": chalk.yellow.bold("🏷️  Unassociated Label"),
-    "redundant-title": chalk.gray.bold("📛  Redundant Title Text"),
-    "multiple-h1": chalk.yellow.bold("🧱  Multiple H1s"),
-    "input-unlabeled": chalk.magenta.bold("🔘  Unlabeled Checkboxes/Radios"),
-    "empty-link": chalk.red.bold("📭  Empty or Useless Link"),
-    "iframe-title-missing": chalk.blue.bold("🖼️  Missing <iframe> Title"),
-    "link-new-tab-warning": chalk.yellow.bold("🧭  New Tab Warning"),
-  };
-
   console.error(chalk.red("\n🚨 Accessibility Issues Found:\n"));
 
   for (const [type, list] of Object.entries(grouped)) {
-    const label = typeLabels[type] || chalk.white.bold(type);
+    const label = typeLabel(type, registry);
     console.log(`\n${label}`);
-    for (const { file, line, message } of list) {
+    for (const { file, line, column, message, severity, fix } of list) {
+      const position = column ? `${line}:${column}` : line;
       console.log(
-        `  ${chalk.gray("-")} ${chalk.green(file)}:${chalk.yellow(
-          line,
-        )} – ${chalk.white(message)}`,
+        `  ${chalk.gray("-")} ${severityTag(severity)} ${chalk.green(file)}:${chalk.yellow(
+          position,
+        )} – ${chalk.white(message)}${fix ? chalk.gray(" (fixable)") : ""}`,
       );
     }
   }
 }
 
 /**
- * Prints a summary table of accessibility issue counts by type.
+ * Prints the WCAG success criteria checked in a run with their pass/fail result.
+ * @param {object} summary - Result of `conformance` (see `src/utils/wcag.js`).
+ */
+function printConformance(summary) {
+  const rows = summary.criteria.map(({ criterion, name, level, issues, status }) => ({
+    Criterion: `${criterion} ${name}`,
+    Level: level,
+    Issues: issues,
+    Result: status === "fail" ? "FAIL" : status,
+  }));
+
+  const title = summary.level ? `WCAG 2.2 Level ${summary.level}` : "WCAG 2.2";
+  console.log(chalk.bold(`\n🏛️  ${title} (automated checks):`));
+  if (rows.length) console.table(rows);
+  console.log(
+    `  ${chalk.green(`${summary.passed} passed`)}${chalk.gray(" · ")}${chalk.red(
+      `${summary.failed} failed`
+    )}${chalk.gray(` · ${summary.notChecked} not checked · ${summary.manual} need manual review`)}`
+  );
+}
+
+/**
+ * Prints a summary table of accessibility issue counts by type,
+ * followed by the WCAG conformance summary when given.
  * @param {object[]} errors - List of error objects.
+ * @param {object} [wcag] - Result of `conformance` (see `src/utils/wcag.js`).
  */
-function printSummary(errors) {
+function printSummary(errors, wcag) {
   const grouped = groupErrors(errors);
   const summary = Object.entries(grouped).map(([type, list]) => ({
     "Issue Type": type,
+    Severity: [...new Set(list.map(({ severity = "error" }) => severity))].join(", "),
     Count: list.length,
   }));
 
+  const totals = SEVERITIES.map((severity) => {
+    const count = errors.filter((e) => (e.severity || "error") === severity).length;
+    return severityColors[severity](`${count} ${severity}`);
+  });
+
   console.log(chalk.bold("\n📊 Accessibility Checksum Summary:"));
   console.table(summary);
+  console.log(`  ${totals.join(chalk.gray(" · "))}`);
+
+  if (wcag) printConformance(wcag);
 }
 
+/**
+ * Prints a unified diff with added and removed lines colored.
+ * @param {string} diff - Diff from `createDiff`.
+ */
+function printDiff(diff) {
+  for (const line of diff.replace(/\n$/, "").split("\n")) {
+    if (line.startsWith("+++") || line.startsWith("---")) console.log(chalk.bold(line));
+    else if (line.startsWith("@@")) console.log(chalk.cyan(line));
+    else if (line.startsWith("+")) console.log(chalk.green(line));
+    else if (line.startsWith("-")) console.log(chalk.red(line));
+    else console.log(line);
+  }
+}
+
+/**
+ * Prints the time spent per rule (plus parsing and reading), slowest first.
+ * @param {object} [timings] - Milliseconds keyed by rule id or phase.
+ */
+function printTimings(timings = {}) {
+  const total = Object.values(timings).reduce((sum, ms) => sum + ms, 0);
+  const rows = Object.entries(timings)
+    .sort(([, a], [, b]) => b - a)
+    .map(([rule, ms]) => ({
+      Rule: rule,
+      "Time (ms)": Number(ms.toFixed(1)),
+      Relative: total ? `${((ms / total) * 100).toFixed(1)}%` : "0%",
+    }));
+
+  console.log(chalk.bold("\n⏱️  Rule Timing:"));
+  console.table(rows);
+}
 
-module.exports = { printErrors, printSummary }
+module.exports = { printErrors, printSummary, printConformance, printTimings, printDiff, groupErrors, plainLabel }
@@ -0,0 +1,81 @@
+const path = require("path");
+
+/**
+ * Resolves a plugin specifier to an absolute module path, like a `require`
+ * from a file in `baseDir`: relative paths are resolved against `baseDir`,
+ * package names are looked up in the `node_modules` directories above it.
+ *
+ * @param {string} name - Module path or package name.
+ * @param {string} baseDir - Directory to resolve from (the config file's directory).
+ * @returns {string} Resolved module path.
+ * @throws {Error} When the plugin cannot be found.
+ */
+function resolvePlugin(name, baseDir) {
+  try {
+    return require.resolve(name, { paths: [baseDir] });
+  } catch {
+    throw new Error(`Cannot find plugin "${name}" from ${baseDir}`);
+  }
+}
+
+/**
+ * Normalizes a plugin module's exports into a list of rules.
+ * A plugin may export a single rule function, an array of rules
+ * or an object with a `rules` array.
+ *
+ * @param {*} exported - Plugin module exports.
+ * @param {string} name - Plugin name for error messages.
+ * @returns {Function[]} Rule functions.
+ */
+function pluginRules(exported, name) {
+  let rules;
+  if (typeof exported === "function") rules = [exported];
+  else if (Array.isArray(exported)) rules = exported;
+  else if (exported && Array.isArray(exported.rules)) rules = exported.rules;
+  else {
+    throw new TypeError(
+      `Plugin "${name}" must export a rule function, an array of rules or { rules: [...] }`
+    );
+  }
+
+  const bare = rules.find((rule) => typeof rule === "function" && !rule.meta);
+  if (bare) {
+    throw new TypeError(
+      `Plugin "${name}" exports rule "${bare.name || "(anonymous)"}" without meta: declare meta.id and meta.types ` +
+        `(and meta.legacy: true for rules taking (content, file, config))`
+    );
+  }
+  return rules;
+}
+
+/**
+ * Loads custom rule plugins listed in `config.plugins`.
+ * Each rule uses the same context signature and `meta` declaration as the
+ * built-in rules in `src/rules/` (or `meta.legacy` for the previous one).
+ *
+ * @param {string[]} [plugins] - Module paths or package names.
+ * @param {string} [baseDir] - Directory plugins are resolved from.
+ * @returns {Function[]} Loaded rule functions.
+ */
+function loadPlugins(plugins = [], baseDir = process.cwd()) {
+  if (!Array.isArray(plugins)) {
+    throw new TypeError(`"plugins" must be an array of module paths or package names`);
+  }
+
+  return plugins.flatMap((name) => {
+    if (typeof name !== "string") {
+      throw new TypeError(`Invalid plugin entry: ${JSON.stringify(name)}`);
+    }
+
+    let exported;
+    try {
+      exported = require(resolvePlugin(name, baseDir));
+    } catch (err) {
+      throw new Error(`Failed to load plugin "${name}": ${err.message.split("\n")[0]}`);
+    }
+    return pluginRules(exported, name);
+  });
+}
+
+module.exports = loadPlugins;
+module.exports.resolvePlugin = resolvePlugin;
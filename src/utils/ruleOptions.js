@@ -0,0 +1,136 @@
+const { parseRuleSetting } = require("./severity");
+
+/**
+ * Describes a value for error messages.
+ * @param {*} value
+ * @returns {string}
+ */
+function describe(value) {
+  if (Array.isArray(value)) return "an array";
+  if (value === null) return "null";
+  return typeof value === "object" ? "an object" : `${typeof value} ${JSON.stringify(value)}`;
+}
+
+/**
+ * Checks a single value against a schema entry.
+ * Supported entry keys: `type` ("number" | "string" | "boolean" | "array"),
+ * `items` (item type for arrays), `minimum`, `maximum` and `enum`.
+ *
+ * @param {*} value - Option value.
+ * @param {object} spec - Schema entry.
+ * @returns {string|null} Problem description or null when valid.
+ */
+function checkValue(value, spec) {
+  if (spec.type === "array") {
+    if (!Array.isArray(value)) return `must be an array, got ${describe(value)}`;
+    if (spec.items) {
+      const bad = value.find((item) => typeof item !== spec.items);
+      if (bad !== undefined) return `must only contain ${spec.items} values, got ${describe(bad)}`;
+    }
+    return null;
+  }
+
+  if (typeof value !== spec.type || (spec.type === "number" && Number.isNaN(value))) {
+    return `must be a ${spec.type}, got ${describe(value)}`;
+  }
+  if (spec.enum && !spec.enum.includes(value)) {
+    return `must be one of ${spec.enum.map((v) => JSON.stringify(v)).join(", ")}`;
+  }
+  if (spec.minimum !== undefined && value < spec.minimum) {
+    return `must be at least ${spec.minimum}`;
+  }
+  if (spec.maximum !== undefined && value > spec.maximum) {
+    return `must be at most ${spec.maximum}`;
+  }
+  return null;
+}
+
+/**
+ * Returns the default options declared in a rule's `meta.schema`.
+ * @param {object} meta - Rule metadata.
+ * @returns {object} Default options.
+ */
+function defaultOptions(meta) {
+  const defaults = {};
+  for (const [name, spec] of Object.entries((meta && meta.schema) || {})) {
+    if (spec.default !== undefined) {
+      defaults[name] = Array.isArray(spec.default) ? [...spec.default] : spec.default;
+    }
+  }
+  return defaults;
+}
+
+/**
+ * Validates rule options against the rule's `meta.schema`.
+ *
+ * @param {object} meta - Rule metadata.
+ * @param {*} options - Options from config.
+ * @throws {Error} On unknown keys or values of the wrong type.
+ */
+function validateOptions(meta, options) {
+  const schema = meta.schema || {};
+  const allowed = Object.keys(schema);
+
+  if (!options || typeof options !== "object" || Array.isArray(options)) {
+    throw new Error(`Options for rule "${meta.id}" must be an object, got ${describe(options)}`);
+  }
+
+  for (const [name, value] of Object.entries(options)) {
+    if (!allowed.includes(name)) {
+      throw new Error(
+        `Unknown option "${name}" for rule "${meta.id}"` +
+          (allowed.length ? ` (allowed: ${allowed.join(", ")})` : " (rule has no options)")
+      );
+    }
+    const problem = checkValue(value, schema[name]);
+    if (problem) {
+      throw new Error(`Option "${name}" of rule "${meta.id}" ${problem}`);
+    }
+  }
+}
+
+/**
+ * Resolves the options a rule runs with: its schema defaults
+ * overridden by `config.rules[id]` (`{ ... }` or `[level, { ... }]`).
+ *
+ * @param {object} meta - Rule metadata.
+ * @param {object} config - Normalized config.
+ * @returns {object} Options for the rule.
+ */
+function resolveRuleOptions(meta, config) {
+  const { options } = parseRuleSetting(config.rules[meta.id], meta.id);
+  return { ...defaultOptions(meta), ...options };
+}
+
+/**
+ * Validates every options object in `config.rules` against the schemas
+ * of the registered rules. Options are only accepted on rule ids.
+ *
+ * @param {object} config - Normalized config.
+ * @param {object} registry - Rule registry.
+ * @throws {Error} When options are invalid or set on an issue type.
+ */
+function validateRuleOptions(config, registry) {
+  for (const [key, value] of Object.entries(config.rules)) {
+    const { options } = parseRuleSetting(value, key);
+    if (options === undefined) continue;
+
+    const rule = registry.get(key);
+    if (!rule) {
+      const info = registry.getType(key);
+      throw new Error(
+        info
+          ? `Options for "${key}" must be set on its rule "${info.rule}"`
+          : `Options given for unknown rule "${key}"`
+      );
+    }
+    validateOptions(rule.meta, options);
+  }
+}
+
+module.exports = {
+  defaultOptions,
+  validateOptions,
+  resolveRuleOptions,
+  validateRuleOptions,
+};
@@ -0,0 +1,57 @@
+/**
+ * Severity levels ordered from the most to the least severe.
+ */
+const SEVERITIES = ["error", "warning", "info"];
+
+const aliases = { warn: "warning" };
+
+/**
+ * Normalizes a severity name, accepting the `warn` alias.
+ * @param {string} level - Severity name from config or CLI.
+ * @returns {string|undefined} Canonical severity or undefined if invalid.
+ */
+function normalizeSeverity(level) {
+  const name = aliases[level] || level;
+  return SEVERITIES.includes(name) ? name : undefined;
+}
+
+/**
+ * Checks whether a severity is at or above a threshold.
+ * @param {string} severity - Issue severity.
+ * @param {string} threshold - Minimum severity (e.g. config `failOn`).
+ * @returns {boolean} True when `severity` is as severe as `threshold` or more.
+ */
+function atLeast(severity, threshold) {
+  return SEVERITIES.indexOf(severity) <= SEVERITIES.indexOf(threshold);
+}
+
+/**
+ * Parses a `config.rules` entry.
+ * Accepts `true`/`false`, `"off" | "info" | "warn" | "warning" | "error"`,
+ * an options object or a `[level, options]` tuple.
+ *
+ * @param {*} value - Raw config value.
+ * @param {string} key - Rule id or issue type (for error messages).
+ * @returns {{ enabled: boolean, severity?: string, options?: object }} Parsed setting.
+ * @throws {Error} When the value is not a valid setting.
+ */
+function parseRuleSetting(value, key) {
+  if (value === undefined || value === true) return { enabled: true };
+  if (value === false || value === "off") return { enabled: false };
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    return { enabled: true, options: value };
+  }
+
+  const [level, options] = Array.isArray(value) ? value : [value];
+  if (level === "off") return { enabled: false };
+
+  const severity = normalizeSeverity(level);
+  if (!severity) {
+    throw new Error(
+      `Invalid setting for rule "${key}": ${JSON.stringify(value)} (expected "off", "info", "warn", "error", an options object or [level, options])`
+    );
+  }
+  return { enabled: true, severity, options };
+}
+
+module.exports = { SEVERITIES, normalizeSeverity, atLeast, parseRuleSetting };
@@ -0,0 +1,519 @@
+const fs = require("fs");
+const path = require("path");
+const css = require("css");
+
+// Selectors that only apply in an interactive state or to generated content
+const STATEFUL_SELECTOR = /:(?:hover|focus|focus-within|focus-visible|active|visited|target)\b|::|:(?:before|after|first-line|first-letter)\b/;
+
+// User agent defaults that matter for contrast (font sizes in em of the parent)
+const UA_FONT_SIZE = { h1: 2, h2: 1.5, h3: 1.17, h4: 1, h5: 0.83, h6: 0.67, small: 0.83, big: 1.2 };
+const UA_BOLD = ["h1", "h2", "h3", "h4", "h5", "h6", "b", "strong", "th"];
+const FONT_SIZE_KEYWORDS = {
+  "xx-small": 9,
+  "x-small": 10,
+  small: 13,
+  medium: 16,
+  large: 18,
+  "x-large": 24,
+  "xx-large": 32,
+  "xxx-large": 48,
+};
+const ROOT_FONT_SIZE = 16;
+
+const parsedFiles = new Map();
+
+/**
+ * Computes the specificity of a single selector as `[ids, classes, types]`.
+ * Arguments of `:not()`, `:is()` and `:has()` count, `:where()` does not.
+ *
+ * @param {string} selector - Complex selector without commas.
+ * @returns {number[]} Specificity.
+ */
+function specificity(selector) {
+  const s = selector
+    .replace(/"(?:\\.|[^"])*"|'(?:\\.|[^'])*'/g, "")
+    .replace(/:where\([^)]*\)/g, "")
+    .replace(/:(?:not|is|has|matches)\(/g, " ");
+
+  const ids = (s.match(/#[\w-]+/g) || []).length;
+  const classes = (s.match(/\.[\w-]+|\[[^\]]*\]|:(?!:)[\w-]+/g) || []).length;
+  const types = (
+    s.replace(/#[\w-]+|\.[\w-]+|\[[^\]]*\]|:+[\w-]+/g, " ").match(/(?:^|[\s>+~(])[a-zA-Z][\w-]*/g) || []
+  ).length;
+
+  return [ids, classes, types];
+}
+
+/**
+ * Compares two cascade weights (`important`, `specificity`, `order`).
+ * @returns {number} Positive when `a` wins over `b`.
+ */
+function compareWeight(a, b) {
+  if (a.important !== b.important) return a.important ? 1 : -1;
+  for (let i = 0; i < 3; i++) {
+    if (a.specificity[i] !== b.specificity[i]) return a.specificity[i] - b.specificity[i];
+  }
+  return a.order - b.order;
+}
+
+/**
+ * Splits a CSS value on whitespace outside of parentheses.
+ * @param {string} value
+ * @returns {string[]} Tokens.
+ */
+function splitValue(value) {
+  const tokens = [];
+  let depth = 0;
+  let current = "";
+  for (const ch of value) {
+    if (ch === "(") depth++;
+    if (ch === ")") depth--;
+    if (/\s/.test(ch) && depth === 0) {
+      if (current) tokens.push(current);
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  if (current) tokens.push(current);
+  return tokens;
+}
+
+/**
+ * Turns a declaration into the longhand properties the contrast checks use.
+ * `background` is split into `background-color` and `background-image`.
+ *
+ * @param {string} property
+ * @param {string} value - Value without `!important`.
+ * @param {function(string): boolean} isColor - Checks whether a token is a color.
+ * @returns {Array<[string, string]>} Longhand declarations.
+ */
+function expand(property, value, isColor) {
+  if (property !== "background") return [[property, value]];
+
+  const image = /url\(|gradient\(|image\(/i.test(value) ? "image" : "none";
+  const color = splitValue(value).reverse().find((token) => isColor(token) || token.startsWith("var("));
+  return [
+    ["background-color", color || "transparent"],
+    ["background-image", image],
+  ];
+}
+
+/**
+ * Evaluates a media query list against a default screen. The result is the
+ * `media` of the rules it contains:
+ * - `"all"` – applies to every screen (`all`, `screen`, `not print`)
+ * - `"light"` / `"dark"` – applies in that `prefers-color-scheme` only
+ * - `"other"` – depends on other features (width, hover, ...)
+ * - `"none"` – never applies on a screen (`print`, contradicting schemes)
+ *
+ * @param {string} [query] - Media query list; empty applies everywhere.
+ * @returns {string} Media condition.
+ */
+function mediaCondition(query) {
+  if (!query || !query.trim()) return "all";
+
+  const results = query.split(",").map((part) => {
+    const text = part.trim().toLowerCase().replace(/^only\s+/, "");
+    const negated = /^not\s/.test(text);
+    const [, type = "all", features] = /^(?:not\s+)?([a-z-]+)?\s*(?:and\s+)?(.*)$/.exec(text);
+    const screen = ["all", "screen"].includes(type);
+    if (negated) return !screen && !features ? "all" : "none";
+    if (!screen) return "none";
+
+    const schemes = new Set();
+    for (const feature of features.split(/\s+and\s+/).filter(Boolean)) {
+      const match = /^\(\s*prefers-color-scheme\s*:\s*(light|dark)\s*\)$/.exec(feature.trim());
+      if (!match) return "other";
+      schemes.add(match[1]);
+    }
+    if (schemes.size > 1) return "none";
+    return schemes.size ? [...schemes][0] : "all";
+  });
+
+  if (results.includes("all")) return "all";
+  const schemes = ["light", "dark"].filter((scheme) => results.includes(scheme));
+  if (schemes.length) return schemes.length > 1 ? "all" : schemes[0];
+  return results.includes("other") ? "other" : "none";
+}
+
+/**
+ * Combines the media condition of a nested `@media` block with its parent's.
+ * @param {string} outer
+ * @param {string} inner
+ * @returns {string} Media condition.
+ */
+function nestMedia(outer, inner) {
+  if (outer === "none" || inner === "none") return "none";
+  if (outer === "other" || inner === "other") return "other";
+  if (outer === "all") return inner;
+  if (inner === "all" || inner === outer) return outer;
+  return "none";
+}
+
+/**
+ * Parses CSS text into style rules. Each rule gets the `media` condition of
+ * its `@media` blocks (see `mediaCondition`); rules that never apply on a
+ * screen (print) are dropped. `@supports` blocks are kept as well.
+ *
+ * @param {string} text - Stylesheet source.
+ * @param {string} [media] - Condition of the whole stylesheet (`<style media>`).
+ * @returns {object[]} Rules as `{ selectors, declarations, media }`.
+ */
+function parseStylesheet(text, media = "all") {
+  let ast;
+  try {
+    ast = css.parse(text, { silent: true });
+  } catch {
+    return [];
+  }
+
+  const rules = [];
+  const walk = (nodes = [], condition) => {
+    if (condition === "none") return;
+    for (const node of nodes) {
+      if (node.type === "rule") {
+        rules.push({
+          selectors: node.selectors || [],
+          declarations: (node.declarations || []).filter((d) => d.type === "declaration" && d.value),
+          media: condition,
+        });
+      } else if (node.type === "media") {
+        walk(node.rules, nestMedia(condition, mediaCondition(node.media)));
+      } else if (node.type === "supports" || node.type === "document" || node.type === "host") {
+        walk(node.rules, condition);
+      }
+    }
+  };
+  walk(ast.stylesheet && ast.stylesheet.rules, media);
+
+  return rules;
+}
+
+/**
+ * Parses a local stylesheet file, cached by path and modification time.
+ * @param {string} file - Absolute path.
+ * @returns {object[]} Rules, empty when the file cannot be read.
+ */
+function readStylesheet(file) {
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch {
+    return [];
+  }
+
+  const cached = parsedFiles.get(file);
+  if (cached && cached.mtimeMs === stat.mtimeMs) return cached.rules;
+
+  const rules = parseStylesheet(fs.readFileSync(file, "utf-8"));
+  parsedFiles.set(file, { mtimeMs: stat.mtimeMs, rules });
+  return rules;
+}
+
+/**
+ * Resolves the path of a linked stylesheet. Relative hrefs are relative to the
+ * document, root-relative hrefs (`/css/app.css`) to the working directory.
+ * Remote stylesheets and template-generated hrefs are not resolved.
+ *
+ * @param {string} href
+ * @param {string} file - Document path.
+ * @param {function(string): boolean} isDynamic
+ * @returns {string|null} Absolute path or null.
+ */
+function resolveStylesheet(href, file, isDynamic) {
+  if (!href || isDynamic(href) || /^(?:[a-z][a-z\d+.-]*:|\/\/)/i.test(href)) return null;
+  if (/^https?:\/\//.test(file)) return null;
+
+  let clean;
+  try {
+    clean = decodeURI(href.replace(/[?#].*$/, ""));
+  } catch {
+    return null;
+  }
+  return clean.startsWith("/")
+    ? path.join(process.cwd(), clean)
+    : path.resolve(path.dirname(file), clean);
+}
+
+/**
+ * Collects the style rules of a document in cascade order: `extraStylesheets`
+ * first, then `<style>` blocks and `<link rel="stylesheet">` files in document order.
+ * The `media` attribute of a block or link applies to all of its rules.
+ *
+ * @param {object} $ - Loaded document.
+ * @param {string} file - Document path.
+ * @param {object} [options]
+ * @param {string[]} [options.extraStylesheets] - Stylesheet paths (relative to the working directory).
+ * @param {function(string): boolean} [options.isDynamic]
+ * @param {Set<string>} [options.dependencies] - Receives the paths of the stylesheet files read.
+ * @returns {object[]} Rules as `{ selectors, declarations }`.
+ */
+function collectRules($, file, { extraStylesheets = [], isDynamic = () => false, dependencies } = {}) {
+  const read = (sheet) => {
+    if (dependencies) dependencies.add(sheet);
+    return readStylesheet(sheet);
+  };
+  const rules = extraStylesheets.flatMap((sheet) => read(path.resolve(sheet)));
+
+  $("style, link[rel~='stylesheet']").each((_, el) => {
+    const media = $(el).attr("media");
+    const condition = media && !isDynamic(media) ? mediaCondition(media) : "all";
+    if (condition === "none") return;
+
+    if (el.name === "style") {
+      rules.push(...parseStylesheet($(el).text(), condition));
+    } else {
+      const sheet = resolveStylesheet($(el).attr("href"), file, isDynamic);
+      if (sheet) {
+        rules.push(...read(sheet).map((rule) => ({ ...rule, media: nestMedia(condition, rule.media) })));
+      }
+    }
+  });
+
+  return rules;
+}
+
+/**
+ * Parses an inline `style` attribute into declarations.
+ * @param {string} style
+ * @returns {object[]} Declarations.
+ */
+function parseInlineStyle(style) {
+  const [rule] = parseStylesheet(`x{${style}}`);
+  return rule ? rule.declarations : [];
+}
+
+/**
+ * Resolves `var(--name, fallback)` references against custom properties.
+ * @param {string} value
+ * @param {object} variables - Custom properties in scope.
+ * @returns {string|null} Resolved value, or null when a variable is undefined.
+ */
+function resolveVariables(value, variables, depth = 0) {
+  if (!value || !value.includes("var(") || depth > 10) return value;
+
+  const match = /var\(\s*(--[\w-]+)\s*(?:,\s*([^()]*(?:\([^()]*\)[^()]*)*))?\)/.exec(value);
+  if (!match) return value;
+
+  const replacement = match[1] in variables ? variables[match[1]] : match[2];
+  if (replacement === undefined) return null;
+
+  return resolveVariables(
+    value.slice(0, match.index) + replacement.trim() + value.slice(match.index + match[0].length),
+    variables,
+    depth + 1
+  );
+}
+
+/**
+ * Converts a font-size value to pixels.
+ * @param {string} value
+ * @param {number} parentSize - Parent font size in px.
+ * @returns {number|null} Size in px, or null when unknown.
+ */
+function toPixels(value, parentSize) {
+  const v = value.trim().toLowerCase();
+  if (FONT_SIZE_KEYWORDS[v]) return FONT_SIZE_KEYWORDS[v];
+  if (v === "smaller") return parentSize / 1.2;
+  if (v === "larger") return parentSize * 1.2;
+
+  const match = /^(-?[\d.]+)(px|pt|em|rem|%)?$/.exec(v);
+  if (!match) return null;
+
+  const n = parseFloat(match[1]);
+  switch (match[2]) {
+    case "pt":
+      return (n * 4) / 3;
+    case "em":
+      return n * parentSize;
+    case "rem":
+      return n * ROOT_FONT_SIZE;
+    case "%":
+      return (n / 100) * parentSize;
+    default:
+      return match[2] || n === 0 ? n : null;
+  }
+}
+
+/**
+ * Converts a font-weight value to a number.
+ * @param {string} value
+ * @param {number} parentWeight
+ * @returns {number}
+ */
+function toWeight(value, parentWeight) {
+  const v = value.trim().toLowerCase();
+  if (v === "bold") return 700;
+  if (v === "normal") return 400;
+  if (v === "bolder") return parentWeight < 600 ? 700 : 900;
+  if (v === "lighter") return parentWeight > 500 ? 400 : 100;
+  const n = parseInt(v, 10);
+  return Number.isNaN(n) ? parentWeight : n;
+}
+
+/**
+ * Builds a resolver of computed styles for the elements of a document.
+ *
+ * Rules from `<style>` blocks, linked local stylesheets and inline styles are
+ * cascaded by `!important`, specificity and source order. Only rules that
+ * apply to a default screen in the given color scheme are used: media queries
+ * on width or other features are left out. `color`,
+ * `font-size`, `font-weight`, `visibility` and custom properties inherit;
+ * `background-color`, `background-image` and `display` do not (use the
+ * ancestor chain to find the background behind an element).
+ *
+ * @param {object} $ - Loaded document.
+ * @param {string} file - Document path.
+ * @param {object} [options]
+ * @param {string[]} [options.extraStylesheets] - Stylesheets applied to every document.
+ * @param {object[]} [options.rules] - Rules from `collectRules`, collected when not given.
+ * @param {string} [options.scheme] - `prefers-color-scheme` to resolve: `"light"` (default) or `"dark"`.
+ * @param {string} [options.canvasText] - Default text color of the page (CanvasText).
+ * @param {function(string): boolean} [options.isDynamic] - Detects template output.
+ * @param {function(string): boolean} [options.isColor] - Detects color tokens in `background`.
+ * @param {Set<string>} [options.dependencies] - Receives the paths of the stylesheet files read.
+ * @returns {function(object): object} `computedStyle(el)` returning
+ *   `{ color, backgroundColor, backgroundImage, fontSize, fontWeight, display, visibility }`
+ *   (`color`/`backgroundColor` are raw CSS values, null when unknown).
+ */
+function createStyleResolver($, file, options = {}) {
+  const { isDynamic = () => false, isColor = () => false, scheme = "light", canvasText = "#000000" } = options;
+  const rules = (options.rules || collectRules($, file, options)).filter(
+    (rule) => rule.media === "all" || rule.media === scheme
+  );
+  const cascaded = new Map();
+  const computed = new Map();
+  let order = 0;
+
+  const apply = (el, declaration, weight) => {
+    const { property, value } = declaration;
+    const important = /!\s*important\s*$/i.test(value);
+    const clean = value.replace(/!\s*important\s*$/i, "").trim();
+
+    if (!cascaded.has(el)) cascaded.set(el, new Map());
+    const own = cascaded.get(el);
+
+    for (const [name, longhand] of expand(property.toLowerCase(), clean, isColor)) {
+      const candidate = { value: longhand, important, ...weight };
+      const current = own.get(name);
+      if (!current || compareWeight(candidate, current) >= 0) own.set(name, candidate);
+    }
+  };
+
+  for (const rule of rules) {
+    for (const selector of rule.selectors) {
+      if (STATEFUL_SELECTOR.test(selector)) continue;
+
+      let matched;
+      try {
+        matched = $(selector);
+      } catch {
+        continue;
+      }
+
+      const weight = { specificity: specificity(selector), order: order++ };
+      matched.each((_, el) => {
+        for (const declaration of rule.declarations) apply(el, declaration, weight);
+      });
+    }
+  }
+
+  $("[style]").each((_, el) => {
+    const style = $(el).attr("style");
+    if (isDynamic(style)) return;
+    const weight = { specificity: [Infinity, 0, 0], order: order++ };
+    for (const declaration of parseInlineStyle(style)) apply(el, declaration, weight);
+  });
+
+  const root = {
+    variables: {},
+    color: canvasText,
+    backgroundColor: "transparent",
+    backgroundImage: "none",
+    fontSize: ROOT_FONT_SIZE,
+    fontWeight: 400,
+    display: "block",
+    visibility: "visible",
+  };
+
+  function computedStyle(el) {
+    if (!el || el.type !== "tag") return root;
+    if (computed.has(el)) return computed.get(el);
+
+    const parent = computedStyle(el.parent);
+    const own = cascaded.get(el) || new Map();
+    const variables = { ...parent.variables };
+    for (const [name, { value }] of own) {
+      if (name.startsWith("--")) variables[name] = value;
+    }
+
+    const value = (name) => {
+      const declaration = own.get(name);
+      if (!declaration) return undefined;
+      const resolved = resolveVariables(declaration.value, variables);
+      return resolved === null || isDynamic(resolved) ? null : resolved;
+    };
+    // Applies to inherited properties only; the others handle their keywords below
+    const inherits = (v) => v === undefined || /^(?:inherit|unset)$/i.test(v || "");
+
+    let color = value("color");
+    if (inherits(color) || /^currentcolor$/i.test(color || "")) color = parent.color;
+
+    let backgroundColor = value("background-color");
+    if (backgroundColor === undefined || /^(?:initial|unset)$/i.test(backgroundColor)) {
+      backgroundColor = "transparent";
+    } else if (/^inherit$/i.test(backgroundColor)) {
+      backgroundColor = parent.backgroundColor;
+    } else if (/^currentcolor$/i.test(backgroundColor)) {
+      backgroundColor = color;
+    }
+
+    let backgroundImage = value("background-image");
+    if (backgroundImage === undefined) backgroundImage = "none";
+    else if (backgroundImage !== null && !/^none$/i.test(backgroundImage)) backgroundImage = "image";
+
+    const fontSizeValue = value("font-size");
+    let fontSize = parent.fontSize;
+    if (fontSizeValue === null) fontSize = null;
+    else if (fontSizeValue !== undefined && !inherits(fontSizeValue)) {
+      fontSize = parent.fontSize === null ? null : toPixels(fontSizeValue, parent.fontSize);
+    } else if (fontSizeValue === undefined && UA_FONT_SIZE[el.name] && parent.fontSize !== null) {
+      fontSize = UA_FONT_SIZE[el.name] * parent.fontSize;
+    }
+
+    const fontWeightValue = value("font-weight");
+    let fontWeight = UA_BOLD.includes(el.name) ? 700 : parent.fontWeight;
+    if (fontWeightValue && !inherits(fontWeightValue)) {
+      fontWeight = toWeight(fontWeightValue, parent.fontWeight);
+    }
+
+    const display = value("display") || "inline";
+    let visibility = value("visibility");
+    if (!visibility || inherits(visibility)) visibility = parent.visibility;
+
+    const style = {
+      variables,
+      color,
+      backgroundColor,
+      backgroundImage,
+      fontSize,
+      fontWeight,
+      display,
+      visibility,
+    };
+    computed.set(el, style);
+    return style;
+  }
+
+  return computedStyle;
+}
+
+module.exports = {
+  specificity,
+  mediaCondition,
+  parseStylesheet,
+  parseInlineStyle,
+  collectRules,
+  createStyleResolver,
+};
@@ -0,0 +1,96 @@
+const getLineNumber = require("./getLineNumber");
+
+/**
+ * Matches suppression directives in every supported comment syntax:
+ * HTML `<!-- -->`, Latte `{* *}`, Twig `{# #}`, Edge `{{-- --}}`,
+ * JSX `{/* *\/}` and PHP/JS block comments.
+ */
+const directivePattern =
+  /(?:<!--|\{\*|\{#|\{\{--|\{\/\*|\/\*)\s*be-a11y-(disable-next-line|disable-line|disable|enable)\b(.*?)\s*(?:-->|\*\}|#\}|--\}\}|\*\/\}|\*\/)/gs;
+
+/**
+ * Parses the comma/space separated rule list of a directive.
+ * An empty list means "all rules".
+ * @param {string} text - Text following the directive keyword.
+ * @returns {string[]} Rule ids or issue types.
+ */
+function parseNames(text) {
+  return text
+    .split(/[\s,]+/)
+    .map((name) => name.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Collects suppressed line ranges from directives in the content.
+ *
+ * @param {string} content - Raw file content.
+ * @returns {object[]} Ranges as `{ start, end, names }` (inclusive, 1-based).
+ */
+function parseDirectives(content) {
+  const ranges = [];
+  const open = [];
+
+  for (const match of content.matchAll(directivePattern)) {
+    const [comment, kind, rest] = match;
+    const names = parseNames(rest);
+    const startLine = getLineNumber(content, match.index);
+    const endLine = getLineNumber(content, match.index + comment.length);
+
+    if (kind === "disable-next-line") {
+      ranges.push({ start: endLine + 1, end: endLine + 1, names });
+    } else if (kind === "disable-line") {
+      ranges.push({ start: startLine, end: endLine, names });
+    } else if (kind === "disable") {
+      open.push({ start: endLine, names });
+    } else {
+      // enable: close every open block matching the listed names (or all)
+      for (let i = open.length - 1; i >= 0; i--) {
+        const block = open[i];
+        const closes =
+          !names.length || block.names.every((name) => names.includes(name));
+        if (!closes) continue;
+        ranges.push({ start: block.start, end: startLine, names: block.names });
+        open.splice(i, 1);
+      }
+    }
+  }
+
+  // Blocks without a matching enable run until the end of the file
+  for (const block of open) {
+    ranges.push({ start: block.start, end: Infinity, names: block.names });
+  }
+
+  return ranges;
+}
+
+/**
+ * Removes issues suppressed by inline directives such as
+ * `<!-- be-a11y-disable-next-line missing-alt -->` or
+ * `{* be-a11y-disable alt-attributes *}` … `{* be-a11y-enable *}`.
+ * Directives may name issue types or rule ids.
+ *
+ * @param {string} content - Raw file content.
+ * @param {object[]} errors - Issues found in the content.
+ * @param {object} [registry] - Rule registry to map issue types to rule ids.
+ * @returns {object[]} Issues that are not suppressed.
+ */
+module.exports = function applySuppressions(content, errors, registry) {
+  if (!content.includes("be-a11y-")) return errors;
+  const ranges = parseDirectives(content);
+  if (!ranges.length) return errors;
+
+  return errors.filter((error) => {
+    const info = registry && registry.getType(error.type);
+    const keys = [error.type, info && info.rule].filter(Boolean);
+
+    return !ranges.some(
+      ({ start, end, names }) =>
+        error.line >= start &&
+        error.line <= end &&
+        (!names.length || names.some((name) => keys.includes(name)))
+    );
+  });
+};
+
+module.exports.parseDirectives = parseDirectives;
@@ -0,0 +1,188 @@
+/**
+ * WCAG 2.2 success criteria with their names and conformance levels.
+ * 4.1.1 Parsing is obsolete in WCAG 2.2 and not listed.
+ */
+const CRITERIA = {
+  "1.1.1": { name: "Non-text Content", level: "A" },
+  "1.2.1": { name: "Audio-only and Video-only (Prerecorded)", level: "A" },
+  "1.2.2": { name: "Captions (Prerecorded)", level: "A" },
+  "1.2.3": { name: "Audio Description or Media Alternative (Prerecorded)", level: "A" },
+  "1.2.4": { name: "Captions (Live)", level: "AA" },
+  "1.2.5": { name: "Audio Description (Prerecorded)", level: "AA" },
+  "1.2.6": { name: "Sign Language (Prerecorded)", level: "AAA" },
+  "1.2.7": { name: "Extended Audio Description (Prerecorded)", level: "AAA" },
+  "1.2.8": { name: "Media Alternative (Prerecorded)", level: "AAA" },
+  "1.2.9": { name: "Audio-only (Live)", level: "AAA" },
+  "1.3.1": { name: "Info and Relationships", level: "A" },
+  "1.3.2": { name: "Meaningful Sequence", level: "A" },
+  "1.3.3": { name: "Sensory Characteristics", level: "A" },
+  "1.3.4": { name: "Orientation", level: "AA" },
+  "1.3.5": { name: "Identify Input Purpose", level: "AA" },
+  "1.3.6": { name: "Identify Purpose", level: "AAA" },
+  "1.4.1": { name: "Use of Color", level: "A" },
+  "1.4.2": { name: "Audio Control", level: "A" },
+  "1.4.3": { name: "Contrast (Minimum)", level: "AA" },
+  "1.4.4": { name: "Resize Text", level: "AA" },
+  "1.4.5": { name: "Images of Text", level: "AA" },
+  "1.4.6": { name: "Contrast (Enhanced)", level: "AAA" },
+  "1.4.7": { name: "Low or No Background Audio", level: "AAA" },
+  "1.4.8": { name: "Visual Presentation", level: "AAA" },
+  "1.4.9": { name: "Images of Text (No Exception)", level: "AAA" },
+  "1.4.10": { name: "Reflow", level: "AA" },
+  "1.4.11": { name: "Non-text Contrast", level: "AA" },
+  "1.4.12": { name: "Text Spacing", level: "AA" },
+  "1.4.13": { name: "Content on Hover or Focus", level: "AA" },
+  "2.1.1": { name: "Keyboard", level: "A" },
+  "2.1.2": { name: "No Keyboard Trap", level: "A" },
+  "2.1.3": { name: "Keyboard (No Exception)", level: "AAA" },
+  "2.1.4": { name: "Character Key Shortcuts", level: "A" },
+  "2.2.1": { name: "Timing Adjustable", level: "A" },
+  "2.2.2": { name: "Pause, Stop, Hide", level: "A" },
+  "2.2.3": { name: "No Timing", level: "AAA" },
+  "2.2.4": { name: "Interruptions", level: "AAA" },
+  "2.2.5": { name: "Re-authenticating", level: "AAA" },
+  "2.2.6": { name: "Timeouts", level: "AAA" },
+  "2.3.1": { name: "Three Flashes or Below Threshold", level: "A" },
+  "2.3.2": { name: "Three Flashes", level: "AAA" },
+  "2.3.3": { name: "Animation from Interactions", level: "AAA" },
+  "2.4.1": { name: "Bypass Blocks", level: "A" },
+  "2.4.2": { name: "Page Titled", level: "A" },
+  "2.4.3": { name: "Focus Order", level: "A" },
+  "2.4.4": { name: "Link Purpose (In Context)", level: "A" },
+  "2.4.5": { name: "Multiple Ways", level: "AA" },
+  "2.4.6": { name: "Headings and Labels", level: "AA" },
+  "2.4.7": { name: "Focus Visible", level: "AA" },
+  "2.4.8": { name: "Location", level: "AAA" },
+  "2.4.9": { name: "Link Purpose (Link Only)", level: "AAA" },
+  "2.4.10": { name: "Section Headings", level: "AAA" },
+  "2.4.11": { name: "Focus Not Obscured (Minimum)", level: "AA" },
+  "2.4.12": { name: "Focus Not Obscured (Enhanced)", level: "AAA" },
+  "2.4.13": { name: "Focus Appearance", level: "AAA" },
+  "2.5.1": { name: "Pointer Gestures", level: "A" },
+  "2.5.2": { name: "Pointer Cancellation", level: "A" },
+  "2.5.3": { name: "Label in Name", level: "A" },
+  "2.5.4": { name: "Motion Actuation", level: "A" },
+  "2.5.5": { name: "Target Size (Enhanced)", level: "AAA" },
+  "2.5.6": { name: "Concurrent Input Mechanisms", level: "AAA" },
+  "2.5.7": { name: "Dragging Movements", level: "AA" },
+  "2.5.8": { name: "Target Size (Minimum)", level: "AA" },
+  "3.1.1": { name: "Language of Page", level: "A" },
+  "3.1.2": { name: "Language of Parts", level: "AA" },
+  "3.1.3": { name: "Unusual Words", level: "AAA" },
+  "3.1.4": { name: "Abbreviations", level: "AAA" },
+  "3.1.5": { name: "Reading Level", level: "AAA" },
+  "3.1.6": { name: "Pronunciation", level: "AAA" },
+  "3.2.1": { name: "On Focus", level: "A" },
+  "3.2.2": { name: "On Input", level: "A" },
+  "3.2.3": { name: "Consistent Navigation", level: "AA" },
+  "3.2.4": { name: "Consistent Identification", level: "AA" },
+  "3.2.5": { name: "Change on Request", level: "AAA" },
+  "3.2.6": { name: "Consistent Help", level: "A" },
+  "3.3.1": { name: "Error Identification", level: "A" },
+  "3.3.2": { name: "Labels or Instructions", level: "A" },
+  "3.3.3": { name: "Error Suggestion", level: "AA" },
+  "3.3.4": { name: "Error Prevention (Legal, Financial, Data)", level: "AA" },
+  "3.3.5": { name: "Help", level: "AAA" },
+  "3.3.6": { name: "Error Prevention (All)", level: "AAA" },
+  "3.3.7": { name: "Redundant Entry", level: "A" },
+  "3.3.8": { name: "Accessible Authentication (Minimum)", level: "AA" },
+  "3.3.9": { name: "Accessible Authentication (Enhanced)", level: "AAA" },
+  "4.1.2": { name: "Name, Role, Value", level: "A" },
+  "4.1.3": { name: "Status Messages", level: "AA" },
+};
+
+const LEVELS = ["A", "AA", "AAA"];
+
+/**
+ * Normalizes a conformance level name ("aa" → "AA").
+ * @param {string} level
+ * @returns {string|null} Level, or null when unknown.
+ */
+function normalizeLevel(level) {
+  const upper = typeof level === "string" ? level.toUpperCase() : "";
+  return LEVELS.includes(upper) ? upper : null;
+}
+
+/**
+ * Returns whether a criterion is required for conformance at a target level.
+ * @param {string} criterion - Success criterion number (e.g. "1.4.3").
+ * @param {string} target - "A", "AA" or "AAA".
+ * @returns {boolean}
+ */
+function withinLevel(criterion, target) {
+  const info = CRITERIA[criterion];
+  return Boolean(info) && LEVELS.indexOf(info.level) <= LEVELS.indexOf(target);
+}
+
+/**
+ * Returns whether an issue type is relevant for a target level: it maps to
+ * at least one criterion at or below the level. Types without a mapping
+ * (e.g. plugin rules) are always relevant.
+ *
+ * @param {object} info - Issue type metadata.
+ * @param {string|null} target - Target level; null accepts everything.
+ * @returns {boolean}
+ */
+function isRelevant(info, target) {
+  if (!target || !info || !info.wcag || !info.wcag.length) return true;
+  return info.wcag.some((criterion) => withinLevel(criterion, target));
+}
+
+/**
+ * Builds the conformance summary of a run: for every success criterion the
+ * enabled rules cover (up to the target level), the number of issues found.
+ * A criterion the run evaluated without issues passed the automated checks;
+ * one mapped only by types that did not evaluate it (see `checkedTypes` in
+ * `src/analyzer.js`) was not checked. Criteria no rule covers still need
+ * manual review.
+ *
+ * @param {object[]} errors - Issues (with `wcag` set by the analyzer).
+ * @param {object[]} types - Metadata of the issue types that were checked: `wcag` lists
+ *   the criteria they evaluated, `skipped` the ones they cover but did not evaluate.
+ * @param {string|null} [target] - Target level; null includes all levels.
+ * @returns {{ level: string|null, criteria: object[], passed: number, failed: number, notChecked: number, manual: number }}
+ *   `criteria` entries are `{ criterion, name, level, issues, status }` with status
+ *   "pass", "fail" or "not checked".
+ */
+function conformance(errors, types, target = null) {
+  const level = target || "AAA";
+  const counts = new Map();
+  const evaluated = new Set();
+
+  for (const info of types) {
+    for (const criterion of [...(info.wcag || []), ...(info.skipped || [])]) {
+      if (withinLevel(criterion, level)) counts.set(criterion, 0);
+    }
+    for (const criterion of info.wcag || []) evaluated.add(criterion);
+  }
+  for (const error of errors) {
+    for (const criterion of error.wcag || []) {
+      if (withinLevel(criterion, level)) counts.set(criterion, (counts.get(criterion) || 0) + 1);
+    }
+  }
+
+  const order = Object.keys(CRITERIA);
+  const criteria = [...counts.entries()]
+    .sort(([a], [b]) => order.indexOf(a) - order.indexOf(b))
+    .map(([criterion, issues]) => ({
+      criterion,
+      name: CRITERIA[criterion].name,
+      level: CRITERIA[criterion].level,
+      issues,
+      // Issues fail a criterion even when the run could not have shown it passing
+      status: issues ? "fail" : evaluated.has(criterion) ? "pass" : "not checked",
+    }));
+  const applicable = order.filter((criterion) => withinLevel(criterion, level)).length;
+  const count = (status) => criteria.filter((entry) => entry.status === status).length;
+
+  return {
+    level: target,
+    criteria,
+    passed: count("pass"),
+    failed: count("fail"),
+    notChecked: count("not checked"),
+    manual: applicable - criteria.length,
+  };
+}
+
+module.exports = { CRITERIA, LEVELS, normalizeLevel, withinLevel, isRelevant, conformance };
@@ -0,0 +1,154 @@
+const fs = require("fs");
+const path = require("path");
+
+const { analyze, listFiles, resolveConfig, resolveRegistry } = require("./analyzer");
+
+/**
+ * Analyzes a directory tree, then keeps watching it and re-analyzes only the
+ * files that change. Changes arriving within `debounce` milliseconds are
+ * handled together; new files are picked up and deleted ones dropped. A
+ * changed `.css` file re-analyzes everything, since stylesheets affect contrast.
+ *
+ * The files results depend on (the stylesheets the results cache records as
+ * dependencies) are watched as well, also outside the directory, e.g. the
+ * contrast `stylesheets` option; a change re-analyzes the files using them.
+ *
+ * @param {string} dir - Directory to watch.
+ * @param {object} [options]
+ * @param {object|string} [options.config] - Config object or path to a config file.
+ * @param {object} [options.registry] - Rule registry.
+ * @param {number} [options.debounce] - Milliseconds to wait for more changes.
+ * @param {function(object): void} [options.onUpdate] - Called after the first run
+ *   and after every change with `{ files, errors, changed, documents }`; `errors` holds the
+ *   issues of all files, `changed` the re-analyzed files and `documents` the files
+ *   that are full documents.
+ * @param {function(Error): void} [options.onError] - Called when a file or the
+ *   watcher fails.
+ * @returns {{ close: function(): void }} Stops watching.
+ */
+function watchDirectory(dir, options = {}) {
+  const config = resolveConfig(options.config);
+  const registry = resolveRegistry(config, options.registry);
+  const { debounce = 100, onUpdate = () => {}, onError = () => {} } = options;
+
+  const results = new Map();
+  const dependencies = new Map();
+  const documents = new Set();
+  const dependencyWatchers = new Map();
+  const pending = new Set();
+  let files = [];
+  let timer = null;
+
+  const schedule = (file) => {
+    pending.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(flush, debounce);
+  };
+
+  const analyzeFile = (file) => {
+    try {
+      const content = fs.readFileSync(file, "utf-8");
+      const result = analyze(content, { file, config, registry });
+      results.set(file, result.errors);
+      dependencies.set(file, result.dependencies);
+      if (result.document) documents.add(file);
+      else documents.delete(file);
+    } catch (err) {
+      results.delete(file);
+      dependencies.delete(file);
+      documents.delete(file);
+      onError(new Error(`${file}: ${err.message}`));
+    }
+  };
+
+  // Dependencies inside the directory are covered by its recursive watcher
+  const root = path.resolve(dir);
+  const isOutside = (file) => {
+    const relative = path.relative(root, file);
+    return relative.startsWith("..") || path.isAbsolute(relative);
+  };
+
+  const watchDependencies = () => {
+    const wanted = new Set([...dependencies.values()].flat().filter(isOutside));
+    for (const [file, watcher] of dependencyWatchers) {
+      if (wanted.has(file)) continue;
+      watcher.close();
+      dependencyWatchers.delete(file);
+    }
+    for (const file of wanted) {
+      if (dependencyWatchers.has(file)) continue;
+      try {
+        const watcher = fs.watch(file, (event) => {
+          // Editors often replace the file; watch the new one after the next run
+          if (event === "rename") {
+            watcher.close();
+            dependencyWatchers.delete(file);
+          }
+          schedule(file);
+        });
+        watcher.on("error", onError);
+        dependencyWatchers.set(file, watcher);
+      } catch {
+        // Missing stylesheets are picked up once a run reads them again
+      }
+    }
+  };
+
+  const update = (changed) => {
+    onUpdate({
+      files,
+      errors: files.flatMap((file) => results.get(file) || []),
+      changed,
+      documents: files.filter((file) => documents.has(file)),
+    });
+  };
+
+  const flush = () => {
+    timer = null;
+    files = listFiles(dir, config);
+    const known = new Set(files);
+    let removed = 0;
+    for (const file of results.keys()) {
+      if (!known.has(file)) {
+        results.delete(file);
+        dependencies.delete(file);
+        removed++;
+      }
+    }
+
+    // Stylesheets inside the directory feed the contrast rule of every file
+    const styles = [...pending].some((file) => path.extname(file) === ".css" && !isOutside(path.resolve(file)));
+    const changedDependencies = new Set([...pending].map((file) => path.resolve(file)));
+    const changed = styles
+      ? files
+      : files.filter(
+          (file) =>
+            pending.has(file) || (dependencies.get(file) || []).some((dep) => changedDependencies.has(dep))
+        );
+    pending.clear();
+    if (!changed.length && !removed) return;
+    changed.forEach(analyzeFile);
+    watchDependencies();
+    update(changed);
+  };
+
+  files = listFiles(dir, config);
+  files.forEach(analyzeFile);
+  watchDependencies();
+  update(files);
+
+  const watcher = fs.watch(dir, { recursive: true }, (event, name) => {
+    if (name) schedule(path.join(dir, name));
+  });
+  watcher.on("error", onError);
+
+  return {
+    close() {
+      clearTimeout(timer);
+      watcher.close();
+      for (const dependencyWatcher of dependencyWatchers.values()) dependencyWatcher.close();
+    },
+  };
+}
+
+module.exports = { watchDirectory };
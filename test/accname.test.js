@@ -0,0 +1,133 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const cheerio = require("cheerio");
+
+const { createNameComputer, formatName, isHiddenInTree } = require("../src/utils/accname");
+const { preprocess, DYNAMIC } = require("../src/preprocessors");
+
+/**
+ * Computes the accessible name of the element matching `selector`.
+ * @param {string} html
+ * @param {string} [selector] - Defaults to `#target`.
+ * @param {object} [options] - `{ fromContent }`.
+ * @returns {string}
+ */
+function nameOf(html, selector = "#target", options) {
+  const $ = cheerio.load(html);
+  const el = $(selector).get(0);
+  assert.ok(el, `no element matches ${selector}`);
+  return createNameComputer($)(el, options);
+}
+
+test("aria-labelledby comes first and joins the referenced names in order", () => {
+  assert.equal(
+    nameOf('<button id="target" aria-labelledby="target file">Delete</button><span id="file">report.pdf</span>'),
+    "Delete report.pdf"
+  );
+  // The element itself is named by its aria-label in that traversal
+  assert.equal(
+    nameOf('<button id="target" aria-labelledby="target file" aria-label="Remove">x</button><span id="file">report.pdf</span>'),
+    "Remove report.pdf"
+  );
+  assert.equal(nameOf('<button id="target" aria-labelledby="l" aria-label="Remove">x</button><b id="l">Delete</b>'), "Delete");
+  assert.equal(nameOf('<input id="target" aria-labelledby="a missing b"><b id="a">First</b><b id="b">Last</b>'), "First Last");
+});
+
+test("aria-labelledby is not followed from a referenced node", () => {
+  const html =
+    '<a id="target" href="/" aria-labelledby="one">x</a>' +
+    '<span id="one" aria-labelledby="two">Content of one</span><span id="two">Two</span>';
+  assert.equal(nameOf(html), "Content of one");
+});
+
+test("referencing cycles end", () => {
+  const html = '<button id="target" aria-labelledby="other">A</button><button id="other" aria-labelledby="target">B</button>';
+  assert.equal(nameOf(html), "B");
+  assert.equal(nameOf('<div id="target" role="button" aria-labelledby="target"></div>'), "");
+});
+
+test("hidden nodes count only when aria-labelledby references them", () => {
+  const html =
+    '<button id="target" aria-labelledby="tip">Go</button>' +
+    '<div id="tip" hidden>Send <span>the form</span></div>';
+  assert.equal(nameOf(html), "Send the form");
+  assert.equal(nameOf('<button id="target">Save <span aria-hidden="true">💾</span><span hidden>now</span></button>'), "Save");
+  assert.equal(nameOf('<button id="target">Save <span style="display: none">now</span></button>'), "Save");
+  assert.equal(
+    nameOf('<button id="target" aria-labelledby="l">x</button><p id="l">Shown <span aria-hidden="true">hidden</span></p>'),
+    "Shown"
+  );
+});
+
+test("aria-label is used unless it is blank", () => {
+  assert.equal(nameOf('<button id="target" aria-label="Close">×</button>'), "Close");
+  assert.equal(nameOf('<button id="target" aria-label="  ">Close</button>'), "Close");
+});
+
+test("embedded controls contribute their value to a label", () => {
+  assert.equal(
+    nameOf(
+      '<input type="checkbox" id="target"><label for="target">Flash the screen ' +
+        '<select><option>1</option><option selected>3</option></select> times</label>'
+    ),
+    "Flash the screen 3 times"
+  );
+  assert.equal(nameOf('<label>Wait <input type="text" value="5"> seconds <input type="checkbox" id="target"></label>'), "Wait 5 seconds");
+  assert.equal(nameOf('<label>Size <select id="target"><option>S</option><option>M</option></select></label>'), "Size");
+});
+
+test("host language labels", () => {
+  assert.equal(nameOf('<label for="target">Email</label><input id="target">'), "Email");
+  assert.equal(nameOf('<label>Email <input id="target"></label>'), "Email");
+  assert.equal(nameOf('<label for="target">Home</label><label for="target">phone</label><input id="target">'), "Home phone");
+  assert.equal(nameOf('<img id="target" src="a.png" alt="Logo">'), "Logo");
+  assert.equal(nameOf('<input id="target" type="submit">'), "Submit");
+  assert.equal(nameOf('<input id="target" type="reset" value="Clear">'), "Clear");
+  assert.equal(nameOf('<input id="target" type="image" src="go.png" alt="Go">'), "Go");
+  assert.equal(nameOf('<fieldset id="target"><legend>Shipping</legend><input></fieldset>'), "Shipping");
+  assert.equal(nameOf('<table id="target"><caption>Prices</caption><tr><td>1</td></tr></table>'), "Prices");
+  assert.equal(nameOf('<svg id="target"><title>Search</title></svg>'), "Search");
+  assert.equal(nameOf('<img id="target" src="a.png" alt="Logo" role="presentation">'), "");
+});
+
+test("name from content follows inline and block layout", () => {
+  assert.equal(nameOf('<a id="target" href="/">Acc<em>ess</em>ible</a>'), "Accessible");
+  assert.equal(nameOf('<a id="target" href="/">Read<div>more</div></a>'), "Read more");
+  assert.equal(nameOf('<a id="target" href="/">Line<br>break</a>'), "Line break");
+  assert.equal(nameOf('<button id="target"><img src="a.png" alt="Print"> page</button>'), "Print page");
+  assert.equal(nameOf('<a id="target" href="/">  spaced \n  out  </a>'), "spaced out");
+});
+
+test("roles named by authors only take their content with fromContent", () => {
+  const html = '<nav id="target"><a href="/">Home</a></nav>';
+  assert.equal(nameOf(html), "");
+  assert.equal(nameOf(html, "#target", { fromContent: true }), "Home");
+});
+
+test("title and placeholder are the last resort", () => {
+  assert.equal(nameOf('<input id="target" title="Search terms" placeholder="Search">'), "Search terms");
+  assert.equal(nameOf('<input id="target" placeholder="Search">'), "Search");
+  assert.equal(nameOf('<iframe id="target" title="Map"></iframe>'), "Map");
+  assert.equal(nameOf('<label for="target">Query <input placeholder="e.g. shoes"></label><input id="target" type="checkbox">'), "Query");
+});
+
+test("template output makes the name present but unknown", () => {
+  const dynamic = (html, file = "page.twig") => nameOf(preprocess(html, file));
+
+  assert.ok(dynamic('<button id="target" aria-labelledby="{{ id }}"></button>').includes(DYNAMIC));
+  assert.ok(dynamic('<label for="{{ id }}">Name</label><input id="target">').includes(DYNAMIC));
+  assert.ok(dynamic('<input id="target" type="checkbox" {{ attributes }}>').includes(DYNAMIC));
+  assert.equal(dynamic('<button id="target" {{ attributes }}>Save</button>'), "Save");
+  assert.equal(formatName(dynamic('<button id="target">Hello {{ name }}</button>')), '"Hello {…}"');
+});
+
+test("formatName quotes and shortens names", () => {
+  assert.equal(formatName(""), '""');
+  assert.equal(formatName("x".repeat(80)), `"${"x".repeat(59)}…"`);
+});
+
+test("isHiddenInTree looks at the ancestors", () => {
+  const $ = cheerio.load('<div aria-hidden="true"><a id="a" href="/">A</a></div><div><a id="b" href="/">B</a></div>');
+  assert.equal(isHiddenInTree($("#a")[0]), true);
+  assert.equal(isHiddenInTree($("#b")[0]), false);
+});
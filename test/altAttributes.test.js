@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { analyze } = require("../src/analyzer");
+const { createRegistry } = require("../src/registry");
+const { applyFixes } = require("../src/utils/fixes");
+const altAttributes = require("../src/rules/altAttributes");
+
+const registry = createRegistry([altAttributes]);
+const check = (content) => analyze(content, { file: "page.html", registry }).errors;
+
+test("fixed decorative images are not reported again", () => {
+  const content = [
+    '<img src="a.png" aria-hidden="true">',
+    '<img src="b.png" role="presentation">',
+    '<img src="c.png" alt="">',
+    '<img src="d.png" alt="  ">',
+    '<img src="e.png" role="none" alt="spacer">',
+  ].join("\n");
+
+  const errors = check(content);
+  assert.deepEqual(
+    errors.map((error) => error.type),
+    ["missing-alt", "missing-alt", "alt-empty", "alt-empty", "alt-decorative-incorrect"]
+  );
+  assert.ok(errors.every((error) => error.fix));
+
+  const { output, skipped } = applyFixes(content, errors.map((error) => error.fix));
+  assert.deepEqual(skipped, []);
+  assert.deepEqual(check(output), []);
+});
+
+test("empty alt on a presentational or hidden image is not reported", () => {
+  assert.deepEqual(check('<img src="a.png" alt="" role="presentation">'), []);
+  assert.deepEqual(check('<img src="a.png" alt="" aria-hidden="true">'), []);
+});
+
+test("empty alt without a decorative marker is still reported", () => {
+  assert.deepEqual(
+    check('<img src="a.png" alt="">').map((error) => error.type),
+    ["alt-empty"]
+  );
+});
@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const api = require("..");
+const { analyze, analyzeDirectory, createRegistry, defaultRegistry, builtInRules } = api;
+
+const SITE = path.join(__dirname, "fixtures", "site");
+
+const imageRule = Object.assign(
+  function imageCount({ $, file, getLocation }) {
+    return $("img").map((_, el) => ({ file, ...getLocation(el), type: "image-found", message: "Image" })).get();
+  },
+  { meta: { id: "image-count", types: { "image-found": { label: "Images", color: "blue", severity: "info" } } } }
+);
+
+test("requiring the package exports the API without running the CLI", () => {
+  assert.deepEqual(Object.keys(api).sort(), [
+    "analyze",
+    "analyzeDirectory",
+    "analyzeSite",
+    "analyzeUrl",
+    "builtInRules",
+    "createRegistry",
+    "defaultRegistry",
+    "watchDirectory",
+  ]);
+  assert.equal(process.exitCode, undefined);
+});
+
+test("every built-in rule declares a unique id and issue types with a severity", () => {
+  const registry = defaultRegistry();
+  assert.equal(registry.list().length, builtInRules.length);
+  for (const rule of builtInRules) {
+    assert.equal(registry.get(rule.meta.id), rule);
+    for (const [type, info] of Object.entries(rule.meta.types)) {
+      assert.equal(registry.getType(type).rule, rule.meta.id);
+      assert.ok(["error", "warning", "info"].includes(info.severity), `${type} has a severity`);
+    }
+  }
+});
+
+test("analyze returns structured issues", () => {
+  const result = analyze('<main>\n  <img src="logo.png">\n</main>', { file: "page.html" });
+
+  assert.equal(result.file, "page.html");
+  assert.equal(result.document, false);
+  const issue = result.errors.find((error) => error.type === "missing-alt");
+  assert.equal(issue.file, "page.html");
+  assert.equal(issue.line, 2);
+  assert.equal(issue.severity, "error");
+  assert.match(issue.fingerprint, /^[0-9a-f]{16}$/);
+  assert.ok(result.timings["alt-attributes"] >= 0);
+});
+
+test("a custom registry runs only its own rules", () => {
+  const registry = createRegistry([imageRule]);
+  assert.deepEqual(
+    analyze('<img src="a.png"><img src="b.png" alt="B">', { registry }).errors.map(({ type, severity }) => `${type} ${severity}`),
+    ["image-found info", "image-found info"]
+  );
+});
+
+test("registering malformed or conflicting rules throws", () => {
+  const registry = createRegistry([imageRule]);
+  assert.throws(() => registry.register(imageRule), /Rule "image-count" is already registered/);
+  assert.throws(() => createRegistry([function noMeta() {}]), /Rule "noMeta" is missing a meta.id/);
+  const clash = Object.assign(() => [], { meta: { id: "other", types: { "image-found": { severity: "error" } } } });
+  assert.throws(() => registry.register(clash), /Issue type "image-found" is already declared by rule "image-count"/);
+  const loud = Object.assign(() => [], { meta: { id: "loud", types: { loud: { severity: "fatal" } } } });
+  assert.throws(() => createRegistry([loud]), /has invalid severity "fatal"/);
+});
+
+test("analyzeDirectory runs the same rules as analyze on each file", async () => {
+  const config = { include: ["**/*.html"] };
+  const result = await analyzeDirectory(SITE, { config });
+
+  const expected = result.files.flatMap((file) => analyze(fs.readFileSync(file, "utf-8"), { file, config }).errors);
+  assert.deepEqual(result.errors, expected);
+  assert.ok(result.files.length > 1);
+});
+
+test("rules switched off in the config do not run", () => {
+  const content = '<img src="logo.png">';
+  assert.ok(analyze(content).errors.some((error) => error.type === "missing-alt"));
+  assert.ok(!analyze(content, { config: { rules: { "alt-attributes": "off" } } }).errors.some((error) => error.type === "missing-alt"));
+});
@@ -0,0 +1,143 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const cheerio = require("cheerio");
+
+const { analyze } = require("../src/analyzer");
+const { createRegistry } = require("../src/registry");
+const { getRole, isValidValue, supportsAttribute } = require("../src/utils/aria");
+
+const registry = createRegistry([require("../src/rules/ariaRoles"), require("../src/rules/ariaAttributes")]);
+
+/**
+ * Returns the ARIA issues of a fragment as `type: message` strings.
+ * @param {string} content
+ * @param {object} [rules] - Rule settings, as in the configuration.
+ * @param {string} [file]
+ * @returns {string[]}
+ */
+const issues = (content, rules, file = "page.html") =>
+  analyze(content, { file, registry, config: rules && { rules } }).errors.map(
+    (error) => `${error.type}: ${error.message}`
+  );
+
+const roleOf = (html) => getRole(cheerio.load(html)("body > *").get(0));
+
+test("roles come from the first recognized token or the element", () => {
+  assert.equal(roleOf('<div role="doc-tip note"></div>'), "doc-tip");
+  assert.equal(roleOf('<div role="foo button"></div>'), "button");
+  assert.equal(roleOf("<a href='/'>x</a>"), "link");
+  assert.equal(roleOf("<a>x</a>"), "generic");
+  assert.equal(roleOf('<input type="checkbox">'), "checkbox");
+  assert.equal(roleOf("<ul></ul>"), "list");
+});
+
+test("unrecognized and abstract roles are invalid", () => {
+  assert.deepEqual(issues('<div role="buton">x</div>'), ['aria-role-invalid: Unrecognized or inappropriate ARIA role: "buton"']);
+  assert.deepEqual(issues('<div role="widget">x</div>'), ['aria-role-invalid: Abstract ARIA role "widget" must not be used in content']);
+  assert.deepEqual(issues('<div role="landmark region" aria-label="News">x</div>'), [
+    'aria-role-invalid: Abstract ARIA role "landmark" must not be used in content',
+  ]);
+  // A fallback role is fine once one token is recognized
+  assert.deepEqual(issues('<div role="switch checkbox" aria-checked="false">x</div>'), []);
+  assert.deepEqual(issues('<div role="doc-pullquote">x</div><svg role="graphics-document"></svg>'), []);
+  assert.deepEqual(issues('<div role="{{ role }}">x</div>', undefined, "page.twig"), []);
+});
+
+test("allowedRoles accepts extra roles", () => {
+  assert.deepEqual(issues('<div role="toast">x</div>', { "aria-role-invalid": { allowedRoles: ["toast"] } }), []);
+});
+
+test("roles that need a parent role report a missing or wrong one", () => {
+  assert.deepEqual(issues('<div role="tablist"><button role="tab">A</button></div>'), []);
+  assert.deepEqual(issues('<ul><li><span role="presentation"><a href="/">x</a></span></li></ul>'), []);
+  assert.deepEqual(issues('<div role="list"><div><div role="listitem">A</div></div></div>'), []);
+  assert.deepEqual(issues('<div role="menu"><div role="tab">A</div></div>'), [
+    'aria-required-children: Role "menu" must own an element with role "group", "menuitem", "menuitemcheckbox", "menuitemradio" (found: "tab")',
+    'aria-required-context: Role "tab" must be inside an element with role "tablist" (found: "menu")',
+  ]);
+  // aria-owns makes the owner the parent
+  assert.deepEqual(issues('<div role="tablist" aria-owns="t"></div><div><button role="tab" id="t">A</button></div>'), []);
+});
+
+test("a missing parent is reported only in full documents", () => {
+  assert.deepEqual(issues('<button role="tab">A</button>'), []);
+  const page = (body) => `<!DOCTYPE html><html lang="en"><head><title>T</title></head><body>${body}</body></html>`;
+  assert.deepEqual(issues(page('<button role="tab">A</button>')), [
+    'aria-required-context: Role "tab" must be inside an element with role "tablist" (found: none)',
+  ]);
+});
+
+test("containers must own one of the roles they require", () => {
+  assert.deepEqual(issues('<div role="list"><div>A</div></div>'), [
+    'aria-required-children: Role "list" must own an element with role "listitem" (found: none)',
+  ]);
+  assert.deepEqual(issues('<div role="list" aria-busy="true"><div>Loading</div></div>'), []);
+  // Empty containers and containers with template output may be filled later
+  assert.deepEqual(issues('<div role="list"></div>'), []);
+  assert.deepEqual(issues('<div role="list"><div>{{ items }}</div></div>', undefined, "page.twig"), []);
+  assert.deepEqual(issues('<div role="list" aria-owns="a"></div><div role="listitem" id="a">A</div>'), []);
+});
+
+test("unknown attributes are reported with a suggestion", () => {
+  assert.deepEqual(issues('<button aria-lable="Close">x</button>'), [
+    "aria-attribute-unknown: Unknown ARIA attribute aria-lable (did you mean aria-label?)",
+  ]);
+  assert.deepEqual(issues('<button aria-foobarbaz="x">x</button>'), ["aria-attribute-unknown: Unknown ARIA attribute aria-foobarbaz"]);
+});
+
+test("values must match the attribute type", () => {
+  assert.deepEqual(issues('<button aria-pressed="yes">x</button>'), [
+    'aria-attribute-value: Invalid value for aria-pressed: "yes" (expected "true", "false" or "mixed")',
+  ]);
+  assert.deepEqual(issues('<div role="heading" aria-level="two">x</div>'), [
+    'aria-attribute-value: Invalid value for aria-level: "two" (expected an integer)',
+  ]);
+  assert.deepEqual(issues('<div aria-live="loud">x</div>'), [
+    'aria-attribute-value: Invalid value for aria-live: "loud" (expected one of "assertive", "off", "polite")',
+  ]);
+  assert.deepEqual(issues('<div aria-relevant="additions everything">x</div>'), [
+    'aria-attribute-value: Invalid value for aria-relevant: "additions everything" (expected values from "additions", "all", "removals", "text")',
+  ]);
+  assert.deepEqual(issues('<input aria-activedescendant="a b">'), [
+    'aria-attribute-value: Invalid value for aria-activedescendant: "a b" (expected a single ID)',
+  ]);
+  assert.deepEqual(issues('<button aria-pressed="TRUE" aria-describedby="a b" aria-label="">x</button>'), []);
+});
+
+test("isValidValue checks each value type", () => {
+  assert.equal(isValidValue("aria-hidden", "undefined"), true);
+  assert.equal(isValidValue("aria-checked", "mixed"), true);
+  assert.equal(isValidValue("aria-expanded", "mixed"), false);
+  assert.equal(isValidValue("aria-valuenow", "-1.5"), true);
+  assert.equal(isValidValue("aria-valuenow", ""), false);
+  assert.equal(isValidValue("aria-posinset", "1.5"), false);
+  assert.equal(isValidValue("aria-labelledby", " "), false);
+  assert.equal(isValidValue("aria-made-up", "anything"), true);
+});
+
+test("attributes the role does not support or prohibits are reported", () => {
+  assert.deepEqual(issues('<a href="/" aria-checked="true">x</a>'), [
+    'aria-attribute-not-allowed: aria-checked is not supported on <a> with role "link"',
+  ]);
+  assert.deepEqual(issues('<span aria-label="Note">x</span>'), [
+    'aria-attribute-not-allowed: aria-label is not allowed on <span> with role "generic", which cannot be named',
+  ]);
+  assert.deepEqual(issues('<p aria-labelledby="x">x</p><b id="x">y</b>'), [
+    'aria-attribute-not-allowed: aria-labelledby is not allowed on <p> with role "paragraph", which cannot be named',
+  ]);
+  assert.deepEqual(issues('<nav aria-label="Main" aria-hidden="false"><a href="/">x</a></nav>'), []);
+  assert.equal(supportsAttribute("slider", "aria-valuemin"), true);
+  assert.equal(supportsAttribute("button", "aria-valuemin"), false);
+  assert.equal(supportsAttribute("made-up", "aria-valuemin"), true);
+});
+
+test("explicit roles must have the states they require unless the element provides them", () => {
+  assert.deepEqual(issues('<div role="checkbox" tabindex="0">x</div>'), ['aria-attribute-required: Role "checkbox" requires aria-checked']);
+  assert.deepEqual(issues('<div role="scrollbar" tabindex="0"></div>'), [
+    'aria-attribute-required: Role "scrollbar" requires aria-controls, aria-valuenow',
+  ]);
+  assert.deepEqual(issues('<input type="checkbox" role="switch">'), []);
+  assert.deepEqual(issues('<h2 role="heading">x</h2>'), []);
+  // Implicit roles get their states from the element
+  assert.deepEqual(issues('<input type="checkbox">'), []);
+});
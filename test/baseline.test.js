@@ -0,0 +1,126 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { analyze } = require("../src/analyzer");
+const { createRegistry } = require("../src/registry");
+const { readBaseline, writeBaseline, filterBaseline } = require("../src/utils/baseline");
+const { parseDirectives } = require("../src/utils/suppressions");
+const { atLeast } = require("../src/utils/severity");
+
+const registry = createRegistry([require("../src/rules/altAttributes"), require("../src/rules/emptyLinks")]);
+
+const check = (content, file = "page.html") => analyze(content, { file, registry }).errors;
+// Issues come in rule order; sorting by line keeps expectations readable
+const lines = (content, file) =>
+  check(content, file)
+    .sort((a, b) => a.line - b.line)
+    .map((error) => `${error.line} ${error.type}`);
+
+test("disable-next-line and disable-line suppress only their line", () => {
+  const content = [
+    '<img src="a.png">',
+    "<!-- be-a11y-disable-next-line missing-alt -->",
+    '<img src="b.png">',
+    '<img src="c.png">',
+    '<img src="d.png"> <!-- be-a11y-disable-line -->',
+    '<a href="#"></a> <!-- be-a11y-disable-line missing-alt -->',
+  ].join("\n");
+  assert.deepEqual(lines(content), ["1 missing-alt", "4 missing-alt", "6 empty-link"]);
+});
+
+test("a multi-line directive suppresses the line after its end", () => {
+  const content = ['<!-- be-a11y-disable-next-line', "     missing-alt -->", '<img src="a.png">', '<img src="b.png">'].join("\n");
+  assert.deepEqual(parseDirectives(content), [{ start: 3, end: 3, names: ["missing-alt"] }]);
+  assert.deepEqual(lines(content), ["4 missing-alt"]);
+});
+
+test("disable blocks by rule id run until the matching enable", () => {
+  const content = [
+    "<!-- be-a11y-disable alt-attributes -->",
+    '<img src="a.png">',
+    '<a href="#"></a>',
+    "<!-- be-a11y-enable -->",
+    '<img src="b.png">',
+    "<!-- be-a11y-disable empty-link -->",
+    '<a href="#"></a>',
+  ].join("\n");
+  assert.deepEqual(lines(content), ["3 empty-link", "5 missing-alt"]);
+});
+
+test("template comments hold directives too", () => {
+  assert.deepEqual(lines('{# be-a11y-disable-next-line missing-alt #}\n<img src="{{ src }}">\n<img src="{{ src }}">', "page.twig"), [
+    "3 missing-alt",
+  ]);
+  assert.deepEqual(lines('{* be-a11y-disable-next-line *}\n<img src="{$src}">', "page.latte"), []);
+  assert.deepEqual(
+    lines('export const A = () => (\n  <>\n    {/* be-a11y-disable-next-line */}\n    <img src="a.png" />\n    <img src="b.png" />\n  </>\n);', "a.jsx"),
+    ["5 missing-alt"]
+  );
+});
+
+test("fingerprints stay the same when unrelated lines move", () => {
+  const before = check('<p>Intro</p>\n<img src="a.png">\n<a href="#"></a>');
+  const after = check('<h1>Title</h1>\n<p>New intro</p>\n\n<p>More</p>\n  <img   src="a.png">\n<a href="#"></a>');
+
+  assert.deepEqual(
+    after.map((error) => [error.line, error.fingerprint]),
+    [
+      [5, before[0].fingerprint],
+      [6, before[1].fingerprint],
+    ]
+  );
+  assert.notEqual(check('<img src="b.png">')[0].fingerprint, before[0].fingerprint);
+});
+
+test("identical issues on identical lines get distinct fingerprints", () => {
+  const errors = check('<img src="a.png">\n<img src="a.png">');
+  assert.equal(errors.length, 2);
+  assert.notEqual(errors[0].fingerprint, errors[1].fingerprint);
+});
+
+test("the baseline hides recorded issues while new ones still fail", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "be-a11y-baseline-"));
+  const baselinePath = path.join(dir, "a11y-baseline.json");
+  try {
+    assert.equal(readBaseline(baselinePath), null);
+    writeBaseline(baselinePath, check('<img src="a.png">\n<img src="a.png">'));
+    const recorded = readBaseline(baselinePath);
+    assert.deepEqual(
+      recorded.map(({ file, type, line }) => ({ file, type, line })),
+      [
+        { file: "page.html", type: "missing-alt", line: 1 },
+        { file: "page.html", type: "missing-alt", line: 2 },
+      ]
+    );
+
+    // Both recorded images moved down, a third identical one and an empty link are new
+    const current = check('<main>\n<img src="a.png">\n<img src="a.png">\n<img src="a.png">\n<a href="#"></a>\n</main>');
+    const { errors, known } = filterBaseline(current, recorded);
+
+    assert.deepEqual(
+      known.map((error) => error.line),
+      [2, 3]
+    );
+    assert.deepEqual(
+      errors.map((error) => `${error.line} ${error.type}`),
+      ["4 missing-alt", "5 empty-link"]
+    );
+    assert.ok(errors.some((error) => atLeast(error.severity, "error")));
+    assert.deepEqual(filterBaseline(check('<img src="a.png">'), recorded).errors, []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("an invalid baseline file is reported", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "be-a11y-baseline-"));
+  try {
+    fs.writeFileSync(path.join(dir, "baseline.json"), JSON.stringify({ version: 1 }));
+    assert.throws(() => readBaseline(path.join(dir, "baseline.json")), /Invalid baseline file/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+const ROOT = path.join(__dirname, "..");
+const SITE = path.join(__dirname, "fixtures", "site");
+
+let ncc;
+try {
+  ncc = require.resolve("@vercel/ncc/dist/ncc/cli.js");
+} catch {
+  ncc = null;
+}
+
+let out;
+
+// Builds index.js the way `npm run build` does, into a temporary directory
+test.before(() => {
+  if (!ncc) return;
+  out = fs.mkdtempSync(path.join(os.tmpdir(), "be-a11y-bundle-"));
+  execFileSync(process.execPath, [ncc, "build", "index.js", "-o", out, "--quiet"], { cwd: ROOT, stdio: "pipe" });
+});
+
+test.after(() => {
+  if (out) fs.rmSync(out, { recursive: true, force: true });
+});
+
+test("the bundle analyzes files in worker threads", { skip: !ncc && "@vercel/ncc is not installed" }, async () => {
+  const bundle = require(path.join(out, "index.js"));
+  const config = { include: ["**/*.html"] };
+
+  const inProcess = await bundle.analyzeDirectory(SITE, { config: { ...config, workers: 1 } });
+  const inWorkers = await bundle.analyzeDirectory(SITE, { config: { ...config, workers: 2 } });
+
+  assert.ok(inProcess.files.length > 1);
+  assert.deepEqual(inWorkers.files, inProcess.files);
+  assert.deepEqual(inWorkers.errors, inProcess.errors);
+  assert.deepEqual(inWorkers.documents, inProcess.documents);
+});
+
+test("the bundle contains no copied source or repository files", { skip: !ncc && "@vercel/ncc is not installed" }, () => {
+  assert.deepEqual(fs.readdirSync(out), ["index.js"]);
+});
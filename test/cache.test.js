@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { analyzeDirectory } = require("../src/analyzer");
+
+const PAGE = '<link rel="stylesheet" href="site.css"><main><p class="note">Note</p></main>';
+
+let dir;
+
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "be-a11y-cache-"));
+  fs.mkdirSync(path.join(dir, "pages"));
+  fs.writeFileSync(path.join(dir, "pages", "styled.html"), PAGE);
+  fs.writeFileSync(path.join(dir, "pages", "plain.html"), '<main><img src="a.png"></main>');
+  fs.writeFileSync(path.join(dir, "pages", "site.css"), ".note { color: #000 }");
+});
+
+test.afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Analyzes the pages with the cache in the temporary directory.
+ * @param {object} [rules] - Rule settings.
+ * @returns {Promise<object>}
+ */
+const run = (rules = {}) =>
+  analyzeDirectory(path.join(dir, "pages"), {
+    config: { cache: { enabled: true, location: path.join(dir, "cache.json") }, rules },
+  });
+
+const types = (result) => result.errors.map((error) => `${path.basename(error.file)} ${error.type}`).sort();
+
+test("unchanged files come from the cache with the same issues", async () => {
+  const first = await run();
+  const second = await run();
+
+  assert.equal(first.cached, 0);
+  assert.equal(second.cached, 2);
+  assert.deepEqual(types(second), types(first));
+  assert.deepEqual(types(second), ["plain.html missing-alt", "plain.html missing-aria"]);
+});
+
+test("changed files and rule settings miss the cache", async () => {
+  await run();
+  fs.writeFileSync(path.join(dir, "pages", "plain.html"), '<main><img src="a.png" alt="A"></main>');
+  const edited = await run();
+  assert.equal(edited.cached, 1);
+  assert.deepEqual(types(edited), []);
+
+  const changedSetting = await run({ "alt-attributes": "off" });
+  assert.equal(changedSetting.cached, 0);
+  assert.equal((await run({ "alt-attributes": "off" })).cached, 2);
+});
+
+test("a change to a linked stylesheet re-analyzes only the files using it", async () => {
+  await run();
+  fs.writeFileSync(path.join(dir, "pages", "site.css"), ".note { color: #ccc }");
+  const result = await run();
+
+  assert.equal(result.cached, 1);
+  assert.deepEqual(types(result), ["plain.html missing-alt", "plain.html missing-aria", "styled.html contrast"]);
+});
+
+test("a deleted linked stylesheet re-analyzes the files using it", async () => {
+  fs.writeFileSync(path.join(dir, "pages", "site.css"), ".note { color: #ccc }");
+  assert.deepEqual(types(await run()), ["plain.html missing-alt", "plain.html missing-aria", "styled.html contrast"]);
+
+  fs.rmSync(path.join(dir, "pages", "site.css"));
+  const result = await run();
+  assert.equal(result.cached, 1);
+  assert.deepEqual(types(result), ["plain.html missing-alt", "plain.html missing-aria"]);
+});
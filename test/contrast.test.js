@@ -0,0 +1,146 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const cheerio = require("cheerio");
+
+const { analyze } = require("../src/analyzer");
+const { createRegistry } = require("../src/registry");
+const { createStyleResolver, mediaCondition } = require("../src/utils/styles");
+
+const registry = createRegistry([require("../src/rules/contrast")]);
+
+/**
+ * Returns the contrast messages of a page.
+ * @param {string} body - Markup of the body.
+ * @param {object} [options] - `{ head, file, rules }`.
+ * @returns {string[]}
+ */
+function messages(body, { head = "", file = "page.html", rules } = {}) {
+  const content = `<!DOCTYPE html><html lang="en"><head><title>T</title>${head}</head><body>${body}</body></html>`;
+  return analyze(content, { file, registry, config: rules && { rules } }).errors.map((error) => error.message);
+}
+
+const style = (css) => `<style>${css}</style>`;
+
+/**
+ * Returns the computed style of `#target`.
+ * @param {string} html
+ * @returns {object}
+ */
+function computed(html) {
+  const $ = cheerio.load(html);
+  return createStyleResolver($, "page.html")($("#target").get(0));
+}
+
+test("class colors are checked against the background of the closest ancestor", () => {
+  assert.deepEqual(messages('<div class="card"><p class="muted">Note</p></div>', { head: style(".card { background: #333 } .muted { color: #555 }") }), [
+    "Low contrast ratio (1.69:1, needs 4.5:1): #555 on #333333",
+  ]);
+  assert.deepEqual(messages('<p class="muted">Note</p>', { head: style(".muted { color: #767676 }") }), []);
+});
+
+test("colors inherit from ancestors", () => {
+  assert.deepEqual(messages('<section class="pale"><p>Inherited <em>text</em></p></section>', { head: style(".pale { color: #aaa }") }), [
+    "Low contrast ratio (2.32:1, needs 4.5:1): #aaa on #ffffff",
+    "Low contrast ratio (2.32:1, needs 4.5:1): #aaa on #ffffff",
+  ]);
+  assert.equal(computed('<div style="color: red"><span id="target">x</span></div>').color, "red");
+  assert.equal(computed('<div style="background-color: red"><span id="target">x</span></div>').backgroundColor, "transparent");
+});
+
+test("translucent text and backgrounds are composited", () => {
+  // rgba(0, 0, 0, 0.3) on white is #b3b3b3
+  assert.deepEqual(messages('<p style="color: rgba(0, 0, 0, 0.3)">Faint</p>'), [
+    "Low contrast ratio (2.10:1, needs 4.5:1): rgba(0, 0, 0, 0.3) on #ffffff",
+  ]);
+  // A half transparent black layer over white gives #808080
+  assert.deepEqual(messages('<div style="background: rgba(0, 0, 0, 0.5)"><p style="color: #fff">Over gray</p></div>'), [
+    "Low contrast ratio (3.95:1, needs 4.5:1): #fff on #808080",
+  ]);
+  assert.deepEqual(messages('<div style="background: #000"><div style="background: rgba(255, 255, 255, 0.1)"><p style="color: #fff">Dark</p></div></div>'), []);
+});
+
+test("!important and specificity decide the cascade", () => {
+  const head = style("#main p { color: #000 } p.note { color: #ccc !important } p { color: #000 }");
+  assert.deepEqual(messages('<div id="main"><p class="note">Note</p></div>', { head }), [
+    "Low contrast ratio (1.61:1, needs 4.5:1): #ccc on #ffffff",
+  ]);
+  assert.equal(computed('<style>#target { color: blue }</style><p id="target" style="color: red">x</p>').color, "red");
+  assert.equal(computed('<style>p { color: blue !important }</style><p id="target" style="color: red">x</p>').color, "blue");
+});
+
+test("custom properties are resolved with var(), including fallbacks", () => {
+  const head = style(":root { --fg: #bbb } .a { color: var(--fg) } .b { color: var(--missing, #ddd) } .c { --fg: #000; }");
+  assert.deepEqual(messages('<p class="a">A</p><p class="b">B</p><div class="c"><p class="a">C</p></div>', { head }), [
+    "Low contrast ratio (1.92:1, needs 4.5:1): #bbb on #ffffff",
+    "Low contrast ratio (1.36:1, needs 4.5:1): #ddd on #ffffff",
+  ]);
+  assert.equal(computed('<style>p { color: var(--undefined) }</style><p id="target">x</p>').color, null);
+});
+
+test("print and width media queries are left out", () => {
+  const head = style("@media print { p { color: #eee } } @media (min-width: 600px) { p { color: #eee } } p { color: #000 }");
+  assert.deepEqual(messages("<p>Text</p>", { head }), []);
+  assert.deepEqual(messages("<p>Text</p>", { head: '<style media="print">p { color: #eee }</style>' }), []);
+  assert.equal(mediaCondition("print"), "none");
+  assert.equal(mediaCondition("screen and (max-width: 40em)"), "other");
+  assert.equal(mediaCondition("not print"), "all");
+  assert.equal(mediaCondition("(prefers-color-scheme: dark)"), "dark");
+});
+
+test("dark color schemes are checked against the dark canvas only when the page opts in", () => {
+  const dark = "@media (prefers-color-scheme: dark) { p { color: #eee } }";
+  assert.deepEqual(messages("<p>Text</p>", { head: style(dark) }), [
+    "Low contrast ratio (1.16:1, needs 4.5:1): #eee on #ffffff in the dark color scheme",
+  ]);
+  assert.deepEqual(messages("<p>Text</p>", { head: `<meta name="color-scheme" content="light dark">${style(dark)}` }), []);
+  assert.deepEqual(messages("<p>Text</p>", { head: style(`:root { color-scheme: light dark } ${dark}`) }), []);
+});
+
+test("text over background images is skipped", () => {
+  assert.deepEqual(messages('<div style="background: url(hero.jpg) #fff"><p style="color: #eee">Hero</p></div>'), []);
+  assert.deepEqual(messages('<p style="background-image: linear-gradient(#000, #333); color: #222">Banner</p>'), []);
+  assert.deepEqual(messages('<p style="background-image: none; color: #eee">Plain</p>'), [
+    "Low contrast ratio (1.16:1, needs 4.5:1): #eee on #ffffff",
+  ]);
+});
+
+test("large text uses the lower threshold", () => {
+  // #777 on white is 4.48:1
+  assert.deepEqual(messages('<p style="color: #777">Small</p>'), ["Low contrast ratio (4.48:1, needs 4.5:1): #777 on #ffffff"]);
+  assert.deepEqual(messages('<p style="color: #777; font-size: 24px">Large</p>'), []);
+  assert.deepEqual(messages('<h2 style="color: #777">Heading</h2>'), []);
+  assert.deepEqual(messages('<p style="color: #777; font-size: 14pt; font-weight: bold">Bold</p>'), []);
+  assert.deepEqual(messages('<p style="color: #777; font-size: 14pt">Not bold</p>'), [
+    "Low contrast ratio (4.48:1, needs 4.5:1): #777 on #ffffff",
+  ]);
+  assert.deepEqual(messages('<p style="color: #999; font-size: 2em">Too light</p>'), [
+    "Low contrast ratio (2.85:1, needs 3:1 for large text): #999 on #ffffff",
+  ]);
+});
+
+test("AAA thresholds apply with the level option", () => {
+  const errors = analyze('<p style="color: #777">Text</p>', {
+    file: "page.html",
+    registry,
+    config: { rules: { contrast: { level: "AAA" } } },
+  }).errors;
+  assert.equal(errors.length, 1);
+  assert.match(errors[0].message, /needs 7:1/);
+});
+
+test("colors from linked stylesheets are used and recorded as dependencies", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "be-a11y-contrast-"));
+  try {
+    fs.writeFileSync(path.join(dir, "site.css"), ".muted { color: #ccc }");
+    const file = path.join(dir, "page.html");
+    const content = '<link rel="stylesheet" href="site.css"><p class="muted">Note</p>';
+    const result = analyze(content, { file, registry });
+    assert.deepEqual(result.errors.map((error) => error.message), ["Low contrast ratio (1.61:1, needs 4.5:1): #ccc on #ffffff"]);
+    assert.deepEqual(result.dependencies, [path.join(dir, "site.css")]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { analyzeSite } = require("../src/analyzer");
+const { startServer } = require("./fixtures/server");
+
+let site;
+let requested;
+
+test.before(async () => {
+  site = await startServer();
+});
+
+test.after(() => site.close());
+
+test.beforeEach(() => {
+  requested = site.requested = [];
+});
+
+const crawlSite = async (start, crawl) => {
+  const { pages } = await analyzeSite(`${site.origin}${start}`, { config: { crawl: { delay: 0, ...crawl } } });
+  return pages.map((url) => new URL(url).pathname);
+};
+
+test("follows links up to maxDepth", async () => {
+  assert.deepEqual(await crawlSite("/", { maxDepth: 1 }), ["/", "/about.html"]);
+  assert.ok(!requested.includes("/team.html"));
+
+  assert.deepEqual(await crawlSite("/", { maxDepth: 2 }), ["/", "/about.html", "/team.html"]);
+  assert.ok(!requested.includes("/history.html"));
+});
+
+test("skips pages disallowed by robots.txt", async () => {
+  await crawlSite("/", { maxDepth: 1 });
+  assert.ok(requested.includes("/robots.txt"));
+  assert.ok(!requested.includes("/private/secret.html"));
+
+  assert.deepEqual(await crawlSite("/", { maxDepth: 1, robots: false }), ["/", "/about.html", "/private/secret.html"]);
+});
+
+test("reads the pages of a sitemap index", async () => {
+  assert.deepEqual(await crawlSite("/sitemap_index.xml", { maxDepth: 0 }), ["/history.html"]);
+  assert.ok(requested.includes("/sitemap.xml"));
+  assert.ok(!requested.includes("/private/secret.html"));
+});
+
+test("stays on the origin of the start URL", async () => {
+  assert.deepEqual(await crawlSite("/", { maxDepth: 1, robots: false }), ["/", "/about.html", "/private/secret.html"]);
+  assert.deepEqual(await crawlSite("/sitemap.xml", { maxDepth: 0 }), ["/history.html"]);
+  assert.ok(requested.every((pathname) => pathname.startsWith("/")));
+  assert.ok(!requested.includes("/report.pdf"));
+});
@@ -0,0 +1,113 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { analyze } = require("../src/analyzer");
+const { createRegistry } = require("../src/registry");
+const { applyFixes } = require("../src/utils/fixes");
+const { isValidLanguageTag } = require("../src/utils/language");
+
+const registry = createRegistry([
+  require("../src/rules/documentLanguage"),
+  require("../src/rules/documentTitle"),
+  require("../src/rules/metaViewport"),
+  require("../src/rules/metaRefresh"),
+  require("../src/rules/skipLink"),
+]);
+
+const check = (content, file = "page.html") => analyze(content, { file, registry }).errors;
+const issues = (content, file) => check(content, file).map((error) => `${error.type}: ${error.message}`);
+
+/**
+ * Builds a full document around head and body markup.
+ * @param {object} parts
+ * @returns {string}
+ */
+const page = ({ html = '<html lang="en">', head = "<title>Shop</title>", body = "<main><h1>Shop</h1></main>" } = {}) =>
+  `<!DOCTYPE html>\n${html}\n<head>${head}</head>\n<body>\n${body}\n</body>\n</html>`;
+
+test("a complete page is not reported", () => {
+  assert.deepEqual(
+    issues(page({
+      head: '<title>Shop</title><meta name="viewport" content="width=device-width, initial-scale=1">',
+      body: '<a href="#main">Skip to main content</a>\n<nav><a href="/">Home</a></nav>\n<main id="main"><p lang="de-CH">Grüezi</p></main>',
+    })),
+    []
+  );
+});
+
+test("the page language must be set and a valid BCP 47 tag", () => {
+  assert.deepEqual(issues(page({ html: "<html>" })), ["html-lang-missing: <html> is missing a lang attribute"]);
+  assert.deepEqual(issues(page({ html: '<html lang=" ">' })), ["html-lang-missing: <html> has an empty lang attribute"]);
+  assert.deepEqual(issues(page({ html: '<html lang="en_US">' })), [
+    'html-lang-invalid: <html lang="en_US"> is not a valid BCP 47 language tag',
+  ]);
+  assert.deepEqual(issues(page({ html: '<html lang="{{ locale }}">' }), "page.twig"), []);
+  assert.equal(isValidLanguageTag("pt-BR"), true);
+  assert.equal(isValidLanguageTag("english"), false);
+});
+
+test("lang on parts of the page must be valid, or empty for an unknown language", () => {
+  assert.deepEqual(issues('<p lang="fr-CA">Bonjour</p>\n<p lang="">?</p>\n<span lang="de_DE">Hallo</span>'), [
+    'lang-invalid: <span lang="de_DE"> is not a valid BCP 47 language tag',
+  ]);
+});
+
+test("the page needs a title with text", () => {
+  assert.deepEqual(issues(page({ head: "" })), ["title-missing: Document has no <title>"]);
+  assert.deepEqual(issues(page({ head: "<title> </title>" })), ["title-missing: <title> is empty"]);
+  // An SVG <title> does not title the page
+  assert.deepEqual(issues(page({ head: "", body: "<main><svg><title>Logo</title></svg></main>" })), [
+    "title-missing: Document has no <title>",
+  ]);
+});
+
+test("viewports that block zooming are reported with a fix that keeps the other properties", () => {
+  const content = '<meta name="viewport" content="width=device-width, user-scalable=no, maximum-scale=1.5">';
+  const errors = check(content);
+  assert.deepEqual(errors.map((error) => `${error.type}: ${error.message}`), [
+    'viewport-zoom-disabled: <meta name="viewport"> prevents zooming (user-scalable=no, maximum-scale=1.5)',
+  ]);
+  assert.equal(applyFixes(content, [errors[0].fix]).output, '<meta name="viewport" content="width=device-width">');
+
+  assert.deepEqual(issues('<meta name="viewport" content="width=device-width, maximum-scale=5, user-scalable=yes">'), []);
+});
+
+test("timed refreshes and redirects are reported, immediate redirects are not", () => {
+  assert.deepEqual(
+    issues('<meta http-equiv="refresh" content="30">\n<meta http-equiv="Refresh" content="5; url=/login">'),
+    [
+      '<meta http-equiv="refresh"> reloads the page every 30 s',
+      '<meta http-equiv="refresh"> redirects to /login after 5 s',
+    ].map((message) => `meta-refresh: ${message}`)
+  );
+  assert.deepEqual(issues('<meta http-equiv="refresh" content="0; url=/new">\n<meta http-equiv="refresh" content="86400">'), []);
+});
+
+test("pages with content before <main> need a skip link to an existing target", () => {
+  const nav = '<nav><a href="/">Home</a> <a href="/shop">Shop</a></nav>';
+
+  const [missing] = check(page({ body: `${nav}\n<main><h1>Shop</h1></main>` }));
+  assert.equal(missing.type, "skip-link-missing");
+  assert.equal(missing.message, "Page has no skip link: keyboard users must tab through <a> and 1 more element(s) before the main content");
+  assert.equal(missing.line, 5);
+
+  assert.deepEqual(issues(page({ body: `<a href="#content">Skip</a>\n${nav}\n<main id="main"></main>` })), [
+    "skip-link-broken: Skip link points to #content, but no element has that id",
+  ]);
+  // Nothing to skip when <main> comes first
+  assert.deepEqual(issues(page({ body: `<main><a href="/">Home</a></main>\n${nav}` })), []);
+});
+
+test("partial templates are not checked for document-level issues", () => {
+  const partials = [
+    ["page.html", '<nav><a href="/">Home</a></nav>\n<main><h1>Shop</h1></main>'],
+    ["page.latte", '{block content}\n<nav><a n:href="Home:">Home</a></nav>\n<main><h1>{$title}</h1></main>\n{/block}'],
+    ["page.twig", '{% extends "base.twig" %}\n{% block body %}<nav><a href="/">Home</a></nav><main></main>{% endblock %}'],
+  ];
+  for (const [file, content] of partials) assert.deepEqual(issues(content, file), [], file);
+
+  // Element checks still apply to partials
+  assert.deepEqual(issues('{block head}<meta name="viewport" content="user-scalable=0">{/block}', "head.latte"), [
+    'viewport-zoom-disabled: <meta name="viewport"> prevents zooming (user-scalable=0)',
+  ]);
+});
@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { analyze } = require("../src/analyzer");
+const { createRegistry } = require("../src/registry");
+
+const registry = createRegistry([require("../src/rules/duplicateIds")]);
+
+const issues = (content, file = "page.html") =>
+  analyze(content, { file, registry }).errors.map(({ line, type, severity, message }) => ({ line, type, severity, message }));
+
+test("every occurrence of a repeated id is reported with the lines of all of them", () => {
+  const content = ['<div id="card">', "</div>", '<p id="unique">x</p>', '<section id="card"></section>', '<span id=" card ">y</span>'].join("\n");
+  const message = (name) => `<${name}> id="card" is used 3 times (lines 1, 4, 5)`;
+
+  assert.deepEqual(issues(content), [
+    { line: 1, type: "duplicate-id", severity: "warning", message: message("div") },
+    { line: 4, type: "duplicate-id", severity: "warning", message: message("section") },
+    { line: 5, type: "duplicate-id", severity: "warning", message: message("span") },
+  ]);
+});
+
+test("references to a duplicated id are errors", () => {
+  const content = [
+    '<label for="email">Email</label>',
+    '<input id="email" aria-describedby="hint other">',
+    '<input id="email">',
+    '<p id="hint">We never share it</p>',
+    '<p id="hint">Required</p>',
+    '<button aria-labelledby="unique">x</button><b id="unique">Send</b>',
+  ].join("\n");
+
+  assert.deepEqual(
+    issues(content).filter((issue) => issue.type === "duplicate-id-referenced"),
+    [
+      {
+        line: 1,
+        type: "duplicate-id-referenced",
+        severity: "error",
+        message: 'for="email" references id "email" which is used 2 times; assistive technology will only use the first element',
+      },
+      {
+        line: 2,
+        type: "duplicate-id-referenced",
+        severity: "error",
+        message: 'aria-describedby="hint other" references id "hint" which is used 2 times; assistive technology will only use the first element',
+      },
+    ]
+  );
+  assert.equal(issues(content).filter((issue) => issue.type === "duplicate-id").length, 4);
+});
+
+test("unique, empty and template-generated ids are not reported", () => {
+  assert.deepEqual(issues('<div id="a"></div><div id="b"></div><div id=""></div><div id=""></div>'), []);
+  assert.deepEqual(issues('{% for i in items %}<div id="{{ i.id }}"></div>{% endfor %}<div id="{{ other }}"></div>', "list.twig"), []);
+  // for= on other elements is not a reference
+  assert.deepEqual(issues('<output for="x">1</output><i id="x"></i><i id="y"></i>'), []);
+});
@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { listFiles } = require("../src/analyzer");
+const configuration = require("../src/utils/configuration");
+
+let dir;
+
+// A repository with templates, generated output, storybook fixtures and ignored files
+test.before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "be-a11y-files-"));
+  const files = [
+    ".git/HEAD",
+    ".gitignore",
+    "web/.gitignore",
+    "web/templates/page.latte",
+    "web/templates/page.php",
+    "web/templates/app.vue",
+    "web/templates/generated/list.html",
+    "web/templates/cached.html",
+    "web/components/Button.stories.jsx",
+    "web/components/Button.jsx",
+    "web/node_modules/lib/readme.html",
+    "web/storybook-static/index.html",
+    "web/tmp/draft.html",
+  ];
+  for (const file of files) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), "");
+  }
+  fs.writeFileSync(path.join(dir, ".gitignore"), "tmp/\n");
+  fs.writeFileSync(path.join(dir, "web", ".gitignore"), "templates/cached.html\n");
+});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Lists the files of `web/` for a config, relative to it.
+ * @param {object} [config]
+ * @returns {string[]}
+ */
+const files = (config = {}) => {
+  const root = path.join(dir, "web");
+  return listFiles(root, configuration.normalize(config))
+    .map((file) => path.relative(root, file).split(path.sep).join("/"))
+    .sort();
+};
+
+test("default extensions and excluded directories apply with .gitignore files up to the repository root", () => {
+  assert.deepEqual(files(), [
+    "components/Button.jsx",
+    "components/Button.stories.jsx",
+    "storybook-static/index.html",
+    "templates/generated/list.html",
+    "templates/page.latte",
+    "templates/page.php",
+  ]);
+});
+
+test("allowedExtensions and excludedDirs toggle entries or replace the defaults", () => {
+  const config = { allowedExtensions: { ".vue": true, ".php": false }, excludedDirs: { "storybook-static": true } };
+  assert.deepEqual(files(config), [
+    "components/Button.jsx",
+    "components/Button.stories.jsx",
+    "templates/app.vue",
+    "templates/generated/list.html",
+    "templates/page.latte",
+  ]);
+  assert.deepEqual(files({ allowedExtensions: [".latte"] }), ["templates/page.latte"]);
+  assert.ok(files({ excludedDirs: [] }).includes("node_modules/lib/readme.html"));
+});
+
+test("include and exclude globs are matched relative to the scanned directory", () => {
+  assert.deepEqual(files({ include: ["templates/**"], exclude: ["templates/generated/**"] }), [
+    "templates/page.latte",
+    "templates/page.php",
+  ]);
+  assert.deepEqual(files({ exclude: ["**/*.stories.*", "storybook-static/"] }), [
+    "components/Button.jsx",
+    "templates/generated/list.html",
+    "templates/page.latte",
+    "templates/page.php",
+  ]);
+});
+
+test("gitignore: false includes ignored files", () => {
+  const listed = files({ gitignore: false });
+  assert.ok(listed.includes("templates/cached.html"));
+  assert.ok(listed.includes("tmp/draft.html"));
+});
@@ -0,0 +1,46 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const SITE = path.join(__dirname, "site");
+const TYPES = { ".html": "text/html", ".xml": "application/xml", ".txt": "text/plain" };
+
+/**
+ * Serves test/fixtures/site on a free port. `{{origin}}` in the files becomes the
+ * server origin and `{{other}}` the same server under another origin (localhost
+ * instead of 127.0.0.1). Paths listed in `routes` are answered by their handler instead.
+ *
+ * @param {object} [routes] - Handlers `(req, res)` by path.
+ * @returns {Promise<{ origin: string, other: string, requested: string[], close: function(): Promise<void> }>}
+ *   `requested` lists the requested paths (prefixed with `other` for that origin).
+ */
+async function startServer(routes = {}) {
+  const site = { requested: [] };
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, site.origin);
+    site.requested.push(req.headers.host === new URL(site.origin).host ? pathname : `${site.other}${pathname}`);
+    if (routes[pathname]) {
+      routes[pathname](req, res);
+      return;
+    }
+    const file = path.join(SITE, pathname.endsWith("/") ? `${pathname}index.html` : pathname);
+    if (!file.startsWith(SITE) || !fs.existsSync(file)) {
+      res.writeHead(404, { "Content-Type": "text/plain" });
+      res.end("Not found");
+      return;
+    }
+    res.writeHead(200, { "Content-Type": TYPES[path.extname(file)] || "application/octet-stream" });
+    res.end(fs.readFileSync(file, "utf8").replaceAll("{{origin}}", site.origin).replaceAll("{{other}}", site.other));
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  site.origin = `http://127.0.0.1:${server.address().port}`;
+  site.other = `http://localhost:${server.address().port}`;
+  // Requests left hanging by a test must not keep the server open
+  site.close = () => new Promise((resolve) => {
+    server.close(resolve);
+    server.closeAllConnections();
+  });
+  return site;
+}
+
+module.exports = { startServer };
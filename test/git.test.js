@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+const { analyzeDirectory } = require("../src/analyzer");
+const { changedFiles, repositoryRoot } = require("../src/utils/git");
+
+let dir;
+
+const git = (...args) =>
+  execFileSync("git", ["-c", "user.name=Test", "-c", "user.email=test@example.com", ...args], { cwd: dir, stdio: "pipe" });
+const write = (file, content) => fs.writeFileSync(path.join(dir, file), content);
+
+// A repository with two committed pages and the stylesheet one of them links
+test.beforeEach(() => {
+  dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "be-a11y-git-")));
+  git("init", "--quiet");
+  write("styled.html", '<link rel="stylesheet" href="site.css"><main><p class="note">Note</p></main>');
+  write("plain.html", "<main><p>Plain</p></main>");
+  write("site.css", ".note { color: #000 }");
+  git("add", "-A");
+  git("commit", "--quiet", "-m", "Initial");
+});
+
+test.afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const scanned = async () => (await analyzeDirectory(dir, { changedSince: "HEAD" })).files.map((file) => path.basename(file)).sort();
+
+test("only files changed since the ref are analyzed", async () => {
+  assert.deepEqual(await scanned(), []);
+  write("plain.html", "<main><p>Edited</p></main>");
+  write("new.html", "<main><p>New</p></main>");
+  assert.deepEqual(await scanned(), ["new.html", "plain.html"]);
+});
+
+test("a changed or deleted stylesheet analyzes every file", async () => {
+  write("site.css", ".note { color: #ccc }");
+  assert.deepEqual(await scanned(), ["plain.html", "styled.html"]);
+
+  git("checkout", "--quiet", "--", "site.css");
+  fs.rmSync(path.join(dir, "site.css"));
+  assert.deepEqual(changedFiles("HEAD", dir), new Set([path.join(dir, "site.css")]));
+  assert.deepEqual(await scanned(), ["plain.html", "styled.html"]);
+
+  git("rm", "--quiet", "--cached", "site.css");
+  git("commit", "--quiet", "-m", "Drop the stylesheet");
+  assert.deepEqual(
+    (await analyzeDirectory(dir, { changedSince: "HEAD~1" })).files.map((file) => path.basename(file)).sort(),
+    ["plain.html", "styled.html"]
+  );
+});
+
+test("unknown refs and directories outside a repository are reported", () => {
+  assert.throws(() => changedFiles("no-such-ref", dir), /Cannot list files changed since "no-such-ref"/);
+  assert.equal(repositoryRoot(dir), dir);
+  assert.equal(repositoryRoot(os.tmpdir()), null);
+});
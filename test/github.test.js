@@ -0,0 +1,120 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const githubReporter = require("../src/reporters/github");
+const { analyze } = require("../src/analyzer");
+const { defaultRegistry } = require("../src/registry");
+
+const registry = defaultRegistry();
+const ENV = ["GITHUB_WORKSPACE", "GITHUB_OUTPUT", "GITHUB_STEP_SUMMARY"];
+
+let dir;
+let saved;
+
+// @actions/core keeps the summary file path of its first write, so the files live for the whole run
+test.before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "be-a11y-github-"));
+  saved = Object.fromEntries(ENV.map((name) => [name, process.env[name]]));
+  process.env.GITHUB_WORKSPACE = dir;
+  process.env.GITHUB_OUTPUT = path.join(dir, "output");
+  process.env.GITHUB_STEP_SUMMARY = path.join(dir, "summary.md");
+});
+
+test.after(() => {
+  for (const [name, value] of Object.entries(saved)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test.beforeEach(() => {
+  fs.writeFileSync(process.env.GITHUB_OUTPUT, "");
+  fs.writeFileSync(process.env.GITHUB_STEP_SUMMARY, "");
+});
+
+/**
+ * Runs the reporter and returns the workflow commands it printed.
+ * Other output (the test runner's) passes through.
+ * @param {object[]} errors
+ * @param {object} [options]
+ * @returns {Promise<string[]>}
+ */
+async function report(errors, options = {}) {
+  const lines = [];
+  const write = process.stdout.write;
+  process.stdout.write = function (chunk, ...rest) {
+    if (!String(chunk).startsWith("::")) return write.call(this, chunk, ...rest);
+    lines.push(String(chunk).trimEnd());
+    return true;
+  };
+  try {
+    await githubReporter(errors, { registry, ...options });
+  } finally {
+    process.stdout.write = write;
+  }
+  return lines;
+}
+
+/**
+ * Parses the `name<<delimiter` entries of the GITHUB_OUTPUT file.
+ * @returns {object}
+ */
+function outputs() {
+  const text = fs.readFileSync(process.env.GITHUB_OUTPUT, "utf-8");
+  return Object.fromEntries([...text.matchAll(/^(.+?)<<(.+)\n([\s\S]*?)\n\2$/gm)].map(([, name, , value]) => [name, value]));
+}
+
+const issues = () => {
+  const file = path.join(dir, "templates", "page.html");
+  const content = '<main>\n<img src="a.png">\n<a href="/x" target="_blank">X</a>\n</main>';
+  return analyze(content, { file }).errors;
+};
+
+test("issues become annotations on the workspace file with their severity", async () => {
+  const errors = issues();
+  const lines = await report(errors);
+
+  assert.equal(lines.length, errors.length);
+  assert.ok(lines.some((line) => /^::error title=.*\(missing-alt\),file=templates\/page\.html,line=2,endLine=2,col=1,endColumn=18::/.test(line)));
+  assert.ok(lines.some((line) => /^::warning title=.*\(link-new-tab-warning\),file=templates\/page\.html,line=3,/.test(line)));
+});
+
+test("issues of remote pages are annotated without a file", async () => {
+  const lines = await report([
+    { file: "https://example.com/", line: 4, endLine: 4, type: "missing-alt", severity: "error", message: "Missing alt" },
+  ]);
+  assert.match(lines[0], /^::error title=.*\(missing-alt\)::https:\/\/example\.com\/: Missing alt$/);
+});
+
+test("outputs count the issues by severity and name the report", async () => {
+  const errors = issues();
+  await report(errors, { reportPath: "a11y-report.json" });
+
+  assert.deepEqual(outputs(), {
+    "issue-count": String(errors.length),
+    "error-count": String(errors.filter((error) => error.severity === "error").length),
+    "warning-count": String(errors.filter((error) => error.severity === "warning").length),
+    "report-path": "a11y-report.json",
+  });
+});
+
+test("the job summary has a table by issue type and the issues of each type", async () => {
+  await report(issues());
+  const summary = fs.readFileSync(process.env.GITHUB_STEP_SUMMARY, "utf-8");
+
+  assert.match(summary, /<h2>♿ be-a11y Accessibility Report<\/h2>/);
+  assert.match(summary, /<th>Issue Type<\/th><th>Severity<\/th><th>Count<\/th>/);
+  assert.match(summary, /<code>missing-alt<\/code><\/td><td>error<\/td><td>1<\/td>/);
+  assert.match(summary, /<summary>missing-alt \(1\)<\/summary>/);
+  assert.ok(summary.includes(`| ${path.join(dir, "templates", "page.html")}:2 | &lt;img> tag`));
+});
+
+test("the job summary reports a clean run", async () => {
+  await report([]);
+  assert.match(fs.readFileSync(process.env.GITHUB_STEP_SUMMARY, "utf-8"), /✅ No accessibility issues found!/);
+  assert.equal(outputs()["issue-count"], "0");
+});
@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const cheerio = require("cheerio");
+
+const htmlReporter = require("../src/reporters/html");
+const { analyze } = require("../src/analyzer");
+const { defaultRegistry } = require("../src/registry");
+
+const registry = defaultRegistry();
+
+let dir;
+let file;
+let errors;
+
+// A page with a missing alt on line 4 and a link to a new tab on line 6
+test.before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "be-a11y-html-"));
+  file = path.join(dir, "page.html");
+  const content = ["<main>", "<h1>Team</h1>", "<p>Intro</p>", '<img src="team.png">', "<p>More</p>", '<a href="/jobs" target="_blank">Jobs & <b>more</b></a>', "</main>"].join("\n");
+  fs.writeFileSync(file, content);
+  errors = analyze(content, { file }).errors;
+});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("the summary table counts issues by type", () => {
+  const $ = cheerio.load(htmlReporter(errors, { registry }));
+  const rows = $("table tbody tr")
+    .map((_, row) => [$(row).find("td").map((__, td) => $(td).text()).get()])
+    .get();
+
+  assert.deepEqual(rows, [
+    ["Missing ALT missing-alt", "error", "1"],
+    ["New Tab Warning link-new-tab-warning", "warning", "1"],
+  ]);
+  assert.match($("header p").text(), / · 2 issue\(s\) · 1 error · 1 warning · 0 info$/);
+  assert.equal($("#type-missing-alt h3").text(), "Missing ALT (1)");
+});
+
+test("issues show guidance and a source snippet with the offending line highlighted", () => {
+  const $ = cheerio.load(htmlReporter(errors, { registry }));
+  const issue = $('.issue[data-rule="missing-alt"]');
+
+  assert.equal(issue.attr("data-severity"), "error");
+  assert.equal(issue.attr("data-file"), file);
+  assert.equal(issue.find("mark.line").text(), '4<img src="team.png">');
+  assert.deepEqual(
+    issue.find(".snippet .ln").map((_, el) => $(el).text()).get(),
+    ["2", "3", "4", "5", "6"]
+  );
+  assert.ok($("#type-missing-alt .guidance").text().startsWith(registry.getType("missing-alt").help));
+  assert.equal($("#type-missing-alt .guidance a").attr("href"), registry.getType("missing-alt").helpUri);
+});
+
+test("source and messages are escaped", () => {
+  const html = htmlReporter(errors, { registry });
+  assert.ok(html.includes("&lt;a href=&quot;/jobs&quot; target=&quot;_blank&quot;&gt;Jobs &amp; &lt;b&gt;more&lt;/b&gt;&lt;/a&gt;"));
+  assert.ok(!html.includes('<a href="/jobs"'));
+});
+
+test("filters list the issue types, severities and files", () => {
+  const $ = cheerio.load(htmlReporter(errors, { registry }));
+  const values = (id) => $(`#${id} option`).map((_, el) => $(el).attr("value")).get();
+
+  assert.deepEqual(values("filter-rule"), ["", ...new Set(errors.map((error) => error.type))]);
+  assert.deepEqual(values("filter-severity"), ["", "error", "warning"]);
+  assert.deepEqual(values("filter-file"), ["", file]);
+  assert.equal($("label[for=filter-rule]").text(), "Issue type");
+});
+
+test("the report passes be-a11y's own rules, with and without issues", () => {
+  for (const list of [errors, []]) {
+    const report = htmlReporter(list, { registry });
+    assert.deepEqual(analyze(report, { file: "report.html" }).errors.map((error) => `${error.type}: ${error.message}`), []);
+  }
+  assert.match(htmlReporter([], { registry }), /No accessibility issues found!/);
+});
@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { fetchPage, acceptStatus, DEFAULT_USER_AGENT } = require("../src/utils/http");
+const { analyzeUrl } = require("../src/analyzer");
+const { startServer } = require("./fixtures/server");
+
+let site;
+let flaky = 0;
+let received = null;
+
+test.before(async () => {
+  site = await startServer({
+    // Never answers
+    "/hang": () => {},
+    // Fails once, then serves the page
+    "/flaky": (req, res) => {
+      res.writeHead(flaky++ === 0 ? 503 : 200, { "Content-Type": "text/html" });
+      res.end("<main><p>Back</p></main>");
+    },
+    "/down": (req, res) => {
+      res.writeHead(503, { "Content-Type": "text/plain" });
+      res.end("Down");
+    },
+    "/loop": (req, res) => {
+      res.writeHead(302, { Location: "/loop" });
+      res.end();
+    },
+    "/moved": (req, res) => {
+      res.writeHead(301, { Location: "/headers" });
+      res.end();
+    },
+    "/headers": (req, res) => {
+      received = req.headers;
+      res.writeHead(200, { "Content-Type": "text/html" });
+      res.end("<main></main>");
+    },
+  });
+});
+
+test.after(() => site.close());
+
+test.beforeEach(() => {
+  site.requested = [];
+  flaky = 0;
+  received = null;
+});
+
+test("requests that take longer than the timeout fail", async () => {
+  await assert.rejects(fetchPage(`${site.origin}/hang`, { timeout: 100 }), /^Error: Timed out after 100 ms$/);
+  assert.deepEqual(site.requested, ["/hang"]);
+});
+
+test("5xx responses are retried", async () => {
+  const page = await fetchPage(`${site.origin}/flaky`, { retries: 1 });
+  assert.equal(page.status, 200);
+  assert.equal(page.text, "<main><p>Back</p></main>");
+  assert.deepEqual(site.requested, ["/flaky", "/flaky"]);
+});
+
+test("the last response is returned once the retries are used up", async () => {
+  const page = await fetchPage(`${site.origin}/down`, { retries: 0 });
+  assert.equal(page.status, 503);
+  assert.equal(page.ok, false);
+  assert.equal(acceptStatus(page.status, "skip"), false);
+  assert.throws(() => acceptStatus(page.status, "fail"), /^Error: HTTP 503$/);
+  assert.deepEqual(site.requested, ["/down"]);
+});
+
+test("redirects are followed up to the limit and not retried", async () => {
+  const page = await fetchPage(`${site.origin}/moved`);
+  assert.equal(page.url, `${site.origin}/headers`);
+
+  site.requested = [];
+  await assert.rejects(fetchPage(`${site.origin}/loop`, { retries: 2 }), /^Error: Too many redirects \(more than 10\)$/);
+  assert.equal(site.requested.length, 11);
+});
+
+test("headers, basic auth and cookies are sent", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "be-a11y-http-"));
+  try {
+    const cookieFile = path.join(dir, "cookies.txt");
+    fs.writeFileSync(
+      cookieFile,
+      ["127.0.0.1\tFALSE\t/\tFALSE\t0\tsession\tabc", "other.test\tFALSE\t/\tFALSE\t0\tforeign\tx"].join("\n")
+    );
+    await fetchPage(`${site.origin}/headers`, { headers: { "X-Preview": "1" }, auth: "user:secret", cookieFile });
+
+    assert.equal(received["user-agent"], DEFAULT_USER_AGENT);
+    assert.equal(received["x-preview"], "1");
+    assert.equal(received.authorization, `Basic ${Buffer.from("user:secret").toString("base64")}`);
+    assert.equal(received.cookie, "session=abc");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("analyzeUrl applies the fetch settings and the httpErrors policy", async () => {
+  await analyzeUrl(`${site.origin}/moved`, { config: { fetch: { userAgent: "audit-bot" } } });
+  assert.equal(received["user-agent"], "audit-bot");
+
+  const config = (httpErrors) => ({ fetch: { retries: 0, httpErrors } });
+  await assert.rejects(analyzeUrl(`${site.origin}/down`, { config: config("fail") }), /HTTP 503/);
+  assert.equal((await analyzeUrl(`${site.origin}/down`, { config: config("skip") })).skipped, "HTTP 503");
+});
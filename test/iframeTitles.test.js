@@ -0,0 +1,30 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { analyze } = require("../src/analyzer");
+const { createRegistry } = require("../src/registry");
+const { applyFixes } = require("../src/utils/fixes");
+const iframeTitles = require("../src/rules/iframeTitles");
+
+const registry = createRegistry([iframeTitles]);
+const check = (content) => analyze(content, { file: "page.html", registry }).errors;
+
+test("the placeholder title of the fix is reported until it is replaced", () => {
+  const content = '<iframe src="map.html"></iframe>\n<iframe src="video.html" title=" "></iframe>';
+
+  const errors = check(content);
+  assert.deepEqual(errors.map((error) => error.type), ["iframe-title-missing", "iframe-title-missing"]);
+  assert.ok(errors.every((error) => error.fix && error.fix.review));
+
+  const { output, skipped } = applyFixes(content, errors.map((error) => error.fix));
+  assert.deepEqual(skipped, []);
+
+  const again = check(output);
+  assert.deepEqual(again.map((error) => error.line), [1, 2]);
+  assert.ok(again.every((error) => error.type === "iframe-title-missing" && /placeholder title/.test(error.message)));
+  assert.ok(again.every((error) => !error.fix));
+});
+
+test("iframes with a descriptive title are not reported", () => {
+  assert.deepEqual(check('<iframe src="map.html" title="Store location map"></iframe>'), []);
+});
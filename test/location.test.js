@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { analyze } = require("../src/analyzer");
+const { createRegistry } = require("../src/registry");
+const { loadDocument, getLocation, lineLocation, isFullDocument } = require("../src/utils/location");
+
+const registry = createRegistry([require("../src/rules/altAttributes")]);
+
+const locations = (content, file = "page.html") =>
+  analyze(content, { file, registry }).errors.map(({ line, column, endLine, endColumn, snippet }) => ({
+    line,
+    column,
+    endLine,
+    endColumn,
+    snippet,
+  }));
+
+test("identical markup is located at each occurrence", () => {
+  assert.deepEqual(locations('<p>A</p>\n<img src="a.png">\n  <img src="a.png">'), [
+    { line: 2, column: 1, endLine: 2, endColumn: 18, snippet: '<img src="a.png">' },
+    { line: 3, column: 3, endLine: 3, endColumn: 20, snippet: '<img src="a.png">' },
+  ]);
+});
+
+test("markup the parser serializes differently keeps its source location", () => {
+  // Unquoted and single-quoted attributes, a self-closing tag and entities
+  const content = "<main>\n  <p>Caf&eacute;</p>\n  <img src=a.png class='hero'\n       data-x=\"&amp;\" />\n</main>";
+  assert.deepEqual(locations(content), [
+    { line: 3, column: 3, endLine: 4, endColumn: 25, snippet: "<img src=a.png class='hero' data-x=\"&amp;\" />" },
+  ]);
+});
+
+test("locations point into templates after preprocessing", () => {
+  const content = '{% if user %}\n  <img src="{{ user.avatar }}">\n{% endif %}';
+  const [location] = locations(content, "page.twig");
+  assert.equal(location.line, 2);
+  assert.equal(location.column, 3);
+  assert.equal(location.endColumn, 32);
+});
+
+test("long snippets are collapsed to one shortened line", () => {
+  const content = `<img\n  src="a.png"\n  title="${"x".repeat(300)}">`;
+  const { snippet, line, endLine } = getLocation(content, loadDocument(content)("img")[0]);
+  assert.equal(line, 1);
+  assert.equal(endLine, 3);
+  assert.equal(snippet.length, 200);
+  assert.ok(snippet.startsWith('<img src="a.png" title="xxx'));
+  assert.ok(snippet.endsWith("…"));
+});
+
+test("implicit elements and document issues map to whole lines", () => {
+  const fragment = loadDocument("<p>Text</p>");
+  assert.equal(isFullDocument(fragment), false);
+  assert.deepEqual(getLocation("<p>Text</p>", fragment("body")[0]), { line: 1, column: 1, endLine: 1, endColumn: 12, snippet: "<p>Text</p>" });
+  assert.equal(isFullDocument(loadDocument("<!DOCTYPE html>\n<html><body></body></html>")), true);
+  assert.deepEqual(lineLocation("a\n  <b>x</b>  \r\nc", 2), { line: 2, column: 1, endLine: 2, endColumn: 13, snippet: "<b>x</b>" });
+});
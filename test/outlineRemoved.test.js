@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { analyze } = require("../src/analyzer");
+const { createRegistry } = require("../src/registry");
+const outlineRemoved = require("../src/rules/outlineRemoved");
+
+const registry = createRegistry([outlineRemoved]);
+const check = (css, body = '<a href="/">Home</a>') =>
+  analyze(`<style>${css}</style>\n${body}`, { file: "page.html", registry }).errors.map((error) => error.message);
+
+test("a :focus-visible rule for other elements does not replace the outline", () => {
+  assert.deepEqual(check("a:focus { outline: none } .other:focus-visible { outline: 2px solid }"), [
+    '"a:focus" sets outline: none without a :focus-visible replacement',
+  ]);
+  assert.deepEqual(check(".btn:focus { outline: 0 } .btn:focus-visible { outline: none }"), [
+    '".btn:focus" sets outline: 0 without a :focus-visible replacement',
+    '".btn:focus-visible" sets outline: none without a :focus-visible replacement',
+  ]);
+});
+
+test("a :focus-visible rule for the same selector or all elements replaces the outline", () => {
+  assert.deepEqual(check("a:focus { outline: none } a:focus-visible { outline: 2px solid }"), []);
+  assert.deepEqual(check("a:focus { outline: none } :focus-visible { box-shadow: 0 0 0 3px blue }"), []);
+  assert.deepEqual(check(".nav a:focus { outline: 0 } .nav  a:focus-visible { outline: 2px solid }"), []);
+});
+
+test("a :focus-visible rule replaces the outline when it matches every element of the outline rule", () => {
+  const css = ".btn:focus { outline: 0 } button:focus-visible { box-shadow: 0 0 0 3px blue }";
+  assert.deepEqual(check(css, '<button class="btn">Save</button>'), []);
+  assert.deepEqual(check(css, '<button class="btn">Save</button><a class="btn" href="/">Cancel</a>'), [
+    '".btn:focus" sets outline: 0 without a :focus-visible replacement',
+  ]);
+});
+
+test("only the selectors without a replacement are reported", () => {
+  assert.deepEqual(check("a:focus, input:focus { outline: none } a:focus-visible { outline: 2px solid }"), [
+    '"input:focus" sets outline: none without a :focus-visible replacement',
+  ]);
+});
+
+test("rules for :not(:focus-visible) keep the indicator", () => {
+  assert.deepEqual(check("a:focus:not(:focus-visible) { outline: none }"), []);
+});
+
+test("inline outlines are replaced only by rules matching the element", () => {
+  const body = '<a href="/" class="link" style="outline: none">Home</a>';
+  assert.deepEqual(check(".link:focus-visible { outline: 2px solid }", body), []);
+  assert.deepEqual(check(".other:focus-visible { outline: 2px solid }", body), [
+    "<a> sets outline: none inline without a :focus-visible replacement",
+  ]);
+});
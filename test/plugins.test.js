@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { analyze } = require("../src/analyzer");
+const configuration = require("../src/utils/configuration");
+const loadPlugins = require("../src/utils/plugins");
+
+const CONTEXT_RULE = `
+function svgIconName({ $, file, getLocation }) {
+  return $("svg:not([aria-hidden])").map((_, el) => ({
+    file, ...getLocation(el), type: "svg-icon-unlabeled", message: "Icon <svg> is not hidden",
+  })).get();
+}
+svgIconName.meta = {
+  id: "svg-icon-name",
+  types: { "svg-icon-unlabeled": { label: "Unlabeled Icon", color: "yellow", severity: "error" } },
+};
+module.exports = { rules: [svgIconName] };
+`;
+
+const LEGACY_RULE = `
+function bannedWord(content, file, config, options) {
+  const line = content.split("\\n").findIndex((text) => text.includes(options.word)) + 1;
+  return line ? [{ file, line, type: "banned-word", message: \`"\${options.word}" in \${typeof config.rules}\` }] : [];
+}
+bannedWord.meta = {
+  id: "banned-word",
+  legacy: true,
+  schema: { word: { type: "string", default: "click here" } },
+  types: { "banned-word": { label: "Banned Word", color: "red", severity: "warning" } },
+};
+module.exports = bannedWord;
+`;
+
+let dir;
+
+// A project whose config, local plugin and installed plugin package live outside the cwd
+test.before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "be-a11y-plugins-"));
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  };
+  write("node_modules/@acme/icon-rules/package.json", JSON.stringify({ name: "@acme/icon-rules", main: "rules.js" }));
+  write("node_modules/@acme/icon-rules/rules.js", CONTEXT_RULE);
+  write("a11y/legacy.js", LEGACY_RULE);
+  write("a11y/bare.js", "module.exports = function bare() { return []; };");
+  write("a11y.config.json", JSON.stringify({ plugins: ["@acme/icon-rules", "./a11y/legacy.js"] }));
+});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("package names and relative paths are resolved from the config file", () => {
+  assert.notEqual(process.cwd(), dir);
+  const config = configuration(path.join(dir, "a11y.config.json"));
+
+  assert.deepEqual(config.plugins, [
+    fs.realpathSync(path.join(dir, "node_modules/@acme/icon-rules/rules.js")),
+    fs.realpathSync(path.join(dir, "a11y/legacy.js")),
+  ]);
+  assert.deepEqual(
+    loadPlugins(config.plugins).map((rule) => rule.meta.id),
+    ["svg-icon-name", "banned-word"]
+  );
+});
+
+test("plugin rules run with the context or, with meta.legacy, the previous arguments", () => {
+  const config = configuration(path.join(dir, "a11y.config.json"));
+  const { errors } = analyze('<main><svg></svg>\n<a href="/">click here</a></main>', { file: "page.html", config });
+
+  assert.deepEqual(
+    errors
+      .filter((error) => ["svg-icon-unlabeled", "banned-word"].includes(error.type))
+      .map(({ type, line, message }) => ({ type, line, message })),
+    [
+      { type: "svg-icon-unlabeled", line: 1, message: "Icon <svg> is not hidden" },
+      { type: "banned-word", line: 2, message: '"click here" in object' },
+    ]
+  );
+});
+
+test("plugins that cannot be found or have rules without meta are reported", () => {
+  assert.throws(
+    () => configuration.normalize({ plugins: ["@acme/missing-rules"] }, dir),
+    new RegExp(`Cannot find plugin "@acme/missing-rules" from ${dir.replace(/[\\^$.*+?()[\]{}|]/g, "\\$&")}`)
+  );
+  assert.throws(
+    () => loadPlugins(["./a11y/bare.js"], dir),
+    /Plugin "\.\/a11y\/bare\.js" exports rule "bare" without meta/
+  );
+});
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const cheerio = require("cheerio");
+
+const { analyze } = require("../src/analyzer");
+const { createRegistry } = require("../src/registry");
+const { preprocess, isDynamic, DYNAMIC } = require("../src/preprocessors");
+
+const registry = createRegistry([
+  require("../src/rules/altAttributes"),
+  require("../src/rules/unlabeledInputs"),
+  require("../src/rules/iframeTitles"),
+  require("../src/rules/documentLanguage"),
+]);
+const types = (content, file) => analyze(content, { file, registry }).errors.map((error) => error.type);
+
+// Shows placeholders as # so expectations stay readable
+const masked = (content, file) => {
+  const output = preprocess(content, file);
+  assert.equal(output.length, content.length);
+  assert.equal(output.split("\n").length, content.split("\n").length);
+  return output.replaceAll(DYNAMIC, "#");
+};
+
+test("template output becomes placeholders and other template syntax spaces", () => {
+  assert.equal(
+    masked('<a n:href="Page:show $id">{$title}</a>{if $x}<b>x</b>{/if}{* c *}', "page.latte"),
+    '<a href  ="Page:show $id">########</a>       <b>x</b>            '
+  );
+  assert.equal(
+    masked('<img alt="{{ alt }}">{% if x %}<p>{{ t }}</p>{% endif %}{# c #}', "page.twig"),
+    '<img alt="#########">          <p>#######</p>                  '
+  );
+  assert.equal(masked("@if(user)\n<p>{{ name }}</p>\n@end{{-- c --}}", "page.edge"), "         \n<p>##########</p>\n               ");
+  assert.equal(
+    masked('<?xml version="1.0"?><p><?= $x ?></p><?php if ($a): ?><b></b><?php endif; ?>', "page.php"),
+    '<?xml version="1.0"?><p>#########</p>                 <b></b>               '
+  );
+});
+
+test("JSX keeps elements, masks code and components and renames props", () => {
+  assert.equal(
+    masked('export const A = ({ p }) => <Box><label htmlFor="x" className="c">{p.t}</label></Box>;', "a.jsx"),
+    '                                 <label for    ="x" class    ="c">#####</label>       '
+  );
+  assert.equal(masked("const A = () => <img {/* note */} src={src} />;", "a.tsx"), "                <img              src=##### /> ");
+});
+
+test("spread props and output among attributes mark elements as having unknown attributes", () => {
+  const unknownAttributes = (content, file) => {
+    const $ = cheerio.load(preprocess(content, file));
+    return $("img").get().map((el) => isDynamic(el));
+  };
+
+  assert.deepEqual(unknownAttributes("const A = (p) => <><img {...p} /><img src={p.src} /></>;", "a.jsx"), [true, false]);
+  assert.deepEqual(unknownAttributes('<img src="a.png" <?php echo $attrs ?>><img src="<?= $src ?>">', "page.php"), [true, false]);
+  assert.deepEqual(unknownAttributes('<img src="a.png" {{ attributes }}><img {% if x %}hidden{% endif %}>', "page.twig"), [true, false]);
+  assert.deepEqual(unknownAttributes('<img src="a.png" {$attrs}>', "page.latte"), [true]);
+});
+
+test("elements with unknown attributes are not reported for attributes they seem to lack", () => {
+  assert.deepEqual(types("export const A = (p) => <img {...p} />;", "a.jsx"), []);
+  assert.deepEqual(types('export const A = (rest) => <input type="checkbox" {...rest}/>;', "a.jsx"), []);
+  assert.deepEqual(types('<img src="a.png" <?php echo $attrs ?>>', "page.php"), []);
+  assert.deepEqual(types('<iframe src="map.html" <?= $attrs ?>></iframe>', "page.php"), []);
+  assert.deepEqual(
+    types('<!DOCTYPE html><html <?= $attrs ?>><head><title>Page</title></head><body><main>Text</main></body></html>', "page.php"),
+    []
+  );
+});
+
+test("the same elements without unknown attributes are still reported", () => {
+  assert.deepEqual(types("export const A = (p) => <img src={p.src} />;", "a.jsx"), ["missing-alt"]);
+  assert.deepEqual(types('export const A = () => <input type="checkbox" />;', "a.jsx"), ["input-unlabeled"]);
+  assert.deepEqual(types('<img src="a.png" <?php if ($x): ?>hidden<?php endif; ?>>', "page.php"), ["missing-alt"]);
+  assert.deepEqual(types('<iframe src="map.html"></iframe>', "page.php"), ["iframe-title-missing"]);
+});
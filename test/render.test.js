@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+const { analyzeUrl, analyzeSite } = require("../src/analyzer");
+const { loadEngine } = require("../src/render");
+
+const installed = ["playwright", "puppeteer"].filter((name) => {
+  try {
+    require.resolve(name);
+    return true;
+  } catch {
+    return false;
+  }
+});
+const skip = installed.length ? `${installed.join(" and ")} installed` : false;
+
+const MISSING = /--render needs a headless browser: install "playwright" or "puppeteer"/;
+
+let server;
+let origin;
+let requests = 0;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    requests++;
+    res.writeHead(200, { "Content-Type": "text/html" });
+    res.end("<!DOCTYPE html><html lang=\"en\"><head><title>Page</title></head><body><main></main></body></html>");
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise((resolve) => server.close(resolve)));
+
+test("names the libraries to install when none is available", { skip }, () => {
+  assert.throws(() => loadEngine(), MISSING);
+  assert.throws(() => loadEngine("puppeteer"), /npm install --save-dev puppeteer/);
+});
+
+test("render mode fails before loading any page without a browser library", { skip }, async () => {
+  await assert.rejects(analyzeUrl(`${origin}/`, { render: true }), MISSING);
+  await assert.rejects(analyzeSite(`${origin}/`, { render: true, config: { crawl: { delay: 0 } } }), MISSING);
+  assert.equal(requests, 0);
+});
@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { analyze } = require("../src/analyzer");
+const { defaultOptions, resolveRuleOptions } = require("../src/utils/ruleOptions");
+const configuration = require("../src/utils/configuration");
+const altAttributes = require("../src/rules/altAttributes");
+
+const types = (content, rules) =>
+  analyze(content, { file: "page.html", config: { rules } }).errors.map((error) => error.type);
+
+const ALT = `<main><img src="a.png" alt="${"x".repeat(40)}"></main>`;
+const LINK = '<main><a href="/docs" target="_blank">Docs <span class="a11y-hidden">(öffnet in neuem Tab)</span></a></main>';
+
+test("rules run with their schema defaults", () => {
+  assert.deepEqual(defaultOptions(altAttributes.meta), { maxLength: 30 });
+  assert.deepEqual(types(ALT), ["alt-too-long"]);
+  assert.deepEqual(types(LINK), ["link-new-tab-warning"]);
+});
+
+test("options from the config replace the defaults", () => {
+  assert.deepEqual(types(ALT, { "alt-attributes": { maxLength: 120 } }), []);
+  assert.deepEqual(types(ALT, { "alt-attributes": ["warn", { maxLength: 10 }] }), ["alt-too-long"]);
+  assert.deepEqual(
+    types(LINK, { "link-new-tab-warning": { phrases: ["öffnet in neuem Tab"], srOnlyClasses: ["a11y-hidden"] } }),
+    []
+  );
+  assert.deepEqual(
+    resolveRuleOptions(altAttributes.meta, configuration.normalize({ rules: { "alt-attributes": { maxLength: 5 } } })),
+    { maxLength: 5 }
+  );
+});
+
+test("unknown keys and values of the wrong type are reported clearly", () => {
+  assert.throws(
+    () => types(ALT, { "alt-attributes": { maxLenght: 120 } }),
+    /^Error: Unknown option "maxLenght" for rule "alt-attributes" \(allowed: maxLength\)$/
+  );
+  assert.throws(() => types(ALT, { "alt-attributes": { maxLength: "120" } }), /Option "maxLength" of rule "alt-attributes" must be a number, got string "120"/);
+  assert.throws(() => types(ALT, { "alt-attributes": { maxLength: 0 } }), /Option "maxLength" of rule "alt-attributes" must be at least 1/);
+  assert.throws(
+    () => types(LINK, { "link-new-tab-warning": { phrases: ["new tab", 3] } }),
+    /Option "phrases" of rule "link-new-tab-warning" must only contain string values, got number 3/
+  );
+  assert.throws(() => types(ALT, { contrast: { level: "AAAA" } }), /Option "level" of rule "contrast" must be one of "AA", "AAA"/);
+  assert.throws(() => types(ALT, { "empty-link": { strict: true } }), /Unknown option "strict" for rule "empty-link" \(rule has no options\)/);
+});
+
+test("options belong on the rule, not on an issue type or an unknown rule", () => {
+  assert.throws(() => types(ALT, { "alt-too-long": { maxLength: 120 } }), /Options for "alt-too-long" must be set on its rule "alt-attributes"/);
+  assert.throws(() => types(ALT, { "alt-text": { maxLength: 120 } }), /Options given for unknown rule "alt-text"/);
+});
@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { pathToFileURL } = require("url");
+
+const { analyze } = require("../src/analyzer");
+const { defaultRegistry } = require("../src/registry");
+const sarifReporter = require("../src/reporters/sarif");
+
+const registry = defaultRegistry();
+const ROOT = path.join(__dirname, "..");
+
+/**
+ * Runs the reporter with GITHUB_WORKSPACE set to `workspace` (or unset).
+ * @param {object[]} errors
+ * @param {string} [workspace]
+ * @returns {object} Parsed SARIF log.
+ */
+function report(errors, workspace) {
+  const saved = process.env.GITHUB_WORKSPACE;
+  if (workspace) process.env.GITHUB_WORKSPACE = workspace;
+  else delete process.env.GITHUB_WORKSPACE;
+  try {
+    return JSON.parse(sarifReporter(errors, { registry }));
+  } finally {
+    if (saved === undefined) delete process.env.GITHUB_WORKSPACE;
+    else process.env.GITHUB_WORKSPACE = saved;
+  }
+}
+
+const file = path.join("test", "fixtures", "site", "page.html");
+const { errors } = analyze('<img src="a.png">', { file, registry });
+
+test("results point to the issue with a rule descriptor and fingerprint", () => {
+  const [run] = report(errors).runs;
+  const [result] = run.results;
+
+  assert.equal(result.ruleId, "missing-alt");
+  assert.equal(run.tool.driver.rules[result.ruleIndex].id, "missing-alt");
+  assert.equal(result.level, "error");
+  assert.deepEqual(result.locations[0].physicalLocation.region.startLine, 1);
+  assert.equal(typeof result.partialFingerprints["beA11y/v1"], "string");
+});
+
+test("files are relative to the repository root outside GitHub Actions", () => {
+  const [run] = report(errors).runs;
+  const { artifactLocation } = run.results[0].locations[0].physicalLocation;
+
+  assert.deepEqual(artifactLocation, { uri: "test/fixtures/site/page.html", uriBaseId: "%SRCROOT%" });
+  assert.equal(run.originalUriBaseIds["%SRCROOT%"].uri, pathToFileURL(ROOT).href + "/");
+});
+
+test("files are relative to GITHUB_WORKSPACE when it is set", () => {
+  const [run] = report(errors, path.join(ROOT, "test")).runs;
+  assert.equal(run.results[0].locations[0].physicalLocation.artifactLocation.uri, "fixtures/site/page.html");
+});
+
+test("URLs stay absolute", () => {
+  const [run] = report([{ ...errors[0], file: "https://example.com/page" }]).runs;
+  assert.deepEqual(run.results[0].locations[0].physicalLocation.artifactLocation, { uri: "https://example.com/page" });
+});
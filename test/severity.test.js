@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { analyze } = require("../src/analyzer");
+const configuration = require("../src/utils/configuration");
+const { atLeast, normalizeSeverity, parseRuleSetting } = require("../src/utils/severity");
+
+// A missing alt (error), an overlong alt (warning) and a link to a new tab (warning)
+const CONTENT = [
+  "<main>",
+  '<img src="a.png">',
+  '<img src="b.png" alt="A photo of the whole team standing in front of the office">',
+  '<a href="/docs" target="_blank">Docs</a>',
+  "</main>",
+].join("\n");
+
+const TYPES = ["missing-alt", "alt-too-long", "link-new-tab-warning"];
+
+/**
+ * Returns `type severity` for the issues of CONTENT the test looks at.
+ * @param {object} [config]
+ * @returns {string[]}
+ */
+const severities = (config) =>
+  analyze(CONTENT, { file: "page.html", config })
+    .errors.filter((error) => TYPES.includes(error.type))
+    .map((error) => `${error.type} ${error.severity}`)
+    .sort();
+
+// What the CLI fails on: issues at or above `failOn`
+const failing = (config) => {
+  const normalized = configuration.normalize(config);
+  return analyze(CONTENT, { file: "page.html", config: normalized })
+    .errors.filter((error) => TYPES.includes(error.type) && atLeast(error.severity, normalized.failOn))
+    .map((error) => error.type)
+    .sort();
+};
+
+test("issue types carry their default severity", () => {
+  assert.deepEqual(severities(), ["alt-too-long warning", "link-new-tab-warning warning", "missing-alt error"]);
+});
+
+test("rule and issue type settings override the severity", () => {
+  assert.deepEqual(severities({ rules: { "alt-attributes": "warn" } }), [
+    "alt-too-long warning",
+    "link-new-tab-warning warning",
+    "missing-alt warning",
+  ]);
+  // A setting for the issue type wins over the one for its rule
+  assert.deepEqual(severities({ rules: { "alt-attributes": ["info", { maxLength: 20 }], "missing-alt": "error" } }), [
+    "alt-too-long info",
+    "link-new-tab-warning warning",
+    "missing-alt error",
+  ]);
+  assert.deepEqual(severities({ rules: { "alt-too-long": "off", "link-new-tab-warning": "error" } }), [
+    "link-new-tab-warning error",
+    "missing-alt error",
+  ]);
+});
+
+test("failOn decides which issues fail a run", () => {
+  assert.deepEqual(failing({}), ["missing-alt"]);
+  assert.deepEqual(failing({ failOn: "warn" }), ["alt-too-long", "link-new-tab-warning", "missing-alt"]);
+  assert.deepEqual(failing({ failOn: "error", rules: { "missing-alt": "warn" } }), []);
+  assert.deepEqual(failing({ failOn: "info", rules: { "alt-too-long": "info" } }), ["alt-too-long", "link-new-tab-warning", "missing-alt"]);
+});
+
+test("severity names and thresholds", () => {
+  assert.equal(normalizeSeverity("warn"), "warning");
+  assert.equal(normalizeSeverity("fatal"), undefined);
+  assert.equal(atLeast("error", "warning"), true);
+  assert.equal(atLeast("info", "warning"), false);
+  assert.deepEqual(parseRuleSetting(["warn", { maxLength: 5 }], "alt-attributes"), {
+    enabled: true,
+    severity: "warning",
+    options: { maxLength: 5 },
+  });
+});
+
+test("invalid severities are reported with the setting", () => {
+  assert.throws(() => configuration.normalize({ failOn: "critical" }), /Invalid "failOn" value: "critical" \(expected "error", "warning" or "info"\)/);
+  assert.throws(
+    () => configuration.normalize({ rules: { "missing-alt": "fatal" } }),
+    /Invalid setting for rule "missing-alt": "fatal"/
+  );
+});
@@ -0,0 +1,100 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { analyze } = require("../src/analyzer");
+const { createRegistry } = require("../src/registry");
+const { applyFixes } = require("../src/utils/fixes");
+
+const registry = createRegistry([require("../src/rules/tables")]);
+
+const check = (content, file = "page.html") => analyze(content, { file, registry }).errors;
+const issues = (content, file) => check(content, file).map((error) => `${error.type}: ${error.message}`);
+
+const CAPTION = "<caption>Orders</caption>";
+
+test("simple data tables with headers and a caption are not reported", () => {
+  assert.deepEqual(
+    issues(`<table>${CAPTION}<tr><th>Order</th><th>Total</th></tr><tr><td>1001</td><td>20 €</td></tr></table>`),
+    []
+  );
+  assert.deepEqual(
+    issues('<h2 id="orders">Orders</h2><table aria-labelledby="orders"><tr><th>Order</th></tr><tr><td>1001</td></tr></table>'),
+    []
+  );
+});
+
+test("data tables without header cells or a name are reported", () => {
+  assert.deepEqual(issues("<table>\n<tr><td>Order</td><td>Total</td></tr>\n<tr><td>1001</td><td>20 €</td></tr>\n</table>"), [
+    "table-no-headers: Data table has no header cells (<th>)",
+    "table-caption-missing: Data table has no <caption> or accessible name",
+  ]);
+  // Header roles count as header cells
+  assert.deepEqual(
+    issues(`<table>${CAPTION}<tr><td role="columnheader">Order</td><td role="columnheader">Total</td></tr><tr><td>1</td><td>2</td></tr></table>`),
+    []
+  );
+  // A single row or column is not treated as a data table
+  assert.deepEqual(issues("<table><tr><td>A</td><td>B</td></tr></table>\n<table><tr><td>A</td></tr><tr><td>B</td></tr></table>"), []);
+});
+
+test("th without scope is reported in complex tables, with a fix", () => {
+  const content = [
+    `<table>${CAPTION}`,
+    "<tr><th>Order</th><th>Total</th></tr>",
+    "<tr><th>1001</th><td>20 €</td></tr>",
+    "</table>",
+  ].join("\n");
+  const errors = check(content);
+
+  assert.deepEqual(errors.map((error) => `${error.line} ${error.type}: ${error.message}`), [
+    "2 th-scope-missing: <th> in a complex table has no scope attribute",
+    "2 th-scope-missing: <th> in a complex table has no scope attribute",
+    "3 th-scope-missing: <th> in a complex table has no scope attribute",
+  ]);
+  const { output } = applyFixes(content, errors.map((error) => error.fix));
+  assert.ok(output.includes('<tr><th scope="col">Order</th><th scope="col">Total</th></tr>'));
+  assert.ok(output.includes('<tr><th scope="row">1001</th><td>20 €</td></tr>'));
+  assert.deepEqual(check(output), []);
+
+  // Spanning headers make a table complex; their scope is not guessed
+  const [spanning] = check(`<table>${CAPTION}<tr><th colspan="2">Total</th></tr><tr><td>1</td><td>2</td></tr></table>`);
+  assert.equal(spanning.type, "th-scope-missing");
+  assert.equal(spanning.fix, undefined);
+
+  assert.deepEqual(issues(`<table>${CAPTION}<tr><th scope="column">Order</th></tr><tr><td>1</td></tr></table>`), [
+    'th-scope-missing: <th scope="column"> has an invalid scope (use row, col, rowgroup or colgroup)',
+  ]);
+});
+
+test("headers must refer to header cells of the same table", () => {
+  const content = [
+    `<table>${CAPTION}`,
+    '<tr><th id="order">Order</th><th id="total">Total</th></tr>',
+    '<tr><td id="first" headers="order">1001</td><td headers="total tax">20 €</td></tr>',
+    '<tr><td headers="first">1002</td><td headers="order total">30 €</td></tr>',
+    "</table>",
+    '<table><caption>Other</caption><tr><th id="tax">Tax</th></tr><tr><td>1</td></tr></table>',
+  ].join("\n");
+
+  assert.deepEqual(check(content).map((error) => `${error.line} ${error.type}: ${error.message}`), [
+    '3 td-headers-broken: <td headers="total tax"> refers to #tax, which is not a header cell of this table',
+    '4 td-headers-broken: <td headers="first"> refers to #first, which is not a header cell of this table',
+  ]);
+  assert.deepEqual(issues(`<table>${CAPTION}<tr><th id="a">A</th></tr><tr><td headers="x y">1</td></tr></table>`), [
+    'td-headers-broken: <td headers="x y"> refers to #x, #y, which are not header cells of this table',
+  ]);
+  assert.deepEqual(issues(`<table>${CAPTION}<tr><th id="a">A</th></tr><tr><td headers="{{ header }}">1</td></tr></table>`, "page.twig"), []);
+});
+
+test("layout tables must not use data table markup", () => {
+  assert.deepEqual(issues('<table role="presentation"><tr><td>Logo</td><td>Menu</td></tr><tr><td>A</td><td>B</td></tr></table>'), []);
+  assert.deepEqual(
+    issues('<table role="none" summary="Layout"><caption>Page</caption><tr><th>Logo</th><td scope="col">Menu</td></tr></table>'),
+    ['layout-table-semantics: Layout table (role="none") uses <th>, <caption>, summary, headers/scope']
+  );
+  // Markup of a data table nested in a layout table belongs to the inner table
+  assert.deepEqual(
+    issues(`<table role="presentation"><tr><td><table>${CAPTION}<tr><th>Order</th></tr><tr><td>1</td></tr></table></td></tr></table>`),
+    []
+  );
+});
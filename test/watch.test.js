@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { watchDirectory } = require("../src/watch");
+
+let dir;
+let watcher;
+
+// Pages in `site/`, a stylesheet they link and one outside it passed with the contrast `stylesheets` option
+test.beforeEach(() => {
+  dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "be-a11y-watch-")));
+  fs.mkdirSync(path.join(dir, "site"));
+  fs.writeFileSync(path.join(dir, "site", "styled.html"), '<link rel="stylesheet" href="site.css"><main><p class="note">Note</p></main>');
+  fs.writeFileSync(path.join(dir, "site", "plain.html"), '<main><p class="shared">Plain</p></main>');
+  fs.writeFileSync(path.join(dir, "site", "site.css"), ".note { color: #000 }");
+  fs.writeFileSync(path.join(dir, "shared.css"), ".shared { color: #000 }");
+});
+
+test.afterEach(() => {
+  if (watcher) watcher.close();
+  watcher = null;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Starts watching `site/` and returns a function resolving with the next update.
+ * @param {object} [rules] - Rule settings.
+ * @returns {function(): Promise<object>}
+ */
+function watch(rules = {}) {
+  const updates = [];
+  const waiting = [];
+  watcher = watchDirectory(path.join(dir, "site"), {
+    config: { rules },
+    debounce: 100,
+    onUpdate: (update) => (waiting.length ? waiting.shift()(update) : updates.push(update)),
+    onError: (err) => assert.fail(err),
+  });
+  return () =>
+    updates.length
+      ? Promise.resolve(updates.shift())
+      : new Promise((resolve, reject) => {
+          const timer = setTimeout(() => reject(new Error("No update within 5s")), 5000);
+          waiting.push((update) => {
+            clearTimeout(timer);
+            resolve(update);
+          });
+        });
+}
+
+const names = (files) => files.map((file) => path.basename(file)).sort();
+const types = ({ errors }) => errors.map((error) => `${path.basename(error.file)} ${error.type}`).sort();
+
+test("the first run analyzes every file, later runs only the changed ones", async () => {
+  const next = watch();
+  const first = await next();
+  assert.deepEqual(names(first.changed), ["plain.html", "styled.html"]);
+  assert.deepEqual(types(first), []);
+
+  fs.writeFileSync(path.join(dir, "site", "plain.html"), '<main><img src="a.png" alt="A" title="A"></main>');
+  const update = await next();
+  assert.deepEqual(names(update.changed), ["plain.html"]);
+  assert.deepEqual(types(update), ["plain.html redundant-title"]);
+
+  fs.rmSync(path.join(dir, "site", "plain.html"));
+  const removed = await next();
+  assert.deepEqual(names(removed.files), ["styled.html"]);
+  assert.deepEqual(types(removed), []);
+});
+
+test("a changed stylesheet in the directory re-analyzes the pages", async () => {
+  const next = watch();
+  await next();
+
+  fs.writeFileSync(path.join(dir, "site", "site.css"), ".note { color: #ccc }");
+  const update = await next();
+  assert.deepEqual(names(update.changed), ["plain.html", "styled.html"]);
+  assert.deepEqual(types(update), ["styled.html contrast"]);
+});
+
+test("stylesheets outside the directory are watched as dependencies", async () => {
+  const next = watch({ contrast: { stylesheets: [path.join(dir, "shared.css")] } });
+  await next();
+
+  fs.writeFileSync(path.join(dir, "shared.css"), ".shared { color: #ccc }");
+  const update = await next();
+  assert.deepEqual(names(update.changed), ["plain.html", "styled.html"]);
+  assert.deepEqual(types(update), ["plain.html contrast"]);
+});
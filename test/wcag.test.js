@@ -0,0 +1,38 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { checkedTypes } = require("../src/analyzer");
+const { defaultRegistry } = require("../src/registry");
+const configuration = require("../src/utils/configuration");
+const { conformance } = require("../src/utils/wcag");
+
+const registry = defaultRegistry();
+const statusOf = (summary, criterion) => summary.criteria.find((entry) => entry.criterion === criterion).status;
+
+test("criteria the run did not evaluate are not checked", () => {
+  const config = configuration.normalize({});
+  const summary = conformance([], checkedTypes(config, registry, { documents: 0 }));
+
+  assert.equal(statusOf(summary, "1.4.3"), "pass");
+  assert.equal(statusOf(summary, "1.4.6"), "not checked");
+  for (const criterion of ["2.4.1", "2.4.2", "3.1.1"]) {
+    assert.equal(statusOf(summary, criterion), "not checked");
+  }
+  assert.equal(summary.passed + summary.failed + summary.notChecked, summary.criteria.length);
+});
+
+test("full documents and AAA contrast evaluate their criteria", () => {
+  const config = configuration.normalize({ wcagLevel: "AAA" });
+  const summary = conformance([], checkedTypes(config, registry, { documents: 1 }), "AAA");
+
+  for (const criterion of ["1.4.6", "2.4.1", "2.4.2", "3.1.1"]) {
+    assert.equal(statusOf(summary, criterion), "pass");
+  }
+});
+
+test("issues fail a criterion that was not otherwise checked", () => {
+  const config = configuration.normalize({});
+  const summary = conformance([{ type: "contrast", wcag: ["1.4.3", "1.4.6"] }], checkedTypes(config, registry));
+
+  assert.equal(statusOf(summary, "1.4.6"), "fail");
+});